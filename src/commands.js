@@ -5,12 +5,16 @@
 
 import { WARFARE_COMMANDS } from './knw/commands/warfare.js';
 import { INTRIGUE_COMMANDS } from './knw/commands/intrigue.js';
+import { CAMPAIGN_COMMANDS } from './knw/commands/campaign.js';
+import { KNW_COMMANDS } from './knw/commands/knw.js';
 
 /**
  * All commands that will be registered with Discord.
- * This includes warfare and intrigue commands for Kingdoms & Warfare.
+ * This includes warfare, intrigue, campaign and knw commands for Kingdoms & Warfare.
  */
 export const ALL_COMMANDS = [
   ...WARFARE_COMMANDS,
   ...INTRIGUE_COMMANDS,
+  ...CAMPAIGN_COMMANDS,
+  ...KNW_COMMANDS,
 ];
@@ -0,0 +1,15 @@
+/**
+ * Campaign commands for Kingdoms & Warfare
+ * Handles creating, switching between and archiving campaigns
+ *
+ * This file is a wrapper around the componentized campaign commands,
+ * matching the warfare and intrigue commands.
+ */
+
+import {
+  CAMPAIGN_COMMANDS,
+  handleCampaignCommand,
+  handleCampaignAutocomplete,
+} from './campaign/index.js';
+
+export { CAMPAIGN_COMMANDS, handleCampaignCommand, handleCampaignAutocomplete };
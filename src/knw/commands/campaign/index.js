@@ -0,0 +1,378 @@
+/**
+ * Main entry point for campaign commands
+ * Exports the command definitions and handler functions
+ *
+ * A channel plays in one campaign at a time, and every warfare and intrigue
+ * command run in it only sees that campaign's data. Switching a channel to no
+ * campaign brings back the data the server shares outside any campaign.
+ */
+
+import { InteractionResponseType } from 'discord-interactions';
+import {
+  createCampaign,
+  archiveCampaign,
+  isArchived,
+} from '../../models/campaign.js';
+import {
+  getCampaign,
+  getAllCampaigns,
+  saveCampaign,
+  findCampaignByName,
+  getServerData,
+  saveServerData,
+  getActiveCampaign,
+  setActiveCampaign,
+} from '../../utils/storage.js';
+import { getPermissions, permissionDenied } from '../../utils/permissions.js';
+import { fuzzySearch, toChoices } from '../../utils/search.js';
+
+// KV namespace for data storage
+export const KV_NAMESPACE = 'KNW_DATA';
+
+// Most choices Discord shows for an autocomplete option
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+// Campaign command definitions
+export const CAMPAIGN_COMMANDS = [
+  {
+    name: 'campaign',
+    description:
+      'Commands for running several Kingdoms & Warfare campaigns on one server',
+    options: [
+      {
+        name: 'create',
+        description: 'Create a campaign and play in it in this channel',
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'name',
+            description: 'Name of the campaign',
+            type: 3, // STRING
+            required: true,
+          },
+          {
+            name: 'description',
+            description: 'Description of the campaign',
+            type: 3, // STRING
+            required: false,
+          },
+        ],
+      },
+      {
+        name: 'switch',
+        description: 'Play in another campaign in this channel',
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'name',
+            description:
+              'Name of the campaign; leave out to play outside any campaign',
+            type: 3, // STRING
+            required: false,
+            autocomplete: true,
+          },
+        ],
+      },
+      {
+        name: 'list',
+        description: 'List the campaigns of this server',
+        type: 1, // SUB_COMMAND
+      },
+      {
+        name: 'archive',
+        description: 'Archive a campaign, keeping its data',
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'name',
+            description:
+              'Name of the campaign; defaults to the one played in this channel',
+            type: 3, // STRING
+            required: false,
+            autocomplete: true,
+          },
+        ],
+      },
+    ],
+  },
+];
+
+/**
+ * Handle campaign commands
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+export async function handleCampaignCommand(interaction, env) {
+  const subcommand = interaction.data.options[0];
+  const options = subcommand.options || [];
+
+  if (!interaction.guild_id) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: 'Campaigns can only be used in a server' },
+    };
+  }
+
+  switch (subcommand.name) {
+    case 'create':
+      return handleCreateCampaign(interaction, options, env);
+    case 'switch':
+      return handleSwitchCampaign(interaction, options, env);
+    case 'list':
+      return handleListCampaigns(interaction, env);
+    case 'archive':
+      return handleArchiveCampaign(interaction, options, env);
+    default:
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `Unknown campaign subcommand: ${subcommand.name}` },
+      };
+  }
+}
+
+/**
+ * Handle autocomplete for campaign command options
+ * Only campaigns a channel can switch to are suggested
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Choices to send back to Discord
+ */
+export async function handleCampaignAutocomplete(interaction, env) {
+  const options = interaction.data.options[0].options || [];
+  const focused = options.find((opt) => opt.focused);
+  let choices = [];
+
+  if (focused && focused.name === 'name' && interaction.guild_id) {
+    const campaigns = (await getAllCampaigns(env, KV_NAMESPACE)).filter(
+      (campaign) => !isArchived(campaign),
+    );
+    choices = toChoices(fuzzySearch(campaigns, String(focused.value)));
+  }
+
+  return {
+    type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+    data: {
+      choices: choices.slice(0, MAX_AUTOCOMPLETE_CHOICES),
+    },
+  };
+}
+
+/**
+ * Handle creating a campaign
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleCreateCampaign(interaction, options, env) {
+  const name = options.find((opt) => opt.name === 'name')?.value?.trim();
+  const description =
+    options.find((opt) => opt.name === 'description')?.value || '';
+
+  if (!name) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: 'Campaign name is required' },
+    };
+  }
+
+  if (!(await getPermissions(interaction, env)).isGameMaster) {
+    return permissionDenied('Only a GM can create a campaign');
+  }
+
+  if (await findCampaignByName(env, KV_NAMESPACE, name)) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: `A campaign named ${name} already exists` },
+    };
+  }
+
+  const campaign = createCampaign({
+    name,
+    description,
+    createdBy: interaction.member?.user?.id || interaction.user?.id || null,
+  });
+
+  await saveCampaign(env, KV_NAMESPACE, campaign);
+
+  // Add the campaign to the server's campaign list
+  const serverData = await getServerData(
+    env,
+    KV_NAMESPACE,
+    interaction.guild_id,
+  );
+  serverData.campaigns = [...(serverData.campaigns || []), campaign.id];
+  await saveServerData(env, KV_NAMESPACE, interaction.guild_id, serverData);
+
+  await setActiveCampaign(
+    env,
+    KV_NAMESPACE,
+    interaction.channel_id,
+    campaign.id,
+  );
+
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `Campaign created: **${campaign.name}**${campaign.description ? `\n${campaign.description}` : ''}\nThis channel now plays in it.`,
+    },
+  };
+}
+
+/**
+ * Handle switching the campaign played in a channel
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleSwitchCampaign(interaction, options, env) {
+  const name = options.find((opt) => opt.name === 'name')?.value;
+
+  if (!(await getPermissions(interaction, env)).isGameMaster) {
+    return permissionDenied(
+      'Only a GM can switch the campaign a channel plays in',
+    );
+  }
+
+  // Without a name, the channel goes back to the server's own data
+  if (!name) {
+    await setActiveCampaign(env, KV_NAMESPACE, interaction.channel_id, null);
+
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: 'This channel no longer plays in a campaign' },
+    };
+  }
+
+  const campaign = await findCampaignByName(env, KV_NAMESPACE, name);
+
+  if (!campaign) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: `Campaign not found: ${name}` },
+    };
+  }
+
+  if (isArchived(campaign)) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: `${campaign.name} is archived` },
+    };
+  }
+
+  await setActiveCampaign(
+    env,
+    KV_NAMESPACE,
+    interaction.channel_id,
+    campaign.id,
+  );
+
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: { content: `This channel now plays in **${campaign.name}**` },
+  };
+}
+
+/**
+ * Handle listing the campaigns of a server
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleListCampaigns(interaction, env) {
+  const campaigns = await getAllCampaigns(env, KV_NAMESPACE);
+  const activeCampaignId = await getActiveCampaign(
+    env,
+    KV_NAMESPACE,
+    interaction.channel_id,
+  );
+
+  if (campaigns.length === 0) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: 'No campaigns found for this server' },
+    };
+  }
+
+  // Active campaigns first, then by name
+  campaigns.sort(
+    (a, b) => isArchived(a) - isArchived(b) || a.name.localeCompare(b.name),
+  );
+
+  let content = `**Campaigns (${campaigns.length})**\n\n`;
+
+  campaigns.forEach((campaign) => {
+    const notes = [
+      ...(campaign.id === activeCampaignId ? ['played in this channel'] : []),
+      ...(isArchived(campaign) ? ['archived'] : []),
+    ];
+
+    content += `**${campaign.name}**${notes.length > 0 ? ` (${notes.join(', ')})` : ''}${campaign.description ? ` - ${campaign.description}` : ''}\n`;
+  });
+
+  if (!activeCampaignId) {
+    content += '\nThis channel does not play in a campaign.';
+  }
+
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: { content },
+  };
+}
+
+/**
+ * Handle archiving a campaign
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleArchiveCampaign(interaction, options, env) {
+  const name = options.find((opt) => opt.name === 'name')?.value;
+  const activeCampaignId = await getActiveCampaign(
+    env,
+    KV_NAMESPACE,
+    interaction.channel_id,
+  );
+
+  const campaign = name
+    ? await findCampaignByName(env, KV_NAMESPACE, name)
+    : activeCampaignId &&
+      (await getCampaign(env, KV_NAMESPACE, activeCampaignId));
+
+  if (!campaign) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: name
+          ? `Campaign not found: ${name}`
+          : 'This channel does not play in a campaign',
+      },
+    };
+  }
+
+  if (!(await getPermissions(interaction, env)).isGameMaster) {
+    return permissionDenied(`Only a GM can archive ${campaign.name}`);
+  }
+
+  if (isArchived(campaign)) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: `${campaign.name} is already archived` },
+    };
+  }
+
+  await saveCampaign(env, KV_NAMESPACE, archiveCampaign(campaign));
+
+  // Stop playing the campaign here; other channels keep playing it until they switch
+  if (campaign.id === activeCampaignId) {
+    await setActiveCampaign(env, KV_NAMESPACE, interaction.channel_id, null);
+  }
+
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: { content: `Campaign archived: **${campaign.name}**` },
+  };
+}
@@ -6,6 +6,6 @@
  * to maintain backward compatibility.
  */
 
-import { INTRIGUE_COMMANDS, handleIntrigueCommand } from './intrigue/index.js';
+import { INTRIGUE_COMMANDS, handleIntrigueCommand, handleIntrigueAutocomplete } from './intrigue/index.js';
 
-export { INTRIGUE_COMMANDS, handleIntrigueCommand };
+export { INTRIGUE_COMMANDS, handleIntrigueCommand, handleIntrigueAutocomplete };
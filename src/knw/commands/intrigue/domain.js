@@ -4,9 +4,22 @@
  */
 
 import { InteractionResponseType } from 'discord-interactions';
-import { createDomain, DOMAIN_SKILLS } from '../../models/domain.js';
-import { saveDomain, getDomain, deleteDomain, getServerData, saveServerData } from '../../utils/storage.js';
-import { formatDomain } from '../../utils/formatter.js';
+import { createDomain, addCoOwner, removeCoOwner, DOMAIN_SKILLS } from '../../models/domain.js';
+import { setIncome, collectSeason } from '../../models/economy.js';
+import {
+  saveDomain,
+  getDomain,
+  deleteDomain,
+  getAllDomains,
+  getServerData,
+  saveServerData,
+  getOfficersForDomain,
+  getUnitsForDomain,
+  addDomainToUser,
+  removeDomainFromUser,
+} from '../../utils/storage.js';
+import { formatDomain, formatLedger, formatSeason } from '../../utils/formatter.js';
+import { getPermissions, getUserId, canActForDomain, canDeleteDomain, permissionDenied } from '../../utils/permissions.js';
 import { KV_NAMESPACE } from './index.js';
 
 /**
@@ -28,6 +41,16 @@ export async function handleDomainCommand(interaction, env) {
       return handleListDomains(interaction, env);
     case 'delete':
       return handleDeleteDomain(interaction, env);
+    case 'add_owner':
+      return handleChangeCoOwner(interaction, env, true);
+    case 'remove_owner':
+      return handleChangeCoOwner(interaction, env, false);
+    case 'income':
+      return handleSetIncome(interaction, env);
+    case 'season':
+      return handleSeason(interaction, env);
+    case 'ledger':
+      return handleLedger(interaction, env);
     default:
       return {
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
@@ -68,12 +91,18 @@ async function handleCreateDomain(interaction, env) {
       [DOMAIN_SKILLS.LORE]: lore,
       [DOMAIN_SKILLS.OPERATIONS]: operations,
     },
+    ownerId: getUserId(interaction),
   });
   
   // Save the domain
   try {
     await saveDomain(env, KV_NAMESPACE, domain);
     
+    // The creator owns the domain
+    if (domain.ownerId) {
+      await addDomainToUser(env, KV_NAMESPACE, domain.ownerId, domain.id);
+    }
+    
     // Add the domain to the server's domain list
     const serverId = interaction.guild_id;
     let serverData = await getServerData(env, KV_NAMESPACE, serverId);
@@ -155,9 +184,11 @@ async function handleViewDomain(interaction, env) {
     }
     
     if (matchingDomains.length === 1) {
+      const officers = await getOfficersForDomain(env, KV_NAMESPACE, matchingDomains[0].id);
+      
       return {
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: { content: formatDomain(matchingDomains[0]) },
+        data: { content: formatDomain(matchingDomains[0], officers) },
       };
     }
     
@@ -289,9 +320,18 @@ async function handleDeleteDomain(interaction, env) {
     }
     
     if (matchingDomains.length === 1) {
+      // Only the domain's owner or a GM can delete it
+      if (!canDeleteDomain(await getPermissions(interaction, env), matchingDomains[0])) {
+        return permissionDenied(`Only the owner of ${matchingDomains[0].name} or a GM can delete it`);
+      }
+      
       // Delete the domain
       await deleteDomain(env, KV_NAMESPACE, matchingDomains[0].id);
       
+      if (matchingDomains[0].ownerId) {
+        await removeDomainFromUser(env, KV_NAMESPACE, matchingDomains[0].ownerId, matchingDomains[0].id);
+      }
+      
       // Remove the domain from the server's domain list
       serverData.domains = serverData.domains.filter(id => id !== matchingDomains[0].id);
       
@@ -323,3 +363,210 @@ async function handleDeleteDomain(interaction, env) {
     };
   }
 }
+
+/**
+ * Handle adding or removing a co-owner of a domain
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @param {Boolean} add - Whether to add the user rather than remove them
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleChangeCoOwner(interaction, env, add) {
+  const { options } = interaction.data.options[0];
+  const name = options.find(opt => opt.name === 'name')?.value;
+  const userId = options.find(opt => opt.name === 'user')?.value;
+  
+  if (!name || !userId) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: 'Domain name or ID and a user are required' },
+    };
+  }
+  
+  try {
+    const domains = await getAllDomains(env, KV_NAMESPACE);
+    const domain = domains.find(d => d.id === name || d.name.toLowerCase() === name.toLowerCase());
+    
+    if (!domain) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `Domain not found: ${name}` },
+      };
+    }
+    
+    // Only the domain's owner or a GM can change who owns it
+    if (!canDeleteDomain(await getPermissions(interaction, env), domain)) {
+      return permissionDenied(`Only the owner of ${domain.name} or a GM can change its co-owners`);
+    }
+    
+    if (userId === domain.ownerId) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `<@${userId}> already owns ${domain.name}` },
+      };
+    }
+    
+    if (add) {
+      await saveDomain(env, KV_NAMESPACE, addCoOwner(domain, userId));
+      await addDomainToUser(env, KV_NAMESPACE, userId, domain.id);
+    } else {
+      await saveDomain(env, KV_NAMESPACE, removeCoOwner(domain, userId));
+      await removeDomainFromUser(env, KV_NAMESPACE, userId, domain.id);
+    }
+    
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: add ? `<@${userId}> now co-owns ${domain.name}` : `<@${userId}> no longer co-owns ${domain.name}` },
+    };
+  } catch (error) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: `Error changing the owners of the domain: ${error.message}` },
+    };
+  }
+}
+
+/**
+ * Handle setting how much a domain earns from a source of income each season
+ * Only a GM can change a domain's income
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleSetIncome(interaction, env) {
+  const { options } = interaction.data.options[0];
+  const name = options.find(opt => opt.name === 'name')?.value;
+  const source = options.find(opt => opt.name === 'income_source')?.value;
+  const amount = options.find(opt => opt.name === 'amount')?.value;
+  
+  if (!name || !source || amount === undefined) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: 'Domain name or ID, an income source and an amount are required' },
+    };
+  }
+  
+  try {
+    const domains = await getAllDomains(env, KV_NAMESPACE);
+    const domain = domains.find(d => d.id === name || d.name.toLowerCase() === name.toLowerCase());
+    
+    if (!domain) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `Domain not found: ${name}` },
+      };
+    }
+    
+    if (!(await getPermissions(interaction, env)).isGameMaster) {
+      return permissionDenied('Only a GM can change a domain\'s income');
+    }
+    
+    const updatedDomain = await saveDomain(env, KV_NAMESPACE, setIncome(domain, source, amount));
+    
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: `${updatedDomain.name} now earns ${amount} resource points from ${source} each season\n\n${formatDomain(updatedDomain)}` },
+    };
+  } catch (error) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: `Error setting the income of the domain: ${error.message}` },
+    };
+  }
+}
+
+/**
+ * Handle playing out a season
+ * Each domain collects its income and pays upkeep for its units. Without a
+ * domain name, every domain in the server does; only a GM can start a season
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleSeason(interaction, env) {
+  const { options } = interaction.data.options[0];
+  const name = options.find(opt => opt.name === 'name')?.value;
+  
+  try {
+    if (!(await getPermissions(interaction, env)).isGameMaster) {
+      return permissionDenied('Only a GM can start a new season');
+    }
+    
+    const allDomains = await getAllDomains(env, KV_NAMESPACE);
+    const domains = name
+      ? allDomains.filter(d => d.id === name || d.name.toLowerCase() === name.toLowerCase())
+      : allDomains;
+    
+    if (domains.length === 0) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: name ? `Domain not found: ${name}` : 'No domains found for this server' },
+      };
+    }
+    
+    let content = '**New Season**\n';
+    
+    for (const domain of domains) {
+      const units = await getUnitsForDomain(env, KV_NAMESPACE, domain.id);
+      const season = collectSeason(domain, units, { actorId: getUserId(interaction) });
+      const updatedDomain = await saveDomain(env, KV_NAMESPACE, season.domain);
+      
+      content += formatSeason(updatedDomain, season);
+    }
+    
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content },
+    };
+  } catch (error) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: `Error playing out the season: ${error.message}` },
+    };
+  }
+}
+
+/**
+ * Handle showing a domain's ledger
+ * Only the domain's owners and GMs can audit it
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleLedger(interaction, env) {
+  const { options } = interaction.data.options[0];
+  const name = options.find(opt => opt.name === 'name')?.value;
+  
+  if (!name) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: 'Domain name or ID is required' },
+    };
+  }
+  
+  try {
+    const domains = await getAllDomains(env, KV_NAMESPACE);
+    const domain = domains.find(d => d.id === name || d.name.toLowerCase() === name.toLowerCase());
+    
+    if (!domain) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `Domain not found: ${name}` },
+      };
+    }
+    
+    if (!canActForDomain(await getPermissions(interaction, env), domain)) {
+      return permissionDenied(`Only an owner of ${domain.name} or a GM can see its ledger`);
+    }
+    
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: formatLedger(domain) },
+    };
+  } catch (error) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: `Error showing the ledger of the domain: ${error.message}` },
+    };
+  }
+}
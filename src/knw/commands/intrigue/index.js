@@ -9,11 +9,35 @@ import { handleSessionCommand } from './session.js';
 import { handleRollCommand } from './roll.js';
 import { handleReferenceCommand } from './reference.js';
 import { DOMAIN_SKILLS, DOMAIN_DEFENSES, DOMAIN_SIZES } from '../../models/domain.js';
-import { INTRIGUE_PHASES, INTRIGUE_ACTION_TYPES } from '../../models/intrigue.js';
+import { INTRIGUE_PHASES, INTRIGUE_ACTION_TYPES, INTRIGUE_ACTIONS } from '../../models/intrigue.js';
+import { INCOME_SOURCES } from '../../models/economy.js';
+import { getAllDomains, getAllIntrigues, getServerData } from '../../utils/storage.js';
+import { fuzzySearch, scopeToServer, toChoices } from '../../utils/search.js';
 
 // KV namespace for data storage
 export const KV_NAMESPACE = 'KNW_DATA';
 
+// Most choices Discord shows for an autocomplete option
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+// Options that name a domain or session, by subcommand, as [entity type, field]
+const ENTITY_OPTIONS = {
+  domain: { name: ['domains', 'name'] },
+  session: {
+    name: ['intrigues', 'name'],
+    session_id: ['intrigues', 'id'],
+    domain_id: ['domains', 'id'],
+    initiator_id: ['domains', 'id'],
+    target_id: ['domains', 'id'],
+  },
+};
+
+// How to load every entity of a type
+const ENTITY_LOADERS = {
+  domains: env => getAllDomains(env, KV_NAMESPACE),
+  intrigues: env => getAllIntrigues(env, KV_NAMESPACE),
+};
+
 // Intrigue command definitions
 export const INTRIGUE_COMMANDS = [
   {
@@ -35,6 +59,11 @@ export const INTRIGUE_COMMANDS = [
               { name: 'view', value: 'view' },
               { name: 'list', value: 'list' },
               { name: 'delete', value: 'delete' },
+              { name: 'add_owner', value: 'add_owner' },
+              { name: 'remove_owner', value: 'remove_owner' },
+              { name: 'income', value: 'income' },
+              { name: 'season', value: 'season' },
+              { name: 'ledger', value: 'ledger' },
             ],
           },
           {
@@ -42,6 +71,7 @@ export const INTRIGUE_COMMANDS = [
             description: 'Name of the domain',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
           },
           {
             name: 'size',
@@ -80,6 +110,30 @@ export const INTRIGUE_COMMANDS = [
             type: 4, // INTEGER
             required: false,
           },
+          {
+            name: 'user',
+            description: 'User to add or remove as a co-owner',
+            type: 6, // USER
+            required: false,
+          },
+          {
+            name: 'income_source',
+            description: 'Source of income to set',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              { name: 'Holdings', value: INCOME_SOURCES.HOLDINGS },
+              { name: 'Trade', value: INCOME_SOURCES.TRADE },
+              { name: 'Taxes', value: INCOME_SOURCES.TAXES },
+            ],
+          },
+          {
+            name: 'amount',
+            description: 'Resource points the income source earns each season',
+            type: 4, // INTEGER
+            required: false,
+            min_value: 0,
+          },
         ],
       },
       {
@@ -99,6 +153,8 @@ export const INTRIGUE_COMMANDS = [
               { name: 'delete', value: 'delete' },
               { name: 'start', value: 'start' },
               { name: 'action', value: 'action' },
+              { name: 'end_turn', value: 'end_turn' },
+              { name: 'end', value: 'end' },
             ],
           },
           {
@@ -106,28 +162,58 @@ export const INTRIGUE_COMMANDS = [
             description: 'Name of the intrigue session',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
+          },
+          {
+            name: 'turn_minutes',
+            description: 'Minutes each domain has for its turn before it is skipped',
+            type: 4, // INTEGER
+            required: false,
+            min_value: 1,
+          },
+          {
+            name: 'rounds',
+            description: 'Rounds to play before the session is resolved',
+            type: 4, // INTEGER
+            required: false,
+            min_value: 1,
           },
           {
             name: 'session_id',
             description: 'ID of the intrigue session',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
           },
           {
             name: 'domain_id',
             description: 'ID of the domain',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
           },
           {
             name: 'initiator_id',
             description: 'ID of the initiating domain',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
+          },
+          {
+            name: 'intrigue_action',
+            description: 'Named intrigue action to take; the last three take effect when the session is resolved',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              ...Object.values(INTRIGUE_ACTIONS).map(action => ({ name: action.name, value: action.id })),
+              { name: 'Modify Defense', value: INTRIGUE_ACTION_TYPES.DEFENSE_MODIFICATION },
+              { name: 'Transfer Resources', value: INTRIGUE_ACTION_TYPES.RESOURCE_TRANSFER },
+              { name: 'Raise Unit', value: INTRIGUE_ACTION_TYPES.UNIT_CREATION },
+            ],
           },
           {
             name: 'skill',
-            description: 'Skill to use for the action',
+            description: 'Skill to use for a skill test without a named action',
             type: 3, // STRING
             required: false,
             choices: [
@@ -142,10 +228,11 @@ export const INTRIGUE_COMMANDS = [
             description: 'ID of the target domain',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
           },
           {
             name: 'difficulty',
-            description: 'Difficulty class (DC) for the skill check',
+            description: 'Difficulty class (DC) for a skill check without a target',
             type: 4, // INTEGER
             required: false,
           },
@@ -155,6 +242,54 @@ export const INTRIGUE_COMMANDS = [
             type: 3, // STRING
             required: false,
           },
+          {
+            name: 'reaction',
+            description: 'Whether the action is a reaction taken out of turn',
+            type: 5, // BOOLEAN
+            required: false,
+          },
+          {
+            name: 'defense',
+            description: 'Defense to modify, for Modify Defense',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              { name: 'Communications', value: DOMAIN_DEFENSES.COMMUNICATIONS },
+              { name: 'Resolve', value: DOMAIN_DEFENSES.RESOLVE },
+              { name: 'Resources', value: DOMAIN_DEFENSES.RESOURCES },
+            ],
+          },
+          {
+            name: 'amount',
+            description: 'Levels to change the defense by, resource points to transfer, or the unit\'s cost',
+            type: 4, // INTEGER
+            required: false,
+          },
+          {
+            name: 'unit_type',
+            description: 'Type of the unit, for Raise Unit',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              { name: 'Infantry', value: 'infantry' },
+              { name: 'Cavalry', value: 'cavalry' },
+              { name: 'Artillery', value: 'artillery' },
+              { name: 'Aerial', value: 'aerial' },
+            ],
+          },
+          {
+            name: 'unit_tier',
+            description: 'Tier of the unit, for Raise Unit (1-5)',
+            type: 4, // INTEGER
+            required: false,
+            choices: [
+              { name: 'I', value: 1 },
+              { name: 'II', value: 2 },
+              { name: 'III', value: 3 },
+              { name: 'IV', value: 4 },
+              { name: 'V', value: 5 },
+            ],
+          },
         ],
       },
       {
@@ -204,6 +339,12 @@ export const INTRIGUE_COMMANDS = [
             type: 4, // INTEGER
             required: false,
           },
+          {
+            name: 'private',
+            description: 'Only show the roll to you; defaults to the server\'s dice visibility',
+            type: 5, // BOOLEAN
+            required: false,
+          },
         ],
       },
       {
@@ -220,6 +361,7 @@ export const INTRIGUE_COMMANDS = [
               { name: 'Intrigue', value: 'intrigue' },
               { name: 'Domain Skills', value: 'domain_skills' },
               { name: 'Domain Defenses', value: 'domain_defenses' },
+              { name: 'Intrigue Actions', value: 'intrigue_actions' },
             ],
           },
         ],
@@ -255,6 +397,37 @@ export async function handleIntrigueCommand(interaction, env) {
   }
 }
 
+/**
+ * Handle autocomplete for intrigue command options
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Choices to send back to Discord
+ */
+export async function handleIntrigueAutocomplete(interaction, env) {
+  const subcommand = interaction.data.options[0];
+  const options = subcommand.options || [];
+  const focused = options.find(opt => opt.focused);
+  const action = options.find(opt => opt.name === 'action')?.value;
+  const entityOption = focused && ENTITY_OPTIONS[subcommand.name]?.[focused.name];
+  let choices = [];
+  
+  // A new domain or session's name has nothing to suggest
+  if (entityOption && !(action === 'create' && focused.name === 'name')) {
+    const [type, field] = entityOption;
+    const serverData = interaction.guild_id ? await getServerData(env, KV_NAMESPACE, interaction.guild_id) : {};
+    const entities = scopeToServer(await ENTITY_LOADERS[type](env), serverData[type]);
+    
+    choices = toChoices(fuzzySearch(entities, String(focused.value)), field);
+  }
+  
+  return {
+    type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+    data: {
+      choices: choices.slice(0, MAX_AUTOCOMPLETE_CHOICES),
+    },
+  };
+}
+
 /**
  * Capitalize the first letter of a string
  * @param {String} str - String to capitalize
@@ -284,18 +457,26 @@ export function getRomanNumeral(num) {
 /**
  * Format an intrigue action for display
  * @param {Object} action - Intrigue action object
+ * @param {Object} domains - Map of domain IDs to domain objects, to name the domains it involves
  * @returns {String} - Formatted intrigue action text
  */
-export function formatIntrigueAction(action) {
+export function formatIntrigueAction(action, domains = {}) {
+  // Resolved actions say whether they worked; older ones kept their roll as text
+  const outcome = action.success === true ? ' - Success' : action.success === false ? ' - Failure' : '';
+  const domainName = domainId => domains[domainId]?.name || domainId;
+  
   switch (action.type) {
     case INTRIGUE_ACTION_TYPES.SKILL_TEST:
-      return `Skill Test - ${capitalizeFirstLetter(action.skill)} vs ${action.target || 'DC ' + action.difficulty}${action.result ? ` (${action.result})` : ''}${action.description ? ` - ${action.description}` : ''}`;
+      return `Skill Test - ${capitalizeFirstLetter(action.skill)} vs ${action.target ? `${domainName(action.target)}${action.defense ? ` ${capitalizeFirstLetter(action.defense)}` : ''}` : 'DC ' + action.difficulty}${action.result ? ` (${action.result})` : ''}${outcome}${action.description ? ` - ${action.description}` : ''}`;
+    
+    case INTRIGUE_ACTION_TYPES.CATALOG:
+      return `${action.name} - ${capitalizeFirstLetter(action.skill)}${action.target ? ` vs ${domainName(action.target)}` : ''} (DC ${action.difficulty})${outcome}${action.description ? ` - ${action.description}` : ''}`;
     
     case INTRIGUE_ACTION_TYPES.DEFENSE_MODIFICATION:
-      return `Defense Modification - ${capitalizeFirstLetter(action.defense)} of ${action.target} by ${action.change > 0 ? '+' : ''}${action.change}${action.description ? ` - ${action.description}` : ''}`;
+      return `Defense Modification - ${capitalizeFirstLetter(action.defense)} of ${domainName(action.target)} by ${action.change > 0 ? '+' : ''}${action.change}${action.description ? ` - ${action.description}` : ''}`;
     
     case INTRIGUE_ACTION_TYPES.RESOURCE_TRANSFER:
-      return `Resource Transfer - ${action.amount} from ${action.source} to ${action.target}${action.description ? ` - ${action.description}` : ''}`;
+      return `Resource Transfer - ${action.amount} from ${domainName(action.source)} to ${domainName(action.target)}${action.description ? ` - ${action.description}` : ''}`;
     
     case INTRIGUE_ACTION_TYPES.UNIT_CREATION:
       return `Unit Creation - Tier ${getRomanNumeral(action.unitTier)} ${capitalizeFirstLetter(action.unitType)} (Cost: ${action.cost})${action.description ? ` - ${action.description}` : ''}`;
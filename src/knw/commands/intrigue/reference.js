@@ -5,7 +5,8 @@
 
 import { InteractionResponseType } from 'discord-interactions';
 import { DOMAIN_SKILLS, DOMAIN_DEFENSES } from '../../models/domain.js';
-import { INTRIGUE_PHASES, INTRIGUE_ACTION_TYPES } from '../../models/intrigue.js';
+import { INTRIGUE_PHASES, INTRIGUE_ACTION_TYPES, INTRIGUE_ACTIONS } from '../../models/intrigue.js';
+import { capitalizeFirstLetter } from './index.js';
 
 /**
  * Handle reference commands
@@ -36,6 +37,8 @@ function formatReferenceInfo(topic) {
       return formatDomainSkillsReference();
     case 'domain_defenses':
       return formatDomainDefensesReference();
+    case 'intrigue_actions':
+      return formatIntrigueActionsReference();
     default:
       return `Unknown reference topic: ${topic}`;
   }
@@ -58,6 +61,11 @@ function formatIntrigueReference() {
     content += `- **${key}**: ${value}\n`;
   });
   
+  content += '\n**Rounds**\n';
+  content += 'At the start of each round every domain gets 4 actions plus its size. Each action spends one. ';
+  content += 'A domain acts in its turn until it runs out of actions or ends its turn, and out of turn it can react with the actions it has left.\n';
+  content += 'A session can limit each turn\'s minutes, skipping domains that run out of time, and its number of rounds, after which it is resolved.\n';
+  
   return content;
 }
 
@@ -89,5 +97,24 @@ function formatDomainDefensesReference() {
   content += `- **Resolve**: Protects against diplomatic pressure and morale attacks.\n`;
   content += `- **Resources**: Protects against economic warfare and resource depletion.\n`;
   
+  content += '\n**Skill Tests**\n';
+  content += `- Diplomacy targets Resolve; Espionage and Lore target Communications; Operations targets Resources.\n`;
+  content += `- A skill test against a domain is rolled against its score in that defense, and success raises the defense's level by 1.\n`;
+  content += `- When a defense level reaches the domain's size, the domain is under pressure: the level starts again from 0 and the domain shrinks by one size, or loses half of its resources if it is already Small.\n`;
+  
+  return content;
+}
+
+/**
+ * Format intrigue actions reference information
+ * @returns {String} - Formatted intrigue actions reference information
+ */
+function formatIntrigueActionsReference() {
+  let content = '**Intrigue Actions Reference**\n\n';
+  
+  Object.values(INTRIGUE_ACTIONS).forEach(action => {
+    content += `- **${action.name}** (${capitalizeFirstLetter(action.skill)}${action.targeted ? ', targets a domain' : ''}, DC ${action.dcDescription}): ${action.description}\n`;
+  });
+  
   return content;
 }
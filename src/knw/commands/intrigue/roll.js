@@ -6,6 +6,7 @@
 import { InteractionResponseType } from 'discord-interactions';
 import { rollSkillCheck } from '../../utils/dice.js';
 import { formatDiceRoll } from '../../utils/formatter.js';
+import { getInteractionSettings, applyDiceVisibility } from '../../utils/settings.js';
 import { capitalizeFirstLetter } from './index.js';
 
 /**
@@ -22,18 +23,13 @@ export async function handleRollCommand(interaction, env) {
   const advantage = options.find(opt => opt.name === 'advantage')?.value || false;
   const disadvantage = options.find(opt => opt.name === 'disadvantage')?.value || false;
   const dc = options.find(opt => opt.name === 'dc')?.value;
+  const isPrivate = options.find(opt => opt.name === 'private')?.value;
   
   // Roll the skill check
-  const rollResult = rollSkillCheck({
-    skillModifier: modifier,
-    proficiencyBonus: proficiency,
-    advantage,
-    disadvantage,
-    dc,
-  });
+  const rollResult = rollSkillCheck(modifier + proficiency, dc, advantage, disadvantage);
   
-  return {
+  return applyDiceVisibility({
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: { content: `**${capitalizeFirstLetter(skill)} Check**\n${formatDiceRoll(rollResult)}` },
-  };
+  }, await getInteractionSettings(interaction, env), isPrivate);
 }
@@ -4,10 +4,36 @@
  */
 
 import { InteractionResponseType } from 'discord-interactions';
-import { createIntrigue, INTRIGUE_PHASES, createSkillTestAction } from '../../models/intrigue.js';
-import { saveIntrigue, getIntrigue, deleteIntrigue, getDomain, getServerData, saveServerData } from '../../utils/storage.js';
-import { formatIntrigue, formatDiceRoll } from '../../utils/formatter.js';
-import { rollSkillCheck } from '../../utils/dice.js';
+import {
+  createIntrigue,
+  INTRIGUE_PHASES,
+  INTRIGUE_ACTION_TYPES,
+  createSkillTestAction,
+  createCatalogAction,
+  createDefenseModificationAction,
+  createResourceTransferAction,
+  createUnitCreationAction,
+  canTakeAction,
+  canAct,
+  getCurrentDomain,
+  getActionsRemaining,
+} from '../../models/intrigue.js';
+import {
+  saveIntrigue,
+  getIntrigue,
+  deleteIntrigue,
+  getDomain,
+  addIntrigueTurn,
+  endIntrigueTurn,
+  refreshIntrigue,
+  startIntrigue,
+  endIntrigue,
+  getServerData,
+  saveServerData,
+} from '../../utils/storage.js';
+import { formatIntrigue, formatDiceRoll, formatIntrigueEffects } from '../../utils/formatter.js';
+import { getPermissions, getUserId, canActForDomain, canManageBattleOrSession, permissionDenied } from '../../utils/permissions.js';
+import { getInteractionSettings, announce } from '../../utils/settings.js';
 import { KV_NAMESPACE, formatIntrigueAction } from './index.js';
 
 /**
@@ -33,6 +59,10 @@ export async function handleSessionCommand(interaction, env) {
       return handleStartSession(interaction, env);
     case 'action':
       return handleSessionAction(interaction, env);
+    case 'end_turn':
+      return handleEndTurn(interaction, env);
+    case 'end':
+      return handleEndSession(interaction, env);
     default:
       return {
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
@@ -50,6 +80,8 @@ export async function handleSessionCommand(interaction, env) {
 async function handleCreateSession(interaction, env) {
   const { options } = interaction.data.options[0];
   const name = options.find(opt => opt.name === 'name')?.value;
+  const turnTimeLimit = options.find(opt => opt.name === 'turn_minutes')?.value || null;
+  const maxRounds = options.find(opt => opt.name === 'rounds')?.value || null;
   
   if (!name) {
     return {
@@ -61,6 +93,8 @@ async function handleCreateSession(interaction, env) {
   // Create the intrigue session
   const intrigue = createIntrigue({
     name,
+    turnTimeLimit,
+    maxRounds,
   });
   
   // Save the intrigue session
@@ -88,9 +122,13 @@ async function handleCreateSession(interaction, env) {
     
     await saveServerData(env, KV_NAMESPACE, serverId, serverData);
     
+    // Let the server's intrigue channel know
+    const settings = await getInteractionSettings(interaction, env);
+    await announce(interaction, env, settings.intrigueChannelId, `🗝️ Intrigue session created: **${intrigue.name}**`);
+    
     return {
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-      data: { content: `Intrigue session created: ${intrigue.name} (ID: ${intrigue.id})` },
+      data: { content: `Intrigue session created: ${intrigue.name} (ID: ${intrigue.id})${formatLimits(intrigue)}` },
     };
   } catch (error) {
     return {
@@ -118,16 +156,18 @@ async function handleViewSession(interaction, env) {
   }
   
   try {
-    // Get the intrigue session
-    const intrigue = await getIntrigue(env, KV_NAMESPACE, sessionId);
+    // Get the intrigue session, skipping turns that ran out of time
+    const refreshed = await refreshIntrigue(env, KV_NAMESPACE, sessionId);
     
-    if (!intrigue) {
+    if (!refreshed) {
       return {
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: { content: `Intrigue session not found: ${sessionId}` },
       };
     }
     
+    const { intrigue, skipped } = refreshed;
+    
     // Get the domains for the intrigue session
     const domains = {};
     
@@ -143,7 +183,7 @@ async function handleViewSession(interaction, env) {
     // Format the intrigue session
     return {
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-      data: { content: formatIntrigue(intrigue, domains) },
+      data: { content: `${formatSkippedTurns(skipped, domains)}${formatIntrigue(intrigue, domains)}` },
     };
   } catch (error) {
     return {
@@ -240,6 +280,13 @@ async function handleDeleteSession(interaction, env) {
       };
     }
     
+    // Only a GM or someone who acts for one of the session's domains can delete it
+    const domains = await Promise.all((intrigue.domains || []).map(id => getDomain(env, KV_NAMESPACE, id)));
+    
+    if (!canManageBattleOrSession(await getPermissions(interaction, env), domains.filter(Boolean))) {
+      return permissionDenied(`Only a GM or an owner of a domain in ${intrigue.name} can delete it`);
+    }
+    
     // Delete the intrigue session
     await deleteIntrigue(env, KV_NAMESPACE, sessionId);
     
@@ -266,6 +313,8 @@ async function handleDeleteSession(interaction, env) {
 
 /**
  * Handle starting an intrigue session
+ * The session starts once it has an initiator and at least two domains;
+ * until then each call adds the initiator and target to it
  * @param {Object} interaction - Discord interaction
  * @param {Object} env - Environment variables
  * @returns {Promise<Object>} - Response to send back to Discord
@@ -319,6 +368,11 @@ async function handleStartSession(interaction, env) {
       };
     }
     
+    // Only the initiator's owners or a GM can start a session for it
+    if (!canActForDomain(await getPermissions(interaction, env), initiator)) {
+      return permissionDenied(`Only an owner of ${initiator.name} or a GM can start an intrigue session for it`);
+    }
+    
     // Update the intrigue session
     const updatedIntrigue = { ...intrigue };
     
@@ -345,14 +399,15 @@ async function handleStartSession(interaction, env) {
       updatedIntrigue.domains.push(domainId);
     }
     
-    // Save the updated intrigue session
+    // Save the updated intrigue session, then start it if it has enough domains
     await saveIntrigue(env, KV_NAMESPACE, updatedIntrigue);
+    const startedIntrigue = await startIntrigue(env, KV_NAMESPACE, sessionId);
     
     // Get the domains for the intrigue session
     const domains = {};
     
     // Get all domains in the intrigue session
-    for (const id of updatedIntrigue.domains) {
+    for (const id of startedIntrigue.domains) {
       const domain = await getDomain(env, KV_NAMESPACE, id);
       
       if (domain) {
@@ -360,9 +415,20 @@ async function handleStartSession(interaction, env) {
       }
     }
     
+    if (startedIntrigue.phase !== INTRIGUE_PHASES.ACTIVE) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `Intrigue session ${startedIntrigue.name} updated with initiator ${initiator.name}; it starts once it has at least two domains\n\n${formatIntrigue(startedIntrigue, domains)}` },
+      };
+    }
+    
+    // Let the server's intrigue channel know
+    const settings = await getInteractionSettings(interaction, env);
+    await announce(interaction, env, settings.intrigueChannelId, `🗝️ Intrigue session started: **${startedIntrigue.name}**, initiated by **${initiator.name}**`);
+    
     return {
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-      data: { content: `Intrigue session ${updatedIntrigue.name} updated with initiator ${initiator.name}\n\n${formatIntrigue(updatedIntrigue, domains)}` },
+      data: { content: `Intrigue session ${startedIntrigue.name} started with initiator ${initiator.name}\n\n${formatIntrigue(startedIntrigue, domains)}` },
     };
   } catch (error) {
     return {
@@ -374,6 +440,11 @@ async function handleStartSession(interaction, env) {
 
 /**
  * Handle taking an action in an intrigue session
+ * The action is either a named action from the catalog or a skill test. A
+ * skill test against a target domain is rolled against the target's score in
+ * the defense the skill targets, and success raises that defense's level.
+ * Every action spends one of the domain's actions for the round; out of turn
+ * a domain can only react
  * @param {Object} interaction - Discord interaction
  * @param {Object} env - Environment variables
  * @returns {Promise<Object>} - Response to send back to Discord
@@ -382,10 +453,16 @@ async function handleSessionAction(interaction, env) {
   const { options } = interaction.data.options[0];
   const sessionId = options.find(opt => opt.name === 'session_id')?.value;
   const domainId = options.find(opt => opt.name === 'domain_id')?.value;
+  const actionId = options.find(opt => opt.name === 'intrigue_action')?.value;
   const skill = options.find(opt => opt.name === 'skill')?.value;
   const targetId = options.find(opt => opt.name === 'target_id')?.value;
   const difficulty = options.find(opt => opt.name === 'difficulty')?.value;
   const description = options.find(opt => opt.name === 'description')?.value || '';
+  const reaction = options.find(opt => opt.name === 'reaction')?.value || false;
+  const defense = options.find(opt => opt.name === 'defense')?.value;
+  const amount = options.find(opt => opt.name === 'amount')?.value;
+  const unitType = options.find(opt => opt.name === 'unit_type')?.value;
+  const unitTier = options.find(opt => opt.name === 'unit_tier')?.value || 1;
   
   if (!sessionId) {
     return {
@@ -401,24 +478,26 @@ async function handleSessionAction(interaction, env) {
     };
   }
   
-  if (!skill) {
+  if (!actionId && !skill) {
     return {
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-      data: { content: 'Skill is required' },
+      data: { content: 'An intrigue action or a skill is required' },
     };
   }
   
   try {
-    // Get the intrigue session
-    const intrigue = await getIntrigue(env, KV_NAMESPACE, sessionId);
+    // Get the intrigue session, skipping turns that ran out of time
+    const refreshed = await refreshIntrigue(env, KV_NAMESPACE, sessionId);
     
-    if (!intrigue) {
+    if (!refreshed) {
       return {
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
         data: { content: `Intrigue session not found: ${sessionId}` },
       };
     }
     
+    const { intrigue, skipped } = refreshed;
+    
     // Get the domain
     const domain = await getDomain(env, KV_NAMESPACE, domainId);
     
@@ -429,59 +508,104 @@ async function handleSessionAction(interaction, env) {
       };
     }
     
-    // Create the action
-    const action = createSkillTestAction({
-      skill,
-      target: targetId,
-      difficulty,
-      description,
-    });
-    
-    // Roll the skill check
-    const rollResult = rollSkillCheck({
-      skillModifier: domain.skills[skill],
-      dc: difficulty,
-    });
-    
-    // Update the action with the result
-    action.result = formatDiceRoll(rollResult);
+    // Only the domain's owners or a GM can act for it
+    const permissions = await getPermissions(interaction, env);
     
-    // Update the intrigue session
-    const updatedIntrigue = { ...intrigue };
+    if (!canActForDomain(permissions, domain)) {
+      return permissionDenied(`Only an owner of ${domain.name} or a GM can take actions for it`);
+    }
     
-    // Add the turn
-    updatedIntrigue.turns.push({
-      domainId,
-      action,
-      timestamp: new Date().toISOString(),
-    });
+    // Only domains taking part in the session can act in it, during their turn or as a reaction
+    if (!intrigue.domains.includes(domainId)) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `${domain.name} is not taking part in ${intrigue.name}` },
+      };
+    }
     
-    // Log the action
-    updatedIntrigue.log.push({
-      type: 'action_taken',
-      domainId,
-      action,
-      timestamp: new Date().toISOString(),
-    });
+    const turnCheck = canAct(intrigue, domainId, { reaction });
     
-    // Save the updated intrigue session
-    await saveIntrigue(env, KV_NAMESPACE, updatedIntrigue);
+    if (!turnCheck.allowed) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `${formatSkippedTurns(skipped, await getSessionDomains(env, intrigue))}${domain.name} cannot act: ${turnCheck.reason}` },
+      };
+    }
     
-    // Get the domains for the intrigue session
-    const domains = {};
+    // Get the target domain
+    let target = null;
     
-    // Get all domains in the intrigue session
-    for (const id of updatedIntrigue.domains) {
-      const d = await getDomain(env, KV_NAMESPACE, id);
+    if (targetId) {
+      target = await getDomain(env, KV_NAMESPACE, targetId);
       
-      if (d) {
-        domains[id] = d;
+      if (!target) {
+        return {
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: { content: `Target domain not found: ${targetId}` },
+        };
       }
+      
+      // Only domains taking part in the session can be targeted
+      if (!intrigue.domains.includes(targetId)) {
+        return {
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: { content: `${target.name} is not taking part in ${intrigue.name}` },
+        };
+      }
+    }
+    
+    // Create the action: one that waits for the resolution, one from the catalog, or a skill test
+    let action;
+    
+    switch (actionId) {
+      case INTRIGUE_ACTION_TYPES.DEFENSE_MODIFICATION:
+        // A domain modifies its own defenses unless a GM names another domain
+        action = createDefenseModificationAction({ defense, target: targetId || domainId, change: amount, description });
+        break;
+      case INTRIGUE_ACTION_TYPES.RESOURCE_TRANSFER:
+        action = createResourceTransferAction({ source: domainId, target: targetId, amount, description });
+        break;
+      case INTRIGUE_ACTION_TYPES.UNIT_CREATION:
+        action = createUnitCreationAction({ unitType, unitTier, cost: amount, description });
+        break;
+      case undefined:
+        action = createSkillTestAction({ skill, target: targetId, difficulty, description });
+        break;
+      default:
+        action = createCatalogAction({ actionId, target: targetId, description });
+    }
+    
+    if (action.type === INTRIGUE_ACTION_TYPES.DEFENSE_MODIFICATION && action.target !== domainId && !permissions.isGameMaster) {
+      return permissionDenied('Only a GM can modify the defenses of another domain');
+    }
+    
+    const check = canTakeAction(action, domain, target);
+    
+    if (!check.allowed) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: check.reason },
+      };
     }
     
+    // Take the turn, resolving the action
+    const updatedIntrigue = await addIntrigueTurn(env, KV_NAMESPACE, sessionId, domainId, action, { reaction, actorId: getUserId(interaction) });
+    const lastTurn = updatedIntrigue.turns[updatedIntrigue.turns.length - 1];
+    const resolvedAction = lastTurn.action;
+    
+    // Get the domains for the intrigue session
+    const domains = await getSessionDomains(env, updatedIntrigue);
+    
+    const roll = resolvedAction.roll ? `\n${formatDiceRoll(resolvedAction.roll)}` : '';
+    const effects = resolvedAction.effects?.length ? `\n${formatIntrigueEffects(resolvedAction.effects, domains)}` : '';
+    const budget = updatedIntrigue.phase === INTRIGUE_PHASES.ACTIVE
+      ? `\n${domain.name} has ${getActionsRemaining(updatedIntrigue, domainId)} actions left this round`
+      : '';
+    const turn = formatTurnChange(intrigue, updatedIntrigue, domains);
+    
     return {
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-      data: { content: `${domain.name} took action: ${formatIntrigueAction(action)}\n\n${formatIntrigue(updatedIntrigue, domains)}` },
+      data: { content: `${formatSkippedTurns(skipped, domains)}${domain.name} ${lastTurn.reaction ? 'reacted' : 'took action'}: ${formatIntrigueAction(resolvedAction, domains)}${roll}${effects}${budget}${turn}\n\n${formatIntrigue(updatedIntrigue, domains)}` },
     };
   } catch (error) {
     return {
@@ -490,3 +614,208 @@ async function handleSessionAction(interaction, env) {
     };
   }
 }
+
+/**
+ * Handle ending the current domain's turn in an intrigue session
+ * Any actions it has left stay available for reactions until the round ends
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleEndTurn(interaction, env) {
+  const { options } = interaction.data.options[0];
+  const sessionId = options.find(opt => opt.name === 'session_id')?.value;
+  
+  if (!sessionId) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: 'Intrigue session ID is required' },
+    };
+  }
+  
+  try {
+    // Get the intrigue session, skipping turns that ran out of time
+    const refreshed = await refreshIntrigue(env, KV_NAMESPACE, sessionId);
+    
+    if (!refreshed) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `Intrigue session not found: ${sessionId}` },
+      };
+    }
+    
+    const { intrigue, skipped } = refreshed;
+    
+    const currentDomainId = getCurrentDomain(intrigue);
+    
+    if (!currentDomainId) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `${formatSkippedTurns(skipped, await getSessionDomains(env, intrigue))}Intrigue session ${intrigue.name} is not in progress` },
+      };
+    }
+    
+    // Only the owners of the domain whose turn it is or a GM can end its turn
+    const currentDomain = await getDomain(env, KV_NAMESPACE, currentDomainId);
+    
+    if (currentDomain && !canActForDomain(await getPermissions(interaction, env), currentDomain)) {
+      return permissionDenied(`Only an owner of ${currentDomain.name} or a GM can end its turn`);
+    }
+    
+    const { intrigue: updatedIntrigue } = await endIntrigueTurn(env, KV_NAMESPACE, sessionId);
+    
+    // Get the domains for the intrigue session
+    const domains = await getSessionDomains(env, updatedIntrigue);
+    
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: `${formatSkippedTurns(skipped, domains)}${currentDomain ? currentDomain.name : currentDomainId} ended its turn${formatTurnChange(intrigue, updatedIntrigue, domains)}\n\n${formatIntrigue(updatedIntrigue, domains)}` },
+    };
+  } catch (error) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: `Error ending turn in intrigue session: ${error.message}` },
+    };
+  }
+}
+
+/**
+ * Describe whose turn it became after an action or the end of a turn
+ * @param {Object} before - Intrigue session before
+ * @param {Object} after - Intrigue session after
+ * @param {Object} domains - Map of domain IDs to domain objects
+ * @returns {String} - Description, or an empty string if the turn did not change
+ */
+function formatTurnChange(before, after, domains) {
+  if (before.currentDomainIndex === after.currentDomainIndex && before.round === after.round) {
+    return '';
+  }
+  
+  if (after.phase === INTRIGUE_PHASES.RESOLUTION) {
+    return `\n**${after.name} has played its last round and is resolved**`;
+  }
+  
+  const currentDomainId = getCurrentDomain(after);
+  const currentName = domains[currentDomainId]?.name || currentDomainId;
+  const newRound = after.round !== before.round ? `\n**Round ${after.round} begins**; every domain has its actions back` : '';
+  
+  return `${newRound}\nIt is now ${currentName}'s turn`;
+}
+
+/**
+ * Handle ending an intrigue session
+ * Resolves it, applying the changes it made to its domains
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleEndSession(interaction, env) {
+  const { options } = interaction.data.options[0];
+  const sessionId = options.find(opt => opt.name === 'session_id')?.value;
+  
+  if (!sessionId) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: 'Intrigue session ID is required' },
+    };
+  }
+  
+  try {
+    // Get the intrigue session
+    const intrigue = await getIntrigue(env, KV_NAMESPACE, sessionId);
+    
+    if (!intrigue) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `Intrigue session not found: ${sessionId}` },
+      };
+    }
+    
+    // Only a GM or someone who acts for one of the session's domains can end it
+    const domains = await Promise.all((intrigue.domains || []).map(id => getDomain(env, KV_NAMESPACE, id)));
+    
+    if (!canManageBattleOrSession(await getPermissions(interaction, env), domains.filter(Boolean))) {
+      return permissionDenied(`Only a GM or an owner of a domain in ${intrigue.name} can end it`);
+    }
+    
+    if (intrigue.phase !== INTRIGUE_PHASES.ACTIVE) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `Intrigue session ${intrigue.name} is not in progress` },
+      };
+    }
+    
+    // Resolve the intrigue session
+    const resolvedIntrigue = await endIntrigue(env, KV_NAMESPACE, sessionId, { actorId: getUserId(interaction) });
+    const resolvedDomains = await getSessionDomains(env, resolvedIntrigue);
+    
+    // Let the server's intrigue channel know
+    const settings = await getInteractionSettings(interaction, env);
+    await announce(interaction, env, settings.intrigueChannelId, `🗝️ Intrigue session ended: **${resolvedIntrigue.name}**`);
+    
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: `Intrigue session ${resolvedIntrigue.name} ended\n\n${formatIntrigue(resolvedIntrigue, resolvedDomains)}` },
+    };
+  } catch (error) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: `Error ending intrigue session: ${error.message}` },
+    };
+  }
+}
+
+/**
+ * Get the domains taking part in an intrigue session
+ * @param {Object} env - Environment variables
+ * @param {Object} intrigue - Intrigue session
+ * @returns {Promise<Object>} - Map of domain IDs to domain objects
+ */
+async function getSessionDomains(env, intrigue) {
+  const domains = {};
+  
+  for (const id of intrigue.domains) {
+    const domain = await getDomain(env, KV_NAMESPACE, id);
+    
+    if (domain) {
+      domains[id] = domain;
+    }
+  }
+  
+  return domains;
+}
+
+/**
+ * Describe the turns skipped because they ran out of time
+ * @param {Array} skipped - IDs of the domains whose turns were skipped
+ * @param {Object} domains - Map of domain IDs to domain objects
+ * @returns {String} - Description, or an empty string if no turns were skipped
+ */
+function formatSkippedTurns(skipped, domains) {
+  if (skipped.length === 0) {
+    return '';
+  }
+  
+  const names = skipped.map(id => domains[id]?.name || id);
+  
+  return `⏰ Time ran out, so these turns were skipped: ${names.join(', ')}\n\n`;
+}
+
+/**
+ * Describe an intrigue session's turn and round limits
+ * @param {Object} intrigue - Intrigue session
+ * @returns {String} - Description, or an empty string without limits
+ */
+function formatLimits(intrigue) {
+  const limits = [];
+  
+  if (intrigue.turnTimeLimit) {
+    limits.push(`${intrigue.turnTimeLimit} minutes per turn`);
+  }
+  
+  if (intrigue.maxRounds) {
+    limits.push(`${intrigue.maxRounds} rounds`);
+  }
+  
+  return limits.length > 0 ? `\nLimits: ${limits.join(', ')}` : '';
+}
@@ -0,0 +1,11 @@
+/**
+ * Knw commands for Kingdoms & Warfare
+ * Handles configuring the bot for a server
+ *
+ * This file is a wrapper around the componentized knw commands,
+ * matching the warfare, intrigue and campaign commands.
+ */
+
+import { KNW_COMMANDS, handleKnwCommand } from './knw/index.js';
+
+export { KNW_COMMANDS, handleKnwCommand };
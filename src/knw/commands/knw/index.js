@@ -0,0 +1,236 @@
+/**
+ * Main entry point for knw commands
+ * Exports the command definitions and handler functions
+ *
+ * `/knw config` shows how a server has configured the bot and, for members who
+ * can manage the server, changes it: the GM role, the channels battles and
+ * intrigue sessions are announced in, house rules and who sees dice rolls.
+ */
+
+import { InteractionResponseType } from 'discord-interactions';
+import { DICE_VISIBILITY, HOUSE_RULES } from '../../models/settings.js';
+import { getServerSettings, saveServerSettings } from '../../utils/storage.js';
+import { canManageServer, permissionDenied } from '../../utils/permissions.js';
+
+// KV namespace for data storage
+export const KV_NAMESPACE = 'KNW_DATA';
+
+// Settings that can be cleared, by option value
+const CLEARABLE_SETTINGS = {
+  gm_role: 'gmRoleId',
+  battle_channel: 'battleChannelId',
+  intrigue_channel: 'intrigueChannelId',
+};
+
+// Knw command definitions
+export const KNW_COMMANDS = [
+  {
+    name: 'knw',
+    description: 'Commands for configuring Kingdoms & Warfare on this server',
+    options: [
+      {
+        name: 'config',
+        description:
+          'Show or change how this server plays; leave out every option to show it',
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'gm_role',
+            description:
+              'Role of game masters, who may act for every domain and unit',
+            type: 8, // ROLE
+            required: false,
+          },
+          {
+            name: 'battle_channel',
+            description: 'Channel to announce battles starting and ending in',
+            type: 7, // CHANNEL
+            required: false,
+            channel_types: [0], // GUILD_TEXT
+          },
+          {
+            name: 'intrigue_channel',
+            description: 'Channel to announce intrigue sessions in',
+            type: 7, // CHANNEL
+            required: false,
+            channel_types: [0], // GUILD_TEXT
+          },
+          {
+            name: 'dice_visibility',
+            description: 'Who sees dice rolls unless the roller says otherwise',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              { name: 'Everyone', value: DICE_VISIBILITY.PUBLIC },
+              { name: 'Only the roller', value: DICE_VISIBILITY.PRIVATE },
+            ],
+          },
+          {
+            name: 'house_rule',
+            description: 'House rule to turn on or off',
+            type: 3, // STRING
+            required: false,
+            choices: Object.values(HOUSE_RULES).map((rule) => ({
+              name: rule.name,
+              value: rule.id,
+            })),
+          },
+          {
+            name: 'enabled',
+            description: 'Whether the house rule is on',
+            type: 5, // BOOLEAN
+            required: false,
+          },
+          {
+            name: 'clear',
+            description: 'Setting to clear',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              { name: 'GM role', value: 'gm_role' },
+              { name: 'Battle channel', value: 'battle_channel' },
+              { name: 'Intrigue channel', value: 'intrigue_channel' },
+            ],
+          },
+        ],
+      },
+    ],
+  },
+];
+
+/**
+ * Handle knw commands
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+export async function handleKnwCommand(interaction, env) {
+  const subcommand = interaction.data.options[0];
+  const options = subcommand.options || [];
+
+  if (!interaction.guild_id) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: 'Settings can only be used in a server' },
+    };
+  }
+
+  switch (subcommand.name) {
+    case 'config':
+      return handleConfig(interaction, options, env);
+    default:
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: { content: `Unknown knw subcommand: ${subcommand.name}` },
+      };
+  }
+}
+
+/**
+ * Handle showing or changing a server's settings
+ * Anyone can see them, but only members who can manage the server can change them
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleConfig(interaction, options, env) {
+  const gmRoleId = options.find((opt) => opt.name === 'gm_role')?.value;
+  const battleChannelId = options.find(
+    (opt) => opt.name === 'battle_channel',
+  )?.value;
+  const intrigueChannelId = options.find(
+    (opt) => opt.name === 'intrigue_channel',
+  )?.value;
+  const diceVisibility = options.find(
+    (opt) => opt.name === 'dice_visibility',
+  )?.value;
+  const houseRule = options.find((opt) => opt.name === 'house_rule')?.value;
+  const enabled = options.find((opt) => opt.name === 'enabled')?.value;
+  const clear = options.find((opt) => opt.name === 'clear')?.value;
+
+  // Without options, show the settings
+  if (options.length === 0) {
+    const settings = await getServerSettings(
+      env,
+      KV_NAMESPACE,
+      interaction.guild_id,
+    );
+
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: formatSettings(settings) },
+    };
+  }
+
+  if (!canManageServer(interaction)) {
+    return permissionDenied(
+      'Only members who can manage this server can change its settings',
+    );
+  }
+
+  if ((houseRule === undefined) !== (enabled === undefined)) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: { content: 'Give both a house rule and whether it is enabled' },
+    };
+  }
+
+  const changes = {};
+
+  if (clear) {
+    changes[CLEARABLE_SETTINGS[clear]] = null;
+  }
+
+  if (gmRoleId) {
+    changes.gmRoleId = gmRoleId;
+  }
+
+  if (battleChannelId) {
+    changes.battleChannelId = battleChannelId;
+  }
+
+  if (intrigueChannelId) {
+    changes.intrigueChannelId = intrigueChannelId;
+  }
+
+  if (diceVisibility) {
+    changes.diceVisibility = diceVisibility;
+  }
+
+  if (houseRule) {
+    changes.houseRules = { [houseRule]: enabled };
+  }
+
+  const settings = await saveServerSettings(
+    env,
+    KV_NAMESPACE,
+    interaction.guild_id,
+    changes,
+  );
+
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: { content: `Settings updated\n\n${formatSettings(settings)}` },
+  };
+}
+
+/**
+ * Format a server's settings for display
+ * @param {Object} settings - Server settings
+ * @returns {String} - Formatted settings
+ */
+function formatSettings(settings) {
+  let formatted = '**Server Settings**\n';
+  formatted += `GM role: ${settings.gmRoleId ? `<@&${settings.gmRoleId}>` : 'None (server managers only)'}\n`;
+  formatted += `Battle announcements: ${settings.battleChannelId ? `<#${settings.battleChannelId}>` : 'Off'}\n`;
+  formatted += `Intrigue announcements: ${settings.intrigueChannelId ? `<#${settings.intrigueChannelId}>` : 'Off'}\n`;
+  formatted += `Dice rolls: ${settings.diceVisibility === DICE_VISIBILITY.PRIVATE ? 'Only the roller' : 'Everyone'}\n`;
+
+  formatted += '\n**House Rules**\n';
+  Object.values(HOUSE_RULES).forEach((rule) => {
+    formatted += `- ${rule.name}: ${settings.houseRules[rule.id] ? 'On' : 'Off'} - ${rule.description}\n`;
+  });
+
+  return formatted;
+}
@@ -6,6 +6,6 @@
  * to maintain backward compatibility.
  */
 
-import { WARFARE_COMMANDS, handleWarfareCommand } from './warfare/index.js';
+import { WARFARE_COMMANDS, handleWarfareCommand, handleWarfareAutocomplete, handleWarfareComponent } from './warfare/index.js';
 
-export { WARFARE_COMMANDS, handleWarfareCommand };
+export { WARFARE_COMMANDS, handleWarfareCommand, handleWarfareAutocomplete, handleWarfareComponent };
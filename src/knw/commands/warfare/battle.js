@@ -7,8 +7,19 @@ import { InteractionResponseType } from 'discord-interactions';
 import { v4 as uuidv4 } from 'uuid';
 
 import * as Battle from '../../models/battle.js';
+import * as Movement from '../../models/movement.js';
+import * as Round from '../../models/round.js';
+import * as Progression from '../../models/progression.js';
+import * as Officer from '../../models/officer.js';
+import * as Aftermath from '../../models/aftermath.js';
+import * as Replay from '../../models/replay.js';
+import * as Settings from '../../models/settings.js';
 import * as Storage from '../../utils/storage.js';
 import * as Formatter from '../../utils/formatter.js';
+import { renderBattlefield } from '../../utils/render/index.js';
+import { buildBattlePanel } from '../../utils/components.js';
+import { getPermissions, getUserId, canActForDomain, canActForUnit, canManageBattleOrSession, permissionDenied } from '../../utils/permissions.js';
+import { getInteractionSettings, announce } from '../../utils/settings.js';
 
 /**
  * Handle battle commands
@@ -49,12 +60,39 @@ export async function handleBattleCommand(interaction, subCommand, env) {
     case 'deploy_unit':
       return handleDeployUnit(interaction, options, env);
     
+    case 'move':
+      return handleMoveUnit(interaction, options, env);
+    
+    case 'add_token':
+      return handleAddToken(interaction, options, env);
+    
+    case 'remove_token':
+      return handleRemoveToken(interaction, options, env);
+    
     case 'set_initiative':
       return handleSetInitiative(interaction, options, env);
     
+    case 'roll_initiative':
+      return handleRollInitiative(interaction, options, env);
+    
+    case 'activate':
+      return handleActivateUnit(interaction, options, env);
+    
     case 'next_turn':
       return handleNextTurn(interaction, options, env);
     
+    case 'assign_commander':
+      return handleAssignCommander(interaction, options, env);
+    
+    case 'aftermath':
+      return handleAftermath(interaction, options, env);
+    
+    case 'undo':
+      return handleUndo(interaction, options, env);
+    
+    case 'replay':
+      return handleReplay(interaction, options, env);
+    
     default:
       return {
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
@@ -93,6 +131,13 @@ async function handleCreateBattle(interaction, options, env) {
   // Save the battle
   await Storage.saveBattle(battle);
   
+  // Add the battle to the server's battle list
+  if (interaction.guild_id) {
+    const serverData = await Storage.getServerData(interaction.guild_id);
+    serverData.battles = [...(serverData.battles || []), battle.id];
+    await Storage.saveServerData(interaction.guild_id, serverData);
+  }
+  
   // Save the battle to the channel
   const channelData = await Storage.getChannelData(interaction.channel_id);
   channelData.activeBattle = battle.id;
@@ -192,11 +237,16 @@ async function handleViewBattle(interaction, options, env) {
   // Format the battle for display
   const formattedBattle = Formatter.formatBattle(battle, domains, units);
   
+  // Draw the battlefield to attach alongside the text
+  const files = await renderBattlefield(battle, domains, units);
+  
   return {
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: {
       content: formattedBattle,
+      components: buildBattlePanel(battle, domains, units),
     },
+    files,
   };
 }
 
@@ -306,10 +356,13 @@ async function handleDeleteBattle(interaction, options, env) {
         },
       };
     }
-    
-    // Clear the active battle for the channel
-    channelData.activeBattle = null;
-    await Storage.saveChannelData(interaction.channel_id, channelData);
+  }
+  
+  // Only a GM or someone who acts for one of the battle's domains can delete it
+  const battleToDelete = await Storage.getBattle(battleId);
+  
+  if (battleToDelete && !canManageBattleOrSession(await getPermissions(interaction, env), await getBattleDomains(battleToDelete))) {
+    return permissionDenied(`Only a GM or an owner of a domain in ${battleToDelete.name} can delete it`);
   }
   
   // Delete the battle
@@ -324,6 +377,14 @@ async function handleDeleteBattle(interaction, options, env) {
     };
   }
   
+  // Clear the active battle for the channel
+  const channelData = await Storage.getChannelData(interaction.channel_id);
+  
+  if (channelData.activeBattle === battleId) {
+    channelData.activeBattle = null;
+    await Storage.saveChannelData(interaction.channel_id, channelData);
+  }
+  
   return {
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: {
@@ -392,6 +453,11 @@ async function handleStartBattle(interaction, options, env) {
     };
   }
   
+  // Only a GM or an owner of a domain in the battle can start it
+  if (!canManageBattleOrSession(await getPermissions(interaction, env), await getBattleDomains(battle))) {
+    return permissionDenied(`Only a GM or an owner of a domain in ${battle.name} can start it`);
+  }
+  
   // Start the battle
   const updatedBattle = Battle.startBattle(battle);
   
@@ -421,6 +487,11 @@ async function handleStartBattle(interaction, options, env) {
   // Format the battle for display
   const formattedBattle = Formatter.formatBattle(updatedBattle, domains, units);
   
+  // Let the server's battle channel know
+  const settings = await getInteractionSettings(interaction, env);
+  const domainNames = Object.values(domains).map(domain => domain.name).join(', ');
+  await announce(interaction, env, settings.battleChannelId, `⚔️ Battle started: **${updatedBattle.name}**${domainNames ? ` (${domainNames})` : ''}`);
+  
   return {
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: {
@@ -490,6 +561,11 @@ async function handleEndBattle(interaction, options, env) {
     };
   }
   
+  // Only a GM or someone who acts for one of the battle's domains can end it
+  if (!canManageBattleOrSession(await getPermissions(interaction, env), await getBattleDomains(battle))) {
+    return permissionDenied(`Only a GM or an owner of a domain in ${battle.name} can end it`);
+  }
+  
   // Get the winning domain
   let winningDomainId;
   
@@ -521,6 +597,7 @@ async function handleEndBattle(interaction, options, env) {
   // Get the domains and units for the battle
   const domains = {};
   const units = {};
+  const awards = [];
   
   // Get the domains
   for (const domainId of updatedBattle.domains) {
@@ -530,21 +607,38 @@ async function handleEndBattle(interaction, options, env) {
     }
   }
   
-  // Get the units
+  // Get the units, awarding experience if the battle has just ended and the server's house rules allow it
+  const settings = await getInteractionSettings(interaction, env);
+  const justEnded = battle.phase === Battle.BATTLE_PHASES.BATTLE && updatedBattle.phase === Battle.BATTLE_PHASES.AFTERMATH;
+  const awardExperience = justEnded && Settings.isHouseRuleEnabled(settings, Settings.HOUSE_RULES.battle_experience.id);
+  
   for (const unitId of Object.keys(updatedBattle.units)) {
     const unit = await Storage.getUnit(unitId);
     if (unit) {
       units[unitId] = unit;
+      
+      if (awardExperience) {
+        const award = Progression.awardBattleExperience(updatedBattle, unit, winningDomainId);
+        units[unitId] = await Storage.saveUnit(award.unit);
+        awards.push(award);
+      }
     }
   }
   
   // Format the battle for display
   const formattedBattle = Formatter.formatBattle(updatedBattle, domains, units);
+  const formattedAwards = awards.length > 0 ? `\n\n${Formatter.formatExperienceAwards(awards)}` : '';
+  
+  // Let the server's battle channel know
+  if (justEnded) {
+    const winner = domains[winningDomainId];
+    await announce(interaction, env, settings.battleChannelId, `🏁 Battle ended: **${updatedBattle.name}**${winner ? `, won by **${winner.name}**` : ''}`);
+  }
   
   return {
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: {
-      content: `Battle ended:\n\n${formattedBattle}`,
+      content: `Battle ended:\n\n${formattedBattle}${formattedAwards}`,
     },
   };
 }
@@ -635,6 +729,11 @@ async function handleAddDomainToBattle(interaction, options, env) {
     };
   }
   
+  // Only the domain's owners or a GM can bring it into a battle
+  if (!canActForDomain(await getPermissions(interaction, env), domain)) {
+    return permissionDenied(`Only an owner of ${domain.name} or a GM can add it to a battle`);
+  }
+  
   // Add the domain to the battle
   const updatedBattle = Battle.addDomain(battle, domain.id);
   
@@ -760,6 +859,12 @@ async function handleAddUnitToBattle(interaction, options, env) {
   
   // Find the domain the unit belongs to
   const domains = await Storage.getAllDomains();
+  
+  // Only the unit's owners or a GM can bring it into a battle
+  if (!canActForUnit(await getPermissions(interaction, env), unit, domains)) {
+    return permissionDenied(`Only an owner of ${unit.name} or a GM can add it to a battle`);
+  }
+  
   let domainId;
   
   for (const domain of domains) {
@@ -933,8 +1038,25 @@ async function handleDeployUnit(interaction, options, env) {
     };
   }
   
-  // Deploy the unit
-  const updatedBattle = Battle.deployUnit(battle, unit.id, rank, position);
+  // Only the unit's owners or a GM can deploy it
+  if (!canActForUnit(await getPermissions(interaction, env), unit, await Storage.getAllDomains())) {
+    return permissionDenied(`Only an owner of ${unit.name} or a GM can deploy it`);
+  }
+  
+  // Deploy the unit into its own side's formation
+  const deployedBattle = Battle.deployUnit(battle, unit.id, rank, position);
+  
+  if (deployedBattle === battle) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Cannot deploy ${unit.name} to ${rank}${position ? ` ${position}` : ''}: that position is invalid or already occupied on its side`,
+      },
+    };
+  }
+  
+  // Units deployed after initiative has been rolled are slotted into the order
+  const updatedBattle = Battle.slotIntoInitiative(deployedBattle, unit);
   
   // Save the battle
   await Storage.saveBattle(updatedBattle);
@@ -961,25 +1083,50 @@ async function handleDeployUnit(interaction, options, env) {
   
   // Format the battle for display
   const formattedBattle = Formatter.formatBattle(updatedBattle, domains, battleUnits);
+  const side = domains[updatedBattle.units[unit.id].domainId];
   
   return {
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: {
-      content: `Unit deployed:\n\n${formattedBattle}`,
+      content: `Unit deployed for ${side ? side.name : updatedBattle.units[unit.id].domainId}:\n\n${formattedBattle}`,
     },
   };
 }
 
 /**
- * Handle setting initiative in a battle
+ * Handle moving a unit on the battlefield with a maneuver
  * @param {Object} interaction - Discord interaction
  * @param {Array} options - Command options
  * @param {Object} env - Environment variables
  * @returns {Promise<Object>} - Response to send back to Discord
  */
-async function handleSetInitiative(interaction, options, env) {
+async function handleMoveUnit(interaction, options, env) {
   const id = options.find(opt => opt.name === 'id')?.value;
   const name = options.find(opt => opt.name === 'name')?.value;
+  const unitName = options.find(opt => opt.name === 'unit')?.value;
+  const maneuver = options.find(opt => opt.name === 'maneuver')?.value;
+  const rank = options.find(opt => opt.name === 'rank')?.value;
+  const position = options.find(opt => opt.name === 'position')?.value;
+  
+  // Check if a unit name is provided
+  if (!unitName) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide a unit name',
+      },
+    };
+  }
+  
+  // Check if a maneuver is provided
+  if (!maneuver) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide a maneuver',
+      },
+    };
+  }
   
   let battleId;
   
@@ -1030,65 +1177,48 @@ async function handleSetInitiative(interaction, options, env) {
     };
   }
   
-  // Get all units in the battle that are deployed
-  const deployedUnitIds = [];
-  
-  // Add units from the vanguard
-  Object.values(battle.grid[Battle.BATTLE_RANKS.VANGUARD]).forEach(unitId => {
-    if (unitId) {
-      deployedUnitIds.push(unitId);
-    }
-  });
+  // Get all units
+  const units = await Storage.getAllUnits();
   
-  // Add units from the center
-  Object.values(battle.grid[Battle.BATTLE_RANKS.CENTER]).forEach(unitId => {
-    if (unitId) {
-      deployedUnitIds.push(unitId);
-    }
-  });
+  // Find the unit by name
+  const unit = units.find(u => u.name.toLowerCase() === unitName.toLowerCase());
   
-  // Add units from the rear
-  Object.values(battle.grid[Battle.BATTLE_RANKS.REAR]).forEach(unitId => {
-    if (unitId) {
-      deployedUnitIds.push(unitId);
-    }
-  });
+  if (!unit) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Unit not found: ${unitName}`,
+      },
+    };
+  }
   
-  // Add units from the reserve
-  battle.grid[Battle.BATTLE_RANKS.RESERVE].forEach(unitId => {
-    deployedUnitIds.push(unitId);
-  });
+  // Only the unit's owners or a GM can move it
+  if (!canActForUnit(await getPermissions(interaction, env), unit, await Storage.getAllDomains())) {
+    return permissionDenied(`Only an owner of ${unit.name} or a GM can move it`);
+  }
   
-  // Get the units
-  const units = {};
+  // Check the maneuver against the unit's movement allowance and the formation
+  const destination = { rank, column: position };
+  const { valid, reason } = Movement.validateMove(battle, unit, maneuver, destination);
   
-  for (const unitId of deployedUnitIds) {
-    const unit = await Storage.getUnit(unitId);
-    if (unit) {
-      units[unitId] = unit;
-    }
+  if (!valid) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Cannot move ${unit.name}: ${reason}`,
+      },
+    };
   }
   
-  // Sort the units by command bonus
-  const sortedUnitIds = deployedUnitIds.sort((a, b) => {
-    const unitA = units[a];
-    const unitB = units[b];
-    
-    if (!unitA || !unitB) {
-      return 0;
-    }
-    
-    return unitB.stats.command - unitA.stats.command;
-  });
-  
-  // Set the initiative
-  const updatedBattle = Battle.setInitiative(battle, sortedUnitIds);
+  // Move the unit; moving counts as the unit's activation
+  const updatedBattle = Battle.activateUnit(Movement.moveUnit(battle, unit, maneuver, destination), unit.id);
   
   // Save the battle
   await Storage.saveBattle(updatedBattle);
   
-  // Get the domains for the battle
+  // Get the domains and units for the battle
   const domains = {};
+  const battleUnits = {};
   
   // Get the domains
   for (const domainId of updatedBattle.domains) {
@@ -1098,27 +1228,60 @@ async function handleSetInitiative(interaction, options, env) {
     }
   }
   
+  // Get the units
+  for (const unitId of Object.keys(updatedBattle.units)) {
+    const u = await Storage.getUnit(unitId);
+    if (u) {
+      battleUnits[unitId] = u;
+    }
+  }
+  
   // Format the battle for display
-  const formattedBattle = Formatter.formatBattle(updatedBattle, domains, units);
+  const formattedBattle = Formatter.formatBattle(updatedBattle, domains, battleUnits);
+  const { to } = updatedBattle.log.findLast(event => event.type === Battle.BATTLE_EVENTS.UNIT_MOVED);
   
   return {
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: {
-      content: `Initiative set:\n\n${formattedBattle}`,
+      content: `${unit.name} moved to ${to.rank}${to.column ? ` ${to.column}` : ''} (${maneuver.replace('_', ' ')}):\n\n${formattedBattle}`,
     },
   };
 }
 
 /**
- * Handle advancing to the next turn in a battle
+ * Handle adding a token to a unit in a battle
  * @param {Object} interaction - Discord interaction
  * @param {Array} options - Command options
  * @param {Object} env - Environment variables
  * @returns {Promise<Object>} - Response to send back to Discord
  */
-async function handleNextTurn(interaction, options, env) {
+async function handleAddToken(interaction, options, env) {
   const id = options.find(opt => opt.name === 'id')?.value;
   const name = options.find(opt => opt.name === 'name')?.value;
+  const unitName = options.find(opt => opt.name === 'unit')?.value;
+  const token = options.find(opt => opt.name === 'token')?.value;
+  const duration = options.find(opt => opt.name === 'duration')?.value;
+  const source = options.find(opt => opt.name === 'source')?.value || null;
+  
+  // Check if a unit name is provided
+  if (!unitName) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide a unit name',
+      },
+    };
+  }
+  
+  // Check if a token is provided
+  if (!token) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide a token',
+      },
+    };
+  }
   
   let battleId;
   
@@ -1169,59 +1332,1164 @@ async function handleNextTurn(interaction, options, env) {
     };
   }
   
-  // Check if the battle is in the battle phase
-  if (battle.phase !== Battle.BATTLE_PHASES.BATTLE) {
+  // Get all units
+  const units = await Storage.getAllUnits();
+  
+  // Find the unit by name
+  const unit = units.find(u => u.name.toLowerCase() === unitName.toLowerCase());
+  
+  if (!unit || !battle.units[unit.id]) {
     return {
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: 'The battle must be in the battle phase to advance turns',
+        content: `Unit ${unitName} is not in the battle`,
       },
     };
   }
   
-  // Check if initiative has been set
-  if (battle.initiative.length === 0) {
+  // Tokens may come from either side, so anyone taking part in the battle or a GM can change them
+  if (!canManageBattleOrSession(await getPermissions(interaction, env), await getBattleDomains(battle))) {
+    return permissionDenied(`Only a GM or an owner of a domain in ${battle.name} can add tokens to its units`);
+  }
+  
+  // Add the token
+  const updatedBattle = Battle.addToken(battle, unit.id, token, {
+    source,
+    ...(duration ? { duration } : {}),
+  });
+  
+  // Save the battle
+  await Storage.saveBattle(updatedBattle);
+  
+  const tokens = updatedBattle.units[unit.id].tokens.map(t => Formatter.formatEffect(t)).join(', ');
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `Token added to ${unit.name}\nTokens: ${tokens}`,
+    },
+  };
+}
+
+/**
+ * Handle removing a token from a unit in a battle
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleRemoveToken(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  const unitName = options.find(opt => opt.name === 'unit')?.value;
+  const token = options.find(opt => opt.name === 'token')?.value;
+  
+  // Check if a unit name is provided
+  if (!unitName) {
     return {
       type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
       data: {
-        content: 'Initiative must be set before advancing turns',
+        content: 'Please provide a unit name',
       },
     };
   }
   
-  // Advance to the next turn
-  const updatedBattle = Battle.endTurn(battle);
-  
-  // Save the battle
-  await Storage.saveBattle(updatedBattle);
+  // Check if a token is provided
+  if (!token) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide a token',
+      },
+    };
+  }
   
-  // Get the domains and units for the battle
-  const domains = {};
-  const units = {};
+  let battleId;
   
-  // Get the domains
-  for (const domainId of updatedBattle.domains) {
-    const domain = await Storage.getDomain(domainId);
-    if (domain) {
-      domains[domainId] = domain;
+  if (id) {
+    // Use the provided ID
+    battleId = id;
+  } else if (name) {
+    // Get all battles
+    const battles = await Storage.getAllBattles();
+    
+    // Find the battle by name
+    const battle = battles.find(b => b.name.toLowerCase() === name.toLowerCase());
+    
+    if (!battle) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Battle not found: ${name}`,
+        },
+      };
     }
-  }
-  
-  // Get the units
-  for (const unitId of Object.keys(updatedBattle.units)) {
-    const unit = await Storage.getUnit(unitId);
-    if (unit) {
-      units[unitId] = unit;
+    
+    battleId = battle.id;
+  } else {
+    // Use the active battle for the channel
+    const channelData = await Storage.getChannelData(interaction.channel_id);
+    battleId = channelData.activeBattle;
+    
+    if (!battleId) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: 'No active battle in this channel. Please provide a battle name or ID.',
+        },
+      };
     }
   }
   
-  // Format the battle for display
-  const formattedBattle = Formatter.formatBattle(updatedBattle, domains, units);
+  // Get the battle
+  const battle = await Storage.getBattle(battleId);
   
-  return {
-    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-    data: {
-      content: `Next turn:\n\n${formattedBattle}`,
-    },
+  if (!battle) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Battle not found with ID: ${battleId}`,
+      },
+    };
+  }
+  
+  // Get all units
+  const units = await Storage.getAllUnits();
+  
+  // Find the unit by name
+  const unit = units.find(u => u.name.toLowerCase() === unitName.toLowerCase());
+  
+  if (!unit || !battle.units[unit.id]) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Unit ${unitName} is not in the battle`,
+      },
+    };
+  }
+  
+  // Tokens may come from either side, so anyone taking part in the battle or a GM can change them
+  if (!canManageBattleOrSession(await getPermissions(interaction, env), await getBattleDomains(battle))) {
+    return permissionDenied(`Only a GM or an owner of a domain in ${battle.name} can remove tokens from its units`);
+  }
+  
+  // Remove the token
+  const updatedBattle = Battle.removeToken(battle, unit.id, token);
+  
+  // Save the battle
+  await Storage.saveBattle(updatedBattle);
+  
+  const tokens = updatedBattle.units[unit.id].tokens.map(t => Formatter.formatEffect(t)).join(', ');
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `Token removed from ${unit.name}\nTokens: ${tokens || 'None'}`,
+    },
+  };
+}
+
+/**
+ * Handle setting initiative in a battle
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleSetInitiative(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  
+  let battleId;
+  
+  if (id) {
+    // Use the provided ID
+    battleId = id;
+  } else if (name) {
+    // Get all battles
+    const battles = await Storage.getAllBattles();
+    
+    // Find the battle by name
+    const battle = battles.find(b => b.name.toLowerCase() === name.toLowerCase());
+    
+    if (!battle) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Battle not found: ${name}`,
+        },
+      };
+    }
+    
+    battleId = battle.id;
+  } else {
+    // Use the active battle for the channel
+    const channelData = await Storage.getChannelData(interaction.channel_id);
+    battleId = channelData.activeBattle;
+    
+    if (!battleId) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: 'No active battle in this channel. Please provide a battle name or ID.',
+        },
+      };
+    }
+  }
+  
+  // Get the battle
+  const battle = await Storage.getBattle(battleId);
+  
+  if (!battle) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Battle not found with ID: ${battleId}`,
+      },
+    };
+  }
+  
+  // Only a GM or someone taking part in the battle can set its initiative
+  if (!canManageBattleOrSession(await getPermissions(interaction, env), await getBattleDomains(battle))) {
+    return permissionDenied(`Only a GM or an owner of a domain in ${battle.name} can set its initiative`);
+  }
+  
+  // Get all units in the battle that are deployed, on every side
+  const deployedUnitIds = Battle.getDeployedUnitIds(battle);
+  
+  // Get the units
+  const units = {};
+  
+  for (const unitId of deployedUnitIds) {
+    const unit = await Storage.getUnit(unitId);
+    if (unit) {
+      units[unitId] = unit;
+    }
+  }
+  
+  // Sort the units by command bonus
+  const sortedUnitIds = deployedUnitIds.sort((a, b) => {
+    const unitA = units[a];
+    const unitB = units[b];
+    
+    if (!unitA || !unitB) {
+      return 0;
+    }
+    
+    return unitB.stats.command - unitA.stats.command;
+  });
+  
+  // Set the initiative
+  const updatedBattle = Battle.setInitiative(battle, sortedUnitIds);
+  
+  // Save the battle
+  await Storage.saveBattle(updatedBattle);
+  
+  // Get the domains for the battle
+  const domains = {};
+  
+  // Get the domains
+  for (const domainId of updatedBattle.domains) {
+    const domain = await Storage.getDomain(domainId);
+    if (domain) {
+      domains[domainId] = domain;
+    }
+  }
+  
+  // Format the battle for display
+  const formattedBattle = Formatter.formatBattle(updatedBattle, domains, units);
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `Initiative set:\n\n${formattedBattle}`,
+    },
+  };
+}
+
+/**
+ * Handle rolling initiative in a battle
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleRollInitiative(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  const mode = options.find(opt => opt.name === 'initiative_mode')?.value || Battle.INITIATIVE_MODES.UNIT;
+  
+  let battleId;
+  
+  if (id) {
+    // Use the provided ID
+    battleId = id;
+  } else if (name) {
+    // Get all battles
+    const battles = await Storage.getAllBattles();
+    
+    // Find the battle by name
+    const battle = battles.find(b => b.name.toLowerCase() === name.toLowerCase());
+    
+    if (!battle) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Battle not found: ${name}`,
+        },
+      };
+    }
+    
+    battleId = battle.id;
+  } else {
+    // Use the active battle for the channel
+    const channelData = await Storage.getChannelData(interaction.channel_id);
+    battleId = channelData.activeBattle;
+    
+    if (!battleId) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: 'No active battle in this channel. Please provide a battle name or ID.',
+        },
+      };
+    }
+  }
+  
+  // Get the battle
+  const battle = await Storage.getBattle(battleId);
+  
+  if (!battle) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Battle not found with ID: ${battleId}`,
+      },
+    };
+  }
+  
+  // Only a GM or someone taking part in the battle can roll its initiative
+  if (!canManageBattleOrSession(await getPermissions(interaction, env), await getBattleDomains(battle))) {
+    return permissionDenied(`Only a GM or an owner of a domain in ${battle.name} can roll its initiative`);
+  }
+  
+  // Get all units in the battle that are deployed, on every side
+  const deployedUnitIds = Battle.getDeployedUnitIds(battle);
+  
+  if (deployedUnitIds.length === 0) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'No units are deployed in this battle',
+      },
+    };
+  }
+  
+  // Get the units
+  const units = {};
+  
+  for (const unitId of deployedUnitIds) {
+    const unit = await Storage.getUnit(unitId);
+    if (unit) {
+      units[unitId] = unit;
+    }
+  }
+  
+  // Roll initiative
+  const updatedBattle = Battle.rollInitiative(battle, units, mode);
+  
+  // Save the battle
+  await Storage.saveBattle(updatedBattle);
+  
+  // Get the domains for the battle
+  const domains = {};
+  
+  // Get the domains
+  for (const domainId of updatedBattle.domains) {
+    const domain = await Storage.getDomain(domainId);
+    if (domain) {
+      domains[domainId] = domain;
+    }
+  }
+  
+  // Format the rolls and the battle for display
+  const formattedRolls = Formatter.formatInitiativeRolls(updatedBattle, domains, units);
+  const formattedBattle = Formatter.formatBattle(updatedBattle, domains, units);
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `Initiative rolled:\n${formattedRolls}\n${formattedBattle}`,
+    },
+  };
+}
+
+/**
+ * Handle activating the unit whose turn it is
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleActivateUnit(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  
+  let battleId;
+  
+  if (id) {
+    // Use the provided ID
+    battleId = id;
+  } else if (name) {
+    // Get all battles
+    const battles = await Storage.getAllBattles();
+    
+    // Find the battle by name
+    const battle = battles.find(b => b.name.toLowerCase() === name.toLowerCase());
+    
+    if (!battle) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Battle not found: ${name}`,
+        },
+      };
+    }
+    
+    battleId = battle.id;
+  } else {
+    // Use the active battle for the channel
+    const channelData = await Storage.getChannelData(interaction.channel_id);
+    battleId = channelData.activeBattle;
+    
+    if (!battleId) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: 'No active battle in this channel. Please provide a battle name or ID.',
+        },
+      };
+    }
+  }
+  
+  // Get the battle
+  const battle = await Storage.getBattle(battleId);
+  
+  if (!battle) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Battle not found with ID: ${battleId}`,
+      },
+    };
+  }
+  
+  // Get the unit whose turn it is
+  const unitId = battle.initiative[battle.currentTurn];
+  
+  if (battle.phase !== Battle.BATTLE_PHASES.BATTLE || !unitId) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'No unit is taking its turn in this battle',
+      },
+    };
+  }
+  
+  const unit = await Storage.getUnit(unitId);
+  const unitName = unit ? unit.name : unitId;
+  
+  // Only the unit's owners or a GM can activate it
+  if (unit && !canActForUnit(await getPermissions(interaction, env), unit, await Storage.getAllDomains())) {
+    return permissionDenied(`Only an owner of ${unit.name} or a GM can activate it`);
+  }
+  
+  // Activate the unit
+  const updatedBattle = Battle.activateUnit(battle, unitId);
+  
+  if (updatedBattle === battle) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `${unitName} has already activated this round`,
+      },
+    };
+  }
+  
+  // Save the battle
+  await Storage.saveBattle(updatedBattle);
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `${unitName} activates`,
+    },
+  };
+}
+
+/**
+ * Handle advancing to the next turn in a battle
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleNextTurn(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  
+  let battleId;
+  
+  if (id) {
+    // Use the provided ID
+    battleId = id;
+  } else if (name) {
+    // Get all battles
+    const battles = await Storage.getAllBattles();
+    
+    // Find the battle by name
+    const battle = battles.find(b => b.name.toLowerCase() === name.toLowerCase());
+    
+    if (!battle) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Battle not found: ${name}`,
+        },
+      };
+    }
+    
+    battleId = battle.id;
+  } else {
+    // Use the active battle for the channel
+    const channelData = await Storage.getChannelData(interaction.channel_id);
+    battleId = channelData.activeBattle;
+    
+    if (!battleId) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: 'No active battle in this channel. Please provide a battle name or ID.',
+        },
+      };
+    }
+  }
+  
+  // Get the battle
+  const battle = await Storage.getBattle(battleId);
+  
+  if (!battle) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Battle not found with ID: ${battleId}`,
+      },
+    };
+  }
+  
+  // Only a GM or someone taking part in the battle can advance its turns
+  if (!canManageBattleOrSession(await getPermissions(interaction, env), await getBattleDomains(battle))) {
+    return permissionDenied(`Only a GM or an owner of a domain in ${battle.name} can advance its turns`);
+  }
+  
+  // Check if the battle is in the battle phase
+  if (battle.phase !== Battle.BATTLE_PHASES.BATTLE) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'The battle must be in the battle phase to advance turns',
+      },
+    };
+  }
+  
+  // Check if initiative has been set
+  if (battle.initiative.length === 0) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Initiative must be set before advancing turns',
+      },
+    };
+  }
+  
+  // Get the domains and units for the battle
+  const domains = {};
+  const units = {};
+  
+  // Get the domains
+  for (const domainId of battle.domains) {
+    const domain = await Storage.getDomain(domainId);
+    if (domain) {
+      domains[domainId] = domain;
+    }
+  }
+  
+  // Get the units
+  for (const unitId of Object.keys(battle.units)) {
+    const unit = await Storage.getUnit(unitId);
+    if (unit) {
+      units[unitId] = unit;
+    }
+  }
+  
+  // Get the commanders, whose command bonus helps broken units rally
+  const officers = {};
+  
+  for (const battleUnit of Object.values(battle.units)) {
+    if (battleUnit.commanderId) {
+      const officer = await Storage.getOfficer(battleUnit.commanderId);
+      if (officer) {
+        officers[officer.id] = officer;
+      }
+    }
+  }
+  
+  // Advance to the next turn, resolving the end of the round if every unit has had its turn
+  const { battle: updatedBattle, units: updatedUnits, expired, summary } = Round.advanceTurn(battle, units, officers);
+  
+  // Save the units changed by expiring conditions and end-of-round effects
+  for (const unitId of Object.keys(updatedUnits)) {
+    if (updatedUnits[unitId] !== units[unitId]) {
+      await Storage.saveUnit(updatedUnits[unitId]);
+    }
+  }
+  
+  // Save the battle
+  await Storage.saveBattle(updatedBattle);
+  
+  // Format the round summary and the battle for display
+  const formattedExpired = Formatter.formatExpiredEffects(expired, updatedUnits);
+  const formattedSummary = summary ? `${Formatter.formatRoundSummary(summary, updatedUnits)}\n` : '';
+  const formattedBattle = Formatter.formatBattle(updatedBattle, domains, updatedUnits);
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `${formattedExpired}${formattedSummary}Next turn:\n\n${formattedBattle}`,
+    },
+  };
+}
+
+/**
+ * Handle attaching a commander to a unit in a battle
+ * Leaving out the officer removes the unit's commander
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleAssignCommander(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  const unitName = options.find(opt => opt.name === 'unit')?.value;
+  const officerName = options.find(opt => opt.name === 'officer')?.value;
+  
+  // Check if a unit name is provided
+  if (!unitName) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide a unit name',
+      },
+    };
+  }
+  
+  let battleId;
+  
+  if (id) {
+    // Use the provided ID
+    battleId = id;
+  } else if (name) {
+    // Get all battles
+    const battles = await Storage.getAllBattles();
+    
+    // Find the battle by name
+    const battle = battles.find(b => b.name.toLowerCase() === name.toLowerCase());
+    
+    if (!battle) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Battle not found: ${name}`,
+        },
+      };
+    }
+    
+    battleId = battle.id;
+  } else {
+    // Use the active battle for the channel
+    const channelData = await Storage.getChannelData(interaction.channel_id);
+    battleId = channelData.activeBattle;
+    
+    if (!battleId) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: 'No active battle in this channel. Please provide a battle name or ID.',
+        },
+      };
+    }
+  }
+  
+  // Get the battle
+  const battle = await Storage.getBattle(battleId);
+  
+  if (!battle) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Battle not found with ID: ${battleId}`,
+      },
+    };
+  }
+  
+  // Get all units
+  const units = await Storage.getAllUnits();
+  
+  // Find the unit by name
+  const unit = units.find(u => u.name.toLowerCase() === unitName.toLowerCase());
+  
+  if (!unit || !battle.units[unit.id]) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Unit ${unitName} is not in the battle`,
+      },
+    };
+  }
+  
+  // Only the unit's owners or a GM can choose its commander
+  if (!canActForUnit(await getPermissions(interaction, env), unit, await Storage.getAllDomains())) {
+    return permissionDenied(`Only an owner of ${unit.name} or a GM can assign its commander`);
+  }
+  
+  let officer = null;
+  
+  if (officerName) {
+    // Get all officers
+    const officers = await Storage.getAllOfficers();
+    
+    // Find the officer by name
+    officer = officers.find(o => o.name.toLowerCase() === officerName.toLowerCase());
+    
+    if (!officer) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Officer not found: ${officerName}`,
+        },
+      };
+    }
+    
+    // An officer who serves a domain can only lead that domain's units
+    if (officer.domainId && officer.domainId !== battle.units[unit.id].domainId) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `${officer.name} does not serve the domain of ${unit.name}`,
+        },
+      };
+    }
+  }
+  
+  // Attach or remove the commander
+  const updatedBattle = Battle.assignCommander(battle, unit.id, officer ? officer.id : null);
+  
+  // Save the battle
+  await Storage.saveBattle(updatedBattle);
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: officer
+        ? `${officer.name} now commands ${unit.name} (command bonus +${Officer.getCommandBonus(officer)})`
+        : `${unit.name} no longer has a commander`,
+    },
+  };
+}
+
+/**
+ * Handle the aftermath of a battle
+ * Without units to replenish this only shows each unit's losses; with them
+ * (a list of unit names, "all" or "none") it resolves the aftermath and saves
+ * the battle, units and domains together
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleAftermath(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  const replenish = options.find(opt => opt.name === 'replenish')?.value;
+  
+  let battleId;
+  
+  if (id) {
+    // Use the provided ID
+    battleId = id;
+  } else if (name) {
+    // Get all battles
+    const battles = await Storage.getAllBattles();
+    
+    // Find the battle by name
+    const battle = battles.find(b => b.name.toLowerCase() === name.toLowerCase());
+    
+    if (!battle) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Battle not found: ${name}`,
+        },
+      };
+    }
+    
+    battleId = battle.id;
+  } else {
+    // Use the active battle for the channel
+    const channelData = await Storage.getChannelData(interaction.channel_id);
+    battleId = channelData.activeBattle;
+    
+    if (!battleId) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: 'No active battle in this channel. Please provide a battle name or ID.',
+        },
+      };
+    }
+  }
+  
+  // Get the battle
+  const battle = await Storage.getBattle(battleId);
+  
+  if (!battle) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Battle not found with ID: ${battleId}`,
+      },
+    };
+  }
+  
+  // Get the domains and units for the battle
+  const domains = {};
+  const units = {};
+  
+  for (const domainId of battle.domains) {
+    const domain = await Storage.getDomain(domainId);
+    if (domain) {
+      domains[domainId] = domain;
+    }
+  }
+  
+  for (const unitId of Object.keys(battle.units)) {
+    const unit = await Storage.getUnit(unitId);
+    if (unit) {
+      units[unitId] = unit;
+    }
+  }
+  
+  // Without units to replenish, only show the losses
+  if (!replenish) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: Formatter.formatLosses(battle, Aftermath.getLosses(battle, units), domains),
+      },
+    };
+  }
+  
+  // Resolving the aftermath spends resources and awards experience, so only a GM can do it
+  if (!(await getPermissions(interaction, env)).isGameMaster) {
+    return permissionDenied(`Only a GM can resolve the aftermath of ${battle.name}`);
+  }
+  
+  // Work out which units to replenish
+  let replenishIds = [];
+  
+  if (replenish.toLowerCase() === 'all') {
+    replenishIds = Aftermath.getLosses(battle, units)
+      .filter(loss => !loss.disbanded)
+      .map(loss => loss.unitId);
+  } else if (replenish.toLowerCase() !== 'none') {
+    for (const unitName of replenish.split(',').map(n => n.trim()).filter(Boolean)) {
+      const unit = Object.values(units).find(u => u.name.toLowerCase() === unitName.toLowerCase());
+      
+      if (!unit) {
+        return {
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: `Unit ${unitName} is not in the battle`,
+          },
+        };
+      }
+      
+      replenishIds.push(unit.id);
+    }
+  }
+  
+  // Resolve the aftermath, for free if the server's house rules say so
+  const settings = await getInteractionSettings(interaction, env);
+  const result = Aftermath.resolveAftermath(battle, units, domains, replenishIds, {
+    free: Settings.isHouseRuleEnabled(settings, Settings.HOUSE_RULES.free_replenish.id),
+    actorId: getUserId(interaction),
+  });
+  
+  if (!result.valid) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Cannot resolve the aftermath: ${result.reason}`,
+      },
+    };
+  }
+  
+  // Save the battle, units and domains together
+  await Storage.saveBattleChanges({
+    battle: result.battle,
+    units: result.units,
+    domains: result.domains,
+  });
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: Formatter.formatAftermath(result.battle, result.report, { ...domains, ...result.domains }),
+    },
+  };
+}
+
+/**
+ * Handle undoing a battle's latest events
+ * Units changed by the undone events, such as the target of an attack, go
+ * back to how they were
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleUndo(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  const count = options.find(opt => opt.name === 'count')?.value || 1;
+  
+  let battleId;
+  
+  if (id) {
+    // Use the provided ID
+    battleId = id;
+  } else if (name) {
+    // Get all battles
+    const battles = await Storage.getAllBattles();
+    
+    // Find the battle by name
+    const battle = battles.find(b => b.name.toLowerCase() === name.toLowerCase());
+    
+    if (!battle) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Battle not found: ${name}`,
+        },
+      };
+    }
+    
+    battleId = battle.id;
+  } else {
+    // Use the active battle for the channel
+    const channelData = await Storage.getChannelData(interaction.channel_id);
+    battleId = channelData.activeBattle;
+    
+    if (!battleId) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: 'No active battle in this channel. Please provide a battle name or ID.',
+        },
+      };
+    }
+  }
+  
+  // Get the battle
+  const battle = await Storage.getBattle(battleId);
+  
+  if (!battle) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Battle not found with ID: ${battleId}`,
+      },
+    };
+  }
+  
+  // Only a GM or someone taking part in the battle can undo its events
+  if (!canManageBattleOrSession(await getPermissions(interaction, env), await getBattleDomains(battle))) {
+    return permissionDenied(`Only a GM or an owner of a domain in ${battle.name} can undo its events`);
+  }
+  
+  // Undo the events
+  const result = Replay.undoEvents(battle, count);
+  
+  if (!result.valid) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Cannot undo: ${result.reason}`,
+      },
+    };
+  }
+  
+  // Get the domains and units for the battle
+  const domains = {};
+  const units = {};
+  
+  for (const domainId of battle.domains) {
+    const domain = await Storage.getDomain(domainId);
+    if (domain) {
+      domains[domainId] = domain;
+    }
+  }
+  
+  for (const unitId of Object.keys(battle.units)) {
+    const unit = await Storage.getUnit(unitId);
+    if (unit) {
+      units[unitId] = unit;
+    }
+  }
+  
+  // Put back the units the events changed, unless they have since been deleted
+  const restoredUnits = {};
+  
+  for (const [unitId, unit] of Object.entries(result.units)) {
+    if (units[unitId] || await Storage.getUnit(unitId)) {
+      restoredUnits[unitId] = unit;
+      units[unitId] = unit;
+    }
+  }
+  
+  // Save the battle and the units together
+  await Storage.saveBattleChanges({
+    battle: result.battle,
+    units: restoredUnits,
+  });
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `${Formatter.formatUndoneEvents(result.undone, domains, units)}\n${Formatter.formatBattle(result.battle, domains, units)}`,
+    },
+  };
+}
+
+/**
+ * Handle replaying a battle round by round
+ * Shows the events of one round and the battlefield as it stood at the end of
+ * that round, from the setup (round 0) to the current round
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleReplay(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  const roundOption = options.find(opt => opt.name === 'round')?.value;
+  
+  let battleId;
+  
+  if (id) {
+    // Use the provided ID
+    battleId = id;
+  } else if (name) {
+    // Get all battles
+    const battles = await Storage.getAllBattles();
+    
+    // Find the battle by name
+    const battle = battles.find(b => b.name.toLowerCase() === name.toLowerCase());
+    
+    if (!battle) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Battle not found: ${name}`,
+        },
+      };
+    }
+    
+    battleId = battle.id;
+  } else {
+    // Use the active battle for the channel
+    const channelData = await Storage.getChannelData(interaction.channel_id);
+    battleId = channelData.activeBattle;
+    
+    if (!battleId) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: 'No active battle in this channel. Please provide a battle name or ID.',
+        },
+      };
+    }
+  }
+  
+  // Get the battle
+  const battle = await Storage.getBattle(battleId);
+  
+  if (!battle) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Battle not found with ID: ${battleId}`,
+      },
+    };
+  }
+  
+  // Replay the current round unless another one is asked for
+  const round = roundOption === undefined ? battle.round : roundOption;
+  const result = Replay.replayRound(battle, round);
+  
+  if (!result.valid) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Cannot replay: ${result.reason}`,
+      },
+    };
+  }
+  
+  // Get the domains and units as they stood in the round
+  const domains = {};
+  const units = {};
+  
+  for (const domainId of result.battle.domains) {
+    const domain = await Storage.getDomain(domainId);
+    if (domain) {
+      domains[domainId] = domain;
+    }
+  }
+  
+  for (const unitId of Object.keys(result.battle.units)) {
+    const unit = await Storage.getUnit(unitId);
+    if (unit) {
+      units[unitId] = unit;
+    }
+  }
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: Formatter.formatReplay(result.battle, round, result.events, Replay.getReplayRounds(battle), domains, units),
+    },
   };
 }
+
+/**
+ * Get the domains taking part in a battle
+ * @param {Object} battle - Battle to read
+ * @returns {Promise<Array>} - Domains of the battle that still exist
+ */
+async function getBattleDomains(battle) {
+  const domains = await Promise.all(battle.domains.map(domainId => Storage.getDomain(domainId)));
+  return domains.filter(Boolean);
+}
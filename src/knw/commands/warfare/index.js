@@ -3,10 +3,34 @@
  * Exports the command definitions and handler functions
  */
 
-import { InteractionResponseType } from 'discord-interactions';
+import { InteractionResponseType, InteractionResponseFlags } from 'discord-interactions';
 import { handleUnitCommand } from './unit.js';
 import { handleBattleCommand } from './battle.js';
 import { handleRollCommand } from './roll.js';
+import { handleOfficerCommand } from './officer.js';
+import { handleBattleComponent } from './panel.js';
+import { parseBattleControlId } from '../../utils/components.js';
+import { searchTraits } from '../../models/traits.js';
+import * as Storage from '../../utils/storage.js';
+import { fuzzySearch, scopeToServer, toChoices } from '../../utils/search.js';
+
+// Most choices Discord shows for an autocomplete option
+const MAX_AUTOCOMPLETE_CHOICES = 25;
+
+// Options that name a unit, domain or battle, by subcommand, as [entity type, field]
+const ENTITY_OPTIONS = {
+  unit: { name: ['units', 'name'], id: ['units', 'id'], domain: ['domains', 'name'] },
+  battle: { name: ['battles', 'name'], id: ['battles', 'id'], domain: ['domains', 'name'], unit: ['units', 'name'] },
+  officer: { domain: ['domains', 'name'] },
+  roll: { unit: ['units', 'name'], target: ['units', 'name'] },
+};
+
+// How to load every entity of a type
+const ENTITY_LOADERS = {
+  units: () => Storage.getAllUnits(),
+  domains: () => Storage.getAllDomains(),
+  battles: () => Storage.getAllBattles(),
+};
 
 // Define the warfare commands
 export const WARFARE_COMMANDS = [
@@ -29,6 +53,13 @@ export const WARFARE_COMMANDS = [
               { name: 'View', value: 'view' },
               { name: 'List', value: 'list' },
               { name: 'Delete', value: 'delete' },
+              { name: 'Add Condition', value: 'condition_add' },
+              { name: 'Remove Condition', value: 'condition_remove' },
+              { name: 'Add Trait', value: 'trait_add' },
+              { name: 'Remove Trait', value: 'trait_remove' },
+              { name: 'List Traits', value: 'trait_list' },
+              { name: 'Migrate', value: 'migrate' },
+              { name: 'Promote', value: 'promote' },
             ],
           },
           {
@@ -36,6 +67,7 @@ export const WARFARE_COMMANDS = [
             description: 'Name of the unit',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
           },
           {
             name: 'type',
@@ -62,17 +94,101 @@ export const WARFARE_COMMANDS = [
               { name: 'V', value: 5 },
             ],
           },
+          {
+            name: 'ancestry',
+            description: 'Ancestry of the unit',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              { name: 'Human', value: 'human' },
+              { name: 'Dwarf', value: 'dwarf' },
+              { name: 'Elf', value: 'elf' },
+              { name: 'Goblin', value: 'goblin' },
+              { name: 'Orc', value: 'orc' },
+              { name: 'Ogre', value: 'ogre' },
+              { name: 'Troll', value: 'troll' },
+              { name: 'Undead', value: 'undead' },
+            ],
+          },
+          {
+            name: 'equipment',
+            description: 'Equipment of the unit',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              { name: 'Light', value: 'light' },
+              { name: 'Medium', value: 'medium' },
+              { name: 'Heavy', value: 'heavy' },
+              { name: 'Super-heavy', value: 'super_heavy' },
+            ],
+          },
+          {
+            name: 'experience',
+            description: 'Experience of the unit (sets its tier)',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              { name: 'Green', value: 'green' },
+              { name: 'Regular', value: 'regular' },
+              { name: 'Seasoned', value: 'seasoned' },
+              { name: 'Veteran', value: 'veteran' },
+              { name: 'Elite', value: 'elite' },
+              { name: 'Super-elite', value: 'super_elite' },
+            ],
+          },
           {
             name: 'domain',
             description: 'Domain the unit belongs to',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
           },
           {
             name: 'id',
             description: 'ID of the unit',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
+          },
+          {
+            name: 'condition',
+            description: 'Condition to add or remove',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              { name: 'Broken', value: 'broken' },
+              { name: 'Disbanded', value: 'disbanded' },
+              { name: 'Disorganized', value: 'disorganized' },
+              { name: 'Disoriented', value: 'disoriented' },
+              { name: 'Exposed', value: 'exposed' },
+              { name: 'Hidden', value: 'hidden' },
+              { name: 'Misled', value: 'misled' },
+              { name: 'Weakened', value: 'weakened' },
+            ],
+          },
+          {
+            name: 'duration',
+            description: 'How long the condition lasts',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              { name: 'Until End of Next Activation', value: 'end_of_next_activation' },
+              { name: 'Until End of Round', value: 'end_of_round' },
+              { name: 'Until Removed', value: 'until_removed' },
+            ],
+          },
+          {
+            name: 'source',
+            description: 'What applied the condition',
+            type: 3, // STRING
+            required: false,
+          },
+          {
+            name: 'trait',
+            description: 'Trait to add or remove',
+            type: 3, // STRING
+            required: false,
+            autocomplete: true,
           },
         ],
       },
@@ -96,8 +212,17 @@ export const WARFARE_COMMANDS = [
               { name: 'Add Domain', value: 'add_domain' },
               { name: 'Add Unit', value: 'add_unit' },
               { name: 'Deploy Unit', value: 'deploy_unit' },
+              { name: 'Move Unit', value: 'move' },
+              { name: 'Add Token', value: 'add_token' },
+              { name: 'Remove Token', value: 'remove_token' },
               { name: 'Set Initiative', value: 'set_initiative' },
+              { name: 'Roll Initiative', value: 'roll_initiative' },
+              { name: 'Activate', value: 'activate' },
               { name: 'Next Turn', value: 'next_turn' },
+              { name: 'Assign Commander', value: 'assign_commander' },
+              { name: 'Aftermath', value: 'aftermath' },
+              { name: 'Undo', value: 'undo' },
+              { name: 'Replay', value: 'replay' },
             ],
           },
           {
@@ -105,28 +230,32 @@ export const WARFARE_COMMANDS = [
             description: 'Name of the battle',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
           },
           {
             name: 'id',
             description: 'ID of the battle',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
           },
           {
             name: 'domain',
             description: 'Domain to add to the battle',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
           },
           {
             name: 'unit',
             description: 'Unit to add or deploy',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
           },
           {
             name: 'rank',
-            description: 'Rank to deploy the unit to',
+            description: 'Rank to deploy or move the unit to',
             type: 3, // STRING
             required: false,
             choices: [
@@ -136,9 +265,23 @@ export const WARFARE_COMMANDS = [
               { name: 'Reserve', value: 'reserve' },
             ],
           },
+          {
+            name: 'maneuver',
+            description: 'Maneuver to move the unit with',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              { name: 'Advance', value: 'advance' },
+              { name: 'Retreat', value: 'retreat' },
+              { name: 'Shift', value: 'shift' },
+              { name: 'Withdraw', value: 'withdraw' },
+              { name: 'Charge (cavalry)', value: 'charge' },
+              { name: 'Fly Over (aerial)', value: 'fly_over' },
+            ],
+          },
           {
             name: 'position',
-            description: 'Position to deploy the unit to',
+            description: 'Position to deploy or move the unit to',
             type: 3, // STRING
             required: false,
             choices: [
@@ -147,6 +290,155 @@ export const WARFARE_COMMANDS = [
               { name: 'Right', value: 'right' },
             ],
           },
+          {
+            name: 'token',
+            description: 'Token to add or remove',
+            type: 3, // STRING
+            required: false,
+          },
+          {
+            name: 'duration',
+            description: 'How long the token lasts',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              { name: 'Until End of Next Activation', value: 'end_of_next_activation' },
+              { name: 'Until End of Round', value: 'end_of_round' },
+              { name: 'Until Removed', value: 'until_removed' },
+            ],
+          },
+          {
+            name: 'source',
+            description: 'What applied the token',
+            type: 3, // STRING
+            required: false,
+          },
+          {
+            name: 'initiative_mode',
+            description: 'Roll initiative per unit or per domain',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              { name: 'Per Unit', value: 'unit' },
+              { name: 'Per Domain', value: 'domain' },
+            ],
+          },
+          {
+            name: 'officer',
+            description: 'Officer to command the unit (leave out to remove its commander)',
+            type: 3, // STRING
+            required: false,
+          },
+          {
+            name: 'replenish',
+            description: 'Units to replenish after the battle: names separated by commas, "all" or "none"',
+            type: 3, // STRING
+            required: false,
+          },
+          {
+            name: 'count',
+            description: 'Number of events to undo (default 1)',
+            type: 4, // INTEGER
+            required: false,
+          },
+          {
+            name: 'round',
+            description: 'Round to replay (0 for the setup, default the current round)',
+            type: 4, // INTEGER
+            required: false,
+          },
+        ],
+      },
+      {
+        name: 'officer',
+        description: 'Manage officers and commanders',
+        type: 1, // SUB_COMMAND
+        options: [
+          {
+            name: 'action',
+            description: 'Action to perform',
+            type: 3, // STRING
+            required: true,
+            choices: [
+              { name: 'Create', value: 'create' },
+              { name: 'View', value: 'view' },
+              { name: 'List', value: 'list' },
+              { name: 'Delete', value: 'delete' },
+              { name: 'Assign', value: 'assign' },
+            ],
+          },
+          {
+            name: 'name',
+            description: 'Name of the officer',
+            type: 3, // STRING
+            required: false,
+          },
+          {
+            name: 'id',
+            description: 'ID of the officer',
+            type: 3, // STRING
+            required: false,
+          },
+          {
+            name: 'domain',
+            description: 'Domain the officer serves',
+            type: 3, // STRING
+            required: false,
+            autocomplete: true,
+          },
+          {
+            name: 'level',
+            description: 'Character level of the officer (1-20)',
+            type: 4, // INTEGER
+            required: false,
+          },
+          {
+            name: 'ability',
+            description: 'Commander ability to give the officer',
+            type: 3, // STRING
+            required: false,
+            choices: [
+              { name: 'Inspiring', value: 'inspiring' },
+              { name: 'Disciplined', value: 'disciplined' },
+              { name: 'Fearless', value: 'fearless' },
+            ],
+          },
+          {
+            name: 'strength',
+            description: 'Strength score',
+            type: 4, // INTEGER
+            required: false,
+          },
+          {
+            name: 'dexterity',
+            description: 'Dexterity score',
+            type: 4, // INTEGER
+            required: false,
+          },
+          {
+            name: 'constitution',
+            description: 'Constitution score',
+            type: 4, // INTEGER
+            required: false,
+          },
+          {
+            name: 'intelligence',
+            description: 'Intelligence score',
+            type: 4, // INTEGER
+            required: false,
+          },
+          {
+            name: 'wisdom',
+            description: 'Wisdom score',
+            type: 4, // INTEGER
+            required: false,
+          },
+          {
+            name: 'charisma',
+            description: 'Charisma score',
+            type: 4, // INTEGER
+            required: false,
+          },
         ],
       },
       {
@@ -172,12 +464,14 @@ export const WARFARE_COMMANDS = [
             description: 'Unit making the roll',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
           },
           {
             name: 'target',
             description: 'Target of the roll',
             type: 3, // STRING
             required: false,
+            autocomplete: true,
           },
           {
             name: 'bonus',
@@ -209,6 +503,12 @@ export const WARFARE_COMMANDS = [
             type: 3, // STRING
             required: false,
           },
+          {
+            name: 'private',
+            description: 'Only show the roll to you; defaults to the server\'s dice visibility',
+            type: 5, // BOOLEAN
+            required: false,
+          },
         ],
       },
     ],
@@ -232,6 +532,9 @@ export async function handleWarfareCommand(interaction, env) {
     case 'battle':
       return handleBattleCommand(interaction, subCommand, env);
     
+    case 'officer':
+      return handleOfficerCommand(interaction, subCommand, env);
+    
     case 'roll':
       return handleRollCommand(interaction, subCommand, env);
     
@@ -244,3 +547,55 @@ export async function handleWarfareCommand(interaction, env) {
       };
   }
 }
+
+/**
+ * Handle autocomplete for warfare command options
+ * @param {Object} interaction - Discord interaction
+ * @returns {Promise<Object>} - Choices to send back to Discord
+ */
+export async function handleWarfareAutocomplete(interaction) {
+  const subCommand = interaction.data.options[0];
+  const options = subCommand.options || [];
+  const focused = options.find(opt => opt.focused);
+  const action = options.find(opt => opt.name === 'action')?.value;
+  const entityOption = focused && ENTITY_OPTIONS[subCommand.name]?.[focused.name];
+  let choices = [];
+  
+  if (focused && focused.name === 'trait') {
+    choices = searchTraits(focused.value).map(trait => ({ name: trait.name, value: trait.id }));
+  } else if (entityOption && !(action === 'create' && focused.name === 'name')) {
+    // Suggest the server's units, domains or battles; a new entity's name has nothing to suggest
+    const [type, field] = entityOption;
+    const serverData = interaction.guild_id ? await Storage.getServerData(interaction.guild_id) : {};
+    const entities = scopeToServer(await ENTITY_LOADERS[type](), serverData[type]);
+    
+    choices = toChoices(fuzzySearch(entities, String(focused.value)), field);
+  }
+  
+  return {
+    type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+    data: {
+      choices: choices.slice(0, MAX_AUTOCOMPLETE_CHOICES),
+    },
+  };
+}
+
+/**
+ * Handle buttons and select menus on warfare messages
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+export async function handleWarfareComponent(interaction, env) {
+  if (parseBattleControlId(interaction.data.custom_id)) {
+    return handleBattleComponent(interaction, env);
+  }
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `Unknown warfare control: ${interaction.data.custom_id}`,
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  };
+}
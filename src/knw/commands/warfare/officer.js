@@ -0,0 +1,416 @@
+/**
+ * Officer command handlers for Kingdoms & Warfare
+ * Handles Discord commands related to officers and commanders
+ */
+
+import { InteractionResponseType } from 'discord-interactions';
+
+import * as Officer from '../../models/officer.js';
+import * as Domain from '../../models/domain.js';
+import * as Storage from '../../utils/storage.js';
+import * as Formatter from '../../utils/formatter.js';
+import {
+  getPermissions,
+  canActForDomain,
+  permissionDenied,
+} from '../../utils/permissions.js';
+
+/**
+ * Handle officer commands
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} subCommand - Subcommand data
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+export async function handleOfficerCommand(interaction, subCommand, env) {
+  const { options } = subCommand;
+  const action = options.find((opt) => opt.name === 'action')?.value;
+
+  switch (action) {
+    case 'create':
+      return handleCreateOfficer(interaction, options, env);
+
+    case 'view':
+      return handleViewOfficer(interaction, options);
+
+    case 'list':
+      return handleListOfficers(interaction, options);
+
+    case 'delete':
+      return handleDeleteOfficer(interaction, options, env);
+
+    case 'assign':
+      return handleAssignOfficer(interaction, options, env);
+
+    default:
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Unknown officer action: ${action}`,
+        },
+      };
+  }
+}
+
+/**
+ * Find an officer by ID or name
+ * @param {String} id - ID of the officer
+ * @param {String} name - Name of the officer
+ * @returns {Promise<Object|null>} - Officer, or null if not found
+ */
+async function findOfficer(id, name) {
+  if (id) {
+    return Storage.getOfficer(id);
+  }
+
+  const officers = await Storage.getAllOfficers();
+  return (
+    officers.find((o) => o.name.toLowerCase() === name.toLowerCase()) || null
+  );
+}
+
+/**
+ * Find a domain by name
+ * @param {String} domainName - Name of the domain
+ * @returns {Promise<Object|null>} - Domain, or null if not found
+ */
+async function findDomain(domainName) {
+  const domains = await Storage.getAllDomains();
+  return (
+    domains.find((d) => d.name.toLowerCase() === domainName.toLowerCase()) ||
+    null
+  );
+}
+
+/**
+ * Handle creating an officer
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleCreateOfficer(interaction, options, env) {
+  const name = options.find((opt) => opt.name === 'name')?.value;
+  const level = options.find((opt) => opt.name === 'level')?.value || 1;
+  const ability = options.find((opt) => opt.name === 'ability')?.value;
+  const domainName = options.find((opt) => opt.name === 'domain')?.value;
+
+  // Check if the name is provided
+  if (!name) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide a name for the officer',
+      },
+    };
+  }
+
+  // Read whichever ability scores were given
+  const abilities = {};
+
+  Object.values(Officer.OFFICER_ABILITIES).forEach((score) => {
+    const value = options.find((opt) => opt.name === score)?.value;
+
+    if (value) {
+      abilities[score] = value;
+    }
+  });
+
+  // Create the officer
+  let officer = Officer.createOfficer({
+    name,
+    level,
+    abilities,
+    commanderAbilities: ability ? [ability] : [],
+  });
+
+  // If a domain is provided, the officer serves the domain
+  let domain = null;
+
+  if (domainName) {
+    domain = await findDomain(domainName);
+
+    if (!domain) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Domain not found: ${domainName}`,
+        },
+      };
+    }
+
+    // Only the domain's owners or a GM can add officers to it
+    if (!canActForDomain(await getPermissions(interaction, env), domain)) {
+      return permissionDenied(
+        `Only an owner of ${domain.name} or a GM can add officers to it`,
+      );
+    }
+
+    officer = Officer.assignToDomain(officer, domain.id);
+    await Storage.saveDomain(Domain.addOfficer(domain, officer.id));
+  }
+
+  // Save the officer
+  await Storage.saveOfficer(officer);
+
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `Officer created:\n\n${Formatter.formatOfficer(officer, domain)}`,
+    },
+  };
+}
+
+/**
+ * Handle viewing an officer
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleViewOfficer(interaction, options) {
+  const id = options.find((opt) => opt.name === 'id')?.value;
+  const name = options.find((opt) => opt.name === 'name')?.value;
+
+  // Check if either an ID or a name is provided
+  if (!id && !name) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide either an ID or a name for the officer',
+      },
+    };
+  }
+
+  const officer = await findOfficer(id, name);
+
+  if (!officer) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Officer not found',
+      },
+    };
+  }
+
+  const domain = officer.domainId
+    ? await Storage.getDomain(officer.domainId)
+    : null;
+
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: Formatter.formatOfficer(officer, domain),
+    },
+  };
+}
+
+/**
+ * Handle listing officers
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleListOfficers(interaction, options) {
+  const domainName = options.find((opt) => opt.name === 'domain')?.value;
+
+  let officers;
+
+  if (domainName) {
+    const domain = await findDomain(domainName);
+
+    if (!domain) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Domain not found: ${domainName}`,
+        },
+      };
+    }
+
+    officers = await Storage.getOfficersForDomain(domain.id);
+  } else {
+    officers = await Storage.getAllOfficers();
+  }
+
+  if (officers.length === 0) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'No officers found',
+      },
+    };
+  }
+
+  const formattedOfficers = officers
+    .map(
+      (officer) =>
+        `- **${officer.name}** (Level ${officer.level}, Command +${Officer.getCommandBonus(officer)}) - ID: ${officer.id}`,
+    )
+    .join('\n');
+
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `**Officers:**\n${formattedOfficers}`,
+    },
+  };
+}
+
+/**
+ * Handle deleting an officer
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleDeleteOfficer(interaction, options, env) {
+  const id = options.find((opt) => opt.name === 'id')?.value;
+  const name = options.find((opt) => opt.name === 'name')?.value;
+
+  // Check if either an ID or a name is provided
+  if (!id && !name) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide either an ID or a name for the officer',
+      },
+    };
+  }
+
+  const officer = await findOfficer(id, name);
+
+  if (!officer) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Officer not found',
+      },
+    };
+  }
+
+  // Only the owners of the officer's domain or a GM can delete them
+  const domain = officer.domainId
+    ? await Storage.getDomain(officer.domainId)
+    : null;
+
+  if (
+    domain &&
+    !canActForDomain(await getPermissions(interaction, env), domain)
+  ) {
+    return permissionDenied(
+      `Only an owner of ${domain.name} or a GM can delete its officers`,
+    );
+  }
+
+  // Delete the officer, along with their place in domains and battles
+  await Storage.deleteOfficer(officer.id);
+
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `Officer deleted: ${officer.name}`,
+    },
+  };
+}
+
+/**
+ * Handle assigning an officer to a domain
+ * An officer serves one domain at a time; assigning them to another domain
+ * takes them off the first domain's roster
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleAssignOfficer(interaction, options, env) {
+  const id = options.find((opt) => opt.name === 'id')?.value;
+  const name = options.find((opt) => opt.name === 'name')?.value;
+  const domainName = options.find((opt) => opt.name === 'domain')?.value;
+  const ability = options.find((opt) => opt.name === 'ability')?.value;
+
+  // Check if either an ID or a name is provided
+  if (!id && !name) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide either an ID or a name for the officer',
+      },
+    };
+  }
+
+  // Check if there is anything to assign
+  if (!domainName && !ability) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide a domain or a commander ability to assign',
+      },
+    };
+  }
+
+  let officer = await findOfficer(id, name);
+
+  if (!officer) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Officer not found',
+      },
+    };
+  }
+
+  const permissions = await getPermissions(interaction, env);
+  let domain = officer.domainId
+    ? await Storage.getDomain(officer.domainId)
+    : null;
+
+  // Only the owners of the officer's domain or a GM can reassign them
+  if (domain && !canActForDomain(permissions, domain)) {
+    return permissionDenied(
+      `Only an owner of ${domain.name} or a GM can reassign its officers`,
+    );
+  }
+
+  if (domainName) {
+    const newDomain = await findDomain(domainName);
+
+    if (!newDomain) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Domain not found: ${domainName}`,
+        },
+      };
+    }
+
+    // Only the new domain's owners or a GM can add officers to it
+    if (!canActForDomain(permissions, newDomain)) {
+      return permissionDenied(
+        `Only an owner of ${newDomain.name} or a GM can add officers to it`,
+      );
+    }
+
+    // Take the officer off their old domain's roster
+    if (domain && domain.id !== newDomain.id) {
+      await Storage.saveDomain(Domain.removeOfficer(domain, officer.id));
+    }
+
+    domain = newDomain;
+    officer = Officer.assignToDomain(officer, domain.id);
+    await Storage.saveDomain(Domain.addOfficer(domain, officer.id));
+  }
+
+  if (ability) {
+    officer = Officer.addCommanderAbility(officer, ability);
+  }
+
+  // Save the officer
+  await Storage.saveOfficer(officer);
+
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `Officer updated:\n\n${Formatter.formatOfficer(officer, domain)}`,
+    },
+  };
+}
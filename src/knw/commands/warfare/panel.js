@@ -0,0 +1,301 @@
+/**
+ * Battle control panel handlers for Kingdoms & Warfare
+ * Handles the buttons and select menus attached to a battle view
+ *
+ * Each control runs the same handler as its slash command, then updates the
+ * panel's message in place: the content shows the latest result, and the
+ * battlefield image and controls are redrawn, so a channel keeps one live
+ * battle board. Replies only meant for the user who pressed the control, such
+ * as lacking permission, are sent to them alone and leave the board as it is.
+ */
+
+import {
+  InteractionResponseType,
+  InteractionResponseFlags,
+} from 'discord-interactions';
+
+import * as Storage from '../../utils/storage.js';
+import * as Formatter from '../../utils/formatter.js';
+import {
+  BATTLE_CONTROLS,
+  NO_WINNER,
+  buildBattlePanel,
+  buildConditionPicker,
+  parseBattleControlId,
+} from '../../utils/components.js';
+import { renderBattlefield } from '../../utils/render/index.js';
+import { handleBattleCommand } from './battle.js';
+import { handleUnitCommand } from './unit.js';
+import { attackUnit } from './roll.js';
+import {
+  getPermissions,
+  canActForUnit,
+  permissionDenied,
+} from '../../utils/permissions.js';
+
+/**
+ * Handle a battle control
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+export async function handleBattleComponent(interaction, env) {
+  const { control, battleId, unitId } = parseBattleControlId(
+    interaction.data.custom_id,
+  );
+  const [value] = interaction.data.values || [];
+
+  // Get the battle
+  const battle = await Storage.getBattle(battleId);
+
+  if (!battle) {
+    return {
+      type: InteractionResponseType.UPDATE_MESSAGE,
+      data: {
+        content: `Battle not found with ID: ${battleId}`,
+        components: [],
+      },
+    };
+  }
+
+  switch (control) {
+    case BATTLE_CONTROLS.REFRESH:
+      return showBattleBoard(battleId);
+
+    case BATTLE_CONTROLS.NEXT_TURN:
+      return runBattleCommand(interaction, battleId, 'next_turn', {}, env);
+
+    case BATTLE_CONTROLS.ATTACK:
+      return handleAttackControl(interaction, battle, unitId, value, env);
+
+    case BATTLE_CONTROLS.MOVE:
+      return handleMoveControl(interaction, battleId, unitId, value, env);
+
+    case BATTLE_CONTROLS.CONDITION_UNIT:
+      return handleConditionUnitControl(battle, value);
+
+    case BATTLE_CONTROLS.CONDITION:
+      return handleConditionControl(interaction, battleId, unitId, value, env);
+
+    case BATTLE_CONTROLS.END:
+      return handleEndControl(interaction, battleId, value, env);
+
+    default:
+      return showBattleBoard(battleId, `Unknown battle control: ${control}`);
+  }
+}
+
+/**
+ * Redraw a battle's board
+ * @param {String} battleId - ID of the battle
+ * @param {String} content - Message to show above the board; defaults to the battle itself
+ * @returns {Promise<Object>} - Response that updates the board's message
+ */
+async function showBattleBoard(battleId, content = null) {
+  const battle = await Storage.getBattle(battleId);
+
+  // Get the domains and units for the battle
+  const domains = {};
+  const units = {};
+
+  // Get the domains
+  for (const domainId of battle.domains) {
+    const domain = await Storage.getDomain(domainId);
+    if (domain) {
+      domains[domainId] = domain;
+    }
+  }
+
+  // Get the units
+  for (const unitId of Object.keys(battle.units)) {
+    const unit = await Storage.getUnit(unitId);
+    if (unit) {
+      units[unitId] = unit;
+    }
+  }
+
+  return {
+    type: InteractionResponseType.UPDATE_MESSAGE,
+    data: {
+      content: content || Formatter.formatBattle(battle, domains, units),
+      components: buildBattlePanel(battle, domains, units),
+    },
+    files: await renderBattlefield(battle, domains, units),
+  };
+}
+
+/**
+ * Run a battle action as if it were typed, then redraw the board with its result
+ * @param {Object} interaction - Discord interaction
+ * @param {String} battleId - ID of the battle
+ * @param {String} action - Battle action to run
+ * @param {Object} values - Other options of the action, by name
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response that updates the board's message
+ */
+async function runBattleCommand(interaction, battleId, action, values, env) {
+  const options = Object.entries({ action, id: battleId, ...values }).map(
+    ([name, value]) => ({ name, value }),
+  );
+  const result = await handleBattleCommand(interaction, { options }, env);
+
+  return isEphemeral(result)
+    ? result
+    : showBattleBoard(battleId, result.data.content);
+}
+
+/**
+ * Check whether a reply is only meant for the user who pressed a control
+ * @param {Object} result - Response from a command handler
+ * @returns {Boolean} - Whether the response is ephemeral
+ */
+function isEphemeral(result) {
+  return Boolean(result.data.flags & InteractionResponseFlags.EPHEMERAL);
+}
+
+/**
+ * Handle the attack menu
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} battle - Battle the attack is made in
+ * @param {String} unitId - ID of the attacking unit
+ * @param {String} targetId - ID of the target unit
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response that updates the board's message
+ */
+async function handleAttackControl(interaction, battle, unitId, targetId, env) {
+  const unit = await Storage.getUnit(unitId);
+  const target = await Storage.getUnit(targetId);
+
+  if (!unit || !target) {
+    return showBattleBoard(battle.id, 'Unit not found');
+  }
+
+  if (
+    !canActForUnit(
+      await getPermissions(interaction, env),
+      unit,
+      await Storage.getAllDomains(),
+    )
+  ) {
+    return permissionDenied(
+      `Only an owner of ${unit.name} or a GM can attack with it`,
+    );
+  }
+
+  const { allowed, reason, resolution } = await attackUnit(
+    battle,
+    unit,
+    target,
+  );
+
+  if (!allowed) {
+    return showBattleBoard(battle.id, `Cannot attack: ${reason}`);
+  }
+
+  return showBattleBoard(
+    battle.id,
+    Formatter.formatAttackResolution(resolution, unit, resolution.target),
+  );
+}
+
+/**
+ * Handle the move menu
+ * @param {Object} interaction - Discord interaction
+ * @param {String} battleId - ID of the battle
+ * @param {String} unitId - ID of the unit to move
+ * @param {String} move - Move as `maneuver:rank:column`
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response that updates the board's message
+ */
+async function handleMoveControl(interaction, battleId, unitId, move, env) {
+  const unit = await Storage.getUnit(unitId);
+
+  if (!unit) {
+    return showBattleBoard(battleId, 'Unit not found');
+  }
+
+  const [maneuver, rank, position] = move.split(':');
+
+  return runBattleCommand(
+    interaction,
+    battleId,
+    'move',
+    {
+      unit: unit.name,
+      maneuver,
+      rank,
+      ...(position ? { position } : {}),
+    },
+    env,
+  );
+}
+
+/**
+ * Handle picking a unit to apply a condition to
+ * Swaps the panel for the condition menu until a condition is picked
+ * @param {Object} battle - Battle the unit is in
+ * @param {String} unitId - ID of the unit
+ * @returns {Promise<Object>} - Response that updates the board's controls
+ */
+async function handleConditionUnitControl(battle, unitId) {
+  const unit = await Storage.getUnit(unitId);
+
+  if (!unit) {
+    return showBattleBoard(battle.id, 'Unit not found');
+  }
+
+  return {
+    type: InteractionResponseType.UPDATE_MESSAGE,
+    data: {
+      components: buildConditionPicker(battle, unit),
+    },
+  };
+}
+
+/**
+ * Handle the condition menu
+ * @param {Object} interaction - Discord interaction
+ * @param {String} battleId - ID of the battle
+ * @param {String} unitId - ID of the unit to apply the condition to
+ * @param {String} condition - Condition to apply
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response that updates the board's message
+ */
+async function handleConditionControl(
+  interaction,
+  battleId,
+  unitId,
+  condition,
+  env,
+) {
+  const options = [
+    { name: 'action', value: 'condition_add' },
+    { name: 'id', value: unitId },
+    { name: 'condition', value: condition },
+  ];
+  const result = await handleUnitCommand(interaction, { options }, env);
+
+  return isEphemeral(result)
+    ? result
+    : showBattleBoard(battleId, result.data.content);
+}
+
+/**
+ * Handle the end-battle menu
+ * @param {Object} interaction - Discord interaction
+ * @param {String} battleId - ID of the battle
+ * @param {String} winner - ID of the winning domain, or NO_WINNER
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response that updates the board's message
+ */
+async function handleEndControl(interaction, battleId, winner, env) {
+  const domain = winner !== NO_WINNER ? await Storage.getDomain(winner) : null;
+
+  return runBattleCommand(
+    interaction,
+    battleId,
+    'end',
+    domain ? { domain: domain.name } : {},
+    env,
+  );
+}
@@ -6,18 +6,41 @@
 import { InteractionResponseType } from 'discord-interactions';
 
 import * as Unit from '../../models/unit.js';
+import * as Battle from '../../models/battle.js';
+import * as Combat from '../../models/combat.js';
+import * as Engagement from '../../models/engagement.js';
+import * as Traits from '../../models/traits.js';
 import * as Dice from '../../utils/dice.js';
 import * as Storage from '../../utils/storage.js';
 import * as Formatter from '../../utils/formatter.js';
+import { getPermissions, canActForUnit, permissionDenied } from '../../utils/permissions.js';
+import { getInteractionSettings, applyDiceVisibility } from '../../utils/settings.js';
 
 /**
  * Handle roll commands
+ * Rolls are shown to everyone or only their roller, as the server's dice
+ * visibility or the roll's own `private` option says
  * @param {Object} interaction - Discord interaction
  * @param {Object} subCommand - Subcommand data
  * @param {Object} env - Environment variables
  * @returns {Promise<Object>} - Response to send back to Discord
  */
 export async function handleRollCommand(interaction, subCommand, env) {
+  const { options } = subCommand;
+  const isPrivate = options.find(opt => opt.name === 'private')?.value;
+  const response = await rollByType(interaction, subCommand, env);
+  
+  return applyDiceVisibility(response, await getInteractionSettings(interaction, env), isPrivate);
+}
+
+/**
+ * Make the roll a roll command asks for
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} subCommand - Subcommand data
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function rollByType(interaction, subCommand, env) {
   const { options } = subCommand;
   const rollType = options.find(opt => opt.name === 'type')?.value;
   const unitName = options.find(opt => opt.name === 'unit')?.value;
@@ -91,42 +114,107 @@ async function handleAttackRoll(interaction, unitName, targetName, bonus, advant
     };
   }
   
-  let target;
-  let defenseScore = 10;
-  
-  if (targetName) {
-    // Find the target by name
-    target = units.find(u => u.name.toLowerCase() === targetName.toLowerCase());
+  if (!targetName) {
+    // Without a target, just roll the attack against the default defense
+    const result = Dice.rollAttack(unit.stats.attack + bonus, 10, advantage, disadvantage, { self: unit.conditions });
     
-    if (!target) {
-      return {
-        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
-        data: {
-          content: `Target unit not found: ${targetName}`,
-        },
-      };
-    }
+    // Format the result
+    const formattedResult = Formatter.formatDiceRoll(result);
     
-    defenseScore = target.stats.defense;
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `**Attack Roll**\n${unit.name}\n\n${formattedResult}`,
+      },
+    };
+  }
+  
+  // Find the target by name
+  const target = units.find(u => u.name.toLowerCase() === targetName.toLowerCase());
+  
+  if (!target) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Target unit not found: ${targetName}`,
+      },
+    };
   }
   
-  // Calculate the attack bonus
-  const attackBonus = unit.stats.attack + bonus;
+  // Only the attacker's owners or a GM can attack with it, since the attack is saved
+  if (!canActForUnit(await getPermissions(interaction, env), unit, await Storage.getAllDomains())) {
+    return permissionDenied(`Only an owner of ${unit.name} or a GM can attack with it`);
+  }
   
-  // Roll the attack
-  const result = Dice.rollAttack(attackBonus, defenseScore, advantage, disadvantage);
+  // If both units are in the channel's active battle, the attack must be legal
+  const channelData = await Storage.getChannelData(interaction.channel_id);
+  const battle = channelData.activeBattle ? await Storage.getBattle(channelData.activeBattle) : null;
+  const inBattle = Boolean(battle && battle.units[unit.id] && battle.units[target.id]);
   
-  // Format the result
-  const formattedResult = Formatter.formatDiceRoll(result);
+  const { allowed, reason, resolution } = await attackUnit(inBattle ? battle : null, unit, target, { bonus, advantage, disadvantage });
+  
+  if (!allowed) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Cannot attack: ${reason}`,
+      },
+    };
+  }
   
   return {
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: {
-      content: `**Attack Roll**\n${unit.name}${target ? ` vs ${target.name}` : ''}\n\n${formattedResult}`,
+      content: Formatter.formatAttackResolution(resolution, unit, resolution.target),
     },
   };
 }
 
+/**
+ * Resolve an attack on a unit and save the result
+ * In a battle, the attack must be legal and is written to the battle log
+ * @param {Object} battle - Battle both units are in, or null outside a battle
+ * @param {Object} unit - Unit making the attack
+ * @param {Object} target - Unit being attacked
+ * @param {Object} options - { bonus, advantage, disadvantage }
+ * @returns {Promise<Object>} - { allowed, reason, resolution }
+ */
+export async function attackUnit(battle, unit, target, { bonus = 0, advantage = false, disadvantage = false } = {}) {
+  if (battle) {
+    const { allowed, reason } = Engagement.canAttack(battle, unit, target);
+    
+    if (!allowed) {
+      return { allowed, reason, resolution: null };
+    }
+  }
+  
+  // The target's commander helps it hold its nerve
+  const commanderId = battle ? battle.units[target.id].commanderId : null;
+  const targetCommander = commanderId ? await Storage.getOfficer(commanderId) : null;
+  
+  // Resolve the attack and apply the casualties to the target
+  const resolution = Combat.resolveAttack(unit, target, { bonus, advantage, disadvantage, targetCommander });
+  await Storage.saveUnit(resolution.target);
+  
+  // Write the attack to the battle log; attacking on its turn counts as the unit's activation
+  if (battle) {
+    const updatedBattle = Battle.recordEvent(Battle.activateUnit(battle, unit.id), {
+      type: Battle.BATTLE_EVENTS.ATTACK,
+      attackerId: unit.id,
+      targetId: target.id,
+      hits: resolution.hits,
+      casualties: resolution.casualties,
+      moraleCheck: resolution.moraleCheck ? resolution.moraleCheck.success : null,
+      broken: resolution.broken,
+      previousUnits: { [target.id]: target },
+    });
+    
+    await Storage.saveBattle(updatedBattle);
+  }
+  
+  return { allowed: true, reason: null, resolution };
+}
+
 /**
  * Handle a damage roll
  * @param {Object} interaction - Discord interaction
@@ -222,8 +310,14 @@ async function handleMoraleRoll(interaction, unitName, difficulty, env) {
     };
   }
   
+  // A unit in the channel's active battle is helped by its commander
+  const channelData = await Storage.getChannelData(interaction.channel_id);
+  const battle = channelData.activeBattle ? await Storage.getBattle(channelData.activeBattle) : null;
+  const commanderId = battle && battle.units[unit.id] ? battle.units[unit.id].commanderId : null;
+  const commander = commanderId ? await Storage.getOfficer(commanderId) : null;
+  
   // Roll the morale check
-  const result = Dice.rollMoraleCheck(unit.stats.morale, difficulty);
+  const result = Traits.rollMoraleCheck(unit, difficulty, Traits.MORALE_CAUSES.OTHER, commander);
   
   // Format the result
   const formattedResult = Formatter.formatDiceRoll(result);
@@ -269,6 +363,11 @@ async function handleCasualtyRoll(interaction, unitName, env) {
     };
   }
   
+  // Only the unit's owners or a GM can roll its casualties
+  if (!canActForUnit(await getPermissions(interaction, env), unit, await Storage.getAllDomains())) {
+    return permissionDenied(`Only an owner of ${unit.name} or a GM can roll its casualties`);
+  }
+  
   // Roll a d6 for casualties
   const result = Dice.rollFromNotation('1d6');
   
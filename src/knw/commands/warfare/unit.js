@@ -8,8 +8,12 @@ import { v4 as uuidv4 } from 'uuid';
 
 import * as Unit from '../../models/unit.js';
 import * as Domain from '../../models/domain.js';
+import * as Traits from '../../models/traits.js';
+import * as Builder from '../../models/builder.js';
+import * as Progression from '../../models/progression.js';
 import * as Storage from '../../utils/storage.js';
 import * as Formatter from '../../utils/formatter.js';
+import { getPermissions, getUserId, canManageServer, canActForUnit, permissionDenied } from '../../utils/permissions.js';
 
 /**
  * Handle unit commands
@@ -35,6 +39,27 @@ export async function handleUnitCommand(interaction, subCommand, env) {
     case 'delete':
       return handleDeleteUnit(interaction, options, env);
     
+    case 'condition_add':
+      return handleAddCondition(interaction, options, env);
+    
+    case 'condition_remove':
+      return handleRemoveCondition(interaction, options, env);
+    
+    case 'trait_add':
+      return handleAddTrait(interaction, options, env);
+    
+    case 'trait_remove':
+      return handleRemoveTrait(interaction, options, env);
+    
+    case 'trait_list':
+      return handleListTraits(interaction, options, env);
+    
+    case 'migrate':
+      return handleMigrateUnits(interaction, options, env);
+    
+    case 'promote':
+      return handlePromoteUnit(interaction, options, env);
+    
     default:
       return {
         type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
@@ -57,6 +82,9 @@ async function handleCreateUnit(interaction, options, env) {
   const type = options.find(opt => opt.name === 'type')?.value || Unit.UNIT_TYPES.INFANTRY;
   const tier = options.find(opt => opt.name === 'tier')?.value || Unit.UNIT_TIERS.I;
   const domainName = options.find(opt => opt.name === 'domain')?.value;
+  const ancestry = options.find(opt => opt.name === 'ancestry')?.value;
+  const equipment = options.find(opt => opt.name === 'equipment')?.value;
+  const experienceRank = options.find(opt => opt.name === 'experience')?.value;
   
   // Check if the name is provided
   if (!name) {
@@ -68,16 +96,50 @@ async function handleCreateUnit(interaction, options, env) {
     };
   }
   
-  // Create the unit
-  const unit = Unit.createUnit({
-    name,
-    type,
-    tier,
-  });
+  let unit;
+  
+  if (ancestry || equipment || experienceRank) {
+    // Build the unit from its ancestry, equipment and experience
+    const { valid, reason } = Builder.validateBuild({ type, ancestry, equipment, experienceRank });
+    
+    if (!valid) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: reason,
+        },
+      };
+    }
+    
+    unit = Builder.buildUnit({
+      name,
+      type,
+      ancestry,
+      equipment,
+      experienceRank: experienceRank || Builder.getRankForTier(tier),
+    });
+  } else {
+    // Create the unit from its type and tier alone
+    unit = Builder.migrateUnit(Unit.createUnit({
+      name,
+      type,
+      tier,
+    }));
+  }
+  
+  // The creator owns the unit while it serves no domain
+  unit.ownerId = getUserId(interaction);
   
   // Save the unit
   await Storage.saveUnit(unit);
   
+  // Add the unit to the server's unit list
+  if (interaction.guild_id) {
+    const serverData = await Storage.getServerData(interaction.guild_id);
+    serverData.units = [...(serverData.units || []), unit.id];
+    await Storage.saveServerData(interaction.guild_id, serverData);
+  }
+  
   // If a domain is provided, add the unit to the domain
   if (domainName) {
     // Get all domains
@@ -149,13 +211,14 @@ async function handleViewUnit(interaction, options, env) {
     };
   }
   
-  // Format the unit for display
+  // Format the unit and its service history for display
   const formattedUnit = Formatter.formatUnit(unit);
+  const formattedHistory = Formatter.formatServiceHistory(unit);
   
   return {
     type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
     data: {
-      content: formattedUnit,
+      content: formattedHistory ? `${formattedUnit}\n${formattedHistory}` : formattedUnit,
     },
   };
 }
@@ -264,6 +327,13 @@ async function handleDeleteUnit(interaction, options, env) {
     unitId = unit.id;
   }
   
+  // Only the unit's owners or a GM can delete it
+  const unitToDelete = await Storage.getUnit(unitId);
+  
+  if (unitToDelete && !canActForUnit(await getPermissions(interaction, env), unitToDelete, await Storage.getAllDomains())) {
+    return permissionDenied(`Only an owner of ${unitToDelete.name} or a GM can delete it`);
+  }
+  
   // Delete the unit
   const deleted = await Storage.deleteUnit(unitId);
   
@@ -283,3 +353,507 @@ async function handleDeleteUnit(interaction, options, env) {
     },
   };
 }
+
+/**
+ * Find a unit by ID or name
+ * @param {String} id - ID of the unit
+ * @param {String} name - Name of the unit
+ * @returns {Promise<Object|null>} - Unit, or null if not found
+ */
+async function findUnit(id, name) {
+  if (id) {
+    return Storage.getUnit(id);
+  }
+  
+  // Get all units
+  const units = await Storage.getAllUnits();
+  
+  // Find the unit by name
+  return units.find(u => u.name.toLowerCase() === name.toLowerCase()) || null;
+}
+
+/**
+ * Handle adding a condition to a unit
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleAddCondition(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  const condition = options.find(opt => opt.name === 'condition')?.value;
+  const duration = options.find(opt => opt.name === 'duration')?.value;
+  const source = options.find(opt => opt.name === 'source')?.value || null;
+  
+  // Check if either an ID or a name is provided
+  if (!id && !name) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide either an ID or a name for the unit',
+      },
+    };
+  }
+  
+  // Check if a condition is provided
+  if (!condition) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide a condition',
+      },
+    };
+  }
+  
+  const unit = await findUnit(id, name);
+  
+  if (!unit) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Unit not found',
+      },
+    };
+  }
+  
+  // Only the unit's owners or a GM can change its conditions
+  if (!canActForUnit(await getPermissions(interaction, env), unit, await Storage.getAllDomains())) {
+    return permissionDenied(`Only an owner of ${unit.name} or a GM can change its conditions`);
+  }
+  
+  // Record when the condition was applied if the unit is in the channel's active battle
+  const channelData = await Storage.getChannelData(interaction.channel_id);
+  const battle = channelData.activeBattle ? await Storage.getBattle(channelData.activeBattle) : null;
+  const timing = battle && battle.units[unit.id] ? { round: battle.round, turn: battle.turnCount || 0 } : {};
+  
+  // Add the condition
+  const updatedUnit = Unit.addCondition(unit, condition, {
+    source,
+    ...(duration ? { duration } : {}),
+    ...timing,
+  });
+  
+  // Save the unit
+  await Storage.saveUnit(updatedUnit);
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `Condition added:\n\n${Formatter.formatUnit(updatedUnit)}`,
+    },
+  };
+}
+
+/**
+ * Handle removing a condition from a unit
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleRemoveCondition(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  const condition = options.find(opt => opt.name === 'condition')?.value;
+  
+  // Check if either an ID or a name is provided
+  if (!id && !name) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide either an ID or a name for the unit',
+      },
+    };
+  }
+  
+  // Check if a condition is provided
+  if (!condition) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide a condition',
+      },
+    };
+  }
+  
+  const unit = await findUnit(id, name);
+  
+  if (!unit) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Unit not found',
+      },
+    };
+  }
+  
+  // Only the unit's owners or a GM can change its conditions
+  if (!canActForUnit(await getPermissions(interaction, env), unit, await Storage.getAllDomains())) {
+    return permissionDenied(`Only an owner of ${unit.name} or a GM can change its conditions`);
+  }
+  
+  if (!Unit.hasCondition(unit, condition)) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `${unit.name} is not ${condition}`,
+      },
+    };
+  }
+  
+  // Remove the condition
+  const updatedUnit = Unit.removeCondition(unit, condition);
+  
+  // Save the unit
+  await Storage.saveUnit(updatedUnit);
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `Condition removed:\n\n${Formatter.formatUnit(updatedUnit)}`,
+    },
+  };
+}
+
+/**
+ * Handle adding a trait to a unit
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleAddTrait(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  const traitName = options.find(opt => opt.name === 'trait')?.value;
+  
+  // Check if either an ID or a name is provided
+  if (!id && !name) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide either an ID or a name for the unit',
+      },
+    };
+  }
+  
+  // Only traits from the catalog can be added
+  const trait = Traits.findTrait(traitName);
+  
+  if (!trait) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `Unknown trait: ${traitName || '(none)'}. Known traits: ${Object.values(Traits.TRAITS).map(t => t.name).join(', ')}`,
+      },
+    };
+  }
+  
+  const unit = await findUnit(id, name);
+  
+  if (!unit) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Unit not found',
+      },
+    };
+  }
+  
+  // Only the unit's owners or a GM can change its traits
+  if (!canActForUnit(await getPermissions(interaction, env), unit, await Storage.getAllDomains())) {
+    return permissionDenied(`Only an owner of ${unit.name} or a GM can change its traits`);
+  }
+  
+  // Add the trait
+  const updatedUnit = Unit.addTrait(unit, trait.id);
+  
+  // Save the unit
+  await Storage.saveUnit(updatedUnit);
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `Trait added: **${trait.name}** - ${trait.description}\n\n${Formatter.formatUnit(updatedUnit)}`,
+    },
+  };
+}
+
+/**
+ * Handle removing a trait from a unit
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleRemoveTrait(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  const traitName = options.find(opt => opt.name === 'trait')?.value;
+  
+  // Check if either an ID or a name is provided
+  if (!id && !name) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide either an ID or a name for the unit',
+      },
+    };
+  }
+  
+  // Check if a trait is provided
+  if (!traitName) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide a trait',
+      },
+    };
+  }
+  
+  const unit = await findUnit(id, name);
+  
+  if (!unit) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Unit not found',
+      },
+    };
+  }
+  
+  // Only the unit's owners or a GM can change its traits
+  if (!canActForUnit(await getPermissions(interaction, env), unit, await Storage.getAllDomains())) {
+    return permissionDenied(`Only an owner of ${unit.name} or a GM can change its traits`);
+  }
+  
+  // Match the unit's own trait, whether it is in the catalog or an old freeform label
+  const trait = Traits.findTrait(traitName);
+  const unitTrait = unit.traits.find(t => t.toLowerCase() === traitName.toLowerCase() || (trait && Traits.findTrait(t) === trait));
+  
+  if (!unitTrait) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `${unit.name} does not have the trait ${traitName}`,
+      },
+    };
+  }
+  
+  // Remove the trait
+  const updatedUnit = Unit.removeTrait(unit, unitTrait);
+  
+  // Save the unit
+  await Storage.saveUnit(updatedUnit);
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `Trait removed:\n\n${Formatter.formatUnit(updatedUnit)}`,
+    },
+  };
+}
+
+/**
+ * Handle listing a unit's traits, or the whole trait catalog when no unit is given
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleListTraits(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  
+  if (!id && !name) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `**Traits:**\n${Formatter.formatTraits(Object.values(Traits.TRAITS))}`,
+      },
+    };
+  }
+  
+  const unit = await findUnit(id, name);
+  
+  if (!unit) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Unit not found',
+      },
+    };
+  }
+  
+  if (unit.traits.length === 0) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `${unit.name} has no traits`,
+      },
+    };
+  }
+  
+  // Traits outside the catalog are listed without a description
+  const traits = unit.traits.map(t => Traits.findTrait(t) || { name: t, description: 'No mechanical effect' });
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `**${unit.name} Traits:**\n${Formatter.formatTraits(traits)}`,
+    },
+  };
+}
+
+/**
+ * Describe what a storage migration moved into a server's scope
+ * @param {Object} claimed - Map of type names to counts
+ * @returns {String} - Summary, or null if nothing was moved
+ */
+function formatClaimedData(claimed) {
+  const moved = Object.entries(claimed)
+    .filter(([, count]) => count > 0)
+    .map(([type, count]) => `${count} ${count === 1 ? type.slice(0, -1) : type}`);
+  
+  return moved.length > 0 ? `Moved into this server: ${moved.join(', ')}` : null;
+}
+
+/**
+ * Handle migrating units created before the unit builder, optionally only those of one domain
+ * Data saved before storage was scoped by server is moved into its server's
+ * scope first. Only members who can manage the server can run it.
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handleMigrateUnits(interaction, options, env) {
+  const domainName = options.find(opt => opt.name === 'domain')?.value;
+  let claimedSummary = null;
+  
+  if (!canManageServer(interaction)) {
+    return permissionDenied('Only members who can manage this server can migrate its data');
+  }
+  
+  if (interaction.guild_id) {
+    const { claimed } = await Storage.migrateLegacyData(interaction.guild_id);
+    
+    // Intrigue sessions are kept in the KV namespace
+    if (env?.[Storage.DEFAULT_NAMESPACE]) {
+      const { claimed: claimedInKV } = await Storage.migrateLegacyData(env, Storage.DEFAULT_NAMESPACE, interaction.guild_id);
+      Object.entries(claimedInKV).forEach(([type, count]) => {
+        claimed[type] += count;
+      });
+    }
+    
+    claimedSummary = formatClaimedData(claimed);
+  }
+  
+  let units = await Storage.getAllUnits();
+  
+  // Only migrate the units of one domain if a domain is provided
+  if (domainName) {
+    const domains = await Storage.getAllDomains();
+    const domain = domains.find(d => d.name.toLowerCase() === domainName.toLowerCase());
+    
+    if (!domain) {
+      return {
+        type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+        data: {
+          content: `Domain not found: ${domainName}`,
+        },
+      };
+    }
+    
+    units = units.filter(unit => domain.units.includes(unit.id));
+  }
+  
+  const outdated = units.filter(Builder.needsMigration);
+  
+  // Save every migrated unit
+  await Promise.all(outdated.map(unit => Storage.saveUnit(Builder.migrateUnit(unit))));
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: [
+        claimedSummary,
+        outdated.length === 0
+          ? 'All units are up to date'
+          : `Migrated ${outdated.length} unit${outdated.length === 1 ? '' : 's'}: ${outdated.map(unit => unit.name).join(', ')}`,
+      ].filter(Boolean).join('\n'),
+    },
+  };
+}
+
+/**
+ * Handle promoting a unit to its next experience rank
+ * @param {Object} interaction - Discord interaction
+ * @param {Array} options - Command options
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Response to send back to Discord
+ */
+async function handlePromoteUnit(interaction, options, env) {
+  const id = options.find(opt => opt.name === 'id')?.value;
+  const name = options.find(opt => opt.name === 'name')?.value;
+  
+  // Check if either an ID or a name is provided
+  if (!id && !name) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Please provide either an ID or a name for the unit',
+      },
+    };
+  }
+  
+  const unit = await findUnit(id, name);
+  
+  if (!unit) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: 'Unit not found',
+      },
+    };
+  }
+  
+  // Only the unit's owners or a GM can promote it
+  if (!canActForUnit(await getPermissions(interaction, env), unit, await Storage.getAllDomains())) {
+    return permissionDenied(`Only an owner of ${unit.name} or a GM can promote it`);
+  }
+  
+  const nextRank = Progression.getNextRank(unit);
+  
+  if (!nextRank) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `${unit.name} is already at the highest experience rank`,
+      },
+    };
+  }
+  
+  if (!Progression.canPromote(unit)) {
+    return {
+      type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+      data: {
+        content: `${unit.name} needs ${Progression.PROMOTION_EXPERIENCE[nextRank.id]} experience to become ${nextRank.name} (has ${unit.experience})`,
+      },
+    };
+  }
+  
+  // Promote the unit
+  const updatedUnit = Progression.promoteUnit(unit);
+  
+  // Save the unit
+  await Storage.saveUnit(updatedUnit);
+  
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content: `${unit.name} promoted to ${nextRank.name}:\n\n${Formatter.formatUnit(updatedUnit)}`,
+    },
+  };
+}
@@ -0,0 +1,189 @@
+/**
+ * Aftermath model for Kingdoms & Warfare
+ * Resolves what happens to the units of a battle once it ends: counting each
+ * unit's losses, replenishing casualties with domain resources, disbanding
+ * units that were wiped out and clearing conditions that only last a battle
+ *
+ * The aftermath is worked out in full before anything is saved, so that the
+ * units and domains it touches can be written together.
+ */
+
+import { BATTLE_EVENTS, BATTLE_PHASES, recordEvent } from './battle.js';
+import {
+  UNIT_CONDITIONS,
+  addCondition,
+  hasCondition,
+  rallyCasualties,
+  removeCondition,
+} from './unit.js';
+import { removeResources } from './domain.js';
+
+// Conditions that end with the battle; a disbanded unit stays disbanded
+export const BATTLE_ONLY_CONDITIONS = Object.values(UNIT_CONDITIONS).filter(
+  (condition) => condition !== UNIT_CONDITIONS.DISBANDED,
+);
+
+// Resource points it costs to replenish one casualty, per tier of the unit
+export const REPLENISH_COST_PER_TIER = 1;
+
+/**
+ * Get the resource points it costs to replenish a unit's casualties
+ * @param {Object} unit - Unit to replenish
+ * @param {Number} casualties - Number of casualties to replenish
+ * @returns {Number} - Cost in resource points
+ */
+export function getReplenishCost(unit, casualties) {
+  return casualties * unit.tier * REPLENISH_COST_PER_TIER;
+}
+
+/**
+ * List the losses of every unit in a battle
+ * @param {Object} battle - Battle that ended
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @returns {Array} - Losses as { unitId, domainId, name, casualties, disbanded, replenishCost } objects
+ */
+export function getLosses(battle, units) {
+  return Object.values(battle.units)
+    .filter((battleUnit) => units[battleUnit.id])
+    .map((battleUnit) => {
+      const unit = units[battleUnit.id];
+      const casualties = unit.casualtyDie.max - unit.casualtyDie.current;
+      const disbanded =
+        unit.casualtyDie.current === 0 ||
+        hasCondition(unit, UNIT_CONDITIONS.DISBANDED);
+
+      return {
+        unitId: unit.id,
+        domainId: battleUnit.domainId,
+        name: unit.name,
+        casualties,
+        disbanded,
+        replenishCost: disbanded ? null : getReplenishCost(unit, casualties),
+      };
+    });
+}
+
+/**
+ * Resolve the aftermath of a battle
+ * Units named for replenishment recover all of their casualties, paid for from
+ * their domain's resources. Nothing changes if the battle is not over, its
+ * aftermath was already resolved or a domain cannot pay for its units.
+ * @param {Object} battle - Battle that ended
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @param {Object} domains - Map of domain IDs to domain objects
+ * @param {Array} replenish - IDs of the units to replenish
+ * @param {Object} options - Aftermath options
+ * @param {Boolean} options.free - Whether replenishing costs nothing, as a house rule
+ * @param {String} options.actorId - ID of the Discord user resolving the aftermath, for the ledger
+ * @returns {Object} - { valid, reason, battle, units, domains, report }, where units and
+ * domains map IDs to only the records that changed
+ */
+export function resolveAftermath(
+  battle,
+  units,
+  domains,
+  replenish = [],
+  { free = false, actorId = null } = {},
+) {
+  const invalid = (reason) => ({
+    valid: false,
+    reason,
+    battle,
+    units: {},
+    domains: {},
+    report: null,
+  });
+
+  if (battle.phase !== BATTLE_PHASES.AFTERMATH) {
+    return invalid('The battle has not ended yet');
+  }
+
+  if (battle.aftermathResolved) {
+    return invalid('The aftermath of this battle has already been resolved');
+  }
+
+  const losses = getLosses(battle, units);
+  const updatedUnits = {};
+  const updatedDomains = {};
+  const report = {
+    losses,
+    replenished: [],
+    disbanded: [],
+    spent: {},
+    free,
+  };
+
+  // Work out what each domain has to pay
+  for (const loss of losses.filter((l) => replenish.includes(l.unitId))) {
+    if (loss.disbanded) {
+      return invalid(
+        `${loss.name} has been disbanded and cannot be replenished`,
+      );
+    }
+
+    if (loss.casualties > 0) {
+      if (!free) {
+        report.spent[loss.domainId] =
+          (report.spent[loss.domainId] || 0) + loss.replenishCost;
+      }
+      report.replenished.push(loss.unitId);
+    }
+  }
+
+  for (const [domainId, spent] of Object.entries(report.spent)) {
+    const domain = domains[domainId];
+
+    if (!domain || domain.resources < spent) {
+      return invalid(
+        `${domain ? domain.name : domainId} needs ${spent} resource points but has ${domain ? domain.resources : 0}`,
+      );
+    }
+
+    updatedDomains[domainId] = removeResources(domain, spent, {
+      reason: `Replenishing units after ${battle.name}`,
+      actorId,
+    });
+  }
+
+  // Replenish, disband and clear the conditions of every unit
+  losses.forEach((loss) => {
+    let unit = units[loss.unitId];
+
+    if (report.replenished.includes(loss.unitId)) {
+      unit = rallyCasualties(unit, loss.casualties);
+    }
+
+    BATTLE_ONLY_CONDITIONS.forEach((condition) => {
+      if (hasCondition(unit, condition)) {
+        unit = removeCondition(unit, condition);
+      }
+    });
+
+    if (loss.disbanded && !hasCondition(unit, UNIT_CONDITIONS.DISBANDED)) {
+      unit = addCondition(unit, UNIT_CONDITIONS.DISBANDED, {
+        source: battle.name,
+      });
+      report.disbanded.push(loss.unitId);
+    }
+
+    if (unit !== units[loss.unitId]) {
+      updatedUnits[loss.unitId] = unit;
+    }
+  });
+
+  const updatedBattle = recordEvent(battle, {
+    type: BATTLE_EVENTS.AFTERMATH_RESOLVED,
+    replenished: report.replenished,
+    disbanded: report.disbanded,
+    spent: report.spent,
+  });
+
+  return {
+    valid: true,
+    reason: null,
+    battle: updatedBattle,
+    units: updatedUnits,
+    domains: updatedDomains,
+    report,
+  };
+}
@@ -1,9 +1,16 @@
 /**
  * Battle model for Kingdoms & Warfare
  * Represents warfare battles between domains
+ *
+ * Every change to a battle is recorded as a typed event in the battle log and
+ * made by applying that event, so the battle can be rebuilt by applying its
+ * log in order. Anything random, such as an initiative roll, is rolled before
+ * the event is recorded and stored in the event.
  */
 
 import { v4 as uuidv4 } from 'uuid';
+import { rollInitiative as rollInitiativeDie } from '../utils/dice.js';
+import { EFFECT_DURATIONS, STACKING_RULES, addEffect, createEffect, expireEffects, removeEffect } from './effects.js';
 
 // Battle phases
 export const BATTLE_PHASES = {
@@ -22,6 +29,12 @@ export const BATTLE_RANKS = {
   NOT_DEPLOYED: 'not_deployed',
 };
 
+// Initiative modes
+export const INITIATIVE_MODES = {
+  UNIT: 'unit',
+  DOMAIN: 'domain',
+};
+
 // Grid positions
 export const GRID_POSITIONS = {
   LEFT: 'left',
@@ -29,6 +42,171 @@ export const GRID_POSITIONS = {
   RIGHT: 'right',
 };
 
+// Battle events
+export const BATTLE_EVENTS = {
+  BATTLE_CREATED: 'battle_created',
+  BATTLE_SNAPSHOT: 'battle_snapshot',
+  DOMAIN_ADDED: 'domain_added',
+  DOMAIN_REMOVED: 'domain_removed',
+  UNIT_ADDED: 'unit_added',
+  UNIT_REMOVED: 'unit_removed',
+  UNIT_DEPLOYED: 'unit_deployed',
+  UNIT_MOVED: 'unit_moved',
+  INITIATIVE_SET: 'initiative_set',
+  INITIATIVE_ROLLED: 'initiative_rolled',
+  INITIATIVE_SLOTTED: 'initiative_slotted',
+  UNIT_REMOVED_FROM_INITIATIVE: 'unit_removed_from_initiative',
+  BATTLE_START: 'battle_start',
+  BATTLE_END: 'battle_end',
+  UNIT_ACTIVATED: 'unit_activated',
+  UNIT_SKIPPED: 'unit_skipped',
+  TURN_ENDED: 'turn_ended',
+  ROUND_END: 'round_end',
+  ROUND_START: 'round_start',
+  TOKEN_ADDED: 'token_added',
+  TOKEN_REMOVED: 'token_removed',
+  COMMANDER_ASSIGNED: 'commander_assigned',
+  ATTACK: 'attack',
+  AFTERMATH_RESOLVED: 'aftermath_resolved',
+};
+
+// Events a battle's state can be rebuilt from without any earlier events
+export const BASE_EVENTS = [BATTLE_EVENTS.BATTLE_CREATED, BATTLE_EVENTS.BATTLE_SNAPSHOT];
+
+/**
+ * Create an empty formation for one side of the battlefield
+ * @returns {Object} - New formation
+ */
+export function createFormation() {
+  return {
+    [BATTLE_RANKS.VANGUARD]: {
+      [GRID_POSITIONS.LEFT]: null,
+      [GRID_POSITIONS.CENTER]: null,
+      [GRID_POSITIONS.RIGHT]: null,
+    },
+    [BATTLE_RANKS.CENTER]: {
+      [GRID_POSITIONS.LEFT]: null,
+      [GRID_POSITIONS.CENTER]: null,
+      [GRID_POSITIONS.RIGHT]: null,
+    },
+    [BATTLE_RANKS.REAR]: {
+      [GRID_POSITIONS.LEFT]: null,
+      [GRID_POSITIONS.CENTER]: null,
+      [GRID_POSITIONS.RIGHT]: null,
+    },
+    [BATTLE_RANKS.RESERVE]: [],
+    [BATTLE_RANKS.NOT_DEPLOYED]: [],
+  };
+}
+
+/**
+ * Copy a formation so it can be modified without touching the original
+ * @param {Object} formation - Formation to copy
+ * @returns {Object} - Copied formation
+ */
+function copyFormation(formation) {
+  return {
+    [BATTLE_RANKS.VANGUARD]: { ...formation[BATTLE_RANKS.VANGUARD] },
+    [BATTLE_RANKS.CENTER]: { ...formation[BATTLE_RANKS.CENTER] },
+    [BATTLE_RANKS.REAR]: { ...formation[BATTLE_RANKS.REAR] },
+    [BATTLE_RANKS.RESERVE]: [...formation[BATTLE_RANKS.RESERVE]],
+    [BATTLE_RANKS.NOT_DEPLOYED]: [...formation[BATTLE_RANKS.NOT_DEPLOYED]],
+  };
+}
+
+/**
+ * Check if a rank is one of the three ranks on the battlefield grid
+ * @param {String} rank - Rank to check
+ * @returns {Boolean} - Whether the rank has grid positions
+ */
+export function isGridRank(rank) {
+  return rank === BATTLE_RANKS.VANGUARD || rank === BATTLE_RANKS.CENTER || rank === BATTLE_RANKS.REAR;
+}
+
+/**
+ * Get the formation for one side of a battle
+ * @param {Object} battle - Battle to read
+ * @param {String} domainId - ID of the domain whose formation to get
+ * @returns {Object} - Formation for the domain
+ */
+export function getFormation(battle, domainId) {
+  return (battle.formations && battle.formations[domainId]) || createFormation();
+}
+
+/**
+ * Check if a battle still has the single grid battles had before each side
+ * got its own formation
+ * @param {Object} battle - Battle to check
+ * @returns {Boolean} - Whether the battle needs migrating
+ */
+export function needsMigration(battle) {
+  return Boolean(battle.grid);
+}
+
+/**
+ * Migrate a battle with a single grid to one formation per domain
+ * Each unit keeps its rank and column, in the formation of the domain it
+ * fights for. Units the battle has no record of are left out.
+ * @param {Object} battle - Battle to migrate
+ * @returns {Object} - Migrated battle, or the same battle if it is already up to date
+ */
+export function migrateBattle(battle) {
+  if (!needsMigration(battle)) {
+    return battle;
+  }
+  
+  const { grid, ...rest } = battle;
+  const formations = Object.fromEntries(battle.domains.map(domainId => [domainId, createFormation()]));
+  const formationFor = unitId => formations[battle.units[unitId]?.domainId];
+  
+  Object.values(BATTLE_RANKS).forEach(rank => {
+    if (isGridRank(rank)) {
+      Object.entries(grid[rank] || {}).forEach(([column, unitId]) => {
+        if (unitId && formationFor(unitId)) {
+          formationFor(unitId)[rank][column] = unitId;
+        }
+      });
+    } else {
+      (grid[rank] || []).filter(formationFor).forEach(unitId => formationFor(unitId)[rank].push(unitId));
+    }
+  });
+  
+  return {
+    ...rest,
+    formations: {
+      ...formations,
+      ...battle.formations,
+    },
+  };
+}
+
+/**
+ * Get the IDs of every unit deployed on the field or in reserve
+ * @param {Object} battle - Battle to read
+ * @param {String} domainId - Optional ID of a domain to limit the result to
+ * @returns {Array} - Array of deployed unit IDs
+ */
+export function getDeployedUnitIds(battle, domainId = null) {
+  const sides = domainId ? [domainId] : battle.domains;
+  const unitIds = [];
+  
+  sides.forEach(side => {
+    const formation = getFormation(battle, side);
+    
+    [BATTLE_RANKS.VANGUARD, BATTLE_RANKS.CENTER, BATTLE_RANKS.REAR].forEach(rank => {
+      Object.values(formation[rank]).forEach(unitId => {
+        if (unitId) {
+          unitIds.push(unitId);
+        }
+      });
+    });
+    
+    unitIds.push(...formation[BATTLE_RANKS.RESERVE]);
+  });
+  
+  return unitIds;
+}
+
 /**
  * Create a new battle
  * @param {Object} options - Battle options
@@ -38,80 +216,49 @@ export const GRID_POSITIONS = {
 export function createBattle({
   name,
 }) {
-  return {
-    id: uuidv4(),
-    name,
-    phase: BATTLE_PHASES.SETUP,
+  return recordEvent(null, {
+    type: BATTLE_EVENTS.BATTLE_CREATED,
     round: 0,
-    domains: [],
-    units: {},
-    grid: {
-      [BATTLE_RANKS.VANGUARD]: {
-        [GRID_POSITIONS.LEFT]: null,
-        [GRID_POSITIONS.CENTER]: null,
-        [GRID_POSITIONS.RIGHT]: null,
-      },
-      [BATTLE_RANKS.CENTER]: {
-        [GRID_POSITIONS.LEFT]: null,
-        [GRID_POSITIONS.CENTER]: null,
-        [GRID_POSITIONS.RIGHT]: null,
-      },
-      [BATTLE_RANKS.REAR]: {
-        [GRID_POSITIONS.LEFT]: null,
-        [GRID_POSITIONS.CENTER]: null,
-        [GRID_POSITIONS.RIGHT]: null,
-      },
-      [BATTLE_RANKS.RESERVE]: [],
-      [BATTLE_RANKS.NOT_DEPLOYED]: [],
-    },
-    initiative: [],
-    currentTurn: 0,
-    log: [],
-    created: new Date().toISOString(),
-    updated: new Date().toISOString(),
-  };
+    battleId: uuidv4(),
+    name,
+  });
 }
 
 /**
  * Add a domain to a battle
+ * Each domain fights as its own side with its own formation
  * @param {Object} battle - Battle to modify
  * @param {String} domainId - ID of the domain to add
  * @returns {Object} - Updated battle
  */
 export function addDomain(battle, domainId) {
-  if (!battle.domains.includes(domainId)) {
-    return {
-      ...battle,
-      domains: [...battle.domains, domainId],
-      updated: new Date().toISOString(),
-    };
+  if (battle.domains.includes(domainId)) {
+    return battle;
   }
   
-  return battle;
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.DOMAIN_ADDED,
+    domainId,
+  });
 }
 
 /**
- * Remove a domain from a battle
+ * Remove a domain from a battle, along with all of its units
  * @param {Object} battle - Battle to modify
  * @param {String} domainId - ID of the domain to remove
  * @returns {Object} - Updated battle
  */
 export function removeDomain(battle, domainId) {
-  // Remove the domain
-  let updatedBattle = {
-    ...battle,
-    domains: battle.domains.filter(id => id !== domainId),
-    updated: new Date().toISOString(),
-  };
+  const hasUnits = Object.values(battle.units).some(battleUnit => battleUnit.domainId === domainId);
   
-  // Remove all units belonging to the domain
-  const unitIds = Object.keys(battle.units).filter(unitId => battle.units[unitId].domainId === domainId);
+  if (!battle.domains.includes(domainId) && !hasUnits) {
+    return battle;
+  }
   
-  unitIds.forEach(unitId => {
-    updatedBattle = removeUnit(updatedBattle, unitId);
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.DOMAIN_REMOVED,
+    domainId,
   });
-  
-  return updatedBattle;
 }
 
 /**
@@ -127,36 +274,11 @@ export function addUnit(battle, unitId, domainId) {
     return battle;
   }
   
-  // Check if the domain is in the battle
-  if (!battle.domains.includes(domainId)) {
-    return addDomain(battle, domainId);
-  }
-  
-  // Add the unit
-  const updatedBattle = {
-    ...battle,
-    units: {
-      ...battle.units,
-      [unitId]: {
-        id: unitId,
-        domainId,
-        position: {
-          rank: BATTLE_RANKS.NOT_DEPLOYED,
-          column: null,
-        },
-        activated: false,
-        usedReaction: false,
-        tokens: [],
-      },
-    },
-    grid: {
-      ...battle.grid,
-      [BATTLE_RANKS.NOT_DEPLOYED]: [...battle.grid[BATTLE_RANKS.NOT_DEPLOYED], unitId],
-    },
-    updated: new Date().toISOString(),
-  };
-  
-  return updatedBattle;
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.UNIT_ADDED,
+    unitId,
+    domainId,
+  });
 }
 
 /**
@@ -171,34 +293,14 @@ export function removeUnit(battle, unitId) {
     return battle;
   }
   
-  // Get the unit's position
-  const { rank, column } = battle.units[unitId].position;
-  
-  // Create a copy of the battle
-  const updatedBattle = { ...battle };
-  
-  // Remove the unit from the grid
-  if (rank === BATTLE_RANKS.NOT_DEPLOYED || rank === BATTLE_RANKS.RESERVE) {
-    updatedBattle.grid[rank] = updatedBattle.grid[rank].filter(id => id !== unitId);
-  } else {
-    updatedBattle.grid[rank][column] = null;
-  }
-  
-  // Remove the unit from the initiative order
-  updatedBattle.initiative = updatedBattle.initiative.filter(id => id !== unitId);
-  
-  // Remove the unit from the units object
-  const { [unitId]: removedUnit, ...remainingUnits } = updatedBattle.units;
-  updatedBattle.units = remainingUnits;
-  
-  // Update the timestamp
-  updatedBattle.updated = new Date().toISOString();
-  
-  return updatedBattle;
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.UNIT_REMOVED,
+    unitId,
+  });
 }
 
 /**
- * Deploy a unit to a position on the battlefield
+ * Deploy a unit to a position in its side's formation
  * @param {Object} battle - Battle to modify
  * @param {String} unitId - ID of the unit to deploy
  * @param {String} rank - Rank to deploy to
@@ -211,60 +313,154 @@ export function deployUnit(battle, unitId, rank, column) {
     return battle;
   }
   
-  // Check if the position is valid
-  if (rank !== BATTLE_RANKS.RESERVE && rank !== BATTLE_RANKS.NOT_DEPLOYED && !GRID_POSITIONS[column]) {
+  // Check if the rank is valid
+  if (!Object.values(BATTLE_RANKS).includes(rank)) {
     return battle;
   }
   
-  // Check if the position is occupied
-  if (rank !== BATTLE_RANKS.RESERVE && rank !== BATTLE_RANKS.NOT_DEPLOYED && battle.grid[rank][column] !== null) {
+  // Check if the column is valid
+  if (isGridRank(rank) && !Object.values(GRID_POSITIONS).includes(column)) {
     return battle;
   }
   
-  // Get the unit's current position
-  const { rank: currentRank, column: currentColumn } = battle.units[unitId].position;
-  
-  // Create a copy of the battle
-  const updatedBattle = { ...battle };
+  const formation = getFormation(battle, battle.units[unitId].domainId);
   
-  // Remove the unit from its current position
-  if (currentRank === BATTLE_RANKS.NOT_DEPLOYED || currentRank === BATTLE_RANKS.RESERVE) {
-    updatedBattle.grid[currentRank] = updatedBattle.grid[currentRank].filter(id => id !== unitId);
-  } else {
-    updatedBattle.grid[currentRank][currentColumn] = null;
+  // Check if the position is occupied by another unit on the same side
+  if (isGridRank(rank) && formation[rank][column] !== null && formation[rank][column] !== unitId) {
+    return battle;
   }
   
-  // Update the unit's position
-  updatedBattle.units[unitId].position = {
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.UNIT_DEPLOYED,
+    unitId,
     rank,
-    column: rank === BATTLE_RANKS.RESERVE || rank === BATTLE_RANKS.NOT_DEPLOYED ? null : column,
-  };
+    column: isGridRank(rank) ? column : null,
+  });
+}
+
+/**
+ * Set the initiative order for a battle
+ * @param {Object} battle - Battle to modify
+ * @param {Array} initiative - Array of unit IDs in initiative order
+ * @returns {Object} - Updated battle
+ */
+export function setInitiative(battle, initiative) {
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.INITIATIVE_SET,
+    initiative,
+  });
+}
+
+/**
+ * Compare two units' initiative rolls
+ * Higher totals go first, ties are broken by command bonus and then by the
+ * natural roll
+ * @param {Object} rollA - Initiative roll of the first unit
+ * @param {Object} rollB - Initiative roll of the second unit
+ * @returns {Number} - Negative if the first unit goes first
+ */
+function compareInitiative(rollA, rollB) {
+  return (rollB.total - rollA.total) || (rollB.bonus - rollA.bonus) || (rollB.roll - rollA.roll);
+}
+
+/**
+ * Get a unit's command bonus
+ * @param {Object} unit - Unit to read
+ * @returns {Number} - Command bonus
+ */
+function getCommandBonus(unit) {
+  return (unit && unit.stats && unit.stats.command) || 0;
+}
+
+/**
+ * Roll initiative for every deployed unit in a battle
+ * In unit mode every unit rolls for itself. In domain mode each domain rolls
+ * once with the best command bonus among its deployed units and its units
+ * act together, in order of command bonus.
+ * @param {Object} battle - Battle to modify
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @param {String} mode - Initiative mode
+ * @returns {Object} - Updated battle
+ */
+export function rollInitiative(battle, units, mode = INITIATIVE_MODES.UNIT) {
+  const unitIds = getDeployedUnitIds(battle);
+  const initiativeRolls = {};
   
-  // Add the unit to its new position
-  if (rank === BATTLE_RANKS.NOT_DEPLOYED || rank === BATTLE_RANKS.RESERVE) {
-    updatedBattle.grid[rank].push(unitId);
+  if (mode === INITIATIVE_MODES.DOMAIN) {
+    battle.domains.forEach(domainId => {
+      const domainUnitIds = unitIds.filter(unitId => battle.units[unitId].domainId === domainId);
+      
+      if (domainUnitIds.length === 0) {
+        return;
+      }
+      
+      const bonus = Math.max(...domainUnitIds.map(unitId => getCommandBonus(units[unitId])));
+      const domainRoll = rollInitiativeDie(bonus);
+      
+      domainUnitIds.forEach(unitId => {
+        initiativeRolls[unitId] = { ...domainRoll, domainId };
+      });
+    });
   } else {
-    updatedBattle.grid[rank][column] = unitId;
+    unitIds.forEach(unitId => {
+      initiativeRolls[unitId] = rollInitiativeDie(getCommandBonus(units[unitId]));
+    });
   }
   
-  // Update the timestamp
-  updatedBattle.updated = new Date().toISOString();
+  // Units sharing a domain roll keep that domain's place and then go by command bonus
+  const initiative = [...unitIds].sort((a, b) => (
+    compareInitiative(initiativeRolls[a], initiativeRolls[b])
+      || (getCommandBonus(units[b]) - getCommandBonus(units[a]))
+  ));
   
-  return updatedBattle;
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.INITIATIVE_ROLLED,
+    mode,
+    initiative,
+    rolls: initiativeRolls,
+  });
 }
 
 /**
- * Set the initiative order for a battle
+ * Slot a unit into a battle's existing initiative order
+ * The unit rolls (or shares its domain's roll in domain mode) and is placed
+ * by its result. The unit whose turn it is keeps its turn.
  * @param {Object} battle - Battle to modify
- * @param {Array} initiative - Array of unit IDs in initiative order
+ * @param {Object} unit - Unit to slot in
  * @returns {Object} - Updated battle
  */
-export function setInitiative(battle, initiative) {
-  return {
-    ...battle,
-    initiative,
-    updated: new Date().toISOString(),
-  };
+export function slotIntoInitiative(battle, unit) {
+  // Nothing to slot into until initiative has been rolled or set
+  if (!battle.units[unit.id] || battle.initiative.length === 0 || battle.initiative.includes(unit.id)) {
+    return battle;
+  }
+  
+  const initiativeRolls = battle.initiativeRolls || {};
+  const { domainId } = battle.units[unit.id];
+  let unitRoll = rollInitiativeDie(getCommandBonus(unit));
+  
+  if (battle.initiativeMode === INITIATIVE_MODES.DOMAIN) {
+    const domainRoll = Object.values(initiativeRolls).find(r => r.domainId === domainId);
+    
+    if (domainRoll) {
+      unitRoll = domainRoll;
+    } else {
+      unitRoll = { ...unitRoll, domainId };
+    }
+  }
+  
+  // Units without a roll (set by hand) stay ahead of the newcomer
+  const index = battle.initiative.findIndex(unitId => (
+    initiativeRolls[unitId] && compareInitiative(unitRoll, initiativeRolls[unitId]) < 0
+  ));
+  
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.INITIATIVE_SLOTTED,
+    unitId: unit.id,
+    position: index === -1 ? battle.initiative.length : index,
+    roll: unitRoll,
+    total: unitRoll.total,
+  });
 }
 
 /**
@@ -278,22 +474,10 @@ export function startBattle(battle) {
     return battle;
   }
   
-  // Start the battle
-  const updatedBattle = {
-    ...battle,
-    phase: BATTLE_PHASES.BATTLE,
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.BATTLE_START,
     round: 1,
-    updated: new Date().toISOString(),
-  };
-  
-  // Log the battle start
-  updatedBattle.log.push({
-    type: 'battle_start',
-    round: 1,
-    timestamp: new Date().toISOString(),
   });
-  
-  return updatedBattle;
 }
 
 /**
@@ -308,21 +492,10 @@ export function endBattle(battle, winningDomainId) {
     return battle;
   }
   
-  // End the battle
-  const updatedBattle = {
-    ...battle,
-    phase: BATTLE_PHASES.AFTERMATH,
-    updated: new Date().toISOString(),
-  };
-  
-  // Log the battle end
-  updatedBattle.log.push({
-    type: 'battle_end',
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.BATTLE_END,
     winningDomainId,
-    timestamp: new Date().toISOString(),
   });
-  
-  return updatedBattle;
 }
 
 /**
@@ -347,148 +520,551 @@ export function activateUnit(battle, unitId) {
     return battle;
   }
   
-  // Activate the unit
-  const updatedBattle = {
-    ...battle,
-    units: {
-      ...battle.units,
-      [unitId]: {
-        ...battle.units[unitId],
-        activated: true,
-      },
-    },
-    updated: new Date().toISOString(),
-  };
+  // Each unit activates once per round
+  if (battle.units[unitId].activated) {
+    return battle;
+  }
   
-  // Log the activation
-  updatedBattle.log.push({
-    type: 'unit_activated',
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.UNIT_ACTIVATED,
     unitId,
-    timestamp: new Date().toISOString(),
   });
+}
+
+/**
+ * Add a token to a unit in a battle
+ * Tokens stack by default: adding a token the unit already has adds a stack
+ * and takes the new source and duration
+ * @param {Object} battle - Battle to modify
+ * @param {String} unitId - ID of the unit to add a token to
+ * @param {String} token - Token to add
+ * @param {Object} options - Token options
+ * @param {String} options.source - What applied the token
+ * @param {String} options.duration - How long the token lasts
+ * @param {String} options.stacking - Stacking rule for the token
+ * @returns {Object} - Updated battle
+ */
+export function addToken(battle, unitId, token, {
+  source = null,
+  duration = EFFECT_DURATIONS.END_OF_ROUND,
+  stacking = STACKING_RULES.STACK,
+} = {}) {
+  // Check if the unit is in the battle
+  if (!battle.units[unitId]) {
+    return battle;
+  }
   
-  return updatedBattle;
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.TOKEN_ADDED,
+    unitId,
+    token,
+    effect: createEffect(token, {
+      source,
+      duration,
+      round: battle.round,
+      turn: battle.turnCount || 0,
+    }),
+    stacking,
+  });
 }
 
 /**
- * End a unit's turn in a battle
+ * Remove a token from a unit in a battle
  * @param {Object} battle - Battle to modify
+ * @param {String} unitId - ID of the unit to remove a token from
+ * @param {String} token - Token to remove
  * @returns {Object} - Updated battle
  */
-export function endTurn(battle) {
-  // Check if the battle is in the battle phase
-  if (battle.phase !== BATTLE_PHASES.BATTLE) {
+export function removeToken(battle, unitId, token) {
+  // Check if the unit is in the battle
+  if (!battle.units[unitId]) {
     return battle;
   }
   
-  // Get the current unit
-  const currentUnitId = battle.initiative[battle.currentTurn];
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.TOKEN_REMOVED,
+    unitId,
+    token,
+  });
+}
+
+/**
+ * Attach a commander to a unit in a battle, or remove it with a null officer ID
+ * An officer leads one unit at a time; attaching them to another unit takes
+ * them away from the first
+ * @param {Object} battle - Battle to modify
+ * @param {String} unitId - ID of the unit to lead
+ * @param {String} officerId - ID of the officer, or null to remove the commander
+ * @returns {Object} - Updated battle
+ */
+export function assignCommander(battle, unitId, officerId) {
+  if (!battle.units[unitId]) {
+    return battle;
+  }
   
-  // Create a copy of the battle
-  const updatedBattle = { ...battle };
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.COMMANDER_ASSIGNED,
+    unitId,
+    officerId,
+  });
+}
+
+/**
+ * Record an event in a battle's log and apply it to the battle
+ * A battle from before events were recorded first gets a snapshot of its
+ * current state, so its log can be rebuilt from that point on
+ * @param {Object|null} battle - Battle to modify, or null for the event that creates a battle
+ * @param {Object} event - Event to record
+ * @returns {Object} - Updated battle
+ */
+export function recordEvent(battle, event) {
+  let base = battle;
   
-  // Reset the unit's activation
-  if (currentUnitId && updatedBattle.units[currentUnitId]) {
-    updatedBattle.units[currentUnitId].activated = false;
+  if (battle && !battle.log.some(entry => BASE_EVENTS.includes(entry.type))) {
+    const { log, ...state } = battle;
+    base = {
+      ...battle,
+      log: [...log, {
+        type: BATTLE_EVENTS.BATTLE_SNAPSHOT,
+        round: battle.round,
+        state,
+        timestamp: new Date().toISOString(),
+      }],
+    };
   }
   
-  // Increment the turn counter
-  updatedBattle.currentTurn = (updatedBattle.currentTurn + 1) % updatedBattle.initiative.length;
+  const recorded = {
+    round: base ? base.round : 0,
+    ...event,
+    timestamp: new Date().toISOString(),
+  };
   
-  // Check if we've completed a round
-  if (updatedBattle.currentTurn === 0) {
-    updatedBattle.round += 1;
+  return {
+    ...applyEvent(base, recorded),
+    log: [...(base ? base.log : []), recorded],
+  };
+}
+
+/**
+ * Apply an event to a battle
+ * This is the only place a battle's state changes. Events that carry no
+ * change to the battle itself (such as attacks, whose casualties are kept on
+ * the units) and the loosely structured entries of older battles leave it as
+ * it is.
+ * @param {Object|null} battle - Battle to apply the event to
+ * @param {Object} event - Event to apply
+ * @returns {Object} - Updated battle, without the event in its log
+ */
+export function applyEvent(battle, event) {
+  let updatedBattle;
+  
+  switch (event.type) {
+    case BATTLE_EVENTS.BATTLE_CREATED:
+      updatedBattle = {
+        id: event.battleId,
+        name: event.name,
+        phase: BATTLE_PHASES.SETUP,
+        round: 0,
+        domains: [],
+        units: {},
+        formations: {},
+        initiative: [],
+        initiativeMode: INITIATIVE_MODES.UNIT,
+        initiativeRolls: {},
+        currentTurn: 0,
+        turnCount: 0,
+        log: [],
+        created: event.timestamp,
+      };
+      break;
     
-    // Reset all units' reaction flags
-    Object.keys(updatedBattle.units).forEach(unitId => {
-      updatedBattle.units[unitId].usedReaction = false;
-    });
+    case BATTLE_EVENTS.BATTLE_SNAPSHOT:
+      updatedBattle = { ...event.state, log: [] };
+      break;
     
-    // Log the round end
-    updatedBattle.log.push({
-      type: 'round_end',
-      round: updatedBattle.round - 1,
-      timestamp: new Date().toISOString(),
-    });
+    case BATTLE_EVENTS.DOMAIN_ADDED:
+      updatedBattle = withDomain(battle, event.domainId);
+      break;
     
-    // Log the round start
-    updatedBattle.log.push({
-      type: 'round_start',
-      round: updatedBattle.round,
-      timestamp: new Date().toISOString(),
-    });
+    case BATTLE_EVENTS.DOMAIN_REMOVED:
+      updatedBattle = withoutDomain(battle, event.domainId);
+      break;
+    
+    case BATTLE_EVENTS.UNIT_ADDED:
+      updatedBattle = withUnit(battle, event.unitId, event.domainId);
+      break;
+    
+    case BATTLE_EVENTS.UNIT_REMOVED:
+      updatedBattle = withoutUnit(battle, event.unitId);
+      break;
+    
+    case BATTLE_EVENTS.UNIT_DEPLOYED:
+      updatedBattle = withUnitAt(battle, event.unitId, event.rank, event.column);
+      break;
+    
+    case BATTLE_EVENTS.UNIT_MOVED:
+      updatedBattle = withUnitAt(battle, event.unitId, event.to.rank, event.to.column);
+      break;
+    
+    case BATTLE_EVENTS.INITIATIVE_SET:
+      // A hand-set order replaces any rolled initiative
+      updatedBattle = {
+        ...battle,
+        initiative: event.initiative,
+        initiativeRolls: {},
+      };
+      break;
+    
+    case BATTLE_EVENTS.INITIATIVE_ROLLED:
+      updatedBattle = {
+        ...battle,
+        initiative: event.initiative,
+        initiativeMode: event.mode,
+        initiativeRolls: event.rolls,
+        currentTurn: 0,
+      };
+      break;
+    
+    case BATTLE_EVENTS.INITIATIVE_SLOTTED: {
+      const initiative = [...battle.initiative];
+      initiative.splice(event.position, 0, event.unitId);
+      
+      updatedBattle = {
+        ...battle,
+        initiative,
+        initiativeRolls: {
+          ...(battle.initiativeRolls || {}),
+          [event.unitId]: event.roll,
+        },
+        currentTurn: battle.phase === BATTLE_PHASES.BATTLE && event.position <= battle.currentTurn
+          ? battle.currentTurn + 1
+          : battle.currentTurn,
+      };
+      break;
+    }
+    
+    case BATTLE_EVENTS.UNIT_REMOVED_FROM_INITIATIVE: {
+      // The unit whose turn it is keeps its turn
+      const index = battle.initiative.indexOf(event.unitId);
+      
+      updatedBattle = index === -1 ? battle : {
+        ...battle,
+        initiative: battle.initiative.filter(id => id !== event.unitId),
+        currentTurn: index < battle.currentTurn ? battle.currentTurn - 1 : battle.currentTurn,
+      };
+      break;
+    }
+    
+    case BATTLE_EVENTS.BATTLE_START:
+      updatedBattle = {
+        ...battle,
+        phase: BATTLE_PHASES.BATTLE,
+        round: 1,
+      };
+      break;
+    
+    case BATTLE_EVENTS.BATTLE_END:
+      updatedBattle = {
+        ...battle,
+        phase: BATTLE_PHASES.AFTERMATH,
+      };
+      break;
+    
+    case BATTLE_EVENTS.UNIT_ACTIVATED:
+      updatedBattle = withUnitState(battle, event.unitId, { activated: true });
+      break;
+    
+    case BATTLE_EVENTS.UNIT_SKIPPED:
+      updatedBattle = withUnitState(battle, event.unitId, { skipped: true });
+      break;
+    
+    case BATTLE_EVENTS.TURN_ENDED:
+      // Tokens lasting until the end of the unit's next activation wear off
+      updatedBattle = {
+        ...(event.unitId ? withExpiredTokens(battle, [event.unitId], EFFECT_DURATIONS.END_OF_NEXT_ACTIVATION, event.turn) : battle),
+        turnCount: event.turn + 1,
+        currentTurn: event.nextTurn === null ? battle.currentTurn : event.nextTurn,
+      };
+      break;
+    
+    case BATTLE_EVENTS.ROUND_END: {
+      // Tokens lasting until the end of the round wear off and every unit can act again
+      const expiredBattle = withExpiredTokens(battle, Object.keys(battle.units), EFFECT_DURATIONS.END_OF_ROUND);
+      const units = {};
+      
+      Object.entries(expiredBattle.units).forEach(([unitId, battleUnit]) => {
+        units[unitId] = {
+          ...battleUnit,
+          activated: false,
+          skipped: false,
+          usedReaction: false,
+        };
+      });
+      
+      updatedBattle = {
+        ...expiredBattle,
+        units,
+      };
+      break;
+    }
+    
+    case BATTLE_EVENTS.ROUND_START:
+      updatedBattle = {
+        ...battle,
+        round: event.round,
+        currentTurn: 0,
+      };
+      break;
+    
+    case BATTLE_EVENTS.TOKEN_ADDED:
+      updatedBattle = withUnitState(battle, event.unitId, {
+        tokens: addEffect(battle.units[event.unitId].tokens, event.effect, event.stacking),
+      });
+      break;
+    
+    case BATTLE_EVENTS.TOKEN_REMOVED:
+      updatedBattle = withUnitState(battle, event.unitId, {
+        tokens: removeEffect(battle.units[event.unitId].tokens, event.token),
+      });
+      break;
+    
+    case BATTLE_EVENTS.COMMANDER_ASSIGNED: {
+      const units = {};
+      
+      Object.entries(battle.units).forEach(([id, battleUnit]) => {
+        if (id === event.unitId) {
+          units[id] = { ...battleUnit, commanderId: event.officerId };
+        } else if (event.officerId && battleUnit.commanderId === event.officerId) {
+          units[id] = { ...battleUnit, commanderId: null };
+        } else {
+          units[id] = battleUnit;
+        }
+      });
+      
+      updatedBattle = {
+        ...battle,
+        units,
+      };
+      break;
+    }
+    
+    case BATTLE_EVENTS.AFTERMATH_RESOLVED:
+      updatedBattle = {
+        ...battle,
+        aftermathResolved: true,
+      };
+      break;
+    
+    default:
+      updatedBattle = battle;
+      break;
   }
   
-  // Update the timestamp
-  updatedBattle.updated = new Date().toISOString();
-  
-  return updatedBattle;
+  return {
+    ...updatedBattle,
+    updated: event.timestamp,
+  };
 }
 
 /**
- * Add a token to a unit in a battle
+ * Add a domain and its formation to a battle's state
  * @param {Object} battle - Battle to modify
- * @param {String} unitId - ID of the unit to add a token to
- * @param {String} token - Token to add
+ * @param {String} domainId - ID of the domain to add
  * @returns {Object} - Updated battle
  */
-export function addToken(battle, unitId, token) {
-  // Check if the unit is in the battle
-  if (!battle.units[unitId]) {
+function withDomain(battle, domainId) {
+  if (battle.domains.includes(domainId)) {
     return battle;
   }
   
-  // Add the token
   return {
     ...battle,
+    domains: [...battle.domains, domainId],
+    formations: {
+      ...battle.formations,
+      [domainId]: createFormation(),
+    },
+  };
+}
+
+/**
+ * Remove a domain, its formation and its units from a battle's state
+ * @param {Object} battle - Battle to modify
+ * @param {String} domainId - ID of the domain to remove
+ * @returns {Object} - Updated battle
+ */
+function withoutDomain(battle, domainId) {
+  let updatedBattle = battle;
+  
+  Object.keys(battle.units)
+    .filter(unitId => battle.units[unitId].domainId === domainId)
+    .forEach(unitId => {
+      updatedBattle = withoutUnit(updatedBattle, unitId);
+    });
+  
+  const remainingFormations = { ...updatedBattle.formations };
+  delete remainingFormations[domainId];
+  
+  return {
+    ...updatedBattle,
+    domains: updatedBattle.domains.filter(id => id !== domainId),
+    formations: remainingFormations,
+  };
+}
+
+/**
+ * Add a unit to a battle's state, off the field, along with its domain
+ * @param {Object} battle - Battle to modify
+ * @param {String} unitId - ID of the unit to add
+ * @param {String} domainId - ID of the domain the unit belongs to
+ * @returns {Object} - Updated battle
+ */
+function withUnit(battle, unitId, domainId) {
+  const battleWithDomain = withDomain(battle, domainId);
+  const formation = copyFormation(getFormation(battleWithDomain, domainId));
+  formation[BATTLE_RANKS.NOT_DEPLOYED].push(unitId);
+  
+  return {
+    ...battleWithDomain,
     units: {
-      ...battle.units,
+      ...battleWithDomain.units,
       [unitId]: {
-        ...battle.units[unitId],
-        tokens: [...battle.units[unitId].tokens, token],
+        id: unitId,
+        domainId,
+        position: {
+          side: domainId,
+          rank: BATTLE_RANKS.NOT_DEPLOYED,
+          column: null,
+        },
+        activated: false,
+        skipped: false,
+        usedReaction: false,
+        commanderId: null,
+        tokens: [],
       },
     },
-    updated: new Date().toISOString(),
+    formations: {
+      ...battleWithDomain.formations,
+      [domainId]: formation,
+    },
   };
 }
 
 /**
- * Remove a token from a unit in a battle
+ * Remove a unit from a battle's state, its formation and the initiative order
  * @param {Object} battle - Battle to modify
- * @param {String} unitId - ID of the unit to remove a token from
- * @param {String} token - Token to remove
+ * @param {String} unitId - ID of the unit to remove
  * @returns {Object} - Updated battle
  */
-export function removeToken(battle, unitId, token) {
-  // Check if the unit is in the battle
+function withoutUnit(battle, unitId) {
   if (!battle.units[unitId]) {
     return battle;
   }
   
-  // Remove the token
+  // Get the unit's side and position
+  const { domainId, position } = battle.units[unitId];
+  const formation = copyFormation(getFormation(battle, domainId));
+  
+  // Remove the unit from its side's formation
+  if (isGridRank(position.rank)) {
+    if (formation[position.rank][position.column] === unitId) {
+      formation[position.rank][position.column] = null;
+    }
+  } else {
+    formation[position.rank] = formation[position.rank].filter(id => id !== unitId);
+  }
+  
+  // Remove the unit from the units object
+  const remainingUnits = Object.fromEntries(Object.entries(battle.units).filter(([id]) => id !== unitId));
+  
+  return {
+    ...battle,
+    units: remainingUnits,
+    formations: {
+      ...battle.formations,
+      [domainId]: formation,
+    },
+    initiative: battle.initiative.filter(id => id !== unitId),
+  };
+}
+
+/**
+ * Move a unit to a position in its side's formation in a battle's state
+ * @param {Object} battle - Battle to modify
+ * @param {String} unitId - ID of the unit to move
+ * @param {String} rank - Rank to move to
+ * @param {String} column - Column to move to, for grid ranks
+ * @returns {Object} - Updated battle
+ */
+function withUnitAt(battle, unitId, rank, column) {
+  const { domainId, position } = battle.units[unitId];
+  const formation = copyFormation(getFormation(battle, domainId));
+  
+  // Remove the unit from its current position
+  if (isGridRank(position.rank)) {
+    formation[position.rank][position.column] = null;
+  } else {
+    formation[position.rank] = formation[position.rank].filter(id => id !== unitId);
+  }
+  
+  // Add the unit to its new position
+  if (isGridRank(rank)) {
+    formation[rank][column] = unitId;
+  } else {
+    formation[rank].push(unitId);
+  }
+  
+  return {
+    ...withUnitState(battle, unitId, {
+      position: {
+        side: domainId,
+        rank,
+        column: isGridRank(rank) ? column : null,
+      },
+    }),
+    formations: {
+      ...battle.formations,
+      [domainId]: formation,
+    },
+  };
+}
+
+/**
+ * Change fields of one unit's battle state
+ * @param {Object} battle - Battle to modify
+ * @param {String} unitId - ID of the unit
+ * @param {Object} changes - Fields to change
+ * @returns {Object} - Updated battle
+ */
+function withUnitState(battle, unitId, changes) {
   return {
     ...battle,
     units: {
       ...battle.units,
       [unitId]: {
         ...battle.units[unitId],
-        tokens: battle.units[unitId].tokens.filter(t => t !== token),
+        ...changes,
       },
     },
-    updated: new Date().toISOString(),
   };
 }
 
 /**
- * Log an event in a battle
+ * Expire the tokens of some units in a battle's state
  * @param {Object} battle - Battle to modify
- * @param {Object} event - Event to log
+ * @param {Array} unitIds - IDs of the units whose tokens expire
+ * @param {String} duration - Duration that is ending
+ * @param {Number} turn - Battle turn count of the turn that is ending
  * @returns {Object} - Updated battle
  */
-export function logEvent(battle, event) {
-  return {
-    ...battle,
-    log: [...battle.log, { ...event, timestamp: new Date().toISOString() }],
-    updated: new Date().toISOString(),
-  };
+function withExpiredTokens(battle, unitIds, duration, turn = null) {
+  let updatedBattle = battle;
+  
+  unitIds.filter(unitId => battle.units[unitId]).forEach(unitId => {
+    updatedBattle = withUnitState(updatedBattle, unitId, {
+      tokens: expireEffects(battle.units[unitId].tokens, duration, turn).remaining,
+    });
+  });
+  
+  return updatedBattle;
 }
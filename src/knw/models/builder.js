@@ -0,0 +1,395 @@
+/**
+ * Unit builder for Kingdoms & Warfare
+ * Composes a unit's stat block from its ancestry, equipment and experience,
+ * and works out what the unit costs to raise and to keep
+ *
+ * Every stat starts from a flat base (defense and toughness 10, everything
+ * else 0) and each axis adds its modifiers on top. The experience rank also
+ * sets the unit's tier, which drives its attacks, damage and casualty die.
+ */
+
+import { UNIT_TYPES, UNIT_TIERS, addTrait, createUnit } from './unit.js';
+
+// Ancestries with their stat modifiers, traits and cost in gold
+export const ANCESTRIES = {
+  human: {
+    id: 'human',
+    name: 'Human',
+    stats: {
+      attack: 2,
+      power: 0,
+      defense: 0,
+      toughness: 0,
+      morale: 1,
+      command: 0,
+    },
+    traits: [],
+    cost: 10,
+  },
+  dwarf: {
+    id: 'dwarf',
+    name: 'Dwarf',
+    stats: {
+      attack: 3,
+      power: 1,
+      defense: 1,
+      toughness: 1,
+      morale: 2,
+      command: 2,
+    },
+    traits: ['stalwart'],
+    cost: 20,
+  },
+  elf: {
+    id: 'elf',
+    name: 'Elf',
+    stats: {
+      attack: 2,
+      power: 0,
+      defense: 0,
+      toughness: 0,
+      morale: 1,
+      command: 2,
+    },
+    traits: ['eternal'],
+    cost: 15,
+  },
+  goblin: {
+    id: 'goblin',
+    name: 'Goblin',
+    stats: {
+      attack: -1,
+      power: -1,
+      defense: 1,
+      toughness: -1,
+      morale: 0,
+      command: 0,
+    },
+    traits: [],
+    cost: 5,
+  },
+  orc: {
+    id: 'orc',
+    name: 'Orc',
+    stats: {
+      attack: 2,
+      power: 1,
+      defense: 0,
+      toughness: 1,
+      morale: 2,
+      command: 0,
+    },
+    traits: ['brutal'],
+    cost: 15,
+  },
+  ogre: {
+    id: 'ogre',
+    name: 'Ogre',
+    stats: {
+      attack: 0,
+      power: 2,
+      defense: 0,
+      toughness: 2,
+      morale: 1,
+      command: -1,
+    },
+    traits: ['brutal'],
+    cost: 20,
+  },
+  troll: {
+    id: 'troll',
+    name: 'Troll',
+    stats: {
+      attack: 0,
+      power: 2,
+      defense: 0,
+      toughness: 2,
+      morale: 0,
+      command: 0,
+    },
+    traits: ['regenerate'],
+    cost: 25,
+  },
+  undead: {
+    id: 'undead',
+    name: 'Undead',
+    stats: {
+      attack: -1,
+      power: 0,
+      defense: 2,
+      toughness: 2,
+      morale: 0,
+      command: 0,
+    },
+    traits: ['horrify'],
+    cost: 15,
+  },
+};
+
+// Equipment weights with their stat modifiers and cost in gold
+export const EQUIPMENT = {
+  light: {
+    id: 'light',
+    name: 'Light',
+    stats: { power: 1, defense: 1 },
+    cost: 5,
+  },
+  medium: {
+    id: 'medium',
+    name: 'Medium',
+    stats: { power: 2, defense: 2 },
+    cost: 10,
+  },
+  heavy: {
+    id: 'heavy',
+    name: 'Heavy',
+    stats: { power: 4, defense: 4 },
+    cost: 20,
+  },
+  super_heavy: {
+    id: 'super_heavy',
+    name: 'Super-heavy',
+    stats: { power: 6, defense: 6 },
+    cost: 30,
+  },
+};
+
+// Experience ranks, in order, with their tier, stat modifiers and cost in gold
+export const EXPERIENCE_RANKS = {
+  green: {
+    id: 'green',
+    name: 'Green',
+    tier: UNIT_TIERS.I,
+    stats: { attack: 0, toughness: 0, morale: 0 },
+    cost: 0,
+  },
+  regular: {
+    id: 'regular',
+    name: 'Regular',
+    tier: UNIT_TIERS.II,
+    stats: { attack: 1, toughness: 1, morale: 1 },
+    cost: 10,
+  },
+  seasoned: {
+    id: 'seasoned',
+    name: 'Seasoned',
+    tier: UNIT_TIERS.III,
+    stats: { attack: 2, toughness: 2, morale: 2 },
+    cost: 20,
+  },
+  veteran: {
+    id: 'veteran',
+    name: 'Veteran',
+    tier: UNIT_TIERS.IV,
+    stats: { attack: 3, toughness: 3, morale: 3 },
+    cost: 30,
+  },
+  elite: {
+    id: 'elite',
+    name: 'Elite',
+    tier: UNIT_TIERS.V,
+    stats: { attack: 4, toughness: 4, morale: 4 },
+    cost: 40,
+  },
+  super_elite: {
+    id: 'super_elite',
+    name: 'Super-elite',
+    tier: UNIT_TIERS.V,
+    stats: { attack: 5, toughness: 5, morale: 5 },
+    cost: 50,
+  },
+};
+
+// Cost multipliers for each unit type
+export const UNIT_TYPE_COST_MULTIPLIERS = {
+  [UNIT_TYPES.INFANTRY]: 1,
+  [UNIT_TYPES.CAVALRY]: 1.5,
+  [UNIT_TYPES.ARTILLERY]: 1.75,
+  [UNIT_TYPES.AERIAL]: 2,
+};
+
+// Morale units were given before the builder, when it was read as a score
+const LEGACY_DEFAULT_MORALE = 10;
+
+// Flat cost in gold of raising any unit
+export const BASE_UNIT_COST = 30;
+
+// Share of a unit's cost its domain pays again every season as upkeep
+export const UPKEEP_RATE = 0.1;
+
+/**
+ * Get the experience rank that matches a tier
+ * Used for units created before ranks existed
+ * @param {Number} tier - Unit tier
+ * @returns {String} - ID of the lowest rank with that tier
+ */
+export function getRankForTier(tier) {
+  return (
+    Object.values(EXPERIENCE_RANKS).find((rank) => rank.tier === tier)?.id ||
+    EXPERIENCE_RANKS.green.id
+  );
+}
+
+/**
+ * Validate a unit build
+ * @param {Object} build - Unit build
+ * @param {String} build.type - Unit type
+ * @param {String} build.ancestry - Ancestry ID
+ * @param {String} build.equipment - Equipment ID
+ * @param {String} build.experienceRank - Experience rank ID
+ * @returns {Object} - { valid, reason }
+ */
+export function validateBuild({ type, ancestry, equipment, experienceRank }) {
+  if (type && !Object.values(UNIT_TYPES).includes(type)) {
+    return { valid: false, reason: `Unknown unit type: ${type}` };
+  }
+
+  if (ancestry && !ANCESTRIES[ancestry]) {
+    return { valid: false, reason: `Unknown ancestry: ${ancestry}` };
+  }
+
+  if (equipment && !EQUIPMENT[equipment]) {
+    return { valid: false, reason: `Unknown equipment: ${equipment}` };
+  }
+
+  if (experienceRank && !EXPERIENCE_RANKS[experienceRank]) {
+    return {
+      valid: false,
+      reason: `Unknown experience rank: ${experienceRank}`,
+    };
+  }
+
+  return { valid: true, reason: null };
+}
+
+/**
+ * Compose a stat block from ancestry, equipment and experience
+ * @param {Object} build - Unit build
+ * @param {String} build.ancestry - Ancestry ID
+ * @param {String} build.equipment - Equipment ID
+ * @param {String} build.experienceRank - Experience rank ID
+ * @returns {Object} - { attack, power, defense, toughness, morale, command }
+ */
+export function calculateStats({ ancestry, equipment, experienceRank }) {
+  const stats = {
+    attack: 0,
+    power: 0,
+    defense: 10,
+    toughness: 10,
+    morale: 0,
+    command: 0,
+  };
+
+  [
+    ANCESTRIES[ancestry],
+    EQUIPMENT[equipment],
+    EXPERIENCE_RANKS[experienceRank],
+  ].forEach((axis) => {
+    Object.entries(axis?.stats || {}).forEach(([stat, modifier]) => {
+      stats[stat] += modifier;
+    });
+  });
+
+  return stats;
+}
+
+/**
+ * Calculate what a unit costs to raise and to keep
+ * Axes a unit does not have (such as the ancestry of a unit created before
+ * the builder) add nothing to the cost
+ * @param {Object} unit - Unit or unit build
+ * @returns {Object} - { cost, upkeep } in gold
+ */
+export function calculateCost({ type, ancestry, equipment, experienceRank }) {
+  const axisCost =
+    (ANCESTRIES[ancestry]?.cost || 0) +
+    (EQUIPMENT[equipment]?.cost || 0) +
+    (EXPERIENCE_RANKS[experienceRank]?.cost || 0);
+  const cost = Math.round(
+    BASE_UNIT_COST + axisCost * (UNIT_TYPE_COST_MULTIPLIERS[type] || 1),
+  );
+
+  return {
+    cost,
+    upkeep: Math.ceil(cost * UPKEEP_RATE),
+  };
+}
+
+/**
+ * Build a new unit from its ancestry, equipment and experience
+ * @param {Object} build - Unit build
+ * @param {String} build.name - Unit name
+ * @param {String} build.type - Unit type
+ * @param {String} build.ancestry - Ancestry ID
+ * @param {String} build.equipment - Equipment ID
+ * @param {String} build.experienceRank - Experience rank ID
+ * @returns {Object} - New unit
+ */
+export function buildUnit({
+  name,
+  type = UNIT_TYPES.INFANTRY,
+  ancestry = ANCESTRIES.human.id,
+  equipment = EQUIPMENT.light.id,
+  experienceRank = EXPERIENCE_RANKS.green.id,
+}) {
+  const unit = createUnit({
+    name,
+    type,
+    tier: EXPERIENCE_RANKS[experienceRank].tier,
+    ...calculateStats({ ancestry, equipment, experienceRank }),
+  });
+
+  // Ancestry traits come with the unit
+  const unitWithTraits = ANCESTRIES[ancestry].traits.reduce(
+    (builtUnit, trait) => addTrait(builtUnit, trait),
+    unit,
+  );
+
+  return {
+    ...unitWithTraits,
+    ancestry,
+    equipment,
+    experienceRank,
+    ...calculateCost({ type, ancestry, equipment, experienceRank }),
+  };
+}
+
+/**
+ * Check if a unit has the builder's fields
+ * @param {Object} unit - Unit to check
+ * @returns {Boolean} - Whether the unit needs migrating
+ */
+export function needsMigration(unit) {
+  return !('experienceRank' in unit) || !('cost' in unit);
+}
+
+/**
+ * Migrate a unit created before the builder to the builder's shape
+ * Its stats are kept as they are, except the old default morale of 10, which
+ * becomes the builder's bonus of 0. Its experience rank is taken from its
+ * tier; its ancestry and equipment stay unknown until a GM sets them.
+ * @param {Object} unit - Unit to migrate
+ * @returns {Object} - Migrated unit, or the same unit if it is already up to date
+ */
+export function migrateUnit(unit) {
+  if (!needsMigration(unit)) {
+    return unit;
+  }
+
+  const rescaleMorale =
+    !('experienceRank' in unit) && unit.stats.morale === LEGACY_DEFAULT_MORALE;
+
+  const migrated = {
+    ...unit,
+    stats: rescaleMorale ? { ...unit.stats, morale: 0 } : unit.stats,
+    ancestry: unit.ancestry || null,
+    equipment: unit.equipment || null,
+    experienceRank: unit.experienceRank || getRankForTier(unit.tier),
+  };
+
+  return {
+    ...migrated,
+    ...calculateCost(migrated),
+    updated: new Date().toISOString(),
+  };
+}
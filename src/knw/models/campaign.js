@@ -0,0 +1,61 @@
+/**
+ * Campaign model for Kingdoms & Warfare
+ * Represents one of the campaigns run on a Discord server
+ *
+ * Each channel plays in at most one campaign at a time. The domains, units,
+ * battles, intrigue sessions and officers of a campaign are only seen by
+ * channels playing in it; channels playing in none share the server's own.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+// Campaign statuses
+export const CAMPAIGN_STATUSES = {
+  ACTIVE: 'active',
+  ARCHIVED: 'archived',
+};
+
+/**
+ * Create a new campaign
+ * @param {Object} options - Campaign options
+ * @param {String} options.name - Campaign name
+ * @param {String} options.description - Optional description of the campaign
+ * @param {String} options.createdBy - ID of the Discord user who created the campaign
+ * @returns {Object} - New campaign
+ */
+export function createCampaign({ name, description = '', createdBy = null }) {
+  return {
+    id: uuidv4(),
+    name,
+    description,
+    status: CAMPAIGN_STATUSES.ACTIVE,
+    createdBy,
+    archived: null,
+    created: new Date().toISOString(),
+    updated: new Date().toISOString(),
+  };
+}
+
+/**
+ * Check whether a campaign has been archived
+ * @param {Object} campaign - Campaign to check
+ * @returns {Boolean} - Whether the campaign is archived
+ */
+export function isArchived(campaign) {
+  return campaign.status === CAMPAIGN_STATUSES.ARCHIVED;
+}
+
+/**
+ * Archive a campaign
+ * Its data is kept, but no channel can switch to it
+ * @param {Object} campaign - Campaign to archive
+ * @returns {Object} - Updated campaign
+ */
+export function archiveCampaign(campaign) {
+  return {
+    ...campaign,
+    status: CAMPAIGN_STATUSES.ARCHIVED,
+    archived: new Date().toISOString(),
+    updated: new Date().toISOString(),
+  };
+}
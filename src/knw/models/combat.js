@@ -0,0 +1,156 @@
+/**
+ * Combat model for Kingdoms & Warfare
+ * Resolves attacks between units: attack vs. defense, power vs. toughness,
+ * casualties and the morale check that follows, with both units' traits
+ * applied along the way
+ */
+
+import * as Dice from '../utils/dice.js';
+import * as Traits from './traits.js';
+import {
+  UNIT_CONDITIONS,
+  addCondition,
+  hasCondition,
+  takeCasualties,
+} from './unit.js';
+
+// DC of the morale check a unit makes when reduced to half strength
+export const DIMINISHED_MORALE_DC = 15;
+
+/**
+ * Check if a unit is diminished (at or below half of its casualty die)
+ * @param {Object} unit - Unit to check
+ * @returns {Boolean} - Whether the unit is diminished
+ */
+export function isDiminished(unit) {
+  return unit.casualtyDie.current <= unit.casualtyDie.max / 2;
+}
+
+/**
+ * Resolve an attack from one unit against another
+ * The attacker makes one attack roll per attack; each hit is followed by a
+ * power roll, and each successful power roll inflicts the attacker's damage
+ * in casualties on the target
+ * @param {Object} attacker - Unit making the attack
+ * @param {Object} target - Unit being attacked
+ * @param {Object} options - Attack options
+ * @param {Number} options.bonus - Additional bonus to the attack rolls
+ * @param {Boolean} options.advantage - Whether to roll attacks with advantage
+ * @param {Boolean} options.disadvantage - Whether to roll attacks with disadvantage
+ * @param {Object} options.targetCommander - Officer leading the target, whose command bonus applies to its morale checks
+ * @returns {Object} - Attack resolution
+ */
+export function resolveAttack(
+  attacker,
+  target,
+  {
+    bonus = 0,
+    advantage = false,
+    disadvantage = false,
+    targetCommander = null,
+  } = {},
+) {
+  const attacks = [];
+  let casualties = 0;
+
+  // Conditions and traits on either unit can change the attack and power rolls
+  const conditions = { self: attacker.conditions, target: target.conditions };
+  const attackTraits = Traits.getRollModifiers('attackRoll', attacker, target);
+  const powerTraits = Traits.getRollModifiers('powerRoll', attacker, target);
+
+  for (let i = 0; i < attacker.stats.attacks; i++) {
+    // Attack vs. defense
+    const attackRoll = Dice.rollAttack(
+      attacker.stats.attack + bonus + attackTraits.bonus,
+      target.stats.defense,
+      advantage || attackTraits.advantage,
+      disadvantage || attackTraits.disadvantage,
+      conditions,
+    );
+    let powerRoll = null;
+    let inflicted = 0;
+
+    // Power vs. toughness
+    if (attackRoll.success) {
+      powerRoll = Dice.rollPower(
+        attacker.stats.power + powerTraits.bonus,
+        target.stats.toughness,
+        powerTraits.advantage,
+        powerTraits.disadvantage,
+        conditions,
+      );
+
+      if (powerRoll.success) {
+        inflicted = Traits.getDamage(attacker, target);
+      }
+    }
+
+    casualties += inflicted;
+    attacks.push({
+      attackRoll,
+      powerRoll,
+      casualties: inflicted,
+    });
+  }
+
+  // Apply the casualties to the target
+  const wasDiminished = isDiminished(target);
+  let updatedTarget =
+    casualties > 0 ? takeCasualties(target, casualties) : target;
+
+  // Traits that trigger once the attack has landed, such as Horrify
+  const afterHit = Traits.applyAfterHit(
+    attacker,
+    updatedTarget,
+    casualties,
+    targetCommander,
+  );
+
+  if (afterHit.casualties > 0) {
+    casualties += afterHit.casualties;
+    updatedTarget = takeCasualties(updatedTarget, afterHit.casualties);
+  }
+
+  // A unit reduced to half strength must pass a morale check or break
+  let moraleCheck = null;
+
+  if (
+    casualties > 0 &&
+    !wasDiminished &&
+    isDiminished(updatedTarget) &&
+    updatedTarget.casualtyDie.current > 0
+  ) {
+    moraleCheck = Traits.rollMoraleCheck(
+      updatedTarget,
+      DIMINISHED_MORALE_DC,
+      Traits.MORALE_CAUSES.DIMINISHED,
+      targetCommander,
+    );
+
+    if (!moraleCheck.success) {
+      updatedTarget = addCondition(updatedTarget, UNIT_CONDITIONS.BROKEN, {
+        source: attacker.name,
+      });
+    }
+  }
+
+  return {
+    attackerId: attacker.id,
+    targetId: target.id,
+    attacks,
+    hits: attacks.filter((attack) => attack.attackRoll.success).length,
+    casualties,
+    casualtyDie: {
+      before: target.casualtyDie.current,
+      after: updatedTarget.casualtyDie.current,
+      max: updatedTarget.casualtyDie.max,
+    },
+    moraleCheck,
+    traits: [...new Set([...attackTraits.traits, ...powerTraits.traits])],
+    traitEffects: afterHit.effects,
+    broken:
+      hasCondition(updatedTarget, UNIT_CONDITIONS.BROKEN) &&
+      !hasCondition(target, UNIT_CONDITIONS.BROKEN),
+    target: updatedTarget,
+  };
+}
@@ -1,6 +1,11 @@
 /**
  * Domain model for Kingdoms & Warfare
  * Represents political domains in intrigue
+ *
+ * A domain's resource points only change through addResources and
+ * removeResources, which record each change in the domain's ledger with its
+ * reason and the user behind it. Only the most recent LEDGER_LIMIT entries
+ * are kept.
  */
 
 import { v4 as uuidv4 } from 'uuid';
@@ -20,6 +25,17 @@ export const DOMAIN_DEFENSES = {
   RESOURCES: 'resources',
 };
 
+// The defense each skill targets in intrigue
+export const SKILL_DEFENSES = {
+  [DOMAIN_SKILLS.DIPLOMACY]: DOMAIN_DEFENSES.RESOLVE,
+  [DOMAIN_SKILLS.ESPIONAGE]: DOMAIN_DEFENSES.COMMUNICATIONS,
+  [DOMAIN_SKILLS.LORE]: DOMAIN_DEFENSES.COMMUNICATIONS,
+  [DOMAIN_SKILLS.OPERATIONS]: DOMAIN_DEFENSES.RESOURCES,
+};
+
+// Most ledger entries a domain keeps
+export const LEDGER_LIMIT = 200;
+
 // Domain sizes and their corresponding dice
 export const DOMAIN_SIZES = {
   1: { name: 'Small', die: 'd4' },
@@ -39,6 +55,7 @@ export const DOMAIN_SIZES = {
  * @param {Number} options.skills.espionage - Espionage skill modifier
  * @param {Number} options.skills.lore - Lore skill modifier
  * @param {Number} options.skills.operations - Operations skill modifier
+ * @param {String} options.ownerId - ID of the Discord user who owns the domain
  * @returns {Object} - New domain
  */
 export function createDomain({
@@ -50,6 +67,7 @@ export function createDomain({
     [DOMAIN_SKILLS.LORE]: 0,
     [DOMAIN_SKILLS.OPERATIONS]: 0,
   },
+  ownerId = null,
 }) {
   // Calculate defense scores based on skills
   const defenseScores = calculateDefenseScores(skills);
@@ -71,8 +89,13 @@ export function createDomain({
       [DOMAIN_DEFENSES.RESOURCES]: 0,
     },
     resources: 0,
+    income: {},
+    season: 0,
+    ledger: [],
     units: [],
     officers: [],
+    ownerId,
+    coOwners: [],
     created: new Date().toISOString(),
     updated: new Date().toISOString(),
   };
@@ -131,30 +154,111 @@ export function updateDefenseLevels(domain, defenseLevels) {
   };
 }
 
+/**
+ * Check whether one of a domain's defenses is under pressure
+ * A defense is under pressure once its level reaches the domain's size
+ * @param {Object} domain - Domain to check
+ * @param {String} defense - Defense to check
+ * @returns {Boolean} - Whether the defense is under pressure
+ */
+export function isUnderPressure(domain, defense) {
+  return (domain.defenseLevels[defense] || 0) >= domain.size;
+}
+
+/**
+ * Raise one of a domain's defense levels after a skill test against it succeeds
+ * When the level reaches the domain's size, the domain is under pressure: the
+ * level starts again from 0 and the domain shrinks by one size, or loses half
+ * of its resources if it is already Small
+ * @param {Object} domain - Domain to modify
+ * @param {String} defense - Defense the skill test targeted
+ * @param {Number} amount - Levels to raise the defense by
+ * @returns {Object} - { domain, level, underPressure, sizeLost, resourcesLost }
+ */
+export function raiseDefenseLevel(domain, defense, amount = 1) {
+  const level = (domain.defenseLevels[defense] || 0) + amount;
+  const raised = updateDefenseLevels(domain, { [defense]: level });
+  
+  if (!isUnderPressure(raised, defense)) {
+    return { domain: raised, level, underPressure: false, sizeLost: false, resourcesLost: 0 };
+  }
+  
+  const recovered = updateDefenseLevels(raised, { [defense]: 0 });
+  
+  if (domain.size > 1) {
+    return {
+      domain: { ...recovered, size: domain.size - 1 },
+      level,
+      underPressure: true,
+      sizeLost: true,
+      resourcesLost: 0,
+    };
+  }
+  
+  const resourcesLost = Math.floor(domain.resources / 2);
+  
+  return {
+    domain: removeResources(recovered, resourcesLost, { reason: `Under pressure in ${defense}` }),
+    level,
+    underPressure: true,
+    sizeLost: false,
+    resourcesLost,
+  };
+}
+
 /**
  * Add resources to a domain
  * @param {Object} domain - Domain to modify
  * @param {Number} amount - Amount of resources to add
+ * @param {Object} transaction - What the resources are for
+ * @param {String} transaction.reason - Why the domain gains them
+ * @param {String} transaction.actorId - ID of the Discord user behind the change, or null if it was automatic
  * @returns {Object} - Updated domain
  */
-export function addResources(domain, amount) {
-  return {
-    ...domain,
-    resources: domain.resources + amount,
-    updated: new Date().toISOString(),
-  };
+export function addResources(domain, amount, { reason = 'Adjustment', actorId = null } = {}) {
+  return recordTransaction(domain, domain.resources + amount, { reason, actorId });
 }
 
 /**
  * Remove resources from a domain
+ * A domain never goes below 0 resource points; the ledger records what it actually lost
  * @param {Object} domain - Domain to modify
  * @param {Number} amount - Amount of resources to remove
+ * @param {Object} transaction - What the resources are for
+ * @param {String} transaction.reason - Why the domain loses them
+ * @param {String} transaction.actorId - ID of the Discord user behind the change, or null if it was automatic
+ * @returns {Object} - Updated domain
+ */
+export function removeResources(domain, amount, { reason = 'Adjustment', actorId = null } = {}) {
+  return recordTransaction(domain, Math.max(0, domain.resources - amount), { reason, actorId });
+}
+
+/**
+ * Set a domain's resources and record the change in its ledger
+ * @param {Object} domain - Domain to modify
+ * @param {Number} resources - New amount of resources
+ * @param {Object} transaction - { reason, actorId }
  * @returns {Object} - Updated domain
  */
-export function removeResources(domain, amount) {
+function recordTransaction(domain, resources, { reason, actorId }) {
+  const amount = resources - domain.resources;
+  
+  if (amount === 0) {
+    return domain;
+  }
+  
+  const entry = {
+    amount,
+    balance: resources,
+    reason,
+    actorId,
+    timestamp: new Date().toISOString(),
+  };
+  
   return {
     ...domain,
-    resources: Math.max(0, domain.resources - amount),
+    resources,
+    ledger: [...(domain.ledger || []), entry].slice(-LEDGER_LIMIT),
     updated: new Date().toISOString(),
   };
 }
@@ -223,6 +327,57 @@ export function removeOfficer(domain, officerId) {
   };
 }
 
+/**
+ * Add a co-owner to a domain
+ * Co-owners act for the domain, but only its owner can delete it or change who
+ * else owns it
+ * @param {Object} domain - Domain to modify
+ * @param {String} userId - ID of the Discord user to add
+ * @returns {Object} - Updated domain
+ */
+export function addCoOwner(domain, userId) {
+  const coOwners = domain.coOwners || [];
+  
+  if (userId === domain.ownerId || coOwners.includes(userId)) {
+    return domain;
+  }
+  
+  return {
+    ...domain,
+    coOwners: [...coOwners, userId],
+    updated: new Date().toISOString(),
+  };
+}
+
+/**
+ * Remove a co-owner from a domain
+ * @param {Object} domain - Domain to modify
+ * @param {String} userId - ID of the Discord user to remove
+ * @returns {Object} - Updated domain
+ */
+export function removeCoOwner(domain, userId) {
+  return {
+    ...domain,
+    coOwners: (domain.coOwners || []).filter(id => id !== userId),
+    updated: new Date().toISOString(),
+  };
+}
+
+/**
+ * Check whether a user owns a domain
+ * @param {Object} domain - Domain to check
+ * @param {String} userId - ID of the Discord user
+ * @param {Boolean} includeCoOwners - Whether co-owners count as owners
+ * @returns {Boolean} - Whether the user owns the domain
+ */
+export function isOwnedBy(domain, userId, includeCoOwners = true) {
+  if (!userId) {
+    return false;
+  }
+  
+  return domain.ownerId === userId || (includeCoOwners && (domain.coOwners || []).includes(userId));
+}
+
 /**
  * Calculate the number of actions a domain can take in intrigue
  * @param {Object} domain - Domain to calculate for
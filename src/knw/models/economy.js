@@ -0,0 +1,132 @@
+/**
+ * Economy model for Kingdoms & Warfare
+ * Represents the resource points a domain earns and spends each season
+ *
+ * A domain earns income from its holdings, trade and taxes, and pays upkeep
+ * for every unit it fields: the upkeep set when the unit was built. Disbanded
+ * units cost nothing. A domain that cannot pay its upkeep in full pays what it
+ * has. Every payment is recorded in the domain's ledger.
+ */
+
+import { addResources, removeResources } from './domain.js';
+import { UNIT_CONDITIONS, hasCondition } from './unit.js';
+import { calculateCost } from './builder.js';
+
+// Sources of income
+export const INCOME_SOURCES = {
+  HOLDINGS: 'holdings',
+  TRADE: 'trade',
+  TAXES: 'taxes',
+};
+
+/**
+ * Get a domain's income per season from each source
+ * @param {Object} domain - Domain to get the income of
+ * @returns {Object} - Map of income sources to resource points
+ */
+export function getIncome(domain) {
+  return Object.fromEntries(
+    Object.values(INCOME_SOURCES).map((source) => [
+      source,
+      domain.income?.[source] || 0,
+    ]),
+  );
+}
+
+/**
+ * Get a domain's total income per season
+ * @param {Object} domain - Domain to get the income of
+ * @returns {Number} - Resource points
+ */
+export function getTotalIncome(domain) {
+  return Object.values(getIncome(domain)).reduce(
+    (total, amount) => total + amount,
+    0,
+  );
+}
+
+/**
+ * Set how much a domain earns from one source of income each season
+ * @param {Object} domain - Domain to modify
+ * @param {String} source - Source of income
+ * @param {Number} amount - Resource points per season
+ * @returns {Object} - Updated domain
+ */
+export function setIncome(domain, source, amount) {
+  return {
+    ...domain,
+    income: {
+      ...getIncome(domain),
+      [source]: Math.max(0, amount),
+    },
+    updated: new Date().toISOString(),
+  };
+}
+
+/**
+ * Check whether a unit still draws upkeep
+ * @param {Object} unit - Unit to check
+ * @returns {Boolean} - Whether the unit has not been disbanded
+ */
+function isFielded(unit) {
+  return !hasCondition(unit, UNIT_CONDITIONS.DISBANDED);
+}
+
+/**
+ * Calculate the upkeep a domain pays for its units each season
+ * Units created before the builder pay what a unit of their type would
+ * @param {Array} units - Units the domain fields
+ * @returns {Number} - Resource points
+ */
+export function calculateUpkeep(units) {
+  return units
+    .filter(isFielded)
+    .reduce(
+      (total, unit) => total + (unit.upkeep ?? calculateCost(unit).upkeep),
+      0,
+    );
+}
+
+/**
+ * Play out a season for a domain
+ * The domain collects its income from each source, then pays upkeep for its units
+ * @param {Object} domain - Domain to modify
+ * @param {Array} units - Units the domain fields
+ * @param {Object} options - Season options
+ * @param {String} options.actorId - ID of the Discord user who started the season, or null
+ * @returns {Object} - { domain, season, income, upkeep, paid, shortfall }
+ */
+export function collectSeason(domain, units, { actorId = null } = {}) {
+  const season = (domain.season || 0) + 1;
+  const income = getIncome(domain);
+  const upkeep = calculateUpkeep(units);
+
+  let updatedDomain = { ...domain, season };
+
+  Object.entries(income).forEach(([source, amount]) => {
+    if (amount > 0) {
+      updatedDomain = addResources(updatedDomain, amount, {
+        reason: `Season ${season} ${source} income`,
+        actorId,
+      });
+    }
+  });
+
+  const paid = Math.min(upkeep, updatedDomain.resources);
+
+  if (upkeep > 0) {
+    updatedDomain = removeResources(updatedDomain, upkeep, {
+      reason: `Season ${season} upkeep for ${units.filter(isFielded).length} units`,
+      actorId,
+    });
+  }
+
+  return {
+    domain: updatedDomain,
+    season,
+    income,
+    upkeep,
+    paid,
+    shortfall: upkeep - paid,
+  };
+}
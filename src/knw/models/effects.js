@@ -0,0 +1,151 @@
+/**
+ * Effects model for Kingdoms & Warfare
+ * Shared rules for unit conditions and battle tokens: where an effect came
+ * from, how long it lasts and what happens when it is applied twice
+ *
+ * Conditions and tokens used to be stored as bare strings. Every function
+ * here accepts those as well and treats them as lasting until removed.
+ */
+
+// Effect durations
+export const EFFECT_DURATIONS = {
+  END_OF_NEXT_ACTIVATION: 'end_of_next_activation',
+  END_OF_ROUND: 'end_of_round',
+  UNTIL_REMOVED: 'until_removed',
+};
+
+// Stacking rules for an effect applied to a unit that already has it
+export const STACKING_RULES = {
+  // Replace the source and duration, keeping a single stack
+  REFRESH: 'refresh',
+  // Add a stack and take the new source and duration
+  STACK: 'stack',
+  // Keep the existing effect unchanged
+  IGNORE: 'ignore',
+};
+
+/**
+ * Create an effect
+ * @param {String} name - Name of the condition or token
+ * @param {Object} options - Effect options
+ * @param {String} options.source - What applied the effect (a unit, trait or player)
+ * @param {String} options.duration - How long the effect lasts
+ * @param {Number} options.round - Battle round the effect was applied in
+ * @param {Number} options.turn - Battle turn count when the effect was applied
+ * @returns {Object} - New effect
+ */
+export function createEffect(
+  name,
+  {
+    source = null,
+    duration = EFFECT_DURATIONS.UNTIL_REMOVED,
+    round = null,
+    turn = null,
+  } = {},
+) {
+  return {
+    name,
+    source,
+    duration,
+    appliedRound: round,
+    appliedTurn: turn,
+    stacks: 1,
+  };
+}
+
+/**
+ * Get the name of an effect, whether stored as an object or a bare string
+ * @param {Object|String} effect - Effect to read
+ * @returns {String} - Name of the effect
+ */
+export function getEffectName(effect) {
+  return typeof effect === 'string' ? effect : effect.name;
+}
+
+/**
+ * Convert an effect stored as a bare string into an effect object
+ * @param {Object|String} effect - Effect to convert
+ * @returns {Object} - Effect object
+ */
+export function normalizeEffect(effect) {
+  return typeof effect === 'string' ? createEffect(effect) : effect;
+}
+
+/**
+ * Check if a list of effects contains an effect
+ * @param {Array} effects - Effects to search
+ * @param {String} name - Name of the effect
+ * @returns {Boolean} - Whether the effect is present
+ */
+export function hasEffect(effects, name) {
+  return (effects || []).some((effect) => getEffectName(effect) === name);
+}
+
+/**
+ * Apply an effect to a list of effects following a stacking rule
+ * @param {Array} effects - Current effects
+ * @param {Object} effect - Effect to apply
+ * @param {String} stacking - Stacking rule
+ * @returns {Array} - Updated effects
+ */
+export function addEffect(effects, effect, stacking = STACKING_RULES.REFRESH) {
+  const normalized = (effects || []).map(normalizeEffect);
+  const existing = normalized.find((e) => e.name === effect.name);
+
+  if (!existing) {
+    return [...normalized, effect];
+  }
+
+  if (stacking === STACKING_RULES.IGNORE) {
+    return normalized;
+  }
+
+  const stacks =
+    stacking === STACKING_RULES.STACK ? existing.stacks + effect.stacks : 1;
+
+  return normalized.map((e) => (e === existing ? { ...effect, stacks } : e));
+}
+
+/**
+ * Remove an effect from a list of effects
+ * @param {Array} effects - Current effects
+ * @param {String} name - Name of the effect to remove
+ * @returns {Array} - Updated effects
+ */
+export function removeEffect(effects, name) {
+  return (effects || []).filter((effect) => getEffectName(effect) !== name);
+}
+
+/**
+ * Split a list of effects into those that expire now and those that remain
+ * End-of-round effects expire at the end of every round. End-of-activation
+ * effects expire at the end of a turn of their unit, unless they were applied
+ * during that same turn.
+ * @param {Array} effects - Current effects
+ * @param {String} duration - Duration that is ending
+ * @param {Number} turn - Battle turn count of the turn that is ending
+ * @returns {Object} - { remaining, expired }
+ */
+export function expireEffects(effects, duration, turn = null) {
+  const remaining = [];
+  const expired = [];
+
+  (effects || []).forEach((effect) => {
+    const normalized = normalizeEffect(effect);
+    const appliedEarlier =
+      turn === null ||
+      normalized.appliedTurn === null ||
+      normalized.appliedTurn < turn;
+
+    if (
+      normalized.duration === duration &&
+      (duration !== EFFECT_DURATIONS.END_OF_NEXT_ACTIVATION || appliedEarlier)
+    ) {
+      expired.push(normalized);
+    } else {
+      remaining.push(effect);
+    }
+  });
+
+  return { remaining, expired };
+}
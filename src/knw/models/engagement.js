@@ -0,0 +1,269 @@
+/**
+ * Engagement rules for Kingdoms & Warfare
+ * Pure functions describing which battlefield positions are adjacent, which
+ * units are engaged with the enemy, and which targets a unit may attack
+ *
+ * Every side's formation faces the others across the front line: a side's
+ * vanguard touches each enemy vanguard in the same column. Columns are named
+ * as they appear on the battlefield, so every side's left is the same column.
+ */
+
+import {
+  BATTLE_PHASES,
+  BATTLE_RANKS,
+  GRID_POSITIONS,
+  isGridRank,
+} from './battle.js';
+import { UNIT_TYPES, UNIT_CONDITIONS, hasCondition } from './unit.js';
+
+// Ranks of a formation, from the front line back
+export const RANK_ORDER = [
+  BATTLE_RANKS.VANGUARD,
+  BATTLE_RANKS.CENTER,
+  BATTLE_RANKS.REAR,
+];
+
+// Columns of a formation, from left to right
+export const COLUMN_ORDER = [
+  GRID_POSITIONS.LEFT,
+  GRID_POSITIONS.CENTER,
+  GRID_POSITIONS.RIGHT,
+];
+
+// Attack ranges
+export const ATTACK_RANGES = {
+  MELEE: 'melee',
+  RANGED: 'ranged',
+  AERIAL: 'aerial',
+};
+
+// Attack range of each unit type
+export const UNIT_TYPE_RANGES = {
+  [UNIT_TYPES.INFANTRY]: ATTACK_RANGES.MELEE,
+  [UNIT_TYPES.CAVALRY]: ATTACK_RANGES.MELEE,
+  [UNIT_TYPES.ARTILLERY]: ATTACK_RANGES.RANGED,
+  [UNIT_TYPES.AERIAL]: ATTACK_RANGES.AERIAL,
+};
+
+/**
+ * Get the positions adjacent to a position within the same formation
+ * @param {String} rank - Rank of the position
+ * @param {String} column - Column of the position
+ * @returns {Array} - Adjacent positions as { rank, column } objects
+ */
+export function getAdjacentPositions(rank, column) {
+  const rankIndex = RANK_ORDER.indexOf(rank);
+  const columnIndex = COLUMN_ORDER.indexOf(column);
+
+  if (rankIndex === -1 || columnIndex === -1) {
+    return [];
+  }
+
+  const offsets = [
+    [-1, 0],
+    [1, 0],
+    [0, -1],
+    [0, 1],
+  ];
+
+  return offsets
+    .map(([rankOffset, columnOffset]) => ({
+      rank: RANK_ORDER[rankIndex + rankOffset],
+      column: COLUMN_ORDER[columnIndex + columnOffset],
+    }))
+    .filter((position) => position.rank && position.column);
+}
+
+/**
+ * Check if a unit is on the battlefield grid (not in reserve or undeployed)
+ * @param {Object} battle - Battle to read
+ * @param {String} unitId - ID of the unit to check
+ * @returns {Boolean} - Whether the unit is on the field
+ */
+export function isOnField(battle, unitId) {
+  const battleUnit = battle.units[unitId];
+  return Boolean(battleUnit) && isGridRank(battleUnit.position.rank);
+}
+
+/**
+ * Check if two units in a battle are on opposing sides
+ * @param {Object} battle - Battle to read
+ * @param {String} unitIdA - ID of the first unit
+ * @param {String} unitIdB - ID of the second unit
+ * @returns {Boolean} - Whether the units are enemies
+ */
+export function areEnemies(battle, unitIdA, unitIdB) {
+  const a = battle.units[unitIdA];
+  const b = battle.units[unitIdB];
+  return Boolean(a && b) && a.domainId !== b.domainId;
+}
+
+/**
+ * Check if two units in a battle are adjacent
+ * Units on the same side are adjacent when their positions share an edge;
+ * units on opposing sides are adjacent when both hold the vanguard of the
+ * same column
+ * @param {Object} battle - Battle to read
+ * @param {String} unitIdA - ID of the first unit
+ * @param {String} unitIdB - ID of the second unit
+ * @returns {Boolean} - Whether the units are adjacent
+ */
+export function areAdjacent(battle, unitIdA, unitIdB) {
+  if (
+    unitIdA === unitIdB ||
+    !isOnField(battle, unitIdA) ||
+    !isOnField(battle, unitIdB)
+  ) {
+    return false;
+  }
+
+  const a = battle.units[unitIdA].position;
+  const b = battle.units[unitIdB].position;
+
+  if (!areEnemies(battle, unitIdA, unitIdB)) {
+    return getAdjacentPositions(a.rank, a.column).some(
+      (position) => position.rank === b.rank && position.column === b.column,
+    );
+  }
+
+  return (
+    a.rank === BATTLE_RANKS.VANGUARD &&
+    b.rank === BATTLE_RANKS.VANGUARD &&
+    a.column === b.column
+  );
+}
+
+/**
+ * Get the enemy units a unit is engaged with
+ * @param {Object} battle - Battle to read
+ * @param {String} unitId - ID of the unit
+ * @returns {Array} - IDs of the engaged enemy units
+ */
+export function getEngagedEnemies(battle, unitId) {
+  return Object.keys(battle.units).filter(
+    (otherId) =>
+      areEnemies(battle, unitId, otherId) &&
+      areAdjacent(battle, unitId, otherId),
+  );
+}
+
+/**
+ * Check if a unit is engaged with any enemy
+ * @param {Object} battle - Battle to read
+ * @param {String} unitId - ID of the unit
+ * @returns {Boolean} - Whether the unit is engaged
+ */
+export function isEngaged(battle, unitId) {
+  return getEngagedEnemies(battle, unitId).length > 0;
+}
+
+/**
+ * Get every engagement on the battlefield
+ * @param {Object} battle - Battle to read
+ * @returns {Object} - Map of unit IDs to the IDs of the enemies they are engaged with
+ */
+export function getEngagements(battle) {
+  const engagements = {};
+
+  Object.keys(battle.units).forEach((unitId) => {
+    const enemies = getEngagedEnemies(battle, unitId);
+
+    if (enemies.length > 0) {
+      engagements[unitId] = enemies;
+    }
+  });
+
+  return engagements;
+}
+
+/**
+ * Check if one unit may attack another
+ * A unit may only attack on its own turn once the battle has started, and not
+ * once it is broken or destroyed. Melee units (infantry and cavalry) may only
+ * attack enemies they are engaged with. Artillery may attack any enemy on the
+ * field. Aerial units may attack enemies they are engaged with or fly over the
+ * front line to strike any enemy in a vanguard or center rank.
+ * @param {Object} battle - Battle to read
+ * @param {Object} attacker - Unit making the attack
+ * @param {Object} target - Unit being attacked
+ * @returns {Object} - { allowed, reason }
+ */
+export function canAttack(battle, attacker, target) {
+  if (!battle.units[attacker.id] || !battle.units[target.id]) {
+    return { allowed: false, reason: 'Both units must be in the battle' };
+  }
+
+  if (battle.phase !== BATTLE_PHASES.BATTLE) {
+    return {
+      allowed: false,
+      reason: 'Units can only attack once the battle has started',
+    };
+  }
+
+  if (battle.initiative[battle.currentTurn] !== attacker.id) {
+    return { allowed: false, reason: `It is not ${attacker.name}'s turn` };
+  }
+
+  if (
+    attacker.casualtyDie.current === 0 ||
+    hasCondition(attacker, UNIT_CONDITIONS.DISBANDED)
+  ) {
+    return { allowed: false, reason: `${attacker.name} has been destroyed` };
+  }
+
+  if (hasCondition(attacker, UNIT_CONDITIONS.BROKEN)) {
+    return { allowed: false, reason: `${attacker.name} is broken` };
+  }
+
+  if (!areEnemies(battle, attacker.id, target.id)) {
+    return {
+      allowed: false,
+      reason: `${target.name} is on the same side as ${attacker.name}`,
+    };
+  }
+
+  if (!isOnField(battle, attacker.id)) {
+    return {
+      allowed: false,
+      reason: `${attacker.name} is not on the battlefield`,
+    };
+  }
+
+  if (!isOnField(battle, target.id)) {
+    return {
+      allowed: false,
+      reason: `${target.name} is not on the battlefield`,
+    };
+  }
+
+  const range = UNIT_TYPE_RANGES[attacker.type] || ATTACK_RANGES.MELEE;
+  const engaged = areAdjacent(battle, attacker.id, target.id);
+
+  switch (range) {
+    case ATTACK_RANGES.RANGED:
+      return { allowed: true, reason: null };
+
+    case ATTACK_RANGES.AERIAL:
+      if (
+        engaged ||
+        battle.units[target.id].position.rank !== BATTLE_RANKS.REAR
+      ) {
+        return { allowed: true, reason: null };
+      }
+
+      return {
+        allowed: false,
+        reason: `${attacker.name} cannot reach ${target.name} in the rear`,
+      };
+
+    default:
+      if (engaged) {
+        return { allowed: true, reason: null };
+      }
+
+      return {
+        allowed: false,
+        reason: `${attacker.name} is not engaged with ${target.name}`,
+      };
+  }
+}
@@ -1,10 +1,44 @@
 /**
  * Intrigue model for Kingdoms & Warfare
  * Represents political intrigue sessions between domains
+ *
+ * Skill tests against another domain are rolled against its score in the
+ * defense the skill targets. Each success raises that defense's level, and a
+ * domain whose defense level reaches its size is put under pressure.
+ *
+ * Named actions such as Bribe or Fortify come from INTRIGUE_ACTIONS. Each names
+ * the skill it tests, the defense it targets, how its DC is worked out and the
+ * effects it has on success and failure; effects apply to the domain taking
+ * the action (`actor`) or the one it targets (`target`).
+ *
+ * Once a session starts it plays in rounds. Each domain gets calculateActions
+ * actions a round, spends them during its turn and may keep some back for
+ * up to MAX_REACTIONS_PER_ROUND reactions out of turn. A turn ends when its
+ * domain ends it or runs out of actions, domains with no actions left are
+ * passed over, and the round ends when every domain has had a turn.
+ *
+ * A session can limit how long each turn lasts and how many rounds it plays.
+ * The current turn's deadline is stored with the session and checked whenever
+ * it is used, so domains that let it pass are skipped. When the session ends,
+ * actions that take effect at resolution are applied, and the net changes the
+ * session's own actions made to each domain are summarized in `resolution`.
  */
 
 import { v4 as uuidv4 } from 'uuid';
-import { DOMAIN_SKILLS, DOMAIN_DEFENSES } from './domain.js';
+import {
+  DOMAIN_SKILLS,
+  DOMAIN_DEFENSES,
+  SKILL_DEFENSES,
+  raiseDefenseLevel,
+  updateDefenseLevels,
+  addResources,
+  removeResources,
+  addUnit,
+  calculateActions,
+} from './domain.js';
+import { createUnit } from './unit.js';
+import { migrateUnit } from './builder.js';
+import { rollDomainSkillCheck } from '../utils/dice.js';
 
 // Intrigue phases
 export const INTRIGUE_PHASES = {
@@ -21,16 +55,139 @@ export const INTRIGUE_ACTION_TYPES = {
   UNIT_CREATION: 'unit_creation',
   UNIT_MODIFICATION: 'unit_modification',
   SPECIAL: 'special',
+  CATALOG: 'catalog',
+};
+
+// Action types applied when the session is resolved rather than when they are taken
+export const RESOLUTION_ACTION_TYPES = [
+  INTRIGUE_ACTION_TYPES.DEFENSE_MODIFICATION,
+  INTRIGUE_ACTION_TYPES.RESOURCE_TRANSFER,
+  INTRIGUE_ACTION_TYPES.UNIT_CREATION,
+];
+
+// Reactions each domain can take out of turn in a round
+export const MAX_REACTIONS_PER_ROUND = 1;
+
+// Effects an intrigue action can have on a domain
+export const INTRIGUE_EFFECTS = {
+  RAISE_DEFENSE: 'raise_defense',
+  LOWER_DEFENSE: 'lower_defense',
+  RESOURCES: 'resources',
+  RAISE_UNIT: 'raise_unit',
+};
+
+// Named intrigue actions
+export const INTRIGUE_ACTIONS = {
+  bribe: {
+    id: 'bribe',
+    name: 'Bribe',
+    description: 'Buy the loyalty of a rival\'s officials. Costs 1 resource point whether or not it works.',
+    skill: DOMAIN_SKILLS.DIPLOMACY,
+    defense: DOMAIN_DEFENSES.RESOLVE,
+    targeted: true,
+    cost: 1,
+    dcDescription: 'the target\'s Resolve score',
+    dc: ({ target }) => target.defenseScores[DOMAIN_DEFENSES.RESOLVE],
+    success: [
+      { effect: INTRIGUE_EFFECTS.RAISE_DEFENSE, domain: 'target', defense: DOMAIN_DEFENSES.RESOLVE },
+    ],
+    failure: [],
+  },
+  sabotage: {
+    id: 'sabotage',
+    name: 'Sabotage',
+    description: 'Wreck a rival\'s stores and workshops. If it fails, your agents are exposed.',
+    skill: DOMAIN_SKILLS.OPERATIONS,
+    defense: DOMAIN_DEFENSES.RESOURCES,
+    targeted: true,
+    cost: 0,
+    dcDescription: 'the target\'s Resources score',
+    dc: ({ target }) => target.defenseScores[DOMAIN_DEFENSES.RESOURCES],
+    success: [
+      { effect: INTRIGUE_EFFECTS.RAISE_DEFENSE, domain: 'target', defense: DOMAIN_DEFENSES.RESOURCES },
+      { effect: INTRIGUE_EFFECTS.RESOURCES, domain: 'target', amount: -2 },
+    ],
+    failure: [
+      { effect: INTRIGUE_EFFECTS.RAISE_DEFENSE, domain: 'actor', defense: DOMAIN_DEFENSES.COMMUNICATIONS },
+    ],
+  },
+  spread_rumors: {
+    id: 'spread_rumors',
+    name: 'Spread Rumors',
+    description: 'Sow doubt and confusion among a rival\'s people.',
+    skill: DOMAIN_SKILLS.ESPIONAGE,
+    defense: DOMAIN_DEFENSES.COMMUNICATIONS,
+    targeted: true,
+    cost: 0,
+    dcDescription: 'the target\'s Communications score',
+    dc: ({ target }) => target.defenseScores[DOMAIN_DEFENSES.COMMUNICATIONS],
+    success: [
+      { effect: INTRIGUE_EFFECTS.RAISE_DEFENSE, domain: 'target', defense: DOMAIN_DEFENSES.COMMUNICATIONS },
+    ],
+    failure: [],
+  },
+  forge_alliance: {
+    id: 'forge_alliance',
+    name: 'Forge Alliance',
+    description: 'Win another domain over to your side, steadying both of you.',
+    skill: DOMAIN_SKILLS.DIPLOMACY,
+    defense: DOMAIN_DEFENSES.RESOLVE,
+    targeted: true,
+    cost: 0,
+    dcDescription: 'the target\'s Resolve score',
+    dc: ({ target }) => target.defenseScores[DOMAIN_DEFENSES.RESOLVE],
+    success: [
+      { effect: INTRIGUE_EFFECTS.LOWER_DEFENSE, domain: 'actor', defense: DOMAIN_DEFENSES.RESOLVE },
+      { effect: INTRIGUE_EFFECTS.LOWER_DEFENSE, domain: 'target', defense: DOMAIN_DEFENSES.RESOLVE },
+    ],
+    failure: [],
+  },
+  recruit: {
+    id: 'recruit',
+    name: 'Recruit',
+    description: 'Call for new recruits, gaining resource points to raise units with.',
+    skill: DOMAIN_SKILLS.DIPLOMACY,
+    defense: null,
+    targeted: false,
+    cost: 0,
+    dcDescription: '10 + your domain\'s size',
+    dc: ({ actor }) => 10 + actor.size,
+    success: [
+      { effect: INTRIGUE_EFFECTS.RESOURCES, domain: 'actor', amount: ({ actor }) => actor.size * 2 },
+    ],
+    failure: [],
+  },
+  fortify: {
+    id: 'fortify',
+    name: 'Fortify',
+    description: 'Shore up your domain, lowering each of its defense levels.',
+    skill: DOMAIN_SKILLS.OPERATIONS,
+    defense: null,
+    targeted: false,
+    cost: 0,
+    dcDescription: '12',
+    dc: () => 12,
+    success: [
+      { effect: INTRIGUE_EFFECTS.LOWER_DEFENSE, domain: 'actor', defense: DOMAIN_DEFENSES.COMMUNICATIONS },
+      { effect: INTRIGUE_EFFECTS.LOWER_DEFENSE, domain: 'actor', defense: DOMAIN_DEFENSES.RESOLVE },
+      { effect: INTRIGUE_EFFECTS.LOWER_DEFENSE, domain: 'actor', defense: DOMAIN_DEFENSES.RESOURCES },
+    ],
+    failure: [],
+  },
 };
 
 /**
  * Create a new intrigue session
  * @param {Object} options - Intrigue options
  * @param {String} options.name - Intrigue name
+ * @param {Number} options.turnTimeLimit - Minutes each turn lasts, or null for no limit
+ * @param {Number} options.maxRounds - Rounds to play before the session resolves, or null for no limit
  * @returns {Object} - New intrigue session
  */
 export function createIntrigue({
   name,
+  turnTimeLimit = null,
+  maxRounds = null,
 }) {
   return {
     id: uuidv4(),
@@ -40,6 +197,13 @@ export function createIntrigue({
     initiator: null,
     turnOrder: [],
     currentDomainIndex: 0,
+    round: 0,
+    maxRounds,
+    actionsRemaining: {},
+    reactionsTaken: {},
+    turnTimeLimit,
+    turnDeadline: null,
+    resolution: null,
     turns: [],
     log: [],
     created: new Date().toISOString(),
@@ -125,10 +289,13 @@ export function setTurnOrder(intrigue, turnOrder) {
 
 /**
  * Start an intrigue session
+ * The first round begins with the initiator's turn
  * @param {Object} intrigue - Intrigue session to modify
+ * @param {Object} domains - Map of domain IDs to domain objects, for their budgets of actions
+ * @param {Date} now - Time the session starts, for the first turn's deadline
  * @returns {Object} - Updated intrigue session
  */
-export function startIntrigue(intrigue) {
+export function startIntrigue(intrigue, domains = {}, now = new Date()) {
   // Check if the intrigue session is in the setup phase
   if (intrigue.phase !== INTRIGUE_PHASES.SETUP) {
     return intrigue;
@@ -145,11 +312,14 @@ export function startIntrigue(intrigue) {
   }
   
   // Start the intrigue session
-  const updatedIntrigue = {
+  const updatedIntrigue = resetActions({
     ...intrigue,
     phase: INTRIGUE_PHASES.ACTIVE,
-    updated: new Date().toISOString(),
-  };
+    currentDomainIndex: 0,
+    round: 1,
+    turnDeadline: getTurnDeadline(intrigue, now),
+    log: [...intrigue.log],
+  }, domains);
   
   // Set the turn order if it's not already set
   if (updatedIntrigue.turnOrder.length === 0) {
@@ -245,6 +415,417 @@ export function takeTurn(intrigue, domainId, action) {
   return updatedIntrigue;
 }
 
+/**
+ * Give every domain in an intrigue session its full budget of actions and reactions
+ * @param {Object} intrigue - Intrigue session to modify
+ * @param {Object} domains - Map of domain IDs to domain objects
+ * @returns {Object} - Updated intrigue session
+ */
+export function resetActions(intrigue, domains) {
+  const actionsRemaining = {};
+  
+  intrigue.domains.forEach(domainId => {
+    if (domains[domainId]) {
+      actionsRemaining[domainId] = calculateActions(domains[domainId]);
+    }
+  });
+  
+  return {
+    ...intrigue,
+    actionsRemaining,
+    reactionsTaken: {},
+    updated: new Date().toISOString(),
+  };
+}
+
+/**
+ * Get the domain whose turn it is
+ * @param {Object} intrigue - Intrigue session
+ * @returns {String} - ID of the domain, or null before the session starts
+ */
+export function getCurrentDomain(intrigue) {
+  if (intrigue.phase !== INTRIGUE_PHASES.ACTIVE || !intrigue.turnOrder?.length) {
+    return null;
+  }
+  
+  return intrigue.turnOrder[intrigue.currentDomainIndex] || null;
+}
+
+/**
+ * Get how many actions a domain has left this round
+ * @param {Object} intrigue - Intrigue session
+ * @param {String} domainId - ID of the domain
+ * @returns {Number} - Actions left
+ */
+export function getActionsRemaining(intrigue, domainId) {
+  return intrigue.actionsRemaining?.[domainId] ?? 0;
+}
+
+/**
+ * Check whether a domain can act in an intrigue session right now
+ * A domain acts during its own turn; at any other time it can only react
+ * @param {Object} intrigue - Intrigue session
+ * @param {String} domainId - ID of the domain
+ * @param {Object} options - Action options
+ * @param {Boolean} options.reaction - Whether the action is a reaction
+ * @returns {Object} - { allowed, reason }
+ */
+export function canAct(intrigue, domainId, { reaction = false } = {}) {
+  if (intrigue.phase !== INTRIGUE_PHASES.ACTIVE) {
+    return { allowed: false, reason: intrigue.phase === INTRIGUE_PHASES.SETUP ? 'The intrigue session has not started' : 'The intrigue session is over' };
+  }
+  
+  if (!intrigue.domains.includes(domainId)) {
+    return { allowed: false, reason: 'The domain is not taking part in the intrigue session' };
+  }
+  
+  if (!reaction && getCurrentDomain(intrigue) !== domainId) {
+    return { allowed: false, reason: 'It is not the domain\'s turn; it can only react' };
+  }
+  
+  if (getActionsRemaining(intrigue, domainId) <= 0) {
+    return { allowed: false, reason: 'The domain has no actions left this round' };
+  }
+  
+  if (reaction && getCurrentDomain(intrigue) !== domainId && (intrigue.reactionsTaken?.[domainId] || 0) >= MAX_REACTIONS_PER_ROUND) {
+    return { allowed: false, reason: 'The domain has already reacted this round' };
+  }
+  
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Spend one of a domain's actions
+ * @param {Object} intrigue - Intrigue session to modify
+ * @param {String} domainId - ID of the domain
+ * @param {Object} options - Action options
+ * @param {Boolean} options.reaction - Whether the action was a reaction, which also counts against the round's reactions
+ * @returns {Object} - Updated intrigue session
+ */
+export function spendAction(intrigue, domainId, { reaction = false } = {}) {
+  return {
+    ...intrigue,
+    actionsRemaining: {
+      ...intrigue.actionsRemaining,
+      [domainId]: Math.max(0, getActionsRemaining(intrigue, domainId) - 1),
+    },
+    reactionsTaken: reaction
+      ? { ...intrigue.reactionsTaken, [domainId]: (intrigue.reactionsTaken?.[domainId] || 0) + 1 }
+      : intrigue.reactionsTaken,
+    updated: new Date().toISOString(),
+  };
+}
+
+/**
+ * End the current domain's turn
+ * After the last domain in the turn order a new round begins, and every
+ * domain gets its full budget of actions again. Domains that have no actions
+ * left when their turn comes are passed over.
+ * @param {Object} intrigue - Intrigue session to modify
+ * @param {Object} domains - Map of domain IDs to domain objects, for the new round's budgets
+ * @param {Date} now - Time the next turn starts, for its deadline
+ * @returns {Object} - { intrigue, newRound }
+ */
+export function endTurn(intrigue, domains, now = new Date()) {
+  let { intrigue: updatedIntrigue, newRound } = passTurn(intrigue, domains, now);
+  
+  // Going once round the turn order is enough to reach a domain with actions or a new round
+  for (let passed = 1; passed < intrigue.turnOrder.length && !isOutOfRounds(updatedIntrigue); passed++) {
+    const domainId = getCurrentDomain(updatedIntrigue);
+    
+    if (getActionsRemaining(updatedIntrigue, domainId) > 0) {
+      break;
+    }
+    
+    updatedIntrigue = logEvent(updatedIntrigue, { type: 'turn_skipped', domainId, round: updatedIntrigue.round });
+    
+    const result = passTurn(updatedIntrigue, domains, now);
+    updatedIntrigue = result.intrigue;
+    newRound = newRound || result.newRound;
+  }
+  
+  return { intrigue: updatedIntrigue, newRound };
+}
+
+/**
+ * Pass the turn to the next domain in the turn order
+ * @param {Object} intrigue - Intrigue session to modify
+ * @param {Object} domains - Map of domain IDs to domain objects, for the new round's budgets
+ * @param {Date} now - Time the next turn starts, for its deadline
+ * @returns {Object} - { intrigue, newRound }
+ */
+function passTurn(intrigue, domains, now) {
+  const currentDomainIndex = (intrigue.currentDomainIndex + 1) % intrigue.turnOrder.length;
+  const newRound = currentDomainIndex === 0;
+  
+  let updatedIntrigue = {
+    ...intrigue,
+    currentDomainIndex,
+    round: newRound ? (intrigue.round || 1) + 1 : intrigue.round,
+    turnDeadline: getTurnDeadline(intrigue, now),
+    log: [
+      ...intrigue.log,
+      { type: 'turn_ended', domainId: getCurrentDomain(intrigue), timestamp: new Date().toISOString() },
+    ],
+    updated: new Date().toISOString(),
+  };
+  
+  if (newRound) {
+    updatedIntrigue = resetActions(updatedIntrigue, domains);
+    updatedIntrigue.log.push({ type: 'round_start', round: updatedIntrigue.round, timestamp: new Date().toISOString() });
+  }
+  
+  return { intrigue: updatedIntrigue, newRound };
+}
+
+/**
+ * Get when a turn starting now has to end
+ * @param {Object} intrigue - Intrigue session
+ * @param {Date} now - Time the turn starts
+ * @returns {String} - Deadline as an ISO string, or null if turns have no time limit
+ */
+export function getTurnDeadline(intrigue, now = new Date()) {
+  if (!intrigue.turnTimeLimit) {
+    return null;
+  }
+  
+  return new Date(now.getTime() + intrigue.turnTimeLimit * 60 * 1000).toISOString();
+}
+
+/**
+ * Skip the turns of domains that let their deadline pass
+ * Each skipped turn's successor starts when the skipped one ran out, so a
+ * session left alone catches up; a full round of skips stops the catching up
+ * and gives the next domain a fresh turn from now
+ * @param {Object} intrigue - Intrigue session to modify
+ * @param {Object} domains - Map of domain IDs to domain objects, for new rounds' budgets
+ * @param {Date} now - Current time
+ * @returns {Object} - { intrigue, skipped }, where skipped lists the IDs of the skipped domains
+ */
+export function skipTimedOutTurns(intrigue, domains, now = new Date()) {
+  let updatedIntrigue = intrigue;
+  const skipped = [];
+  
+  while (getCurrentDomain(updatedIntrigue) && updatedIntrigue.turnDeadline && new Date(updatedIntrigue.turnDeadline) <= now) {
+    const domainId = getCurrentDomain(updatedIntrigue);
+    const caughtUp = skipped.length + 1 >= updatedIntrigue.turnOrder.length;
+    const turnStart = caughtUp ? now : new Date(updatedIntrigue.turnDeadline);
+    
+    updatedIntrigue = logEvent(updatedIntrigue, { type: 'turn_timed_out', domainId, round: updatedIntrigue.round });
+    updatedIntrigue = endTurn(updatedIntrigue, domains, turnStart).intrigue;
+    skipped.push(domainId);
+    
+    if (isOutOfRounds(updatedIntrigue) || caughtUp) {
+      break;
+    }
+  }
+  
+  return { intrigue: updatedIntrigue, skipped };
+}
+
+/**
+ * Check whether an intrigue session has played all of its rounds
+ * @param {Object} intrigue - Intrigue session
+ * @returns {Boolean} - Whether it is active and past its last round
+ */
+export function isOutOfRounds(intrigue) {
+  return intrigue.phase === INTRIGUE_PHASES.ACTIVE && Boolean(intrigue.maxRounds) && intrigue.round > intrigue.maxRounds;
+}
+
+/**
+ * Resolve an intrigue session
+ * Applies the actions that take effect at resolution in the order they were
+ * taken, then summarizes each domain's net changes from the effects of every
+ * action taken in the session
+ * @param {Object} intrigue - Intrigue session to resolve
+ * @param {Object} domains - Map of domain IDs to domain objects taking part
+ * @param {Object} options - Resolution options
+ * @param {String} options.actorId - ID of the Discord user who ended the session, or null if it ended by itself
+ * @returns {Object} - { intrigue, domains, units }, where domains maps IDs to every
+ * domain taking part after resolution and units lists the units created
+ */
+export function resolveIntrigue(intrigue, domains, { actorId = null } = {}) {
+  if (intrigue.phase !== INTRIGUE_PHASES.ACTIVE) {
+    return { intrigue, domains, units: [] };
+  }
+  
+  const resolved = { ...domains };
+  const units = [];
+  
+  // Apply the waiting actions, recording what they did on their turns
+  const turns = intrigue.turns.map(turn => {
+    if (!RESOLUTION_ACTION_TYPES.includes(turn.action?.type)) {
+      return turn;
+    }
+    
+    const { effects, unit } = applyResolutionAction(turn.action, turn.domainId, resolved, actorId);
+    
+    if (unit) {
+      units.push(unit);
+    }
+    
+    return { ...turn, action: { ...turn.action, success: effects.length > 0, effects } };
+  });
+  
+  const summary = summarizeEffects(
+    intrigue.domains.filter(domainId => resolved[domainId]),
+    turns.flatMap(turn => turn.action?.effects || []),
+  );
+  
+  const updatedIntrigue = endIntrigue({ ...intrigue, turns, log: [...intrigue.log] });
+  
+  return {
+    intrigue: {
+      ...updatedIntrigue,
+      turnDeadline: null,
+      resolution: {
+        domains: summary,
+        resolved: new Date().toISOString(),
+      },
+    },
+    domains: resolved,
+    units,
+  };
+}
+
+/**
+ * Apply an action that takes effect when the session is resolved
+ * @param {Object} action - Action to apply
+ * @param {String} domainId - ID of the domain that took it
+ * @param {Object} domains - Map of domain IDs to domain objects, updated in place
+ * @param {String} actorId - ID of the Discord user who ended the session, or null
+ * @returns {Object} - { effects, unit }, where effects records what the action did
+ * and unit is the unit it created, or null
+ */
+function applyResolutionAction(action, domainId, domains, actorId) {
+  if (action.type === INTRIGUE_ACTION_TYPES.DEFENSE_MODIFICATION) {
+    const target = domains[action.target];
+    
+    if (!target) {
+      return { effects: [], unit: null };
+    }
+    
+    // Raising a defense can put the domain under pressure, as a successful skill test does
+    if (action.change > 0) {
+      const pressure = raiseDefenseLevel(target, action.defense, action.change);
+      domains[target.id] = pressure.domain;
+      
+      return {
+        effects: [toDefenseEffect(INTRIGUE_EFFECTS.RAISE_DEFENSE, target, action.defense, pressure)],
+        unit: null,
+      };
+    }
+    
+    const before = target.defenseLevels[action.defense] || 0;
+    const level = Math.max(0, before + action.change);
+    domains[target.id] = updateDefenseLevels(target, { [action.defense]: level });
+    
+    return {
+      effects: level === before ? [] : [{
+        effect: INTRIGUE_EFFECTS.LOWER_DEFENSE,
+        domainId: target.id,
+        defense: action.defense,
+        level,
+        change: level - before,
+        underPressure: false,
+        sizeLost: false,
+        resourcesLost: 0,
+      }],
+      unit: null,
+    };
+  }
+  
+  if (action.type === INTRIGUE_ACTION_TYPES.RESOURCE_TRANSFER) {
+    const source = domains[action.source || domainId];
+    const target = domains[action.target];
+    
+    if (!source || !target || source.id === target.id) {
+      return { effects: [], unit: null };
+    }
+    
+    const amount = Math.min(action.amount, source.resources);
+    
+    if (amount <= 0) {
+      return { effects: [], unit: null };
+    }
+    
+    domains[source.id] = removeResources(source, amount, { reason: `Transfer to ${target.name}`, actorId });
+    domains[target.id] = addResources(domains[target.id], amount, { reason: `Transfer from ${source.name}`, actorId });
+    
+    return {
+      effects: [
+        { effect: INTRIGUE_EFFECTS.RESOURCES, domainId: source.id, amount: -amount },
+        { effect: INTRIGUE_EFFECTS.RESOURCES, domainId: target.id, amount },
+      ],
+      unit: null,
+    };
+  }
+  
+  // Units are only raised if the domain can still pay for them
+  const domain = domains[domainId];
+  const cost = action.cost || 0;
+  
+  if (!domain || domain.resources < cost) {
+    return { effects: [], unit: null };
+  }
+  
+  const unit = migrateUnit(createUnit({
+    name: action.description || `${domain.name} ${action.unitType}`,
+    type: action.unitType,
+    tier: action.unitTier,
+  }));
+  
+  domains[domainId] = addUnit(removeResources(domain, cost, { reason: `Raised ${unit.name}`, actorId }), unit.id);
+  
+  return {
+    effects: [
+      ...(cost > 0 ? [{ effect: INTRIGUE_EFFECTS.RESOURCES, domainId, amount: -cost }] : []),
+      { effect: INTRIGUE_EFFECTS.RAISE_UNIT, domainId, unitId: unit.id, unitName: unit.name },
+    ],
+    unit,
+  };
+}
+
+/**
+ * Summarize how the effects of an intrigue session's actions changed each domain
+ * @param {Array} domainIds - IDs of the domains to summarize
+ * @param {Array} effects - Effects of every action taken in the session, in order
+ * @returns {Array} - { domainId, defenseChanges, resources, size, unitsCreated } for each domain
+ */
+function summarizeEffects(domainIds, effects) {
+  const summaries = Object.fromEntries(domainIds.map(domainId => [domainId, {
+    domainId,
+    defenseChanges: {},
+    resources: 0,
+    size: 0,
+    unitsCreated: [],
+  }]));
+  
+  effects.forEach(effect => {
+    const summary = summaries[effect.domainId];
+    
+    if (!summary) {
+      return;
+    }
+    
+    if (effect.effect === INTRIGUE_EFFECTS.RAISE_DEFENSE || effect.effect === INTRIGUE_EFFECTS.LOWER_DEFENSE) {
+      summary.defenseChanges[effect.defense] = (summary.defenseChanges[effect.defense] || 0) + effect.change;
+      summary.size -= effect.sizeLost ? 1 : 0;
+      summary.resources -= effect.resourcesLost || 0;
+    } else if (effect.effect === INTRIGUE_EFFECTS.RESOURCES) {
+      summary.resources += effect.amount;
+    } else if (effect.effect === INTRIGUE_EFFECTS.RAISE_UNIT) {
+      summary.unitsCreated.push(effect.unitId);
+    }
+  });
+  
+  // Leave out defenses that ended where they started
+  return domainIds.map(domainId => ({
+    ...summaries[domainId],
+    defenseChanges: Object.fromEntries(Object.entries(summaries[domainId].defenseChanges).filter(([, change]) => change !== 0)),
+  }));
+}
+
 /**
  * Create a skill test action
  * @param {Object} options - Action options
@@ -264,9 +845,259 @@ export function createSkillTestAction({
     type: INTRIGUE_ACTION_TYPES.SKILL_TEST,
     skill,
     target,
+    defense: target ? SKILL_DEFENSES[skill] : null,
     difficulty,
     description,
     result: null,
+    success: null,
+  };
+}
+
+/**
+ * Resolve a skill test by a domain
+ * Against a target the DC is the target's score in the defense the skill
+ * targets, and success raises that defense's level; without one the test is
+ * rolled against the given difficulty, if any
+ * @param {Object} domain - Domain making the test
+ * @param {String} skill - Skill to test
+ * @param {Object} target - Domain the test targets, or null
+ * @param {Object} options - Test options
+ * @param {Number} options.difficulty - Difficulty class (DC) without a target
+ * @param {Boolean} options.advantage - Whether to roll with advantage
+ * @param {Boolean} options.disadvantage - Whether to roll with disadvantage
+ * @returns {Object} - { roll, defense, success, target, pressure }, where success is null
+ * without a DC, target is the updated target and pressure is what raising its defense
+ * level did, or null if it was not raised
+ */
+export function resolveSkillTest(domain, skill, target, {
+  difficulty = null,
+  advantage = false,
+  disadvantage = false,
+} = {}) {
+  const defense = target ? SKILL_DEFENSES[skill] : null;
+  const dc = target ? target.defenseScores[defense] : difficulty;
+  const roll = rollDomainSkillCheck(domain.skills[skill] || 0, domain.size, dc, advantage, disadvantage);
+  
+  // Without a target or a difficulty there is nothing to succeed at
+  if (dc === null || dc === undefined) {
+    return { roll, defense, success: null, target, pressure: null };
+  }
+  
+  if (!target || !roll.success) {
+    return { roll, defense, success: roll.success, target, pressure: null };
+  }
+  
+  const pressure = raiseDefenseLevel(target, defense);
+  
+  return {
+    roll,
+    defense,
+    success: true,
+    target: pressure.domain,
+    pressure,
+  };
+}
+
+/**
+ * Create an action from the catalog of named intrigue actions
+ * @param {Object} options - Action options
+ * @param {String} options.actionId - ID of the action in INTRIGUE_ACTIONS
+ * @param {String} options.target - Target domain ID
+ * @param {String} options.description - Description of the action
+ * @returns {Object} - Catalog action
+ */
+export function createCatalogAction({
+  actionId,
+  target = null,
+  description = '',
+}) {
+  const catalogAction = INTRIGUE_ACTIONS[actionId];
+  
+  return {
+    type: INTRIGUE_ACTION_TYPES.CATALOG,
+    actionId,
+    name: catalogAction.name,
+    skill: catalogAction.skill,
+    target: catalogAction.targeted ? target : null,
+    defense: catalogAction.defense,
+    difficulty: null,
+    description,
+    roll: null,
+    success: null,
+    effects: [],
+  };
+}
+
+/**
+ * Check whether a domain can take an action against a target
+ * Actions that take effect at resolution are checked against the domain as it
+ * is now, and checked again when they are applied
+ * @param {Object} action - Action to take
+ * @param {Object} actor - Domain taking the action
+ * @param {Object} target - Domain the action targets, or null
+ * @returns {Object} - { allowed, reason }
+ */
+export function canTakeAction(action, actor, target) {
+  const catalogAction = action.type === INTRIGUE_ACTION_TYPES.CATALOG ? INTRIGUE_ACTIONS[action.actionId] : null;
+  
+  if (target && target.id === actor.id) {
+    return { allowed: false, reason: `${actor.name} cannot target itself` };
+  }
+  
+  if (action.type === INTRIGUE_ACTION_TYPES.SKILL_TEST && !target && (action.difficulty === null || action.difficulty === undefined)) {
+    return { allowed: false, reason: 'A skill test needs a target domain or a difficulty' };
+  }
+  
+  if (catalogAction?.targeted && !target) {
+    return { allowed: false, reason: `${catalogAction.name} needs a target domain` };
+  }
+  
+  if (catalogAction && actor.resources < catalogAction.cost) {
+    return { allowed: false, reason: `${catalogAction.name} costs ${catalogAction.cost} resource points but ${actor.name} has ${actor.resources}` };
+  }
+  
+  if (action.type === INTRIGUE_ACTION_TYPES.DEFENSE_MODIFICATION && (!action.defense || !action.change)) {
+    return { allowed: false, reason: 'A defense modification needs a defense and an amount to change it by' };
+  }
+  
+  if (action.type === INTRIGUE_ACTION_TYPES.RESOURCE_TRANSFER && (!target || !(action.amount > 0))) {
+    return { allowed: false, reason: 'A resource transfer needs a target domain and an amount above 0' };
+  }
+  
+  if (action.type === INTRIGUE_ACTION_TYPES.RESOURCE_TRANSFER && actor.resources < action.amount) {
+    return { allowed: false, reason: `${actor.name} has only ${actor.resources} resource points to transfer` };
+  }
+  
+  if (action.type === INTRIGUE_ACTION_TYPES.UNIT_CREATION && (!action.unitType || !(action.cost >= 0))) {
+    return { allowed: false, reason: 'Raising a unit needs a unit type and its cost in resource points' };
+  }
+  
+  if (action.type === INTRIGUE_ACTION_TYPES.UNIT_CREATION && actor.resources < action.cost) {
+    return { allowed: false, reason: `Raising the unit costs ${action.cost} resource points but ${actor.name} has ${actor.resources}` };
+  }
+  
+  return { allowed: true, reason: null };
+}
+
+/**
+ * Resolve an action taken in an intrigue session
+ * Skill tests and catalog actions are rolled and their effects applied; other
+ * actions are recorded and applied when the session is resolved
+ * @param {Object} action - Action to resolve
+ * @param {Object} actor - Domain taking the action
+ * @param {Object} target - Domain the action targets, or null
+ * @param {Object} options - Resolution options
+ * @param {String} options.actorId - ID of the Discord user taking the action, for the ledger
+ * @returns {Object} - { action, domains }, where action carries its roll, success and
+ * effects and domains maps IDs to only the domains that changed
+ */
+export function resolveAction(action, actor, target, { actorId = null } = {}) {
+  if (action.type === INTRIGUE_ACTION_TYPES.SKILL_TEST) {
+    const test = resolveSkillTest(actor, action.skill, target, { difficulty: action.difficulty });
+    const effects = test.pressure ? [toDefenseEffect(INTRIGUE_EFFECTS.RAISE_DEFENSE, target, test.defense, test.pressure)] : [];
+    
+    return {
+      action: {
+        ...action,
+        difficulty: test.roll.difficulty ?? null,
+        roll: test.roll,
+        success: test.success,
+        effects,
+      },
+      domains: test.pressure ? { [test.target.id]: test.target } : {},
+    };
+  }
+  
+  if (action.type !== INTRIGUE_ACTION_TYPES.CATALOG) {
+    return { action, domains: {} };
+  }
+  
+  const catalogAction = INTRIGUE_ACTIONS[action.actionId];
+  const dc = catalogAction.dc({ actor, target });
+  const roll = rollDomainSkillCheck(actor.skills[catalogAction.skill] || 0, actor.size, dc);
+  
+  // The cost is paid whether or not the action works
+  const cost = catalogAction.cost > 0 ? [{ effect: INTRIGUE_EFFECTS.RESOURCES, domain: 'actor', amount: -catalogAction.cost }] : [];
+  const outcome = roll.success ? catalogAction.success : catalogAction.failure;
+  const { domains, effects } = applyEffects([...cost, ...outcome], { actor, target }, { name: catalogAction.name, actorId });
+  
+  return {
+    action: {
+      ...action,
+      difficulty: dc,
+      roll,
+      success: roll.success,
+      effects,
+    },
+    domains,
+  };
+}
+
+/**
+ * Apply the effects of an intrigue action
+ * @param {Array} effects - Effects from the catalog
+ * @param {Object} parties - The domains taking part, as { actor, target }
+ * @param {Object} source - { name, actorId } of the action, for the ledger
+ * @returns {Object} - { domains, effects }, where domains maps IDs to the domains that
+ * changed and effects records what each effect did
+ */
+function applyEffects(effects, parties, { name, actorId }) {
+  const current = { ...parties };
+  const applied = [];
+  
+  effects.forEach(({ effect, domain: party, defense, amount }) => {
+    const domain = current[party];
+    
+    if (!domain) {
+      return;
+    }
+    
+    if (effect === INTRIGUE_EFFECTS.RAISE_DEFENSE) {
+      const pressure = raiseDefenseLevel(domain, defense);
+      current[party] = pressure.domain;
+      applied.push(toDefenseEffect(effect, domain, defense, pressure));
+    } else if (effect === INTRIGUE_EFFECTS.LOWER_DEFENSE) {
+      const level = Math.max(0, (domain.defenseLevels[defense] || 0) - 1);
+      current[party] = updateDefenseLevels(domain, { [defense]: level });
+      applied.push({ effect, domainId: domain.id, defense, level, change: level - (domain.defenseLevels[defense] || 0) });
+    } else if (effect === INTRIGUE_EFFECTS.RESOURCES) {
+      const change = typeof amount === 'function' ? amount(parties) : amount;
+      const transaction = { reason: party === 'actor' ? name : `${name} by ${parties.actor.name}`, actorId };
+      current[party] = change >= 0 ? addResources(domain, change, transaction) : removeResources(domain, -change, transaction);
+      applied.push({ effect, domainId: domain.id, amount: current[party].resources - domain.resources });
+    }
+  });
+  
+  const domains = {};
+  
+  Object.keys(parties).forEach(party => {
+    if (current[party] && current[party] !== parties[party]) {
+      domains[current[party].id] = current[party];
+    }
+  });
+  
+  return { domains, effects: applied };
+}
+
+/**
+ * Record what raising a defense level did
+ * @param {String} effect - Effect that raised it
+ * @param {Object} domain - Domain whose defense was raised, before the effect
+ * @param {String} defense - Defense that was raised
+ * @param {Object} pressure - Result of raiseDefenseLevel
+ * @returns {Object} - Applied effect; change is how far the level moved, which is
+ * negative when the domain came under pressure and the level started again from 0
+ */
+function toDefenseEffect(effect, domain, defense, pressure) {
+  return {
+    effect,
+    domainId: domain.id,
+    defense,
+    level: pressure.level,
+    change: pressure.domain.defenseLevels[defense] - (domain.defenseLevels[defense] || 0),
+    underPressure: pressure.underPressure,
+    sizeLost: pressure.sizeLost,
+    resourcesLost: pressure.resourcesLost,
   };
 }
 
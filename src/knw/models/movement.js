@@ -0,0 +1,374 @@
+/**
+ * Movement rules for Kingdoms & Warfare
+ * Maneuvers that move a deployed unit around its side's formation once the
+ * battle has started
+ *
+ * A unit maneuvers on its turn, once per round. Ground units move up to
+ * their type's allowance of ranks or columns and cannot pass through a slot
+ * held by another unit. Cavalry may charge straight to the vanguard and
+ * aerial units may fly over the formation to any open slot.
+ */
+
+import {
+  BATTLE_EVENTS,
+  BATTLE_PHASES,
+  BATTLE_RANKS,
+  getFormation,
+  isGridRank,
+  recordEvent,
+} from './battle.js';
+import { UNIT_TYPES } from './unit.js';
+import { RANK_ORDER, COLUMN_ORDER, isEngaged } from './engagement.js';
+
+// Maneuvers
+export const MANEUVERS = {
+  ADVANCE: 'advance',
+  RETREAT: 'retreat',
+  SHIFT: 'shift',
+  WITHDRAW: 'withdraw',
+  CHARGE: 'charge',
+  FLY_OVER: 'fly_over',
+};
+
+// Number of ranks or columns each unit type may move in one maneuver
+export const MOVEMENT_ALLOWANCES = {
+  [UNIT_TYPES.INFANTRY]: 1,
+  [UNIT_TYPES.CAVALRY]: 2,
+  [UNIT_TYPES.ARTILLERY]: 1,
+  [UNIT_TYPES.AERIAL]: 2,
+};
+
+// Unit types restricted to certain maneuvers
+const MANEUVER_UNIT_TYPES = {
+  [MANEUVERS.CHARGE]: UNIT_TYPES.CAVALRY,
+  [MANEUVERS.FLY_OVER]: UNIT_TYPES.AERIAL,
+};
+
+/**
+ * Get the movement allowance of a unit
+ * @param {Object} unit - Unit to check
+ * @returns {Number} - Number of ranks or columns the unit may move
+ */
+export function getMovementAllowance(unit) {
+  return MOVEMENT_ALLOWANCES[unit.type] || 1;
+}
+
+/**
+ * Get the default destination of a maneuver when none is given
+ * Advance and retreat move one rank in the same column, withdraw moves to
+ * the reserve and charge moves to the vanguard
+ * @param {Object} position - Current position of the unit
+ * @param {String} maneuver - Maneuver being made
+ * @returns {Object} - Destination as { rank, column }
+ */
+function getDefaultDestination(position, maneuver) {
+  const rankIndex = RANK_ORDER.indexOf(position.rank);
+
+  switch (maneuver) {
+    case MANEUVERS.ADVANCE:
+      // Units in reserve enter the field at the rear
+      return {
+        rank: rankIndex === -1 ? BATTLE_RANKS.REAR : RANK_ORDER[rankIndex - 1],
+        column: position.column,
+      };
+
+    case MANEUVERS.RETREAT:
+      return { rank: RANK_ORDER[rankIndex + 1], column: position.column };
+
+    case MANEUVERS.WITHDRAW:
+      return { rank: BATTLE_RANKS.RESERVE, column: null };
+
+    case MANEUVERS.CHARGE:
+      return { rank: BATTLE_RANKS.VANGUARD, column: position.column };
+
+    default:
+      return { rank: position.rank, column: position.column };
+  }
+}
+
+/**
+ * Check whether the slots between two ranks of a column are clear
+ * @param {Object} formation - Formation to read
+ * @param {Number} fromIndex - Rank index the unit is leaving
+ * @param {Number} toIndex - Rank index the unit is moving to
+ * @param {String} column - Column the unit is moving along
+ * @returns {Boolean} - Whether every slot in between is empty
+ */
+function isRankPathClear(formation, fromIndex, toIndex, column) {
+  const step = toIndex > fromIndex ? 1 : -1;
+
+  for (let index = fromIndex + step; index !== toIndex; index += step) {
+    if (formation[RANK_ORDER[index]][column]) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Check whether the slots between two columns of a rank are clear
+ * @param {Object} formation - Formation to read
+ * @param {String} rank - Rank the unit is moving along
+ * @param {Number} fromIndex - Column index the unit is leaving
+ * @param {Number} toIndex - Column index the unit is moving to
+ * @returns {Boolean} - Whether every slot in between is empty
+ */
+function isColumnPathClear(formation, rank, fromIndex, toIndex) {
+  const step = toIndex > fromIndex ? 1 : -1;
+
+  for (let index = fromIndex + step; index !== toIndex; index += step) {
+    if (formation[rank][COLUMN_ORDER[index]]) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Validate a maneuver
+ * @param {Object} battle - Battle to read
+ * @param {Object} unit - Unit making the maneuver
+ * @param {String} maneuver - Maneuver to make
+ * @param {Object} destination - Optional destination as { rank, column }
+ * @returns {Object} - { valid, reason, destination }
+ */
+export function validateMove(battle, unit, maneuver, destination = {}) {
+  const invalid = (reason) => ({ valid: false, reason, destination: null });
+  const battleUnit = battle.units[unit.id];
+
+  if (!battleUnit) {
+    return invalid(`${unit.name} is not in the battle`);
+  }
+
+  if (battle.phase !== BATTLE_PHASES.BATTLE) {
+    return invalid('Units can only maneuver once the battle has started');
+  }
+
+  if (battle.initiative[battle.currentTurn] !== unit.id) {
+    return invalid(`It is not ${unit.name}'s turn`);
+  }
+
+  if (battleUnit.activated) {
+    return invalid(`${unit.name} has already acted this round`);
+  }
+
+  if (!Object.values(MANEUVERS).includes(maneuver)) {
+    return invalid(`Unknown maneuver: ${maneuver}`);
+  }
+
+  const requiredType = MANEUVER_UNIT_TYPES[maneuver];
+
+  if (requiredType && unit.type !== requiredType) {
+    return invalid(
+      `Only ${requiredType} units can ${maneuver.replace('_', ' ')}`,
+    );
+  }
+
+  const { position } = battleUnit;
+
+  if (position.rank === BATTLE_RANKS.NOT_DEPLOYED) {
+    return invalid(`${unit.name} has not been deployed`);
+  }
+
+  if (
+    position.rank === BATTLE_RANKS.RESERVE &&
+    maneuver !== MANEUVERS.ADVANCE &&
+    maneuver !== MANEUVERS.FLY_OVER
+  ) {
+    return invalid(
+      `${unit.name} is in reserve and can only advance onto the field`,
+    );
+  }
+
+  // Fill in whatever part of the destination was left out
+  const defaults = getDefaultDestination(position, maneuver);
+  const to = {
+    rank: destination.rank || defaults.rank,
+    column: destination.column || defaults.column,
+  };
+
+  if (!to.rank) {
+    return invalid(
+      `${unit.name} cannot ${maneuver.replace('_', ' ')} from ${position.rank} ${position.column}`,
+    );
+  }
+
+  if (isGridRank(to.rank) && !COLUMN_ORDER.includes(to.column)) {
+    return invalid(`Please provide a position for ${unit.name} to move to`);
+  }
+
+  if (maneuver === MANEUVERS.FLY_OVER && !isGridRank(to.rank)) {
+    return invalid(`${unit.name} can only fly over to a position on the field`);
+  }
+
+  if (!isGridRank(to.rank) && to.rank !== BATTLE_RANKS.RESERVE) {
+    return invalid(`${unit.name} cannot move to ${to.rank}`);
+  }
+
+  if (to.rank === position.rank && to.column === position.column) {
+    return invalid(
+      `${unit.name} is already at ${position.rank} ${position.column}`,
+    );
+  }
+
+  const formation = getFormation(battle, battleUnit.domainId);
+
+  if (isGridRank(to.rank) && formation[to.rank][to.column]) {
+    return invalid(`${to.rank} ${to.column} is already occupied`);
+  }
+
+  const allowance = getMovementAllowance(unit);
+  const fromRankIndex =
+    position.rank === BATTLE_RANKS.RESERVE
+      ? RANK_ORDER.length
+      : RANK_ORDER.indexOf(position.rank);
+  const toRankIndex =
+    to.rank === BATTLE_RANKS.RESERVE
+      ? RANK_ORDER.length
+      : RANK_ORDER.indexOf(to.rank);
+
+  switch (maneuver) {
+    case MANEUVERS.ADVANCE:
+    case MANEUVERS.RETREAT: {
+      const forward = maneuver === MANEUVERS.ADVANCE;
+
+      if (
+        !isGridRank(to.rank) ||
+        (forward ? toRankIndex >= fromRankIndex : toRankIndex <= fromRankIndex)
+      ) {
+        return invalid(
+          `${unit.name} must ${maneuver} ${forward ? 'toward' : 'away from'} the front line`,
+        );
+      }
+
+      if (
+        position.rank !== BATTLE_RANKS.RESERVE &&
+        to.column !== position.column
+      ) {
+        return invalid(
+          `${unit.name} must stay in the ${position.column} column; shift to change columns`,
+        );
+      }
+
+      if (Math.abs(toRankIndex - fromRankIndex) > allowance) {
+        return invalid(
+          `${unit.name} can only move ${allowance} rank${allowance === 1 ? '' : 's'} at a time`,
+        );
+      }
+
+      if (
+        position.rank !== BATTLE_RANKS.RESERVE &&
+        !isRankPathClear(formation, fromRankIndex, toRankIndex, to.column)
+      ) {
+        return invalid(`Another unit is in the way of ${unit.name}`);
+      }
+
+      break;
+    }
+
+    case MANEUVERS.SHIFT: {
+      if (to.rank !== position.rank) {
+        return invalid(
+          `${unit.name} must stay in the ${position.rank} rank; advance or retreat to change ranks`,
+        );
+      }
+
+      const fromColumnIndex = COLUMN_ORDER.indexOf(position.column);
+      const toColumnIndex = COLUMN_ORDER.indexOf(to.column);
+
+      if (Math.abs(toColumnIndex - fromColumnIndex) > allowance) {
+        return invalid(
+          `${unit.name} can only shift ${allowance} column${allowance === 1 ? '' : 's'} at a time`,
+        );
+      }
+
+      if (
+        !isColumnPathClear(formation, to.rank, fromColumnIndex, toColumnIndex)
+      ) {
+        return invalid(`Another unit is in the way of ${unit.name}`);
+      }
+
+      break;
+    }
+
+    case MANEUVERS.WITHDRAW:
+      if (to.rank !== BATTLE_RANKS.RESERVE) {
+        return invalid(`${unit.name} can only withdraw to the reserve`);
+      }
+
+      if (toRankIndex - fromRankIndex > allowance) {
+        return invalid(
+          `${unit.name} is too far forward to withdraw; retreat first`,
+        );
+      }
+
+      if (
+        !isRankPathClear(
+          formation,
+          fromRankIndex,
+          RANK_ORDER.length,
+          position.column,
+        )
+      ) {
+        return invalid(`Another unit is in the way of ${unit.name}`);
+      }
+
+      break;
+
+    case MANEUVERS.CHARGE:
+      if (to.rank !== BATTLE_RANKS.VANGUARD || to.column !== position.column) {
+        return invalid(
+          `${unit.name} can only charge straight ahead to the vanguard`,
+        );
+      }
+
+      if (isEngaged(battle, unit.id)) {
+        return invalid(`${unit.name} is already engaged and cannot charge`);
+      }
+
+      if (!isRankPathClear(formation, fromRankIndex, toRankIndex, to.column)) {
+        return invalid(`Another unit is in the way of ${unit.name}`);
+      }
+
+      break;
+
+    // Aerial units fly over anything in their way and ignore their allowance
+    default:
+      break;
+  }
+
+  return { valid: true, reason: null, destination: to };
+}
+
+/**
+ * Move a unit with a maneuver and log the move
+ * @param {Object} battle - Battle to modify
+ * @param {Object} unit - Unit making the maneuver
+ * @param {String} maneuver - Maneuver to make
+ * @param {Object} destination - Optional destination as { rank, column }
+ * @returns {Object} - Updated battle, or the same battle if the move is invalid
+ */
+export function moveUnit(battle, unit, maneuver, destination = {}) {
+  const { valid, destination: to } = validateMove(
+    battle,
+    unit,
+    maneuver,
+    destination,
+  );
+
+  if (!valid) {
+    return battle;
+  }
+
+  const from = battle.units[unit.id].position;
+
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.UNIT_MOVED,
+    unitId: unit.id,
+    maneuver,
+    from: { rank: from.rank, column: from.column },
+    to: { rank: to.rank, column: isGridRank(to.rank) ? to.column : null },
+  });
+}
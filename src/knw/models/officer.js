@@ -0,0 +1,179 @@
+/**
+ * Officer model for Kingdoms & Warfare
+ * Represents the characters who serve a domain and command its units
+ *
+ * An officer's command bonus is their Charisma modifier plus their
+ * proficiency bonus. A unit led by a commander adds the command bonus to its
+ * morale checks, and the commander's abilities can change those checks in the
+ * same way unit traits do: each ability has a moraleCheck hook that receives
+ * the unit and the cause of the check and returns { advantage, disadvantage,
+ * autoSuccess }, if anything.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { MORALE_CAUSES } from './traits.js';
+
+// Ability scores of an officer
+export const OFFICER_ABILITIES = {
+  STRENGTH: 'strength',
+  DEXTERITY: 'dexterity',
+  CONSTITUTION: 'constitution',
+  INTELLIGENCE: 'intelligence',
+  WISDOM: 'wisdom',
+  CHARISMA: 'charisma',
+};
+
+// Commander abilities an officer can bring to the unit they lead
+export const COMMANDER_ABILITIES = {
+  inspiring: {
+    id: 'inspiring',
+    name: 'Inspiring',
+    description: 'The commanded unit has advantage on checks to rally.',
+    hooks: {
+      moraleCheck: ({ cause }) =>
+        cause === MORALE_CAUSES.RALLY ? { advantage: true } : null,
+    },
+  },
+  disciplined: {
+    id: 'disciplined',
+    name: 'Disciplined',
+    description:
+      'The commanded unit has advantage on morale checks for being diminished.',
+    hooks: {
+      moraleCheck: ({ cause }) =>
+        cause === MORALE_CAUSES.DIMINISHED ? { advantage: true } : null,
+    },
+  },
+  fearless: {
+    id: 'fearless',
+    name: 'Fearless',
+    description: 'The commanded unit cannot be horrified.',
+    hooks: {
+      moraleCheck: ({ cause }) =>
+        cause === MORALE_CAUSES.HORRIFY ? { autoSuccess: true } : null,
+    },
+  },
+};
+
+/**
+ * Create a new officer
+ * @param {Object} options - Officer options
+ * @param {String} options.name - Officer name
+ * @param {Number} options.level - Character level (1-20)
+ * @param {Object} options.abilities - Ability scores
+ * @param {Array} options.commanderAbilities - IDs of the officer's commander abilities
+ * @returns {Object} - New officer
+ */
+export function createOfficer({
+  name,
+  level = 1,
+  abilities = {},
+  commanderAbilities = [],
+}) {
+  return {
+    id: uuidv4(),
+    name,
+    level,
+    abilities: {
+      [OFFICER_ABILITIES.STRENGTH]: abilities[OFFICER_ABILITIES.STRENGTH] || 10,
+      [OFFICER_ABILITIES.DEXTERITY]:
+        abilities[OFFICER_ABILITIES.DEXTERITY] || 10,
+      [OFFICER_ABILITIES.CONSTITUTION]:
+        abilities[OFFICER_ABILITIES.CONSTITUTION] || 10,
+      [OFFICER_ABILITIES.INTELLIGENCE]:
+        abilities[OFFICER_ABILITIES.INTELLIGENCE] || 10,
+      [OFFICER_ABILITIES.WISDOM]: abilities[OFFICER_ABILITIES.WISDOM] || 10,
+      [OFFICER_ABILITIES.CHARISMA]: abilities[OFFICER_ABILITIES.CHARISMA] || 10,
+    },
+    commanderAbilities: commanderAbilities.filter(
+      (ability) => COMMANDER_ABILITIES[ability],
+    ),
+    domainId: null,
+    created: new Date().toISOString(),
+    updated: new Date().toISOString(),
+  };
+}
+
+/**
+ * Get the modifier of an ability score
+ * @param {Number} score - Ability score
+ * @returns {Number} - Ability modifier
+ */
+export function getAbilityModifier(score) {
+  return Math.floor((score - 10) / 2);
+}
+
+/**
+ * Get the proficiency bonus of an officer from their level
+ * @param {Object} officer - Officer to read
+ * @returns {Number} - Proficiency bonus
+ */
+export function getProficiencyBonus(officer) {
+  return Math.ceil(officer.level / 4) + 1;
+}
+
+/**
+ * Get the command bonus an officer gives the unit they lead
+ * @param {Object} officer - Officer to read
+ * @returns {Number} - Command bonus
+ */
+export function getCommandBonus(officer) {
+  if (!officer) {
+    return 0;
+  }
+
+  return (
+    getAbilityModifier(officer.abilities[OFFICER_ABILITIES.CHARISMA]) +
+    getProficiencyBonus(officer)
+  );
+}
+
+/**
+ * Get the catalog entries for an officer's commander abilities
+ * @param {Object} officer - Officer to read
+ * @returns {Array} - Commander abilities of the officer
+ */
+export function getCommanderAbilities(officer) {
+  if (!officer) {
+    return [];
+  }
+
+  return (officer.commanderAbilities || [])
+    .map((ability) => COMMANDER_ABILITIES[ability])
+    .filter(Boolean);
+}
+
+/**
+ * Add a commander ability to an officer
+ * @param {Object} officer - Officer to modify
+ * @param {String} ability - ID of the ability to add
+ * @returns {Object} - Updated officer, or the same officer if the ability is unknown or already known
+ */
+export function addCommanderAbility(officer, ability) {
+  if (
+    !COMMANDER_ABILITIES[ability] ||
+    officer.commanderAbilities.includes(ability)
+  ) {
+    return officer;
+  }
+
+  return {
+    ...officer,
+    commanderAbilities: [...officer.commanderAbilities, ability],
+    updated: new Date().toISOString(),
+  };
+}
+
+/**
+ * Assign an officer to a domain
+ * @param {Object} officer - Officer to modify
+ * @param {String} domainId - ID of the domain the officer serves
+ * @returns {Object} - Updated officer
+ */
+export function assignToDomain(officer, domainId) {
+  return {
+    ...officer,
+    domainId,
+    updated: new Date().toISOString(),
+  };
+}
@@ -0,0 +1,191 @@
+/**
+ * Unit progression for Kingdoms & Warfare
+ * Awards experience to the units that fought a battle, records the battle in
+ * each unit's service history and promotes units to higher experience ranks
+ *
+ * Units that survive a battle earn experience for surviving, for being on the
+ * winning side and for every enemy unit they broke. Once a unit has enough
+ * experience for the next rank it can be promoted; promotion is left to the
+ * GM rather than applied automatically.
+ */
+
+import { addBattle, addExperience, setTier } from './unit.js';
+import { EXPERIENCE_RANKS, calculateCost, migrateUnit } from './builder.js';
+
+// Experience awarded after a battle
+export const EXPERIENCE_AWARDS = {
+  SURVIVED: 1,
+  VICTORY: 1,
+  UNIT_BROKEN: 1,
+};
+
+// Total experience a unit needs to reach each rank
+export const PROMOTION_EXPERIENCE = {
+  [EXPERIENCE_RANKS.regular.id]: 2,
+  [EXPERIENCE_RANKS.seasoned.id]: 5,
+  [EXPERIENCE_RANKS.veteran.id]: 9,
+  [EXPERIENCE_RANKS.elite.id]: 14,
+  [EXPERIENCE_RANKS.super_elite.id]: 20,
+};
+
+// Battle outcomes for a unit's side
+export const BATTLE_OUTCOMES = {
+  VICTORY: 'victory',
+  DEFEAT: 'defeat',
+  UNDECIDED: 'undecided',
+};
+
+/**
+ * Get the experience rank after a unit's current one
+ * @param {Object} unit - Unit to check
+ * @returns {Object|null} - Next rank, or null if the unit is at the highest rank
+ */
+export function getNextRank(unit) {
+  const ranks = Object.values(EXPERIENCE_RANKS);
+  const index = ranks.findIndex(
+    (rank) => rank.id === migrateUnit(unit).experienceRank,
+  );
+
+  return ranks[index + 1] || null;
+}
+
+/**
+ * Check if a unit has enough experience to be promoted
+ * @param {Object} unit - Unit to check
+ * @returns {Boolean} - Whether the unit can be promoted
+ */
+export function canPromote(unit) {
+  const nextRank = getNextRank(unit);
+
+  return (
+    Boolean(nextRank) && unit.experience >= PROMOTION_EXPERIENCE[nextRank.id]
+  );
+}
+
+/**
+ * Promote a unit to its next experience rank
+ * The unit gains the difference between the two ranks' stat modifiers and
+ * takes on the new rank's tier
+ * @param {Object} unit - Unit to promote
+ * @returns {Object} - Promoted unit, or the same unit if it cannot be promoted
+ */
+export function promoteUnit(unit) {
+  if (!canPromote(unit)) {
+    return unit;
+  }
+
+  const migrated = migrateUnit(unit);
+  const currentRank = EXPERIENCE_RANKS[migrated.experienceRank];
+  const nextRank = getNextRank(migrated);
+  const stats = { ...migrated.stats };
+
+  Object.entries(nextRank.stats).forEach(([stat, modifier]) => {
+    stats[stat] += modifier - (currentRank.stats[stat] || 0);
+  });
+
+  const promoted = setTier(
+    {
+      ...migrated,
+      stats,
+      experienceRank: nextRank.id,
+    },
+    nextRank.tier,
+  );
+
+  return {
+    ...promoted,
+    ...calculateCost(promoted),
+  };
+}
+
+/**
+ * Work out how a battle went for one unit from the battle log
+ * @param {Object} battle - Battle that ended
+ * @param {Object} unit - Unit that fought in the battle
+ * @param {String} winningDomainId - ID of the winning domain, if any
+ * @returns {Object} - Service record entry for the battle
+ */
+export function getServiceRecord(battle, unit, winningDomainId = null) {
+  const attacks = battle.log.filter((entry) => entry.type === 'attack');
+  const domainId = battle.units[unit.id]?.domainId;
+  let outcome = BATTLE_OUTCOMES.UNDECIDED;
+
+  if (winningDomainId) {
+    outcome =
+      domainId === winningDomainId
+        ? BATTLE_OUTCOMES.VICTORY
+        : BATTLE_OUTCOMES.DEFEAT;
+  }
+
+  return {
+    battleId: battle.id,
+    battleName: battle.name,
+    date: new Date().toISOString(),
+    outcome,
+    survived: unit.casualtyDie.current > 0,
+    casualtiesInflicted: attacks
+      .filter((entry) => entry.attackerId === unit.id)
+      .reduce((total, entry) => total + entry.casualties, 0),
+    casualtiesTaken: attacks
+      .filter((entry) => entry.targetId === unit.id)
+      .reduce((total, entry) => total + entry.casualties, 0),
+    unitsBroken: attacks.filter(
+      (entry) => entry.attackerId === unit.id && entry.broken,
+    ).length,
+  };
+}
+
+/**
+ * Calculate the experience a unit earns from its service in a battle
+ * @param {Object} record - Service record entry for the battle
+ * @returns {Number} - Experience earned
+ */
+export function calculateBattleExperience(record) {
+  if (!record.survived) {
+    return 0;
+  }
+
+  return (
+    EXPERIENCE_AWARDS.SURVIVED +
+    (record.outcome === BATTLE_OUTCOMES.VICTORY
+      ? EXPERIENCE_AWARDS.VICTORY
+      : 0) +
+    record.unitsBroken * EXPERIENCE_AWARDS.UNIT_BROKEN
+  );
+}
+
+/**
+ * Record a battle in a unit's service history, award its experience and
+ * grant a battle honor to surviving units on the winning side
+ * @param {Object} battle - Battle that ended
+ * @param {Object} unit - Unit that fought in the battle
+ * @param {String} winningDomainId - ID of the winning domain, if any
+ * @returns {Object} - { unit, record, promotionAvailable }
+ */
+export function awardBattleExperience(battle, unit, winningDomainId = null) {
+  const baseRecord = getServiceRecord(battle, unit, winningDomainId);
+  const record = {
+    ...baseRecord,
+    experience: calculateBattleExperience(baseRecord),
+  };
+
+  let updatedUnit = addExperience(
+    addBattle(migrateUnit(unit)),
+    record.experience,
+  );
+
+  updatedUnit = {
+    ...updatedUnit,
+    history: [...(unit.history || []), record],
+    honors:
+      record.survived && record.outcome === BATTLE_OUTCOMES.VICTORY
+        ? [...(unit.honors || []), battle.name]
+        : unit.honors || [],
+  };
+
+  return {
+    unit: updatedUnit,
+    record,
+    promotionAvailable: canPromote(updatedUnit),
+  };
+}
@@ -0,0 +1,195 @@
+/**
+ * Battle replay for Kingdoms & Warfare
+ * Rebuilds a battle from its event log, undoes its latest events and steps
+ * through it round by round
+ *
+ * A battle's log is replayed from the event that created it or, for a battle
+ * from before events were recorded, from the snapshot taken the first time it
+ * changed afterwards. Entries before that point are kept as history but
+ * cannot be replayed or undone.
+ *
+ * Casualties and conditions are kept on the units rather than the battle.
+ * Events that changed units (attacks and the end of turns and rounds) hold
+ * the units as they were, so undoing them can put the units back too. The end
+ * of a battle and its aftermath award experience and spend domain resources
+ * that the log cannot give back, so nothing at or before them can be undone.
+ */
+
+import { BASE_EVENTS, BATTLE_EVENTS, applyEvent } from './battle.js';
+
+// Events that cannot be undone, nor can anything before them
+const FINAL_EVENTS = [
+  BATTLE_EVENTS.BATTLE_END,
+  BATTLE_EVENTS.AFTERMATH_RESOLVED,
+];
+
+/**
+ * Get the index in a battle log that the battle can be rebuilt from
+ * @param {Array} log - Battle log
+ * @returns {Number} - Index of the last creation or snapshot event, or -1 if there is none
+ */
+export function getReplayStart(log) {
+  for (let index = log.length - 1; index >= 0; index--) {
+    if (BASE_EVENTS.includes(log[index].type)) {
+      return index;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Rebuild a battle's state by applying its log in order
+ * @param {Object} battle - Battle to rebuild
+ * @returns {Object|null} - Rebuilt battle, or null if its log cannot be replayed
+ */
+export function rebuildBattle(battle) {
+  const start = getReplayStart(battle.log);
+
+  if (start === -1) {
+    return null;
+  }
+
+  const rebuilt = battle.log
+    .slice(start)
+    .reduce((state, event) => applyEvent(state, event), null);
+
+  return {
+    ...rebuilt,
+    log: battle.log,
+  };
+}
+
+/**
+ * Get the number of events at the end of a battle's log that can be undone
+ * @param {Object} battle - Battle to check
+ * @returns {Number} - Number of events that can be undone
+ */
+export function getUndoableCount(battle) {
+  const start = getReplayStart(battle.log);
+
+  if (start === -1) {
+    return 0;
+  }
+
+  // Nothing at or before the end of the battle can be undone
+  let first = start + 1;
+
+  battle.log.forEach((event, index) => {
+    if (FINAL_EVENTS.includes(event.type) && index >= first) {
+      first = index + 1;
+    }
+  });
+
+  return battle.log.length - first;
+}
+
+/**
+ * Undo a battle's latest events
+ * The battle is rebuilt from its log without them, and every unit they changed
+ * goes back to how it was before the earliest of them that changed it
+ * @param {Object} battle - Battle to modify
+ * @param {Number} count - Number of events to undo
+ * @returns {Object} - { valid, reason, battle, undone, units }, where undone lists the events
+ * that were undone and units maps IDs to the units to restore
+ */
+export function undoEvents(battle, count = 1) {
+  const undoable = getUndoableCount(battle);
+
+  if (undoable === 0) {
+    const ended = battle.log.some((event) => FINAL_EVENTS.includes(event.type));
+    return {
+      valid: false,
+      reason: ended
+        ? 'The battle has ended, and its end cannot be undone'
+        : 'This battle has no events that can be undone',
+      battle,
+      undone: [],
+      units: {},
+    };
+  }
+
+  if (count < 1 || count > undoable) {
+    return {
+      valid: false,
+      reason: `Between 1 and ${undoable} events can be undone`,
+      battle,
+      undone: [],
+      units: {},
+    };
+  }
+
+  const undone = battle.log.slice(-count);
+  const units = {};
+
+  // Later events go first so that the earliest copy of each unit wins
+  [...undone].reverse().forEach((event) => {
+    Object.assign(units, event.previousUnits || {});
+  });
+
+  return {
+    valid: true,
+    reason: null,
+    battle: rebuildBattle({ ...battle, log: battle.log.slice(0, -count) }),
+    undone,
+    units,
+  };
+}
+
+/**
+ * Get the rounds a battle's log can be replayed through
+ * @param {Object} battle - Battle to read
+ * @returns {Array} - Round numbers in order, starting with 0 for the setup
+ */
+export function getReplayRounds(battle) {
+  const start = getReplayStart(battle.log);
+
+  if (start === -1) {
+    return [];
+  }
+
+  return [
+    ...new Set(battle.log.slice(start).map((event) => event.round || 0)),
+  ].sort((a, b) => a - b);
+}
+
+/**
+ * Replay a battle up to the end of a round
+ * @param {Object} battle - Battle to replay
+ * @param {Number} round - Round to replay up to, with 0 for the setup
+ * @returns {Object} - { valid, reason, battle, events }, where battle is the state at the end of
+ * the round and events lists the events of that round
+ */
+export function replayRound(battle, round) {
+  const rounds = getReplayRounds(battle);
+
+  if (rounds.length === 0) {
+    return {
+      valid: false,
+      reason: 'This battle has no events to replay',
+      battle: null,
+      events: [],
+    };
+  }
+
+  if (!rounds.includes(round)) {
+    return {
+      valid: false,
+      reason: `Round ${round} is not in the battle log (rounds ${rounds[0]} to ${rounds[rounds.length - 1]})`,
+      battle: null,
+      events: [],
+    };
+  }
+
+  const start = getReplayStart(battle.log);
+  const log = battle.log
+    .slice(start)
+    .filter((event) => (event.round || 0) <= round);
+
+  return {
+    valid: true,
+    reason: null,
+    battle: rebuildBattle({ ...battle, log }),
+    events: log.filter((event) => (event.round || 0) === round),
+  };
+}
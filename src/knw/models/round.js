@@ -0,0 +1,335 @@
+/**
+ * Round engine for Kingdoms & Warfare
+ * Moves a battle through its initiative order, tracks which units activated
+ * or were skipped, and fires the end-of-round effects
+ *
+ * Every unit activates once per round. A unit whose turn ends without it
+ * activating is skipped for the round. Broken and disbanded units leave the
+ * initiative order as soon as a turn ends; broken units that rally at the end
+ * of a round rejoin it.
+ *
+ * Conditions and tokens expire here too: those lasting until the end of the
+ * unit's next activation when its turn ends, and those lasting until the end
+ * of the round when the round ends.
+ */
+
+import * as Traits from './traits.js';
+import {
+  BATTLE_EVENTS,
+  BATTLE_PHASES,
+  recordEvent,
+  slotIntoInitiative,
+} from './battle.js';
+import {
+  UNIT_CONDITIONS,
+  hasCondition,
+  normalizeCondition,
+  removeCondition,
+} from './unit.js';
+import { EFFECT_DURATIONS, expireEffects } from './effects.js';
+
+// DC of the morale check a broken unit makes to rally at the end of a round
+export const RALLY_DC = 15;
+
+/**
+ * Expire one unit's conditions that last for a duration and list its tokens
+ * that expire with them
+ * The tokens themselves are taken off when the battle event that ends the turn
+ * or round is applied.
+ * @param {Object} battle - Battle holding the unit's tokens
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @param {String} unitId - ID of the unit
+ * @param {String} duration - Duration that is ending
+ * @param {Number} turn - Battle turn count of the turn that is ending
+ * @returns {Object} - { units, expired }
+ */
+function expireUnitEffects(battle, units, unitId, duration, turn = null) {
+  const expired = [];
+  let updatedUnits = units;
+  const unit = units[unitId];
+
+  if (unit) {
+    const conditions = expireEffects(
+      unit.conditions.map(normalizeCondition),
+      duration,
+      turn,
+    );
+
+    if (conditions.expired.length > 0) {
+      updatedUnits = {
+        ...updatedUnits,
+        [unitId]: {
+          ...unit,
+          conditions: conditions.remaining,
+          updated: new Date().toISOString(),
+        },
+      };
+      conditions.expired.forEach(({ name }) =>
+        expired.push({ unitId, type: 'condition', name }),
+      );
+    }
+  }
+
+  const battleUnit = battle.units[unitId];
+
+  if (battleUnit) {
+    expireEffects(battleUnit.tokens, duration, turn).expired.forEach(
+      ({ name }) => expired.push({ unitId, type: 'token', name }),
+    );
+  }
+
+  return { units: updatedUnits, expired };
+}
+
+/**
+ * Get the units that a step of the round engine changed, as they were before
+ * The changed units are kept in the battle event so that undoing it can
+ * restore them
+ * @param {Object} units - Map of unit IDs to unit objects before the step
+ * @param {Object} updatedUnits - Map of unit IDs to unit objects after the step
+ * @returns {Object} - Map of unit IDs to the changed units before the step
+ */
+function getPreviousUnits(units, updatedUnits) {
+  const previousUnits = {};
+
+  Object.keys(updatedUnits).forEach((unitId) => {
+    if (units[unitId] && updatedUnits[unitId] !== units[unitId]) {
+      previousUnits[unitId] = units[unitId];
+    }
+  });
+
+  return previousUnits;
+}
+
+/**
+ * Check if a unit is out of action (broken or disbanded)
+ * @param {Object} unit - Unit to check
+ * @returns {Boolean} - Whether the unit can no longer take turns
+ */
+export function isOutOfAction(unit) {
+  return (
+    Boolean(unit) &&
+    (hasCondition(unit, UNIT_CONDITIONS.BROKEN) ||
+      hasCondition(unit, UNIT_CONDITIONS.DISBANDED))
+  );
+}
+
+/**
+ * Remove a unit from a battle's initiative order
+ * The unit whose turn it is keeps its turn; if the removed unit was the one
+ * taking its turn, the turn passes to the unit after it.
+ * @param {Object} battle - Battle to modify
+ * @param {String} unitId - ID of the unit to remove
+ * @returns {Object} - Updated battle
+ */
+export function removeFromInitiative(battle, unitId) {
+  if (!battle.initiative.includes(unitId)) {
+    return battle;
+  }
+
+  return recordEvent(battle, {
+    type: BATTLE_EVENTS.UNIT_REMOVED_FROM_INITIATIVE,
+    unitId,
+  });
+}
+
+/**
+ * Remove every broken or disbanded unit from a battle's initiative order
+ * @param {Object} battle - Battle to modify
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @returns {Object} - { battle, removed }
+ */
+export function removeOutOfAction(battle, units) {
+  const removed = battle.initiative.filter((unitId) =>
+    isOutOfAction(units[unitId]),
+  );
+  let updatedBattle = battle;
+
+  removed.forEach((unitId) => {
+    updatedBattle = removeFromInitiative(updatedBattle, unitId);
+  });
+
+  return { battle: updatedBattle, removed };
+}
+
+/**
+ * End the current unit's turn and move to the next unit that has yet to
+ * activate this round, resolving the end of the round when none are left
+ * @param {Object} battle - Battle to modify
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @param {Object} officers - Map of officer IDs to the officers commanding units in the battle
+ * @returns {Object} - { battle, units, expired, summary }, where expired lists the effects that
+ * wore off at the end of the turn and summary is null unless the round ended
+ */
+export function advanceTurn(battle, units, officers = {}) {
+  // Check if the battle is in the battle phase
+  if (battle.phase !== BATTLE_PHASES.BATTLE) {
+    return { battle, units, expired: [], summary: null };
+  }
+
+  const currentUnitId = battle.initiative[battle.currentTurn];
+  let updatedBattle = battle;
+
+  // A unit whose turn ends without activating is skipped for the round
+  if (
+    currentUnitId &&
+    battle.units[currentUnitId] &&
+    !battle.units[currentUnitId].activated
+  ) {
+    updatedBattle = recordEvent(updatedBattle, {
+      type: BATTLE_EVENTS.UNIT_SKIPPED,
+      unitId: currentUnitId,
+    });
+  }
+
+  // Effects lasting until the end of the unit's next activation wear off
+  const turn = battle.turnCount || 0;
+  const { units: updatedUnits, expired } = currentUnitId
+    ? expireUnitEffects(
+        updatedBattle,
+        units,
+        currentUnitId,
+        EFFECT_DURATIONS.END_OF_NEXT_ACTIVATION,
+        turn,
+      )
+    : { units, expired: [] };
+
+  // Take broken and disbanded units out of the order
+  const { battle: battleWithoutRemoved } = removeOutOfAction(
+    updatedBattle,
+    updatedUnits,
+  );
+  updatedBattle = battleWithoutRemoved;
+
+  // The next turn goes to the first later unit that has yet to act this round
+  const currentIndex = updatedBattle.initiative.indexOf(currentUnitId);
+  const start =
+    currentIndex === -1 ? updatedBattle.currentTurn : currentIndex + 1;
+  const nextTurn = updatedBattle.initiative.findIndex(
+    (unitId, index) =>
+      index >= start &&
+      !updatedBattle.units[unitId].activated &&
+      !updatedBattle.units[unitId].skipped,
+  );
+
+  updatedBattle = recordEvent(updatedBattle, {
+    type: BATTLE_EVENTS.TURN_ENDED,
+    unitId: currentUnitId || null,
+    turn,
+    nextTurn: nextTurn === -1 ? null : nextTurn,
+    previousUnits: getPreviousUnits(units, updatedUnits),
+  });
+
+  if (nextTurn !== -1) {
+    return {
+      battle: updatedBattle,
+      units: updatedUnits,
+      expired,
+      summary: null,
+    };
+  }
+
+  return {
+    ...resolveEndOfRound(updatedBattle, updatedUnits, officers),
+    expired,
+  };
+}
+
+/**
+ * Resolve the end of a round
+ * Expires end-of-round conditions and tokens, runs end-of-round traits, lets
+ * broken units attempt to rally (with their commander's help) and resets every
+ * unit's activation before starting the next round
+ * @param {Object} battle - Battle to modify
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @param {Object} officers - Map of officer IDs to the officers commanding units in the battle
+ * @returns {Object} - { battle, units, summary }
+ */
+export function resolveEndOfRound(battle, units, officers = {}) {
+  const unitIds = Object.keys(battle.units);
+  const summary = {
+    round: battle.round,
+    activated: unitIds.filter((unitId) => battle.units[unitId].activated),
+    skipped: unitIds.filter((unitId) => battle.units[unitId].skipped),
+    removed: unitIds.filter((unitId) => isOutOfAction(units[unitId])),
+    expired: [],
+    traitEffects: [],
+    rallied: [],
+  };
+
+  // Expire conditions and tokens that last until the end of the round
+  let updatedBattle = battle;
+  let updatedUnits = { ...units };
+
+  unitIds.forEach((unitId) => {
+    const expiry = expireUnitEffects(
+      updatedBattle,
+      updatedUnits,
+      unitId,
+      EFFECT_DURATIONS.END_OF_ROUND,
+    );
+    updatedUnits = expiry.units;
+    summary.expired.push(...expiry.expired);
+  });
+
+  // End-of-round traits, such as Regenerate
+  unitIds.forEach((unitId) => {
+    if (!updatedUnits[unitId]) {
+      return;
+    }
+
+    const traits = Traits.applyEndOfRound(updatedUnits[unitId]);
+
+    if (traits.effects.length > 0) {
+      updatedUnits[unitId] = traits.unit;
+      summary.traitEffects.push(...traits.effects);
+    }
+  });
+
+  // Broken units that still have troops attempt to rally
+  unitIds.forEach((unitId) => {
+    const unit = updatedUnits[unitId];
+
+    if (
+      !unit ||
+      !hasCondition(unit, UNIT_CONDITIONS.BROKEN) ||
+      unit.casualtyDie.current === 0
+    ) {
+      return;
+    }
+
+    const commander = officers[battle.units[unitId].commanderId] || null;
+    const check = Traits.rollMoraleCheck(
+      unit,
+      RALLY_DC,
+      Traits.MORALE_CAUSES.RALLY,
+      commander,
+    );
+    summary.rallied.push({ unitId, check });
+
+    if (check.success) {
+      updatedUnits[unitId] = removeCondition(unit, UNIT_CONDITIONS.BROKEN);
+      updatedBattle = slotIntoInitiative(updatedBattle, updatedUnits[unitId]);
+    }
+  });
+
+  // End the round, which resets activations, and start the next one
+  updatedBattle = recordEvent(updatedBattle, {
+    type: BATTLE_EVENTS.ROUND_END,
+    summary: {
+      ...summary,
+      rallied: summary.rallied.map(({ unitId, check }) => ({
+        unitId,
+        success: check.success,
+      })),
+    },
+    previousUnits: getPreviousUnits(units, updatedUnits),
+  });
+
+  updatedBattle = recordEvent(updatedBattle, {
+    type: BATTLE_EVENTS.ROUND_START,
+    round: battle.round + 1,
+  });
+
+  return { battle: updatedBattle, units: updatedUnits, summary };
+}
@@ -0,0 +1,91 @@
+/**
+ * Server settings model for Kingdoms & Warfare
+ * Represents how a Discord server has configured the bot
+ *
+ * Settings live in the server's data under `settings`. Anything a server has
+ * not set falls back to DEFAULT_SETTINGS, so new settings need no migration.
+ */
+
+// Who sees dice rolls by default
+export const DICE_VISIBILITY = {
+  PUBLIC: 'public',
+  PRIVATE: 'private',
+};
+
+// House rules a server can turn on or off
+export const HOUSE_RULES = {
+  battle_experience: {
+    id: 'battle_experience',
+    name: 'Battle Experience',
+    description: 'Units earn experience when a battle ends.',
+    enabled: true,
+  },
+  free_replenish: {
+    id: 'free_replenish',
+    name: 'Free Replenishment',
+    description:
+      "Replenishing units in a battle's aftermath costs no resource points.",
+    enabled: false,
+  },
+};
+
+// Settings of a server that has configured nothing
+export const DEFAULT_SETTINGS = {
+  gmRoleId: null,
+  battleChannelId: null,
+  intrigueChannelId: null,
+  diceVisibility: DICE_VISIBILITY.PUBLIC,
+  houseRules: Object.fromEntries(
+    Object.values(HOUSE_RULES).map((rule) => [rule.id, rule.enabled]),
+  ),
+};
+
+/**
+ * Get the settings of a server, filling in defaults
+ * @param {Object} serverData - Data of the Discord server
+ * @returns {Object} - Server settings
+ */
+export function getSettings(serverData = {}) {
+  const settings = serverData.settings || {};
+
+  return {
+    ...DEFAULT_SETTINGS,
+    ...settings,
+    // Servers that set a GM role before there were settings kept it at the top level
+    gmRoleId:
+      settings.gmRoleId !== undefined
+        ? settings.gmRoleId
+        : serverData.gmRoleId || null,
+    houseRules: {
+      ...DEFAULT_SETTINGS.houseRules,
+      ...settings.houseRules,
+    },
+  };
+}
+
+/**
+ * Change some of a server's settings
+ * @param {Object} settings - Current settings
+ * @param {Object} changes - Settings to change; houseRules only needs the rules that change
+ * @returns {Object} - Updated settings
+ */
+export function updateSettings(settings, changes) {
+  return {
+    ...settings,
+    ...changes,
+    houseRules: {
+      ...settings.houseRules,
+      ...changes.houseRules,
+    },
+  };
+}
+
+/**
+ * Check whether a house rule is on
+ * @param {Object} settings - Server settings
+ * @param {String} rule - ID of the house rule
+ * @returns {Boolean} - Whether the rule is on
+ */
+export function isHouseRuleEnabled(settings, rule) {
+  return Boolean(settings.houseRules[rule]);
+}
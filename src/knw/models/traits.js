@@ -0,0 +1,355 @@
+/**
+ * Trait library for Kingdoms & Warfare
+ * Named unit traits defined as rule objects whose hooks plug into attack,
+ * power, morale and casualty resolution
+ *
+ * Units store the IDs of their traits. Every hook receives a context with the
+ * unit that has the trait and its role in the roll ('attacker', 'target' or
+ * 'self'), and returns the change it makes, if any:
+ * - attackRoll / powerRoll: { advantage, disadvantage, bonus }
+ * - damage: the number of casualties a successful power test inflicts
+ * - moraleCheck: { advantage, disadvantage, autoSuccess }, a hook commander
+ *   abilities share
+ * - afterHit: { casualties, note } extra casualties after an attack lands
+ * - endOfRound: { unit, note } the unit after end-of-round effects
+ */
+
+import * as Dice from '../utils/dice.js';
+import { UNIT_CONDITIONS, hasCondition, rallyCasualties } from './unit.js';
+import { getCommandBonus, getCommanderAbilities } from './officer.js';
+
+// DC of the morale check forced by a horrifying unit
+export const HORRIFY_DC = 15;
+
+// Causes of morale checks, so traits can react to some and not others
+export const MORALE_CAUSES = {
+  DIMINISHED: 'diminished',
+  HORRIFY: 'horrify',
+  RALLY: 'rally',
+  OTHER: 'other',
+};
+
+// Trait catalog
+export const TRAITS = {
+  eternal: {
+    id: 'eternal',
+    name: 'Eternal',
+    description: 'This unit cannot be horrified.',
+    hooks: {
+      moraleCheck: ({ cause }) =>
+        cause === MORALE_CAUSES.HORRIFY ? { autoSuccess: true } : null,
+    },
+  },
+  stalwart: {
+    id: 'stalwart',
+    name: 'Stalwart',
+    description: 'Power tests against this unit have disadvantage.',
+    hooks: {
+      powerRoll: ({ role }) =>
+        role === 'target' ? { disadvantage: true } : null,
+    },
+  },
+  rock_solid: {
+    id: 'rock_solid',
+    name: 'Rock Solid',
+    description: 'This unit has advantage on morale checks.',
+    hooks: {
+      moraleCheck: () => ({ advantage: true }),
+    },
+  },
+  horrify: {
+    id: 'horrify',
+    name: 'Horrify',
+    description: `A unit that takes casualties from this unit must pass a DC ${HORRIFY_DC} morale check or take 1 more casualty.`,
+    hooks: {
+      afterHit: ({ target, targetCommander, casualties }) => {
+        if (casualties === 0 || target.casualtyDie.current === 0) {
+          return null;
+        }
+
+        const check = rollMoraleCheck(
+          target,
+          HORRIFY_DC,
+          MORALE_CAUSES.HORRIFY,
+          targetCommander,
+        );
+
+        if (check.success) {
+          return { casualties: 0, note: `${target.name} resists the horror` };
+        }
+
+        return {
+          casualties: 1,
+          note: `${target.name} is horrified and takes 1 more casualty`,
+        };
+      },
+    },
+  },
+  brutal: {
+    id: 'brutal',
+    name: 'Brutal',
+    description:
+      'Each successful power test by this unit inflicts 1 extra casualty.',
+    hooks: {
+      damage: ({ role, damage }) => (role === 'attacker' ? damage + 1 : damage),
+    },
+  },
+  regenerate: {
+    id: 'regenerate',
+    name: 'Regenerate',
+    description:
+      'At the end of each round, this unit recovers 1 casualty unless it is broken.',
+    hooks: {
+      endOfRound: ({ unit }) => {
+        if (
+          hasCondition(unit, UNIT_CONDITIONS.BROKEN) ||
+          unit.casualtyDie.current >= unit.casualtyDie.max
+        ) {
+          return null;
+        }
+
+        return {
+          unit: rallyCasualties(unit, 1),
+          note: `${unit.name} regenerates 1 casualty`,
+        };
+      },
+    },
+  },
+};
+
+/**
+ * Find a trait in the catalog by ID or name
+ * @param {String} trait - ID or name of the trait
+ * @returns {Object|null} - Trait, or null if it is not in the catalog
+ */
+export function findTrait(trait) {
+  if (!trait) {
+    return null;
+  }
+
+  const key = trait.toLowerCase().replace(/[\s-]+/g, '_');
+  return (
+    TRAITS[key] ||
+    Object.values(TRAITS).find(
+      (t) => t.name.toLowerCase() === trait.toLowerCase(),
+    ) ||
+    null
+  );
+}
+
+/**
+ * Get the catalog entries for a unit's traits
+ * Traits that are not in the catalog have no mechanical effect
+ * @param {Object} unit - Unit to read
+ * @returns {Array} - Traits of the unit
+ */
+export function getUnitTraits(unit) {
+  return (unit.traits || []).map(findTrait).filter(Boolean);
+}
+
+/**
+ * Search the catalog for traits matching a partial name
+ * @param {String} query - Text typed so far
+ * @returns {Array} - Matching traits
+ */
+export function searchTraits(query = '') {
+  const text = query.toLowerCase();
+  return Object.values(TRAITS).filter(
+    (t) => t.name.toLowerCase().includes(text) || t.id.includes(text),
+  );
+}
+
+/**
+ * Get the roll modifiers the attacker's and target's traits give a roll
+ * @param {String} hook - Roll hook (attackRoll or powerRoll)
+ * @param {Object} attacker - Unit making the roll
+ * @param {Object} target - Unit the roll is against
+ * @returns {Object} - { advantage, disadvantage, bonus, traits }
+ */
+export function getRollModifiers(hook, attacker, target) {
+  const modifiers = {
+    advantage: false,
+    disadvantage: false,
+    bonus: 0,
+    traits: [],
+  };
+
+  [
+    ['attacker', attacker],
+    ['target', target],
+  ].forEach(([role, unit]) => {
+    getUnitTraits(unit).forEach((trait) => {
+      const result =
+        trait.hooks[hook] &&
+        trait.hooks[hook]({ unit, attacker, target, role });
+
+      if (result) {
+        modifiers.advantage = modifiers.advantage || Boolean(result.advantage);
+        modifiers.disadvantage =
+          modifiers.disadvantage || Boolean(result.disadvantage);
+        modifiers.bonus += result.bonus || 0;
+        modifiers.traits.push(trait.name);
+      }
+    });
+  });
+
+  return modifiers;
+}
+
+/**
+ * Get the casualties a successful power test inflicts after traits
+ * @param {Object} attacker - Unit that made the power test
+ * @param {Object} target - Unit taking the casualties
+ * @returns {Number} - Casualties inflicted
+ */
+export function getDamage(attacker, target) {
+  let damage = attacker.stats.damage;
+
+  [
+    ['attacker', attacker],
+    ['target', target],
+  ].forEach(([role, unit]) => {
+    getUnitTraits(unit).forEach((trait) => {
+      if (trait.hooks.damage) {
+        damage = trait.hooks.damage({ unit, attacker, target, role, damage });
+      }
+    });
+  });
+
+  return Math.max(0, damage);
+}
+
+/**
+ * Roll a morale check for a unit, applying its traits and conditions and the
+ * command bonus and abilities of its commander
+ * @param {Object} unit - Unit making the check
+ * @param {Number} difficulty - Difficulty class (DC)
+ * @param {String} cause - What forced the check
+ * @param {Object} commander - Officer leading the unit, if any
+ * @returns {Object} - Result of the morale check
+ */
+export function rollMoraleCheck(
+  unit,
+  difficulty,
+  cause = MORALE_CAUSES.OTHER,
+  commander = null,
+) {
+  let advantage = false;
+  let disadvantage = false;
+
+  for (const trait of [
+    ...getUnitTraits(unit),
+    ...getCommanderAbilities(commander),
+  ]) {
+    const result =
+      trait.hooks.moraleCheck &&
+      trait.hooks.moraleCheck({ unit, cause, role: 'self' });
+
+    if (result && result.autoSuccess) {
+      return {
+        roll: null,
+        moraleScore: unit.stats.morale,
+        total: null,
+        difficulty,
+        success: true,
+        autoSuccess: true,
+        trait: trait.name,
+        conditionEffects: [],
+      };
+    }
+
+    if (result) {
+      advantage = advantage || Boolean(result.advantage);
+      disadvantage = disadvantage || Boolean(result.disadvantage);
+    }
+  }
+
+  const check = Dice.rollMoraleCheck(
+    unit.stats.morale,
+    difficulty,
+    { self: unit.conditions },
+    advantage,
+    disadvantage,
+  );
+
+  if (!commander) {
+    return check;
+  }
+
+  // The commander's command bonus adds to the total
+  const commandBonus = getCommandBonus(commander);
+  const total = check.total + commandBonus;
+
+  return {
+    ...check,
+    total,
+    success: total >= difficulty,
+    commander: commander.name,
+    commandBonus,
+  };
+}
+
+/**
+ * Run the attacker's after-hit traits once an attack has been resolved
+ * @param {Object} attacker - Unit that made the attack
+ * @param {Object} target - Unit that was attacked, after casualties
+ * @param {Number} casualties - Casualties the attack inflicted
+ * @param {Object} targetCommander - Officer leading the target, if any
+ * @returns {Object} - { casualties, effects } extra casualties and what caused them
+ */
+export function applyAfterHit(
+  attacker,
+  target,
+  casualties,
+  targetCommander = null,
+) {
+  const effects = [];
+  let extra = 0;
+
+  getUnitTraits(attacker).forEach((trait) => {
+    const result =
+      trait.hooks.afterHit &&
+      trait.hooks.afterHit({
+        unit: attacker,
+        attacker,
+        target,
+        targetCommander,
+        casualties,
+        role: 'attacker',
+      });
+
+    if (result) {
+      extra += result.casualties || 0;
+      effects.push({
+        trait: trait.name,
+        unitId: attacker.id,
+        note: result.note,
+      });
+    }
+  });
+
+  return { casualties: extra, effects };
+}
+
+/**
+ * Run a unit's end-of-round traits
+ * @param {Object} unit - Unit to update
+ * @returns {Object} - { unit, effects }
+ */
+export function applyEndOfRound(unit) {
+  const effects = [];
+  let updatedUnit = unit;
+
+  getUnitTraits(unit).forEach((trait) => {
+    const result =
+      trait.hooks.endOfRound &&
+      trait.hooks.endOfRound({ unit: updatedUnit, role: 'self' });
+
+    if (result) {
+      updatedUnit = result.unit;
+      effects.push({ trait: trait.name, unitId: unit.id, note: result.note });
+    }
+  });
+
+  return { unit: updatedUnit, effects };
+}
@@ -4,6 +4,7 @@
  */
 
 import { v4 as uuidv4 } from 'uuid';
+import { EFFECT_DURATIONS, STACKING_RULES, addEffect, createEffect, hasEffect, removeEffect } from './effects.js';
 
 // Unit types
 export const UNIT_TYPES = {
@@ -34,6 +35,25 @@ export const UNIT_CONDITIONS = {
   WEAKENED: 'weakened',
 };
 
+// How long each condition lasts when no duration is given
+export const DEFAULT_CONDITION_DURATIONS = {
+  [UNIT_CONDITIONS.BROKEN]: EFFECT_DURATIONS.UNTIL_REMOVED,
+  [UNIT_CONDITIONS.DISBANDED]: EFFECT_DURATIONS.UNTIL_REMOVED,
+  [UNIT_CONDITIONS.DISORGANIZED]: EFFECT_DURATIONS.END_OF_NEXT_ACTIVATION,
+  [UNIT_CONDITIONS.DISORIENTED]: EFFECT_DURATIONS.END_OF_NEXT_ACTIVATION,
+  [UNIT_CONDITIONS.EXPOSED]: EFFECT_DURATIONS.END_OF_ROUND,
+  [UNIT_CONDITIONS.HIDDEN]: EFFECT_DURATIONS.UNTIL_REMOVED,
+  [UNIT_CONDITIONS.MISLED]: EFFECT_DURATIONS.END_OF_NEXT_ACTIVATION,
+  [UNIT_CONDITIONS.WEAKENED]: EFFECT_DURATIONS.END_OF_ROUND,
+};
+
+// What happens when a unit gains a condition it already has
+export const CONDITION_STACKING = {
+  [UNIT_CONDITIONS.BROKEN]: STACKING_RULES.IGNORE,
+  [UNIT_CONDITIONS.DISBANDED]: STACKING_RULES.IGNORE,
+  [UNIT_CONDITIONS.HIDDEN]: STACKING_RULES.IGNORE,
+};
+
 /**
  * Create a new unit
  * @param {Object} options - Unit options
@@ -44,7 +64,7 @@ export const UNIT_CONDITIONS = {
  * @param {Number} options.power - Power bonus
  * @param {Number} options.defense - Defense score
  * @param {Number} options.toughness - Toughness score
- * @param {Number} options.morale - Morale score
+ * @param {Number} options.morale - Morale bonus
  * @param {Number} options.command - Command bonus
  * @returns {Object} - New unit
  */
@@ -56,7 +76,7 @@ export function createUnit({
   power = 0,
   defense = 10,
   toughness = 10,
-  morale = 10,
+  morale = 0,
   command = 0,
 }) {
   // Calculate derived stats based on tier and type
@@ -87,11 +107,41 @@ export function createUnit({
     conditions: [],
     experience: 0,
     battles: 0,
+    honors: [],
+    history: [],
     created: new Date().toISOString(),
     updated: new Date().toISOString(),
   };
 }
 
+/**
+ * Change a unit's tier and recalculate the stats derived from it
+ * Casualties the unit has taken stay taken: its casualty die grows or shrinks
+ * by the same amount as its maximum
+ * @param {Object} unit - Unit to modify
+ * @param {Number} tier - New tier
+ * @returns {Object} - Updated unit
+ */
+export function setTier(unit, tier) {
+  const casualtyDieMax = calculateCasualtyDie(tier, unit.type);
+  const casualtiesTaken = unit.casualtyDie.max - unit.casualtyDie.current;
+  
+  return {
+    ...unit,
+    tier,
+    stats: {
+      ...unit.stats,
+      attacks: calculateAttacks(tier, unit.type),
+      damage: calculateDamage(tier, unit.type),
+    },
+    casualtyDie: {
+      current: Math.max(0, casualtyDieMax - casualtiesTaken),
+      max: casualtyDieMax,
+    },
+    updated: new Date().toISOString(),
+  };
+}
+
 /**
  * Calculate the number of attacks for a unit
  * @param {Number} tier - Unit tier
@@ -221,20 +271,34 @@ export function removeTrait(unit, trait) {
 
 /**
  * Add a condition to a unit
+ * Conditions the unit already has follow the condition's stacking rule,
+ * refreshing the source and duration by default
  * @param {Object} unit - Unit to modify
  * @param {String} condition - Condition to add
+ * @param {Object} options - Condition options
+ * @param {String} options.source - What applied the condition
+ * @param {String} options.duration - How long the condition lasts (defaults per condition)
+ * @param {Number} options.round - Battle round the condition was applied in
+ * @param {Number} options.turn - Battle turn count when the condition was applied
  * @returns {Object} - Updated unit
  */
-export function addCondition(unit, condition) {
-  if (!unit.conditions.includes(condition)) {
-    return {
-      ...unit,
-      conditions: [...unit.conditions, condition],
-      updated: new Date().toISOString(),
-    };
+export function addCondition(unit, condition, {
+  source = null,
+  duration = DEFAULT_CONDITION_DURATIONS[condition] || EFFECT_DURATIONS.UNTIL_REMOVED,
+  round = null,
+  turn = null,
+} = {}) {
+  const stacking = CONDITION_STACKING[condition] || STACKING_RULES.REFRESH;
+  
+  if (stacking === STACKING_RULES.IGNORE && hasCondition(unit, condition)) {
+    return unit;
   }
   
-  return unit;
+  return {
+    ...unit,
+    conditions: addEffect(unit.conditions, createEffect(condition, { source, duration, round, turn }), stacking),
+    updated: new Date().toISOString(),
+  };
 }
 
 /**
@@ -246,11 +310,37 @@ export function addCondition(unit, condition) {
 export function removeCondition(unit, condition) {
   return {
     ...unit,
-    conditions: unit.conditions.filter(c => c !== condition),
+    conditions: removeEffect(unit.conditions, condition),
     updated: new Date().toISOString(),
   };
 }
 
+/**
+ * Convert a condition stored as a bare string into a condition object
+ * with the condition's default duration
+ * @param {Object|String} condition - Condition to convert
+ * @returns {Object} - Condition object
+ */
+export function normalizeCondition(condition) {
+  if (typeof condition !== 'string') {
+    return condition;
+  }
+  
+  return createEffect(condition, {
+    duration: DEFAULT_CONDITION_DURATIONS[condition] || EFFECT_DURATIONS.UNTIL_REMOVED,
+  });
+}
+
+/**
+ * Check if a unit has a condition
+ * @param {Object} unit - Unit to check
+ * @param {String} condition - Condition to look for
+ * @returns {Boolean} - Whether the unit has the condition
+ */
+export function hasCondition(unit, condition) {
+  return hasEffect(unit.conditions, condition);
+}
+
 /**
  * Take casualties on a unit
  * @param {Object} unit - Unit to modify
@@ -273,8 +363,8 @@ export function takeCasualties(unit, casualties) {
   };
   
   // Add the broken condition if the unit is broken
-  if (isBroken && !unit.conditions.includes(UNIT_CONDITIONS.BROKEN)) {
-    updatedUnit.conditions = [...updatedUnit.conditions, UNIT_CONDITIONS.BROKEN];
+  if (isBroken) {
+    return addCondition(updatedUnit, UNIT_CONDITIONS.BROKEN, { source: 'casualties' });
   }
   
   return updatedUnit;
@@ -299,8 +389,8 @@ export function rallyCasualties(unit, casualties) {
   };
   
   // Remove the broken condition if the unit is no longer broken
-  if (newCasualtyDie > 0 && unit.conditions.includes(UNIT_CONDITIONS.BROKEN)) {
-    updatedUnit.conditions = updatedUnit.conditions.filter(c => c !== UNIT_CONDITIONS.BROKEN);
+  if (newCasualtyDie > 0 && hasCondition(unit, UNIT_CONDITIONS.BROKEN)) {
+    return removeCondition(updatedUnit, UNIT_CONDITIONS.BROKEN);
   }
   
   return updatedUnit;
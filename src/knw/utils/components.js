@@ -0,0 +1,259 @@
+/**
+ * Message component utility for Kingdoms & Warfare
+ * Builds the buttons and select menus of the battle control panel
+ *
+ * Every control's custom ID starts with BATTLE_PANEL_PREFIX, then names the
+ * control and the battle it acts on, e.g. `warfare:battle:next_turn:<id>`.
+ * Controls that act for one unit add its ID, so a stale panel never acts for
+ * a different unit than the one it showed.
+ */
+
+import { MessageComponentTypes, ButtonStyleTypes } from 'discord-interactions';
+
+import { BATTLE_PHASES, BATTLE_RANKS } from '../models/battle.js';
+import { UNIT_CONDITIONS, hasCondition } from '../models/unit.js';
+import { RANK_ORDER, COLUMN_ORDER, canAttack } from '../models/engagement.js';
+import { MANEUVERS, validateMove } from '../models/movement.js';
+
+// Start of the custom ID of every battle control
+export const BATTLE_PANEL_PREFIX = 'warfare:battle';
+
+// Battle controls
+export const BATTLE_CONTROLS = {
+  NEXT_TURN: 'next_turn',
+  REFRESH: 'refresh',
+  ATTACK: 'attack',
+  MOVE: 'move',
+  CONDITION_UNIT: 'condition_unit',
+  CONDITION: 'condition',
+  END: 'end',
+};
+
+// Most options Discord shows in a select menu
+const MAX_SELECT_OPTIONS = 25;
+
+// Value of the end-battle option that names no winner
+export const NO_WINNER = 'none';
+
+/**
+ * Build the custom ID of a battle control
+ * @param {String} control - Control from BATTLE_CONTROLS
+ * @param {String} battleId - ID of the battle
+ * @param {String} unitId - Optional ID of the unit the control is for
+ * @returns {String} - Custom ID
+ */
+export function getBattleControlId(control, battleId, unitId = null) {
+  return [
+    BATTLE_PANEL_PREFIX,
+    control,
+    battleId,
+    ...(unitId ? [unitId] : []),
+  ].join(':');
+}
+
+/**
+ * Read a battle control's custom ID
+ * @param {String} customId - Custom ID of the control
+ * @returns {Object} - { control, battleId, unitId }, or null if it is not a battle control
+ */
+export function parseBattleControlId(customId) {
+  if (!customId.startsWith(`${BATTLE_PANEL_PREFIX}:`)) {
+    return null;
+  }
+
+  const [control, battleId, unitId = null] = customId
+    .slice(BATTLE_PANEL_PREFIX.length + 1)
+    .split(':');
+  return { control, battleId, unitId };
+}
+
+/**
+ * Capitalize the first letter of some text
+ * @param {String} text - Text to capitalize
+ * @returns {String} - Capitalized text
+ */
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Wrap components in an action row
+ * @param {Array} components - Buttons or a select menu
+ * @returns {Object} - Action row
+ */
+function actionRow(components) {
+  return { type: MessageComponentTypes.ACTION_ROW, components };
+}
+
+/**
+ * Build a select menu, or nothing if it has no options
+ * @param {String} customId - Custom ID of the menu
+ * @param {String} placeholder - Text shown before anything is picked
+ * @param {Array} options - Options as { label, value }
+ * @returns {Object} - Action row holding the menu, or null
+ */
+function selectRow(customId, placeholder, options) {
+  if (options.length === 0) {
+    return null;
+  }
+
+  return actionRow([
+    {
+      type: MessageComponentTypes.STRING_SELECT,
+      custom_id: customId,
+      placeholder,
+      options: options.slice(0, MAX_SELECT_OPTIONS),
+    },
+  ]);
+}
+
+/**
+ * Get the moves a unit can make, one per maneuver and destination
+ * @param {Object} battle - Battle the unit is in
+ * @param {Object} unit - Unit to move
+ * @returns {Array} - Select options; values are `maneuver:rank:column`
+ */
+function getMoveOptions(battle, unit) {
+  const destinations = [
+    ...RANK_ORDER.flatMap((rank) =>
+      COLUMN_ORDER.map((column) => ({ rank, column })),
+    ),
+    { rank: BATTLE_RANKS.RESERVE, column: null },
+  ];
+
+  return Object.values(MANEUVERS).flatMap((maneuver) => {
+    return destinations
+      .filter(
+        (destination) =>
+          validateMove(battle, unit, maneuver, destination).valid,
+      )
+      .map(({ rank, column }) => ({
+        label: `${capitalize(maneuver.replace('_', ' '))} to ${rank}${column ? ` ${column}` : ''}`,
+        value: [maneuver, rank, column || ''].join(':'),
+      }));
+  });
+}
+
+/**
+ * Build the control panel for a battle
+ * Attacks and moves are made by the unit whose turn it is
+ * @param {Object} battle - Battle to control
+ * @param {Object} domains - Map of domain IDs to domain objects
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @returns {Array} - Action rows to attach to the battle message
+ */
+export function buildBattlePanel(battle, domains = {}, units = {}) {
+  const inBattle = battle.phase === BATTLE_PHASES.BATTLE;
+  const currentUnit = inBattle
+    ? units[battle.initiative[battle.currentTurn]]
+    : null;
+  const rows = [];
+
+  rows.push(
+    actionRow([
+      {
+        type: MessageComponentTypes.BUTTON,
+        style: ButtonStyleTypes.PRIMARY,
+        label: 'Next Turn',
+        custom_id: getBattleControlId(BATTLE_CONTROLS.NEXT_TURN, battle.id),
+        disabled: !inBattle || battle.initiative.length === 0,
+      },
+      {
+        type: MessageComponentTypes.BUTTON,
+        style: ButtonStyleTypes.SECONDARY,
+        label: 'Refresh',
+        custom_id: getBattleControlId(BATTLE_CONTROLS.REFRESH, battle.id),
+      },
+    ]),
+  );
+
+  if (currentUnit) {
+    // Targets the current unit can reach
+    const targets = Object.keys(battle.units)
+      .map((unitId) => units[unitId])
+      .filter(
+        (target) => target && canAttack(battle, currentUnit, target).allowed,
+      )
+      .map((target) => ({ label: target.name, value: target.id }));
+
+    rows.push(
+      selectRow(
+        getBattleControlId(BATTLE_CONTROLS.ATTACK, battle.id, currentUnit.id),
+        `Attack with ${currentUnit.name}...`,
+        targets,
+      ),
+    );
+    rows.push(
+      selectRow(
+        getBattleControlId(BATTLE_CONTROLS.MOVE, battle.id, currentUnit.id),
+        `Move ${currentUnit.name}...`,
+        getMoveOptions(battle, currentUnit),
+      ),
+    );
+  }
+
+  // Any unit in the battle can be given a condition until the battle is over
+  if (battle.phase !== BATTLE_PHASES.AFTERMATH) {
+    const battleUnits = Object.keys(battle.units)
+      .filter((unitId) => units[unitId])
+      .map((unitId) => ({ label: units[unitId].name, value: unitId }));
+
+    rows.push(
+      selectRow(
+        getBattleControlId(BATTLE_CONTROLS.CONDITION_UNIT, battle.id),
+        'Apply a condition to...',
+        battleUnits,
+      ),
+    );
+  }
+
+  if (inBattle) {
+    const winners = battle.domains
+      .filter((domainId) => domains[domainId])
+      .map((domainId) => ({
+        label: `${domains[domainId].name} wins`,
+        value: domainId,
+      }));
+
+    rows.push(
+      selectRow(
+        getBattleControlId(BATTLE_CONTROLS.END, battle.id),
+        'End the battle...',
+        [...winners, { label: 'No winner', value: NO_WINNER }],
+      ),
+    );
+  }
+
+  return rows.filter(Boolean);
+}
+
+/**
+ * Build the menu for picking a condition to apply to a unit
+ * @param {Object} battle - Battle the unit is in
+ * @param {Object} unit - Unit to apply the condition to
+ * @returns {Array} - Action rows that replace the control panel until a condition is picked
+ */
+export function buildConditionPicker(battle, unit) {
+  const conditions = Object.entries(UNIT_CONDITIONS)
+    .filter(([, condition]) => !hasCondition(unit, condition))
+    .map(([name, condition]) => ({
+      label: capitalize(name.toLowerCase()),
+      value: condition,
+    }));
+
+  return [
+    selectRow(
+      getBattleControlId(BATTLE_CONTROLS.CONDITION, battle.id, unit.id),
+      `Condition for ${unit.name}...`,
+      conditions,
+    ),
+    actionRow([
+      {
+        type: MessageComponentTypes.BUTTON,
+        style: ButtonStyleTypes.SECONDARY,
+        label: 'Back',
+        custom_id: getBattleControlId(BATTLE_CONTROLS.REFRESH, battle.id),
+      },
+    ]),
+  ].filter(Boolean);
+}
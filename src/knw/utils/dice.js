@@ -3,6 +3,63 @@
  * Provides functions for rolling dice and calculating results
  */
 
+import { UNIT_CONDITIONS } from '../models/unit.js';
+
+// How conditions change rolls: the roller's own conditions and those of its target
+const CONDITION_ROLL_EFFECTS = {
+  attack: {
+    self: {
+      [UNIT_CONDITIONS.DISORGANIZED]: 'disadvantage',
+      [UNIT_CONDITIONS.MISLED]: 'disadvantage',
+    },
+    target: {
+      [UNIT_CONDITIONS.EXPOSED]: 'advantage',
+    },
+  },
+  power: {
+    self: {
+      [UNIT_CONDITIONS.WEAKENED]: 'disadvantage',
+    },
+    target: {},
+  },
+  morale: {
+    self: {
+      [UNIT_CONDITIONS.DISORIENTED]: 'disadvantage',
+    },
+    target: {},
+  },
+};
+
+/**
+ * Work out the advantage and disadvantage of a roll once conditions are applied
+ * @param {String} rollType - Type of roll (attack, power or morale)
+ * @param {Object} conditions - Conditions affecting the roll
+ * @param {Array} conditions.self - Conditions of the unit making the roll
+ * @param {Array} conditions.target - Conditions of the unit the roll is against
+ * @param {Boolean} advantage - Whether the roll already has advantage
+ * @param {Boolean} disadvantage - Whether the roll already has disadvantage
+ * @returns {Object} - { advantage, disadvantage, conditionEffects }
+ */
+function applyConditions(rollType, { self = [], target = [] } = {}, advantage = false, disadvantage = false) {
+  const effects = CONDITION_ROLL_EFFECTS[rollType];
+  const conditionEffects = [];
+  const result = { advantage, disadvantage };
+  
+  [['self', self], ['target', target]].forEach(([whose, conditions]) => {
+    conditions.forEach(condition => {
+      const name = typeof condition === 'string' ? condition : condition.name;
+      const effect = effects[whose][name];
+      
+      if (effect) {
+        result[effect] = true;
+        conditionEffects.push({ condition: name, effect });
+      }
+    });
+  });
+  
+  return { ...result, conditionEffects };
+}
+
 /**
  * Roll a single die
  * @param {Number} sides - Number of sides on the die
@@ -184,14 +241,41 @@ export function rollSkillCheck(bonus, difficulty, advantage = false, disadvantag
 
 /**
  * Roll an attack
+ * Disorganized and misled attackers roll with disadvantage; attacks against
+ * exposed units roll with advantage
  * @param {Number} attackBonus - Attack bonus
  * @param {Number} defenseScore - Defense score
  * @param {Boolean} advantage - Whether to roll with advantage
  * @param {Boolean} disadvantage - Whether to roll with disadvantage
+ * @param {Object} conditions - Conditions of the attacker (self) and the target (target)
  * @returns {Object} - Result of the attack
  */
-export function rollAttack(attackBonus, defenseScore, advantage = false, disadvantage = false) {
-  return rollSkillCheck(attackBonus, defenseScore, advantage, disadvantage);
+export function rollAttack(attackBonus, defenseScore, advantage = false, disadvantage = false, conditions = {}) {
+  const modified = applyConditions('attack', conditions, advantage, disadvantage);
+  
+  return {
+    ...rollSkillCheck(attackBonus, defenseScore, modified.advantage, modified.disadvantage),
+    conditionEffects: modified.conditionEffects,
+  };
+}
+
+/**
+ * Roll a power test
+ * Weakened units roll power with disadvantage
+ * @param {Number} powerBonus - Power bonus
+ * @param {Number} toughnessScore - Toughness score
+ * @param {Boolean} advantage - Whether to roll with advantage
+ * @param {Boolean} disadvantage - Whether to roll with disadvantage
+ * @param {Object} conditions - Conditions of the attacker (self) and the target (target)
+ * @returns {Object} - Result of the power test
+ */
+export function rollPower(powerBonus, toughnessScore, advantage = false, disadvantage = false, conditions = {}) {
+  const modified = applyConditions('power', conditions, advantage, disadvantage);
+  
+  return {
+    ...rollSkillCheck(powerBonus, toughnessScore, modified.advantage, modified.disadvantage),
+    conditionEffects: modified.conditionEffects,
+  };
 }
 
 /**
@@ -228,12 +312,26 @@ export function rollSavingThrow(bonus, difficulty, advantage = false, disadvanta
 
 /**
  * Roll a morale check
+ * Disoriented units roll morale with disadvantage
  * @param {Number} moraleScore - Morale score
  * @param {Number} difficulty - Difficulty class (DC)
+ * @param {Object} conditions - Conditions of the unit making the check (self)
+ * @param {Boolean} withAdvantage - Whether to roll with advantage
+ * @param {Boolean} withDisadvantage - Whether to roll with disadvantage
  * @returns {Object} - Result of the morale check
  */
-export function rollMoraleCheck(moraleScore, difficulty) {
-  const roll = rollDie(20);
+export function rollMoraleCheck(moraleScore, difficulty, conditions = {}, withAdvantage = false, withDisadvantage = false) {
+  const { advantage, disadvantage, conditionEffects } = applyConditions('morale', conditions, withAdvantage, withDisadvantage);
+  let roll;
+  
+  if (advantage && !disadvantage) {
+    roll = rollWithAdvantage(20).result;
+  } else if (disadvantage && !advantage) {
+    roll = rollWithDisadvantage(20).result;
+  } else {
+    roll = rollDie(20);
+  }
+  
   const total = roll + moraleScore;
   const success = total >= difficulty;
   
@@ -243,6 +341,24 @@ export function rollMoraleCheck(moraleScore, difficulty) {
     total,
     difficulty,
     success,
+    advantage,
+    disadvantage,
+    conditionEffects,
+  };
+}
+
+/**
+ * Roll initiative
+ * @param {Number} commandBonus - Command bonus
+ * @returns {Object} - Result of the initiative roll
+ */
+export function rollInitiative(commandBonus) {
+  const roll = rollDie(20);
+  
+  return {
+    roll,
+    bonus: commandBonus,
+    total: roll + commandBonus,
   };
 }
 
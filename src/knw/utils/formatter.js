@@ -3,10 +3,25 @@
  * Provides functions for formatting data for Discord messages
  */
 
-import { UNIT_TYPES, UNIT_TIERS, UNIT_CONDITIONS } from '../models/unit.js';
+import { UNIT_TYPES, UNIT_TIERS, UNIT_CONDITIONS, normalizeCondition } from '../models/unit.js';
+import { EFFECT_DURATIONS, normalizeEffect } from '../models/effects.js';
 import { DOMAIN_SKILLS, DOMAIN_DEFENSES, DOMAIN_SIZES } from '../models/domain.js';
-import { BATTLE_PHASES, BATTLE_RANKS, GRID_POSITIONS } from '../models/battle.js';
-import { INTRIGUE_PHASES, INTRIGUE_ACTION_TYPES } from '../models/intrigue.js';
+import { getIncome, getTotalIncome } from '../models/economy.js';
+import { BATTLE_EVENTS, BATTLE_PHASES, BATTLE_RANKS, GRID_POSITIONS, INITIATIVE_MODES, getFormation } from '../models/battle.js';
+import { INTRIGUE_PHASES, INTRIGUE_ACTION_TYPES, INTRIGUE_EFFECTS } from '../models/intrigue.js';
+import { getEngagements } from '../models/engagement.js';
+import { findTrait } from '../models/traits.js';
+import { ANCESTRIES, EQUIPMENT, EXPERIENCE_RANKS } from '../models/builder.js';
+import { OFFICER_ABILITIES, COMMANDER_ABILITIES, getCommandBonus } from '../models/officer.js';
+
+/**
+ * Format a bonus or change with its sign, so -1 reads "-1" and 2 reads "+2"
+ * @param {Number} value - Number to format
+ * @returns {String} - Signed number
+ */
+export function formatSigned(value) {
+  return `${value >= 0 ? '+' : ''}${value}`;
+}
 
 /**
  * Format a unit for display
@@ -24,23 +39,38 @@ export function formatUnit(unit) {
   // Format the unit tier
   const tierFormatted = Object.entries(UNIT_TIERS).find(([key, value]) => value === unit.tier)?.[0] || `Tier ${unit.tier}`;
   
-  // Format the unit conditions
+  // Format the unit conditions with their remaining duration
   const conditionsFormatted = unit.conditions.map(condition => {
-    return Object.entries(UNIT_CONDITIONS).find(([key, value]) => value === condition)?.[0] || condition;
+    return formatEffect(normalizeCondition(condition), formatConditionName);
   }).join(', ');
   
-  // Format the unit traits
-  const traitsFormatted = unit.traits.join(', ');
+  // Format the unit traits by their catalog names
+  const traitsFormatted = unit.traits.map(trait => findTrait(trait)?.name || trait).join(', ');
   
   // Build the formatted string
   let formatted = `**${unit.name}** (${typeFormatted} ${tierFormatted})\n`;
   formatted += `Casualty Die: ${unit.casualtyDie.current}/${unit.casualtyDie.max}\n`;
-  formatted += `Attack: +${unit.stats.attack} (${unit.stats.attacks} attacks, ${unit.stats.damage} damage)\n`;
-  formatted += `Power: +${unit.stats.power}\n`;
+  formatted += `Attack: ${formatSigned(unit.stats.attack)} (${unit.stats.attacks} attacks, ${unit.stats.damage} damage)\n`;
+  formatted += `Power: ${formatSigned(unit.stats.power)}\n`;
   formatted += `Defense: ${unit.stats.defense}\n`;
   formatted += `Toughness: ${unit.stats.toughness}\n`;
-  formatted += `Morale: ${unit.stats.morale}\n`;
-  formatted += `Command: +${unit.stats.command}\n`;
+  formatted += `Morale: ${formatSigned(unit.stats.morale)}\n`;
+  formatted += `Command: ${formatSigned(unit.stats.command)}\n`;
+  
+  // Builder details, for units that have them
+  const buildFormatted = [
+    ANCESTRIES[unit.ancestry]?.name,
+    EQUIPMENT[unit.equipment] && `${EQUIPMENT[unit.equipment].name} equipment`,
+    EXPERIENCE_RANKS[unit.experienceRank]?.name,
+  ].filter(Boolean).join(', ');
+  
+  if (buildFormatted) {
+    formatted += `Build: ${buildFormatted}\n`;
+  }
+  
+  if (unit.cost !== undefined) {
+    formatted += `Cost: ${unit.cost} gold (Upkeep: ${unit.upkeep} gold per season)\n`;
+  }
   
   if (unit.conditions.length > 0) {
     formatted += `Conditions: ${conditionsFormatted}\n`;
@@ -58,15 +88,71 @@ export function formatUnit(unit) {
     formatted += `Experience: ${unit.experience}\n`;
   }
   
+  if (unit.honors && unit.honors.length > 0) {
+    formatted += `Honors: ${unit.honors.join(', ')}\n`;
+  }
+  
   return formatted;
 }
 
+/**
+ * Format a condition name for display
+ * @param {String} condition - Condition to format
+ * @returns {String} - Formatted condition name
+ */
+function formatConditionName(condition) {
+  return Object.entries(UNIT_CONDITIONS).find(([key, value]) => value === condition)?.[0] || condition;
+}
+
+/**
+ * Format a condition or token with its stacks, duration and source
+ * @param {Object|String} effect - Effect to format
+ * @param {Function} formatName - Function to format the effect's name
+ * @returns {String} - Formatted effect
+ */
+export function formatEffect(effect, formatName = name => name) {
+  const { name, stacks, duration, source } = normalizeEffect(effect);
+  const details = [];
+  
+  if (duration === EFFECT_DURATIONS.END_OF_NEXT_ACTIVATION) {
+    details.push('until end of next activation');
+  } else if (duration === EFFECT_DURATIONS.END_OF_ROUND) {
+    details.push('until end of round');
+  }
+  
+  if (source) {
+    details.push(`from ${source}`);
+  }
+  
+  let formatted = formatName(name);
+  
+  if (stacks > 1) {
+    formatted += ` ×${stacks}`;
+  }
+  
+  if (details.length > 0) {
+    formatted += ` (${details.join(', ')})`;
+  }
+  
+  return formatted;
+}
+
+/**
+ * Format traits with their descriptions for display
+ * @param {Array} traits - Traits to format
+ * @returns {String} - Formatted traits
+ */
+export function formatTraits(traits) {
+  return traits.map(trait => `- **${trait.name}**: ${trait.description}`).join('\n');
+}
+
 /**
  * Format a domain for display
  * @param {Object} domain - Domain to format
+ * @param {Array} officers - Officers serving the domain
  * @returns {String} - Formatted domain
  */
-export function formatDomain(domain) {
+export function formatDomain(domain, officers = []) {
   if (!domain) {
     return 'No domain found';
   }
@@ -76,6 +162,12 @@ export function formatDomain(domain) {
   
   // Build the formatted string
   let formatted = `**${domain.name}** (${sizeFormatted})\n`;
+  
+  // Owners are shown as Discord mentions
+  if (domain.ownerId) {
+    formatted += `Owner: <@${domain.ownerId}>${(domain.coOwners || []).length > 0 ? ` (co-owners: ${domain.coOwners.map(id => `<@${id}>`).join(', ')})` : ''}\n`;
+  }
+  
   formatted += `Diplomacy: +${domain.skills[DOMAIN_SKILLS.DIPLOMACY]}\n`;
   formatted += `Espionage: +${domain.skills[DOMAIN_SKILLS.ESPIONAGE]}\n`;
   formatted += `Lore: +${domain.skills[DOMAIN_SKILLS.LORE]}\n`;
@@ -86,9 +178,90 @@ export function formatDomain(domain) {
   formatted += `Resources: ${domain.defenseScores[DOMAIN_DEFENSES.RESOURCES]} (Level ${domain.defenseLevels[DOMAIN_DEFENSES.RESOURCES]})\n\n`;
   
   formatted += `Resource Points: ${domain.resources}\n`;
+  formatted += `Income: ${getTotalIncome(domain)} per season (${Object.entries(getIncome(domain)).map(([source, amount]) => `${source} ${amount}`).join(', ')})\n`;
   formatted += `Units: ${domain.units.length}\n`;
   formatted += `Officers: ${domain.officers.length}\n`;
   
+  // List the officer roster
+  officers.forEach(officer => {
+    formatted += `- ${officer.name} (Level ${officer.level}, Command +${getCommandBonus(officer)})\n`;
+  });
+  
+  return formatted;
+}
+
+/**
+ * Format a domain's ledger for display, newest entries first
+ * @param {Object} domain - Domain whose ledger to format
+ * @param {Number} limit - Most entries to show
+ * @returns {String} - Formatted ledger
+ */
+export function formatLedger(domain, limit = 20) {
+  const ledger = domain.ledger || [];
+  
+  let formatted = `**${domain.name} Ledger** (${domain.resources} resource points)\n`;
+  
+  if (ledger.length === 0) {
+    return `${formatted}No transactions yet\n`;
+  }
+  
+  ledger.slice(-limit).reverse().forEach(entry => {
+    const time = `<t:${Math.floor(new Date(entry.timestamp).getTime() / 1000)}:d>`;
+    const actor = entry.actorId ? ` by <@${entry.actorId}>` : '';
+    formatted += `- ${time} **${formatSigned(entry.amount)}** (balance ${entry.balance}) ${entry.reason}${actor}\n`;
+  });
+  
+  if (ledger.length > limit) {
+    formatted += `...and ${ledger.length - limit} older transactions\n`;
+  }
+  
+  return formatted;
+}
+
+/**
+ * Format a domain's season for display
+ * @param {Object} domain - Domain after the season
+ * @param {Object} season - Result of collectSeason
+ * @returns {String} - Formatted season
+ */
+export function formatSeason(domain, season) {
+  const income = Object.values(season.income).reduce((total, amount) => total + amount, 0);
+  const shortfall = season.shortfall > 0 ? `, **${season.shortfall} short**` : '';
+  
+  return `- **${domain.name}** (season ${season.season}): +${income} income, -${season.paid} upkeep${shortfall}; ${domain.resources} resource points\n`;
+}
+
+/**
+ * Format an officer for display
+ * @param {Object} officer - Officer to format
+ * @param {Object} domain - Domain the officer serves, if any
+ * @returns {String} - Formatted officer
+ */
+export function formatOfficer(officer, domain = null) {
+  if (!officer) {
+    return 'No officer found';
+  }
+  
+  const abilities = Object.values(OFFICER_ABILITIES)
+    .map(ability => `${ability.slice(0, 3).toUpperCase()} ${officer.abilities[ability]}`)
+    .join(', ');
+  
+  let formatted = `**${officer.name}** (Level ${officer.level})\n`;
+  formatted += `${abilities}\n`;
+  formatted += `Command: +${getCommandBonus(officer)}\n`;
+  
+  if (officer.commanderAbilities.length > 0) {
+    formatted += `Commander Abilities:\n`;
+    officer.commanderAbilities.forEach(ability => {
+      const { name, description } = COMMANDER_ABILITIES[ability];
+      formatted += `- **${name}**: ${description}\n`;
+    });
+  }
+  
+  if (officer.domainId) {
+    formatted += `Domain: ${domain ? domain.name : officer.domainId}\n`;
+  }
+  
   return formatted;
 }
 
@@ -118,48 +291,34 @@ export function formatBattle(battle, domains = {}, units = {}) {
     formatted += `- ${domain ? domain.name : domainId}\n`;
   });
   
-  // Format the battlefield grid
-  if (battle.phase !== BATTLE_PHASES.SETUP) {
+  // Format each side's formation once units have joined the battle
+  if (Object.keys(battle.units).length > 0) {
+    const engagements = getEngagements(battle);
     formatted += `\n**Battlefield:**\n`;
     
-    // Format the vanguard
-    formatted += `Vanguard: `;
-    formatted += formatBattlefieldRank(battle.grid[BATTLE_RANKS.VANGUARD], units);
-    formatted += `\n`;
-    
-    // Format the center
-    formatted += `Center: `;
-    formatted += formatBattlefieldRank(battle.grid[BATTLE_RANKS.CENTER], units);
-    formatted += `\n`;
+    battle.domains.forEach(domainId => {
+      const domain = domains[domainId];
+      formatted += `\n__${domain ? domain.name : domainId}__\n`;
+      formatted += formatFormation(getFormation(battle, domainId), units, engagements);
+    });
     
-    // Format the rear
-    formatted += `Rear: `;
-    formatted += formatBattlefieldRank(battle.grid[BATTLE_RANKS.REAR], units);
-    formatted += `\n`;
+    // Format the engagements, listing each pair once
+    const pairs = [];
     
-    // Format the reserve
-    formatted += `Reserve: `;
-    if (battle.grid[BATTLE_RANKS.RESERVE].length > 0) {
-      formatted += battle.grid[BATTLE_RANKS.RESERVE].map(unitId => {
-        const unit = units[unitId];
-        return unit ? unit.name : unitId;
-      }).join(', ');
-    } else {
-      formatted += 'None';
-    }
-    formatted += `\n`;
+    Object.entries(engagements).forEach(([unitId, enemyIds]) => {
+      enemyIds.forEach(enemyId => {
+        if (!pairs.some(([a, b]) => a === enemyId && b === unitId)) {
+          pairs.push([unitId, enemyId]);
+        }
+      });
+    });
     
-    // Format the not deployed
-    formatted += `Not Deployed: `;
-    if (battle.grid[BATTLE_RANKS.NOT_DEPLOYED].length > 0) {
-      formatted += battle.grid[BATTLE_RANKS.NOT_DEPLOYED].map(unitId => {
-        const unit = units[unitId];
-        return unit ? unit.name : unitId;
-      }).join(', ');
-    } else {
-      formatted += 'None';
+    if (pairs.length > 0) {
+      formatted += `\n**Engagements:**\n`;
+      pairs.forEach(([a, b]) => {
+        formatted += `- ${units[a]?.name || a} ⚔ ${units[b]?.name || b}\n`;
+      });
     }
-    formatted += `\n`;
   }
   
   // Format the initiative order
@@ -169,27 +328,101 @@ export function formatBattle(battle, domains = {}, units = {}) {
       const unit = units[unitId];
       const unitName = unit ? unit.name : unitId;
       const current = index === battle.currentTurn ? '→ ' : '';
-      formatted += `${current}${index + 1}. ${unitName}\n`;
+      const roll = battle.initiativeRolls && battle.initiativeRolls[unitId];
+      formatted += `${current}${index + 1}. ${unitName}${roll ? ` (${roll.total})` : ''}\n`;
+    });
+  }
+  
+  return formatted;
+}
+
+/**
+ * Format the initiative rolls of a battle for display
+ * @param {Object} battle - Battle whose rolls to format
+ * @param {Object} domains - Map of domain IDs to domain objects
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @returns {String} - Formatted initiative rolls
+ */
+export function formatInitiativeRolls(battle, domains = {}, units = {}) {
+  const rolls = battle.initiativeRolls || {};
+  let formatted = '';
+  
+  if (battle.initiativeMode === INITIATIVE_MODES.DOMAIN) {
+    // One roll per domain
+    battle.domains.forEach(domainId => {
+      const roll = Object.values(rolls).find(r => r.domainId === domainId);
+      
+      if (roll) {
+        formatted += `- ${domains[domainId]?.name || domainId}: ${roll.roll} ${formatSigned(roll.bonus)} = **${roll.total}**\n`;
+      }
+    });
+  } else {
+    battle.initiative.forEach(unitId => {
+      const roll = rolls[unitId];
+      
+      if (roll) {
+        formatted += `- ${units[unitId]?.name || unitId}: ${roll.roll} ${formatSigned(roll.bonus)} = **${roll.total}**\n`;
+      }
     });
   }
   
   return formatted;
 }
 
+/**
+ * Format one side's formation for display
+ * @param {Object} formation - Formation to format
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @param {Object} engagements - Map of engaged unit IDs to their enemies
+ * @returns {String} - Formatted formation
+ */
+function formatFormation(formation, units, engagements = {}) {
+  let formatted = '';
+  
+  formatted += `Vanguard: ${formatBattlefieldRank(formation[BATTLE_RANKS.VANGUARD], units, engagements)}\n`;
+  formatted += `Center: ${formatBattlefieldRank(formation[BATTLE_RANKS.CENTER], units, engagements)}\n`;
+  formatted += `Rear: ${formatBattlefieldRank(formation[BATTLE_RANKS.REAR], units, engagements)}\n`;
+  formatted += `Reserve: ${formatUnitList(formation[BATTLE_RANKS.RESERVE], units)}\n`;
+  formatted += `Not Deployed: ${formatUnitList(formation[BATTLE_RANKS.NOT_DEPLOYED], units)}\n`;
+  
+  return formatted;
+}
+
+/**
+ * Format a list of unit IDs for display
+ * @param {Array} unitIds - Unit IDs to format
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @returns {String} - Formatted list
+ */
+function formatUnitList(unitIds, units) {
+  if (unitIds.length === 0) {
+    return 'None';
+  }
+  
+  return unitIds.map(unitId => units[unitId]?.name || unitId).join(', ');
+}
+
 /**
  * Format a battlefield rank for display
+ * Engaged units are marked with ⚔
  * @param {Object} rank - Rank to format
  * @param {Object} units - Map of unit IDs to unit objects
+ * @param {Object} engagements - Map of engaged unit IDs to their enemies
  * @returns {String} - Formatted rank
  */
-function formatBattlefieldRank(rank, units) {
-  const left = rank[GRID_POSITIONS.LEFT];
-  const center = rank[GRID_POSITIONS.CENTER];
-  const right = rank[GRID_POSITIONS.RIGHT];
+function formatBattlefieldRank(rank, units, engagements = {}) {
+  const formatSlot = unitId => {
+    if (!unitId) {
+      return 'Empty';
+    }
+    
+    const name = units[unitId]?.name || unitId;
+    return engagements[unitId] ? `${name} ⚔` : name;
+  };
   
-  const leftFormatted = left ? (units[left]?.name || left) : 'Empty';
-  const centerFormatted = center ? (units[center]?.name || center) : 'Empty';
-  const rightFormatted = right ? (units[right]?.name || right) : 'Empty';
+  const leftFormatted = formatSlot(rank[GRID_POSITIONS.LEFT]);
+  const centerFormatted = formatSlot(rank[GRID_POSITIONS.CENTER]);
+  const rightFormatted = formatSlot(rank[GRID_POSITIONS.RIGHT]);
   
   return `[${leftFormatted}] [${centerFormatted}] [${rightFormatted}]`;
 }
@@ -209,7 +442,8 @@ export function formatIntrigue(intrigue, domains = {}) {
   const phaseFormatted = Object.entries(INTRIGUE_PHASES).find(([key, value]) => value === intrigue.phase)?.[0] || intrigue.phase;
   
   // Build the formatted string
-  let formatted = `**${intrigue.name}** (${phaseFormatted})\n\n`;
+  const round = intrigue.phase === INTRIGUE_PHASES.ACTIVE && intrigue.round ? `, Round ${intrigue.round}${intrigue.maxRounds ? ` of ${intrigue.maxRounds}` : ''}` : '';
+  let formatted = `**${intrigue.name}** (${phaseFormatted}${round})\n\n`;
   
   // Format the domains
   formatted += `**Domains:**\n`;
@@ -227,8 +461,13 @@ export function formatIntrigue(intrigue, domains = {}) {
       const domain = domains[domainId];
       const domainName = domain ? domain.name : domainId;
       const current = index === intrigue.currentDomainIndex ? '→ ' : '';
-      formatted += `${current}${index + 1}. ${domainName}\n`;
+      const actionsLeft = intrigue.actionsRemaining?.[domainId] ?? 0;
+      formatted += `${current}${index + 1}. ${domainName} (${actionsLeft} actions left)\n`;
     });
+    
+    if (intrigue.turnDeadline) {
+      formatted += `Turn ends <t:${Math.floor(new Date(intrigue.turnDeadline).getTime() / 1000)}:R>\n`;
+    }
   }
   
   // Format the turns
@@ -239,36 +478,80 @@ export function formatIntrigue(intrigue, domains = {}) {
     recentTurns.forEach(turn => {
       const domain = domains[turn.domainId];
       const domainName = domain ? domain.name : turn.domainId;
-      formatted += `- ${domainName}: ${formatIntrigueAction(turn.action)}\n`;
+      const reaction = turn.reaction ? ' (reaction)' : '';
+      formatted += `- ${domainName}${reaction}: ${formatIntrigueAction(turn.action, domains)}\n`;
     });
   }
   
+  if (intrigue.resolution) {
+    formatted += `\n${formatIntrigueResolution(intrigue.resolution, domains)}\n`;
+  }
+  
+  return formatted;
+}
+
+/**
+ * Format the resolution of an intrigue session for display
+ * @param {Object} resolution - Resolution of the intrigue session
+ * @param {Object} domains - Map of domain IDs to domain objects
+ * @returns {String} - Formatted resolution
+ */
+export function formatIntrigueResolution(resolution, domains = {}) {
+  let formatted = `**Resolution:**\n`;
+  
+  resolution.domains.forEach(summary => {
+    const domain = domains[summary.domainId];
+    const domainName = domain ? domain.name : summary.domainId;
+    const changes = [];
+    
+    Object.entries(summary.defenseChanges).forEach(([defense, change]) => {
+      changes.push(`${defense.charAt(0).toUpperCase() + defense.slice(1)} level ${formatSigned(change)}`);
+    });
+    
+    if (summary.resources !== 0) {
+      changes.push(`${summary.resources > 0 ? 'gained' : 'lost'} ${Math.abs(summary.resources)} resource points`);
+    }
+    
+    if (summary.size !== 0) {
+      changes.push(`size ${formatSigned(summary.size)}`);
+    }
+    
+    if (summary.unitsCreated.length > 0) {
+      changes.push(`${summary.unitsCreated.length} units raised`);
+    }
+    
+    formatted += `- ${domainName}: ${changes.length > 0 ? changes.join(', ') : 'no change'}\n`;
+  });
+  
   return formatted;
 }
 
 /**
  * Format an intrigue action for display
  * @param {Object} action - Intrigue action to format
+ * @param {Object} domains - Map of domain IDs to domain objects, to name the domains it involves
  * @returns {String} - Formatted intrigue action
  */
-function formatIntrigueAction(action) {
+function formatIntrigueAction(action, domains = {}) {
   if (!action) {
     return 'Unknown action';
   }
   
-  // Format the action type
-  const typeFormatted = Object.entries(INTRIGUE_ACTION_TYPES).find(([key, value]) => value === action.type)?.[0] || action.type;
+  // Format the action type, e.g. SKILL_TEST as Skill Test
+  const typeKey = Object.entries(INTRIGUE_ACTION_TYPES).find(([key, value]) => value === action.type)?.[0];
+  const typeFormatted = typeKey ? typeKey.split('_').map(word => word.charAt(0) + word.slice(1).toLowerCase()).join(' ') : action.type;
+  const domainName = domainId => domains[domainId]?.name || domainId;
   
   // Format the action based on its type
   switch (action.type) {
     case INTRIGUE_ACTION_TYPES.SKILL_TEST:
-      return `${typeFormatted}: ${action.skill} test${action.target ? ` against ${action.target}` : ''}${action.difficulty ? ` (DC ${action.difficulty})` : ''}`;
+      return `${typeFormatted}: ${action.skill} test${action.target ? ` against ${domainName(action.target)}${action.defense ? `'s ${action.defense}` : ''}` : ''}${action.difficulty ? ` (DC ${action.difficulty})` : ''}${action.success === true ? ' - success' : action.success === false ? ' - failure' : ''}`;
     
     case INTRIGUE_ACTION_TYPES.DEFENSE_MODIFICATION:
-      return `${typeFormatted}: ${action.defense} ${action.change >= 0 ? '+' : ''}${action.change} to ${action.target}`;
+      return `${typeFormatted}: ${action.defense} ${formatSigned(action.change)} to ${domainName(action.target)}`;
     
     case INTRIGUE_ACTION_TYPES.RESOURCE_TRANSFER:
-      return `${typeFormatted}: ${action.amount} resources from ${action.source} to ${action.target}`;
+      return `${typeFormatted}: ${action.amount} resources from ${domainName(action.source)} to ${domainName(action.target)}`;
     
     case INTRIGUE_ACTION_TYPES.UNIT_CREATION:
       return `${typeFormatted}: ${action.unitType} (Tier ${action.unitTier}) for ${action.cost} resources`;
@@ -279,11 +562,53 @@ function formatIntrigueAction(action) {
     case INTRIGUE_ACTION_TYPES.SPECIAL:
       return `${typeFormatted}: ${action.name}`;
     
+    case INTRIGUE_ACTION_TYPES.CATALOG:
+      return `${action.name}${action.target ? ` against ${domainName(action.target)}` : ''}${action.difficulty ? ` (DC ${action.difficulty})` : ''}${action.success === true ? ' - success' : action.success === false ? ' - failure' : ''}`;
+    
     default:
       return `${typeFormatted}`;
   }
 }
 
+/**
+ * Format the effects of an intrigue action for display
+ * @param {Array} effects - Effects the action had, from resolveAction
+ * @param {Object} domains - Map of domain IDs to domain objects, after the action
+ * @returns {String} - Formatted effects
+ */
+export function formatIntrigueEffects(effects, domains = {}) {
+  return effects.map(effect => {
+    const domain = domains[effect.domainId];
+    const domainName = domain ? domain.name : effect.domainId;
+    const defenseFormatted = effect.defense ? effect.defense.charAt(0).toUpperCase() + effect.defense.slice(1) : '';
+    
+    switch (effect.effect) {
+      case INTRIGUE_EFFECTS.RAISE_DEFENSE:
+        if (!effect.underPressure) {
+          return `- ${domainName}'s ${defenseFormatted} level rises to ${effect.level}`;
+        }
+        
+        if (effect.sizeLost) {
+          return `- **${domainName} is under pressure!** Its ${defenseFormatted} level reached ${effect.level} and starts again from 0; the domain shrinks${domain ? ` to ${DOMAIN_SIZES[domain.size].name}` : ''}`;
+        }
+        
+        return `- **${domainName} is under pressure!** Its ${defenseFormatted} level reached ${effect.level} and starts again from 0; the domain loses ${effect.resourcesLost} resource points`;
+      
+      case INTRIGUE_EFFECTS.LOWER_DEFENSE:
+        return `- ${domainName}'s ${defenseFormatted} level falls to ${effect.level}`;
+      
+      case INTRIGUE_EFFECTS.RESOURCES:
+        return `- ${domainName} ${effect.amount >= 0 ? 'gains' : 'loses'} ${Math.abs(effect.amount)} resource points`;
+      
+      case INTRIGUE_EFFECTS.RAISE_UNIT:
+        return `- ${domainName} raises ${effect.unitName}`;
+      
+      default:
+        return `- ${effect.effect}`;
+    }
+  }).join('\n');
+}
+
 /**
  * Format a dice roll result for display
  * @param {Object} result - Dice roll result to format
@@ -318,10 +643,11 @@ export function formatDiceRoll(result) {
     formatted += `\n`;
     
     if (result.bonus) {
-      formatted += `**Bonus:** ${result.bonus >= 0 ? '+' : ''}${result.bonus}\n`;
+      formatted += `**Bonus:** ${formatSigned(result.bonus)}\n`;
     }
     
     formatted += `**Total:** ${result.total}\n`;
+    formatted += formatConditionEffects(result.conditionEffects);
     
     if (result.difficulty) {
       formatted += `**DC:** ${result.difficulty}\n`;
@@ -331,6 +657,25 @@ export function formatDiceRoll(result) {
       formatted += `**Result:** ${result.success ? 'Success' : 'Failure'}`;
     }
     
+    return formatted;
+  } else if (result.moraleScore !== undefined) {
+    // This is a morale check
+    if (result.autoSuccess) {
+      return `**Result:** Success (${result.trait})`;
+    }
+    
+    let formatted = `**Roll:** ${result.roll}\n`;
+    formatted += `**Morale:** ${formatSigned(result.moraleScore)}\n`;
+    
+    if (result.commander) {
+      formatted += `**Commander:** ${result.commander} (${formatSigned(result.commandBonus)})\n`;
+    }
+    
+    formatted += `**Total:** ${result.total}\n`;
+    formatted += formatConditionEffects(result.conditionEffects);
+    formatted += `**DC:** ${result.difficulty}\n`;
+    formatted += `**Result:** ${result.success ? 'Success' : 'Failure'}`;
+    
     return formatted;
   } else if (result.rolls) {
     // This is a damage roll
@@ -338,7 +683,7 @@ export function formatDiceRoll(result) {
     formatted += `**Sum:** ${result.sum}\n`;
     
     if (result.powerBonus) {
-      formatted += `**Power Bonus:** ${result.powerBonus >= 0 ? '+' : ''}${result.powerBonus}\n`;
+      formatted += `**Power Bonus:** ${formatSigned(result.powerBonus)}\n`;
     }
     
     formatted += `**Total Damage:** ${result.total}`;
@@ -350,6 +695,377 @@ export function formatDiceRoll(result) {
   }
 }
 
+/**
+ * Format the total of a morale check with any commander's help, or the trait
+ * or ability that passed it outright
+ * @param {Object} check - Morale check result
+ * @returns {String} - Formatted total
+ */
+function formatMoraleTotal(check) {
+  if (check.autoSuccess) {
+    return `passed (${check.trait})`;
+  }
+  
+  return check.commander ? `${check.total} (${check.commander} +${check.commandBonus})` : `${check.total}`;
+}
+
+/**
+ * Format the conditions that changed a roll
+ * @param {Array} conditionEffects - Condition effects reported by the roll
+ * @returns {String} - Formatted condition effects, or an empty string
+ */
+function formatConditionEffects(conditionEffects = []) {
+  if (conditionEffects.length === 0) {
+    return '';
+  }
+  
+  const effects = conditionEffects.map(({ condition, effect }) => `${formatConditionName(condition)} (${effect})`);
+  return `**Conditions:** ${effects.join(', ')}\n`;
+}
+
+/**
+ * Format a resolved attack for display
+ * @param {Object} resolution - Attack resolution from the combat model
+ * @param {Object} attacker - Unit that made the attack
+ * @param {Object} target - Unit that was attacked
+ * @returns {String} - Formatted attack resolution
+ */
+export function formatAttackResolution(resolution, attacker, target) {
+  if (!resolution) {
+    return 'No attack resolution';
+  }
+  
+  let formatted = `**Attack**\n${attacker.name} vs ${target.name}\n\n`;
+  
+  // Conditions apply the same way to every roll, so list each one once
+  const conditionEffects = [];
+  
+  resolution.attacks.forEach(({ attackRoll, powerRoll }) => {
+    [attackRoll, powerRoll].filter(Boolean).forEach(roll => {
+      (roll.conditionEffects || []).forEach(effect => {
+        if (!conditionEffects.some(e => e.condition === effect.condition)) {
+          conditionEffects.push(effect);
+        }
+      });
+    });
+  });
+  
+  formatted += formatConditionEffects(conditionEffects);
+  
+  resolution.attacks.forEach((attack, index) => {
+    const { attackRoll, powerRoll } = attack;
+    formatted += `Attack ${index + 1}: ${attackRoll.total} vs Defense ${attackRoll.difficulty} - ${attackRoll.success ? 'Hit' : 'Miss'}`;
+    
+    if (powerRoll) {
+      formatted += `, Power ${powerRoll.total} vs Toughness ${powerRoll.difficulty} - ${powerRoll.success ? `${attack.casualties} casualties` : 'No casualties'}`;
+    }
+    
+    formatted += `\n`;
+  });
+  
+  formatted += `\nCasualties: ${resolution.casualties}\n`;
+  formatted += `Casualty Die: ${resolution.casualtyDie.before} → ${resolution.casualtyDie.after}/${resolution.casualtyDie.max}\n`;
+  
+  if (resolution.traits && resolution.traits.length > 0) {
+    formatted += `Traits: ${resolution.traits.join(', ')}\n`;
+  }
+  
+  (resolution.traitEffects || []).forEach(({ trait, note }) => {
+    formatted += `${trait}: ${note}\n`;
+  });
+  
+  if (resolution.moraleCheck) {
+    const { moraleCheck } = resolution;
+    formatted += `Morale Check (DC ${moraleCheck.difficulty}): ${formatMoraleTotal(moraleCheck)} - ${moraleCheck.success ? 'Success' : 'Failure'}\n`;
+  }
+  
+  if (resolution.broken) {
+    formatted += `\n**${target.name} is broken!**`;
+  }
+  
+  return formatted;
+}
+
+/**
+ * Format the conditions and tokens that wore off
+ * @param {Array} expired - Expired effects as { unitId, type, name } objects
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @returns {String} - Formatted expired effects, or an empty string
+ */
+export function formatExpiredEffects(expired = [], units = {}) {
+  const format = type => expired
+    .filter(effect => effect.type === type)
+    .map(({ unitId, name }) => `${units[unitId]?.name || unitId} (${type === 'condition' ? formatConditionName(name) : name})`)
+    .join(', ');
+  
+  let formatted = '';
+  
+  if (expired.some(effect => effect.type === 'condition')) {
+    formatted += `Conditions expired: ${format('condition')}\n`;
+  }
+  
+  if (expired.some(effect => effect.type === 'token')) {
+    formatted += `Tokens expired: ${format('token')}\n`;
+  }
+  
+  return formatted;
+}
+
+/**
+ * Format the experience units earned at the end of a battle
+ * @param {Array} awards - Awards from the progression model as { unit, record, promotionAvailable } objects
+ * @returns {String} - Formatted experience awards
+ */
+export function formatExperienceAwards(awards) {
+  let formatted = '**Experience:**\n';
+  
+  awards.forEach(({ unit, record, promotionAvailable }) => {
+    const status = record.survived ? `+${record.experience} XP (${unit.experience} total)` : 'Did not survive';
+    formatted += `- ${unit.name}: ${status}`;
+    
+    if (promotionAvailable) {
+      formatted += ' - **ready for promotion**';
+    }
+    
+    formatted += '\n';
+  });
+  
+  return formatted;
+}
+
+/**
+ * Format a unit's service history for display
+ * @param {Object} unit - Unit to format
+ * @returns {String} - Formatted service history, or an empty string
+ */
+export function formatServiceHistory(unit) {
+  const history = unit.history || [];
+  
+  if (history.length === 0) {
+    return '';
+  }
+  
+  let formatted = '**Service History:**\n';
+  
+  history.forEach(record => {
+    const outcome = record.outcome.charAt(0).toUpperCase() + record.outcome.slice(1);
+    formatted += `- ${record.battleName}: ${outcome}, ${record.casualtiesInflicted} casualties inflicted, ${record.casualtiesTaken} taken`;
+    formatted += record.survived ? `, +${record.experience} XP\n` : ', did not survive\n';
+  });
+  
+  return formatted;
+}
+
+/**
+ * Format the losses of a battle's units for display
+ * @param {Object} battle - Battle that ended
+ * @param {Array} losses - Losses from the aftermath model
+ * @param {Object} domains - Map of domain IDs to domain objects
+ * @returns {String} - Formatted losses
+ */
+export function formatLosses(battle, losses, domains) {
+  let formatted = `**Losses at ${battle.name}:**\n`;
+  
+  if (losses.length === 0) {
+    return `${formatted}No units fought in this battle\n`;
+  }
+  
+  losses.forEach(loss => {
+    const domainName = domains[loss.domainId]?.name || 'Unknown';
+    
+    if (loss.disbanded) {
+      formatted += `- ${loss.name} (${domainName}): Disbanded\n`;
+    } else {
+      formatted += `- ${loss.name} (${domainName}): ${loss.casualties} casualties, ${loss.replenishCost} resource points to replenish\n`;
+    }
+  });
+  
+  if (battle.aftermathResolved) {
+    formatted += '\nThe aftermath of this battle has been resolved.';
+  } else if (battle.phase === BATTLE_PHASES.AFTERMATH) {
+    formatted += '\nChoose which units to replenish to resolve the aftermath.';
+  }
+  
+  return formatted;
+}
+
+/**
+ * Format the resolved aftermath of a battle for display
+ * @param {Object} battle - Battle that ended
+ * @param {Object} report - Report from the aftermath model
+ * @param {Object} domains - Map of domain IDs to domain objects, after spending
+ * @returns {String} - Formatted aftermath
+ */
+export function formatAftermath(battle, report, domains) {
+  let formatted = `**Aftermath of ${battle.name}:**\n`;
+  
+  report.losses.forEach(loss => {
+    if (report.disbanded.includes(loss.unitId) || loss.disbanded) {
+      formatted += `- ${loss.name}: Disbanded\n`;
+    } else if (report.replenished.includes(loss.unitId)) {
+      const cost = report.free ? 'for free' : `for ${loss.replenishCost} resource points`;
+      formatted += `- ${loss.name}: Replenished ${loss.casualties} casualties ${cost}\n`;
+    } else {
+      formatted += `- ${loss.name}: ${loss.casualties} casualties not replenished\n`;
+    }
+  });
+  
+  const spending = Object.entries(report.spent);
+  
+  if (spending.length > 0) {
+    formatted += '\n**Resources Spent:**\n';
+    
+    spending.forEach(([domainId, spent]) => {
+      const domain = domains[domainId];
+      formatted += `- ${domain ? domain.name : 'Unknown'}: ${spent} (${domain ? domain.resources : 0} remaining)\n`;
+    });
+  }
+  
+  formatted += '\nBattle conditions have been cleared from all units.';
+  
+  return formatted;
+}
+
+/**
+ * Format the summary of a battle round for display
+ * @param {Object} summary - Round summary from the round engine
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @returns {String} - Formatted round summary
+ */
+export function formatRoundSummary(summary, units = {}) {
+  if (!summary) {
+    return 'No round summary';
+  }
+  
+  const unitName = unitId => units[unitId]?.name || unitId;
+  const listUnits = unitIds => (unitIds.length > 0 ? unitIds.map(unitName).join(', ') : 'None');
+  
+  let formatted = `**End of Round ${summary.round}**\n`;
+  formatted += `Activated: ${listUnits(summary.activated)}\n`;
+  formatted += `Skipped: ${listUnits(summary.skipped)}\n`;
+  
+  if (summary.removed.length > 0) {
+    formatted += `Out of action: ${listUnits(summary.removed)}\n`;
+  }
+  
+  formatted += formatExpiredEffects(summary.expired, units);
+  
+  (summary.traitEffects || []).forEach(({ trait, note }) => {
+    formatted += `${trait}: ${note}\n`;
+  });
+  
+  summary.rallied.forEach(({ unitId, check }) => {
+    formatted += `Rally: ${unitName(unitId)} ${formatMoraleTotal(check)} vs DC ${check.difficulty} - ${check.success ? 'Rallied' : 'Still broken'}\n`;
+  });
+  
+  return formatted;
+}
+
+/**
+ * Format one event from a battle log for display
+ * @param {Object} event - Battle event
+ * @param {Object} domains - Map of domain IDs to domain objects
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @returns {String} - Formatted event
+ */
+export function formatBattleEvent(event, domains = {}, units = {}) {
+  const unitName = unitId => units[unitId]?.name || unitId;
+  const domainName = domainId => domains[domainId]?.name || domainId;
+  const position = ({ rank, column }) => `${rank}${column ? ` ${column}` : ''}`;
+  
+  switch (event.type) {
+    case BATTLE_EVENTS.BATTLE_CREATED:
+      return `Battle created: ${event.name}`;
+    case BATTLE_EVENTS.BATTLE_SNAPSHOT:
+      return 'Battle state recorded';
+    case BATTLE_EVENTS.DOMAIN_ADDED:
+      return `${domainName(event.domainId)} joined the battle`;
+    case BATTLE_EVENTS.DOMAIN_REMOVED:
+      return `${domainName(event.domainId)} left the battle`;
+    case BATTLE_EVENTS.UNIT_ADDED:
+      return `${unitName(event.unitId)} joined the battle for ${domainName(event.domainId)}`;
+    case BATTLE_EVENTS.UNIT_REMOVED:
+      return `${unitName(event.unitId)} left the battle`;
+    case BATTLE_EVENTS.UNIT_DEPLOYED:
+      return `${unitName(event.unitId)} deployed to ${position(event)}`;
+    case BATTLE_EVENTS.UNIT_MOVED:
+      return `${unitName(event.unitId)} moved to ${position(event.to)} (${event.maneuver.replace('_', ' ')})`;
+    case BATTLE_EVENTS.INITIATIVE_SET:
+      return `Initiative set: ${event.initiative.map(unitName).join(', ')}`;
+    case BATTLE_EVENTS.INITIATIVE_ROLLED:
+      return `Initiative rolled (per ${event.mode}): ${event.initiative.map(unitName).join(', ')}`;
+    case BATTLE_EVENTS.INITIATIVE_SLOTTED:
+      return `${unitName(event.unitId)} joined the initiative order (${event.total})`;
+    case BATTLE_EVENTS.UNIT_REMOVED_FROM_INITIATIVE:
+      return `${unitName(event.unitId)} left the initiative order`;
+    case BATTLE_EVENTS.BATTLE_START:
+      return 'Battle started';
+    case BATTLE_EVENTS.BATTLE_END:
+      return event.winningDomainId ? `Battle ended, won by ${domainName(event.winningDomainId)}` : 'Battle ended';
+    case BATTLE_EVENTS.UNIT_ACTIVATED:
+      return `${unitName(event.unitId)} activated`;
+    case BATTLE_EVENTS.UNIT_SKIPPED:
+      return `${unitName(event.unitId)} was skipped`;
+    case BATTLE_EVENTS.TURN_ENDED:
+      return event.unitId ? `${unitName(event.unitId)}'s turn ended` : 'Turn ended';
+    case BATTLE_EVENTS.ROUND_END:
+      return `Round ${event.round} ended`;
+    case BATTLE_EVENTS.ROUND_START:
+      return `Round ${event.round} started`;
+    case BATTLE_EVENTS.TOKEN_ADDED:
+      return `${unitName(event.unitId)} gained ${formatEffect(event.effect)}`;
+    case BATTLE_EVENTS.TOKEN_REMOVED:
+      return `${unitName(event.unitId)} lost ${event.token}`;
+    case BATTLE_EVENTS.COMMANDER_ASSIGNED:
+      return event.officerId ? `${unitName(event.unitId)} was given a commander` : `${unitName(event.unitId)} lost its commander`;
+    case BATTLE_EVENTS.ATTACK:
+      return `${unitName(event.attackerId)} attacked ${unitName(event.targetId)}: ${event.hits} hits, ${event.casualties} casualties${event.broken ? ', broken' : ''}`;
+    case BATTLE_EVENTS.AFTERMATH_RESOLVED:
+      return 'Aftermath resolved';
+    default:
+      return event.type;
+  }
+}
+
+/**
+ * Format the events undone in a battle for display
+ * @param {Array} undone - Events that were undone
+ * @param {Object} domains - Map of domain IDs to domain objects
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @returns {String} - Formatted undone events
+ */
+export function formatUndoneEvents(undone, domains = {}, units = {}) {
+  let formatted = `**Undone (${undone.length}):**\n`;
+  
+  [...undone].reverse().forEach(event => {
+    formatted += `- ${formatBattleEvent(event, domains, units)}\n`;
+  });
+  
+  return formatted;
+}
+
+/**
+ * Format one round of a battle replay for display
+ * @param {Object} battle - Battle as it stood at the end of the round
+ * @param {Number} round - Round being replayed, with 0 for the setup
+ * @param {Array} events - Events of the round
+ * @param {Array} rounds - Every round that can be replayed
+ * @param {Object} domains - Map of domain IDs to domain objects
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @returns {String} - Formatted replay
+ */
+export function formatReplay(battle, round, events, rounds, domains = {}, units = {}) {
+  let formatted = `**Replay: ${round === 0 ? 'Setup' : `Round ${round}`}** (rounds ${rounds[0]} to ${rounds[rounds.length - 1]})\n`;
+  
+  events.forEach(event => {
+    formatted += `- ${formatBattleEvent(event, domains, units)}\n`;
+  });
+  
+  formatted += `\n${formatBattle(battle, domains, units)}`;
+  
+  return formatted;
+}
+
 /**
  * Format an embed for Discord
  * @param {String} title - Title of the embed
@@ -0,0 +1,144 @@
+/**
+ * Permission utility for Kingdoms & Warfare
+ * Decides who may act for domains and units, and who may destroy them
+ *
+ * Game masters may do anything. A member is a game master if they can manage
+ * the server or have the GM role set with `/knw config`. Otherwise a
+ * domain's owner and co-owners may act for it, but only its owner may delete
+ * it or change who else owns it. Units answer to the domain they serve, or to
+ * the user who created them while they serve none. Domains and units saved
+ * before they had owners answer to everyone.
+ */
+
+import {
+  InteractionResponseType,
+  InteractionResponseFlags,
+} from 'discord-interactions';
+
+import { DEFAULT_NAMESPACE, getServerSettings } from './storage.js';
+import { isOwnedBy } from '../models/domain.js';
+
+// Discord permission bits that make a member a game master on any server
+const ADMINISTRATOR = 1n << 3n;
+const MANAGE_GUILD = 1n << 5n;
+
+/**
+ * Get the ID of the user behind an interaction
+ * @param {Object} interaction - Discord interaction
+ * @returns {String} - ID of the Discord user, or null if unknown
+ */
+export function getUserId(interaction) {
+  return interaction.member?.user?.id || interaction.user?.id || null;
+}
+
+/**
+ * Check whether the member behind an interaction can manage the server
+ * @param {Object} interaction - Discord interaction
+ * @returns {Boolean} - Whether they are an administrator or can manage the server
+ */
+export function canManageServer(interaction) {
+  const permissions = BigInt(interaction.member?.permissions || 0);
+  return (permissions & (ADMINISTRATOR | MANAGE_GUILD)) !== 0n;
+}
+
+/**
+ * Work out what the user behind an interaction is allowed to do
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - { userId, isGameMaster }
+ */
+export async function getPermissions(interaction, env) {
+  const { gmRoleId } = await getServerSettings(
+    env,
+    DEFAULT_NAMESPACE,
+    interaction.guild_id,
+  );
+  const roles = interaction.member?.roles || [];
+
+  return {
+    userId: getUserId(interaction),
+    isGameMaster:
+      canManageServer(interaction) ||
+      Boolean(gmRoleId && roles.includes(gmRoleId)),
+  };
+}
+
+/**
+ * Check whether a user may act for a domain
+ * @param {Object} permissions - Permissions from getPermissions
+ * @param {Object} domain - Domain to act for
+ * @returns {Boolean} - Whether they may act for it
+ */
+export function canActForDomain(permissions, domain) {
+  return (
+    permissions.isGameMaster ||
+    !domain.ownerId ||
+    isOwnedBy(domain, permissions.userId)
+  );
+}
+
+/**
+ * Check whether a user may delete a domain or change who owns it
+ * @param {Object} permissions - Permissions from getPermissions
+ * @param {Object} domain - Domain to change
+ * @returns {Boolean} - Whether they may change it
+ */
+export function canDeleteDomain(permissions, domain) {
+  return (
+    permissions.isGameMaster ||
+    !domain.ownerId ||
+    isOwnedBy(domain, permissions.userId, false)
+  );
+}
+
+/**
+ * Check whether a user may act for a unit or delete it
+ * @param {Object} permissions - Permissions from getPermissions
+ * @param {Object} unit - Unit to act for
+ * @param {Array} domains - Domains to look for the unit's domain in
+ * @returns {Boolean} - Whether they may act for it
+ */
+export function canActForUnit(permissions, unit, domains) {
+  const domain = domains.find((d) => (d.units || []).includes(unit.id));
+
+  if (domain) {
+    return canActForDomain(permissions, domain);
+  }
+
+  return (
+    permissions.isGameMaster ||
+    !unit.ownerId ||
+    unit.ownerId === permissions.userId
+  );
+}
+
+/**
+ * Check whether a user may run, end or delete a battle or intrigue session
+ * Anyone acting for one of its domains may, as may everyone if none of its
+ * domains have owners
+ * @param {Object} permissions - Permissions from getPermissions
+ * @param {Array} domains - Domains taking part
+ * @returns {Boolean} - Whether they may manage it
+ */
+export function canManageBattleOrSession(permissions, domains) {
+  return (
+    permissions.isGameMaster ||
+    domains.every((domain) => !domain.ownerId) ||
+    domains.some((domain) => canActForDomain(permissions, domain))
+  );
+}
+
+/**
+ * Build the reply for a user who lacks permission, seen only by them
+ * @param {String} content - What they are not allowed to do
+ * @returns {Object} - Response to send back to Discord
+ */
+export function permissionDenied(content) {
+  return {
+    type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+    data: {
+      content,
+      flags: InteractionResponseFlags.EPHEMERAL,
+    },
+  };
+}
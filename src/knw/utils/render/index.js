@@ -0,0 +1,38 @@
+/**
+ * Battlefield rendering for Kingdoms & Warfare
+ * Draws a battle as an image to attach to Discord messages
+ */
+
+import { buildBattlefieldScene } from './scene.js';
+import { renderSvg } from './svg.js';
+import { renderPng } from './png.js';
+
+export { COLORS, SIDE_COLORS, buildBattlefieldScene } from './scene.js';
+export { renderSvg } from './svg.js';
+export { renderPng } from './png.js';
+
+/**
+ * Render a battle's battlefield as files to attach to a message
+ * Discord does not preview SVG files, so a PNG copy comes first; the SVG
+ * stays sharp at any size
+ * @param {Object} battle - Battle to draw
+ * @param {Object} domains - Map of domain IDs to domain objects
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @returns {Promise<Array>} - Files as { name, contentType, data } objects
+ */
+export async function renderBattlefield(battle, domains = {}, units = {}) {
+  const scene = buildBattlefieldScene(battle, domains, units);
+
+  return [
+    {
+      name: 'battlefield.png',
+      contentType: 'image/png',
+      data: await renderPng(scene),
+    },
+    {
+      name: 'battlefield.svg',
+      contentType: 'image/svg+xml',
+      data: renderSvg(scene),
+    },
+  ];
+}
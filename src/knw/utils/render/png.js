@@ -0,0 +1,290 @@
+/**
+ * PNG renderer for battlefield scenes
+ * Draws a scene into an indexed-color pixel buffer and encodes it as a PNG
+ * with nothing but the web platform, so it runs inside a Worker
+ *
+ * Image data is compressed with CompressionStream where it is available and
+ * stored uncompressed where it is not.
+ */
+
+import { GLYPH_ADVANCE, GLYPH_HEIGHT, GLYPH_WIDTH, getGlyph } from './font.js';
+
+// Bytes every PNG file starts with
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+// Largest block of uncompressed data a deflate stream can hold
+const MAX_STORED_BLOCK = 65535;
+
+// CRC-32 lookup table for PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (value, index) => {
+  let crc = index;
+
+  for (let bit = 0; bit < 8; bit++) {
+    crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+  }
+
+  return crc >>> 0;
+});
+
+/**
+ * Calculate the CRC-32 of some bytes
+ * @param {Uint8Array} bytes - Bytes to check
+ * @returns {Number} - CRC-32
+ */
+function crc32(bytes) {
+  let crc = 0xffffffff;
+
+  for (const byte of bytes) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Calculate the Adler-32 checksum of some bytes
+ * @param {Uint8Array} bytes - Bytes to check
+ * @returns {Number} - Adler-32 checksum
+ */
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+
+  for (const byte of bytes) {
+    a = (a + byte) % 65521;
+    b = (b + a) % 65521;
+  }
+
+  return ((b << 16) | a) >>> 0;
+}
+
+/**
+ * Write a 32-bit big-endian number into a byte array
+ * @param {Uint8Array} bytes - Byte array to write to
+ * @param {Number} offset - Offset to write at
+ * @param {Number} value - Number to write
+ */
+function writeUint32(bytes, offset, value) {
+  bytes[offset] = (value >>> 24) & 0xff;
+  bytes[offset + 1] = (value >>> 16) & 0xff;
+  bytes[offset + 2] = (value >>> 8) & 0xff;
+  bytes[offset + 3] = value & 0xff;
+}
+
+/**
+ * Compress bytes into a zlib stream
+ * @param {Uint8Array} bytes - Bytes to compress
+ * @returns {Promise<Uint8Array>} - zlib stream
+ */
+async function deflate(bytes) {
+  if (typeof CompressionStream !== 'undefined') {
+    const stream = new Blob([bytes])
+      .stream()
+      .pipeThrough(new CompressionStream('deflate'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  }
+
+  // Without CompressionStream, store the bytes in uncompressed blocks
+  const blockCount = Math.max(1, Math.ceil(bytes.length / MAX_STORED_BLOCK));
+  const output = new Uint8Array(2 + bytes.length + blockCount * 5 + 4);
+  let offset = 0;
+
+  output[offset++] = 0x78;
+  output[offset++] = 0x01;
+
+  for (let block = 0; block < blockCount; block++) {
+    const chunk = bytes.subarray(
+      block * MAX_STORED_BLOCK,
+      (block + 1) * MAX_STORED_BLOCK,
+    );
+
+    output[offset++] = block === blockCount - 1 ? 1 : 0;
+    output[offset++] = chunk.length & 0xff;
+    output[offset++] = (chunk.length >>> 8) & 0xff;
+    output[offset++] = ~chunk.length & 0xff;
+    output[offset++] = (~chunk.length >>> 8) & 0xff;
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+
+  writeUint32(output, offset, adler32(bytes));
+  return output;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {String} type - Four-letter chunk type
+ * @param {Uint8Array} data - Chunk data
+ * @returns {Uint8Array} - Chunk with its length and CRC
+ */
+function createChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+
+  writeUint32(chunk, 0, data.length);
+  chunk.set(
+    [...type].map((character) => character.charCodeAt(0)),
+    4,
+  );
+  chunk.set(data, 8);
+  writeUint32(
+    chunk,
+    data.length + 8,
+    crc32(chunk.subarray(4, data.length + 8)),
+  );
+
+  return chunk;
+}
+
+/**
+ * Fill a rectangle of a pixel buffer
+ * @param {Object} image - Image as { width, height, pixels }
+ * @param {Number} x - Left edge
+ * @param {Number} y - Top edge
+ * @param {Number} width - Width of the rectangle
+ * @param {Number} height - Height of the rectangle
+ * @param {Number} color - Palette index to fill with
+ */
+function fillRect(image, x, y, width, height, color) {
+  const left = Math.max(0, Math.round(x));
+  const top = Math.max(0, Math.round(y));
+  const right = Math.min(image.width, Math.round(x + width));
+  const bottom = Math.min(image.height, Math.round(y + height));
+
+  for (let row = top; row < bottom; row++) {
+    image.pixels.fill(
+      color,
+      row * image.width + left,
+      row * image.width + right,
+    );
+  }
+}
+
+/**
+ * Draw a line of text into a pixel buffer
+ * @param {Object} image - Image as { width, height, pixels }
+ * @param {Object} shape - Text shape
+ * @param {Number} color - Palette index to draw with
+ */
+function drawText(image, shape, color) {
+  const { scale } = shape;
+
+  [...shape.text].forEach((character, index) => {
+    const glyph = getGlyph(character);
+    const left = shape.x + index * GLYPH_ADVANCE * scale;
+
+    for (let row = 0; row < GLYPH_HEIGHT; row++) {
+      for (let column = 0; column < GLYPH_WIDTH; column++) {
+        if (glyph[row][column] === '1') {
+          // Bold text is drawn twice, one pixel apart
+          fillRect(
+            image,
+            left + column * scale,
+            shape.y + row * scale,
+            scale + (shape.bold ? 1 : 0),
+            scale,
+            color,
+          );
+        }
+      }
+    }
+  });
+}
+
+/**
+ * Render a scene as a PNG image
+ * @param {Object} scene - Scene to render
+ * @returns {Promise<Uint8Array>} - PNG file
+ */
+export async function renderPng(scene) {
+  // Every color in the scene gets a palette entry, the background first
+  const palette = [scene.background];
+  const getColor = (color) => {
+    if (!palette.includes(color)) {
+      palette.push(color);
+    }
+
+    return palette.indexOf(color);
+  };
+
+  const image = {
+    width: scene.width,
+    height: scene.height,
+    pixels: new Uint8Array(scene.width * scene.height),
+  };
+
+  scene.shapes.forEach((shape) => {
+    if (shape.kind === 'rect') {
+      if (shape.stroke) {
+        const strokeWidth = shape.strokeWidth || 1;
+        fillRect(
+          image,
+          shape.x,
+          shape.y,
+          shape.width,
+          shape.height,
+          getColor(shape.stroke),
+        );
+        fillRect(
+          image,
+          shape.x + strokeWidth,
+          shape.y + strokeWidth,
+          shape.width - strokeWidth * 2,
+          shape.height - strokeWidth * 2,
+          getColor(shape.fill),
+        );
+      } else {
+        fillRect(
+          image,
+          shape.x,
+          shape.y,
+          shape.width,
+          shape.height,
+          getColor(shape.fill),
+        );
+      }
+    } else {
+      drawText(image, shape, getColor(shape.color));
+    }
+  });
+
+  // Each row starts with its filter type, which is always none
+  const raw = new Uint8Array((image.width + 1) * image.height);
+
+  for (let row = 0; row < image.height; row++) {
+    raw.set(
+      image.pixels.subarray(row * image.width, (row + 1) * image.width),
+      row * (image.width + 1) + 1,
+    );
+  }
+
+  const header = new Uint8Array(13);
+  writeUint32(header, 0, image.width);
+  writeUint32(header, 4, image.height);
+  header.set([8, 3, 0, 0, 0], 8);
+
+  const paletteData = new Uint8Array(palette.length * 3);
+  palette.forEach((color, index) => {
+    paletteData.set(
+      [1, 3, 5].map((offset) => parseInt(color.slice(offset, offset + 2), 16)),
+      index * 3,
+    );
+  });
+
+  const chunks = [
+    Uint8Array.from(PNG_SIGNATURE),
+    createChunk('IHDR', header),
+    createChunk('PLTE', paletteData),
+    createChunk('IDAT', await deflate(raw)),
+    createChunk('IEND', new Uint8Array(0)),
+  ];
+
+  const png = new Uint8Array(
+    chunks.reduce((total, chunk) => total + chunk.length, 0),
+  );
+  chunks.reduce((offset, chunk) => {
+    png.set(chunk, offset);
+    return offset + chunk.length;
+  }, 0);
+
+  return png;
+}
@@ -0,0 +1,375 @@
+/**
+ * Battlefield scene for Kingdoms & Warfare
+ * Lays out a battle as a list of rectangles and lines of text, which the SVG
+ * and PNG renderers then draw
+ *
+ * Each side gets a block with its three ranks of three positions, followed by
+ * its reserve and the units it has yet to deploy. The first side is drawn with
+ * its vanguard at the bottom, so the two vanguards face each other.
+ *
+ * Text is sized by scale: at scale 1 each character takes GLYPH_ADVANCE pixels
+ * across and GLYPH_HEIGHT pixels down.
+ */
+
+import {
+  BATTLE_PHASES,
+  BATTLE_RANKS,
+  GRID_POSITIONS,
+  getFormation,
+} from '../../models/battle.js';
+import { UNIT_TIERS, normalizeCondition } from '../../models/unit.js';
+import { normalizeEffect } from '../../models/effects.js';
+import { getEngagements } from '../../models/engagement.js';
+import { GLYPH_ADVANCE } from './font.js';
+
+// Colors of the battlefield
+export const COLORS = {
+  BACKGROUND: '#f4efe1',
+  TEXT: '#222222',
+  MUTED: '#7a7467',
+  CELL: '#ffffff',
+  EMPTY: '#e6dfcc',
+  BAR: '#d9d2bf',
+  CONDITION: '#b00020',
+  CURRENT_TURN: '#d4a017',
+};
+
+// Colors of each side, in the order the domains joined the battle
+export const SIDE_COLORS = ['#3b6ea5', '#a53b3b', '#3b8a4a', '#8a6d3b'];
+
+// Sizes of the layout in pixels
+const MARGIN = 16;
+const HEADER_HEIGHT = 48;
+const SIDE_TITLE_HEIGHT = 28;
+const LABEL_WIDTH = 112;
+const CELL_WIDTH = 180;
+const CELL_HEIGHT = 84;
+const CELL_GAP = 8;
+const CELL_PADDING = 6;
+const LINE_HEIGHT = 20;
+const SIDE_GAP = 24;
+const BAR_WIDTH = 96;
+const BAR_HEIGHT = 10;
+
+// Ranks on the grid, from the front of a side to its back
+const GRID_RANKS = [
+  BATTLE_RANKS.VANGUARD,
+  BATTLE_RANKS.CENTER,
+  BATTLE_RANKS.REAR,
+];
+
+/**
+ * Get how many characters of a given scale fit in a width
+ * @param {Number} width - Width in pixels
+ * @param {Number} scale - Text scale
+ * @returns {Number} - Number of characters
+ */
+function getMaxCharacters(width, scale) {
+  return Math.floor(width / (GLYPH_ADVANCE * scale));
+}
+
+/**
+ * Shorten text to a number of characters, marking that it was cut
+ * @param {String} text - Text to shorten
+ * @param {Number} length - Maximum number of characters
+ * @returns {String} - Shortened text
+ */
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 2)}..` : text;
+}
+
+/**
+ * Get the roman numeral of a unit tier
+ * @param {Number} tier - Unit tier
+ * @returns {String} - Roman numeral
+ */
+function getTierNumeral(tier) {
+  return (
+    Object.keys(UNIT_TIERS).find((numeral) => UNIT_TIERS[numeral] === tier) ||
+    String(tier)
+  );
+}
+
+/**
+ * Lay out one position on the grid
+ * @param {Array} shapes - Shapes to add to
+ * @param {Object} position - Position as { x, y, color }
+ * @param {Object} battle - Battle being drawn
+ * @param {String} unitId - ID of the unit at the position, if any
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @param {Object} engagements - Map of engaged unit IDs to their enemies
+ */
+function addCell(shapes, { x, y, color }, battle, unitId, units, engagements) {
+  if (!unitId) {
+    shapes.push({
+      kind: 'rect',
+      x,
+      y,
+      width: CELL_WIDTH,
+      height: CELL_HEIGHT,
+      fill: COLORS.EMPTY,
+      stroke: COLORS.BAR,
+      strokeWidth: 1,
+    });
+    shapes.push({
+      kind: 'text',
+      x: x + CELL_PADDING,
+      y: y + CELL_PADDING,
+      text: 'Empty',
+      scale: 2,
+      color: COLORS.MUTED,
+    });
+    return;
+  }
+
+  const unit = units[unitId];
+  const battleUnit = battle.units[unitId];
+  const currentTurn =
+    battle.phase === BATTLE_PHASES.BATTLE &&
+    battle.initiative[battle.currentTurn] === unitId;
+  const textWidth = CELL_WIDTH - CELL_PADDING * 2;
+
+  shapes.push({
+    kind: 'rect',
+    x,
+    y,
+    width: CELL_WIDTH,
+    height: CELL_HEIGHT,
+    fill: COLORS.CELL,
+    stroke: currentTurn ? COLORS.CURRENT_TURN : color,
+    strokeWidth: currentTurn ? 4 : 2,
+  });
+
+  // Name, marked when it is the unit's turn
+  const name = `${currentTurn ? '> ' : ''}${unit ? unit.name : unitId}`;
+  shapes.push({
+    kind: 'text',
+    x: x + CELL_PADDING,
+    y: y + CELL_PADDING,
+    text: truncate(name, getMaxCharacters(textWidth, 2)),
+    scale: 2,
+    color: COLORS.TEXT,
+    bold: true,
+  });
+
+  if (!unit) {
+    return;
+  }
+
+  // Tier, type and whether the unit is engaged
+  const type = unit.type.charAt(0).toUpperCase() + unit.type.slice(1);
+  const details = `Tier ${getTierNumeral(unit.tier)} ${type}${engagements[unitId] ? ' - Engaged' : ''}`;
+  shapes.push({
+    kind: 'text',
+    x: x + CELL_PADDING,
+    y: y + CELL_PADDING + LINE_HEIGHT,
+    text: truncate(details, getMaxCharacters(textWidth, 1)),
+    scale: 1,
+    color: COLORS.MUTED,
+  });
+
+  // Casualty die as a bar
+  const { current, max } = unit.casualtyDie;
+  const barY = y + CELL_PADDING + LINE_HEIGHT * 2 - 4;
+  shapes.push({
+    kind: 'rect',
+    x: x + CELL_PADDING,
+    y: barY,
+    width: BAR_WIDTH,
+    height: BAR_HEIGHT,
+    fill: COLORS.BAR,
+  });
+
+  if (current > 0 && max > 0) {
+    shapes.push({
+      kind: 'rect',
+      x: x + CELL_PADDING,
+      y: barY,
+      width: Math.round((BAR_WIDTH * current) / max),
+      height: BAR_HEIGHT,
+      fill: color,
+    });
+  }
+
+  shapes.push({
+    kind: 'text',
+    x: x + CELL_PADDING * 2 + BAR_WIDTH,
+    y: barY + 1,
+    text: `${current}/${max}`,
+    scale: 1,
+    color: COLORS.TEXT,
+  });
+
+  // Conditions and tokens
+  const effects = [
+    ...(unit.conditions || []).map(
+      (condition) => normalizeCondition(condition).name,
+    ),
+    ...(battleUnit.tokens || []).map((token) => {
+      const { name, stacks } = normalizeEffect(token);
+      return stacks > 1 ? `${name} x${stacks}` : name;
+    }),
+  ];
+
+  if (effects.length > 0) {
+    shapes.push({
+      kind: 'text',
+      x: x + CELL_PADDING,
+      y: y + CELL_PADDING + LINE_HEIGHT * 3 - 4,
+      text: truncate(effects.join(', '), getMaxCharacters(textWidth, 1)),
+      scale: 1,
+      color: COLORS.CONDITION,
+    });
+  }
+}
+
+/**
+ * Lay out a battle's battlefield
+ * @param {Object} battle - Battle to draw
+ * @param {Object} domains - Map of domain IDs to domain objects
+ * @param {Object} units - Map of unit IDs to unit objects
+ * @returns {Object} - Scene as { width, height, background, shapes }
+ */
+export function buildBattlefieldScene(battle, domains = {}, units = {}) {
+  const width = MARGIN * 2 + LABEL_WIDTH + CELL_WIDTH * 3 + CELL_GAP * 2;
+  const shapes = [];
+  const engagements = getEngagements(battle);
+  const phase =
+    Object.entries(BATTLE_PHASES).find(
+      ([, value]) => value === battle.phase,
+    )?.[0] || battle.phase;
+  let y = MARGIN;
+
+  // Header
+  shapes.push({
+    kind: 'text',
+    x: MARGIN,
+    y,
+    text: truncate(battle.name, getMaxCharacters(width - MARGIN * 2, 3)),
+    scale: 3,
+    color: COLORS.TEXT,
+    bold: true,
+  });
+  shapes.push({
+    kind: 'text',
+    x: MARGIN,
+    y: y + 28,
+    text: `${phase} - Round ${battle.round}`,
+    scale: 1,
+    color: COLORS.MUTED,
+  });
+  y += HEADER_HEIGHT;
+
+  battle.domains.forEach((domainId, sideIndex) => {
+    const color = SIDE_COLORS[sideIndex % SIDE_COLORS.length];
+    const formation = getFormation(battle, domainId);
+    const domain = domains[domainId];
+
+    // Side title
+    shapes.push({
+      kind: 'rect',
+      x: MARGIN,
+      y,
+      width: width - MARGIN * 2,
+      height: SIDE_TITLE_HEIGHT - 6,
+      fill: color,
+    });
+    shapes.push({
+      kind: 'text',
+      x: MARGIN + CELL_PADDING,
+      y: y + 4,
+      text: truncate(
+        domain ? domain.name : domainId,
+        getMaxCharacters(width - MARGIN * 2, 2),
+      ),
+      scale: 2,
+      color: COLORS.CELL,
+      bold: true,
+    });
+    y += SIDE_TITLE_HEIGHT;
+
+    // The first side faces down the page, the others up
+    const ranks = sideIndex === 0 ? [...GRID_RANKS].reverse() : GRID_RANKS;
+
+    ranks.forEach((rank) => {
+      shapes.push({
+        kind: 'text',
+        x: MARGIN,
+        y: y + CELL_HEIGHT / 2 - 7,
+        text: rank.charAt(0).toUpperCase() + rank.slice(1),
+        scale: 2,
+        color: COLORS.MUTED,
+      });
+
+      [
+        GRID_POSITIONS.LEFT,
+        GRID_POSITIONS.CENTER,
+        GRID_POSITIONS.RIGHT,
+      ].forEach((column, columnIndex) => {
+        const cellX =
+          MARGIN + LABEL_WIDTH + columnIndex * (CELL_WIDTH + CELL_GAP);
+        addCell(
+          shapes,
+          { x: cellX, y, color },
+          battle,
+          formation[rank][column],
+          units,
+          engagements,
+        );
+      });
+
+      y += CELL_HEIGHT + CELL_GAP;
+    });
+
+    // Units off the grid
+    const listUnits = (unitIds) =>
+      unitIds.length > 0
+        ? unitIds.map((unitId) => units[unitId]?.name || unitId).join(', ')
+        : 'None';
+    const maxCharacters = getMaxCharacters(width - MARGIN * 2, 1);
+
+    shapes.push({
+      kind: 'text',
+      x: MARGIN,
+      y,
+      text: truncate(
+        `Reserve: ${listUnits(formation[BATTLE_RANKS.RESERVE])}`,
+        maxCharacters,
+      ),
+      scale: 1,
+      color: COLORS.TEXT,
+    });
+    y += LINE_HEIGHT - 6;
+    shapes.push({
+      kind: 'text',
+      x: MARGIN,
+      y,
+      text: truncate(
+        `Not deployed: ${listUnits(formation[BATTLE_RANKS.NOT_DEPLOYED])}`,
+        maxCharacters,
+      ),
+      scale: 1,
+      color: COLORS.TEXT,
+    });
+    y += LINE_HEIGHT - 6 + SIDE_GAP;
+  });
+
+  if (battle.domains.length === 0) {
+    shapes.push({
+      kind: 'text',
+      x: MARGIN,
+      y,
+      text: 'No domains have joined the battle',
+      scale: 2,
+      color: COLORS.MUTED,
+    });
+    y += LINE_HEIGHT + SIDE_GAP;
+  }
+
+  return {
+    width,
+    height: y - SIDE_GAP + MARGIN,
+    background: COLORS.BACKGROUND,
+    shapes,
+  };
+}
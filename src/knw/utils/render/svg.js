@@ -0,0 +1,53 @@
+/**
+ * SVG renderer for battlefield scenes
+ * Text is set in a monospace font sized to match the PNG renderer's glyphs
+ */
+
+import { GLYPH_ADVANCE, GLYPH_HEIGHT } from './font.js';
+
+/**
+ * Escape text for use in XML
+ * @param {String} text - Text to escape
+ * @returns {String} - Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render one shape of a scene as SVG
+ * @param {Object} shape - Rectangle or text
+ * @returns {String} - SVG element
+ */
+function renderShape(shape) {
+  if (shape.kind === 'rect') {
+    const stroke = shape.stroke
+      ? ` stroke="${shape.stroke}" stroke-width="${shape.strokeWidth || 1}"`
+      : '';
+    return `<rect x="${shape.x}" y="${shape.y}" width="${shape.width}" height="${shape.height}" fill="${shape.fill}"${stroke}/>`;
+  }
+
+  // Monospace characters are about 0.6em wide, so this font size gives each character the glyph advance
+  const fontSize = Math.round((GLYPH_ADVANCE * shape.scale) / 0.6);
+  const weight = shape.bold ? ' font-weight="bold"' : '';
+  return `<text x="${shape.x}" y="${shape.y + GLYPH_HEIGHT * shape.scale}" font-size="${fontSize}" fill="${shape.color}"${weight}>${escapeXml(shape.text)}</text>`;
+}
+
+/**
+ * Render a scene as an SVG document
+ * @param {Object} scene - Scene to render
+ * @returns {String} - SVG document
+ */
+export function renderSvg(scene) {
+  const shapes = scene.shapes.map(renderShape).join('\n  ');
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${scene.width}" height="${scene.height}" viewBox="0 0 ${scene.width} ${scene.height}" font-family="monospace">
+  <rect width="100%" height="100%" fill="${scene.background}"/>
+  ${shapes}
+</svg>
+`;
+}
@@ -0,0 +1,174 @@
+/**
+ * Search utility for Kingdoms & Warfare
+ * Provides fuzzy name matching for autocomplete suggestions
+ *
+ * A name matches when it starts with the typed text, has a word that does,
+ * contains it, contains its letters in order, or is within a typo or two of
+ * it. Better matches score higher.
+ */
+
+// Scores of each kind of match, best first
+const MATCH_SCORES = {
+  EXACT: 100,
+  PREFIX: 80,
+  WORD_PREFIX: 60,
+  SUBSTRING: 40,
+  SUBSEQUENCE: 20,
+  TYPO: 10,
+};
+
+// Most characters of the typed text compared for typos
+const MAX_TYPO_LENGTH = 32;
+
+// Longest name and value Discord accepts for an autocomplete choice
+const MAX_CHOICE_NAME_LENGTH = 100;
+
+/**
+ * Count the edits needed to turn one string into another
+ * @param {String} a - First string
+ * @param {String} b - Second string
+ * @returns {Number} - Levenshtein distance
+ */
+function getEditDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+
+    previous = current;
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Check whether the letters of the query appear in order in the text
+ * @param {String} query - Typed text
+ * @param {String} text - Text to check
+ * @returns {Boolean} - Whether the text contains the query as a subsequence
+ */
+function isSubsequence(query, text) {
+  let index = 0;
+
+  for (const character of text) {
+    if (character === query[index]) {
+      index++;
+    }
+  }
+
+  return index === query.length;
+}
+
+/**
+ * Score how well some text matches a query
+ * @param {String} query - Typed text
+ * @param {String} text - Text to match
+ * @returns {Number} - Score from MATCH_SCORES, or 0 if it does not match
+ */
+export function getMatchScore(query, text) {
+  const needle = query.trim().toLowerCase();
+  const haystack = String(text).toLowerCase();
+
+  if (!needle) {
+    return MATCH_SCORES.PREFIX;
+  }
+
+  if (haystack === needle) {
+    return MATCH_SCORES.EXACT;
+  }
+
+  if (haystack.startsWith(needle)) {
+    return MATCH_SCORES.PREFIX;
+  }
+
+  if (haystack.split(/[\s\-_']+/).some((word) => word.startsWith(needle))) {
+    return MATCH_SCORES.WORD_PREFIX;
+  }
+
+  if (haystack.includes(needle)) {
+    return MATCH_SCORES.SUBSTRING;
+  }
+
+  if (isSubsequence(needle, haystack)) {
+    return MATCH_SCORES.SUBSEQUENCE;
+  }
+
+  // Compare against the start of the text so partly typed names still match
+  const typed = needle.slice(0, MAX_TYPO_LENGTH);
+  const allowedTypos = typed.length >= 8 ? 2 : 1;
+
+  if (
+    typed.length >= 3 &&
+    getEditDistance(typed, haystack.slice(0, typed.length)) <= allowedTypos
+  ) {
+    return MATCH_SCORES.TYPO;
+  }
+
+  return 0;
+}
+
+/**
+ * Find the items whose name matches a query, best matches first
+ * @param {Array} items - Items to search
+ * @param {String} query - Typed text
+ * @param {Function} getText - Function returning the text to match for an item
+ * @returns {Array} - Matching items
+ */
+export function fuzzySearch(items, query = '', getText = (item) => item.name) {
+  return items
+    .map((item) => ({
+      item,
+      text: String(getText(item)),
+      score: getMatchScore(query, getText(item)),
+    }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.text.localeCompare(b.text))
+    .map(({ item }) => item);
+}
+
+/**
+ * Keep only the entities that belong to a Discord server
+ * Servers with no entities of a type on record see every entity of that type,
+ * so data saved before servers kept their lists stays reachable.
+ * @param {Array} entities - Entities to filter
+ * @param {Array} serverIds - IDs of the entities on record for the server
+ * @returns {Array} - Entities of the server
+ */
+export function scopeToServer(entities, serverIds = []) {
+  if (serverIds.length === 0) {
+    return entities;
+  }
+
+  return entities.filter((entity) => serverIds.includes(entity.id));
+}
+
+/**
+ * Turn entities into Discord autocomplete choices
+ * Choices for ID options show the name with the start of the ID, so entities
+ * with the same name can be told apart
+ * @param {Array} entities - Entities to suggest
+ * @param {String} field - Field to use as the value, 'name' or 'id'
+ * @returns {Array} - Choices as { name, value }
+ */
+export function toChoices(entities, field = 'name') {
+  return entities.map((entity) => {
+    const name = entity.name.slice(0, MAX_CHOICE_NAME_LENGTH);
+
+    if (field === 'id') {
+      return {
+        name: `${name.slice(0, MAX_CHOICE_NAME_LENGTH - 11)} (${entity.id.slice(0, 8)})`,
+        value: entity.id,
+      };
+    }
+
+    return { name, value: name };
+  });
+}
@@ -0,0 +1,94 @@
+/**
+ * Settings utility for Kingdoms & Warfare
+ * Applies a server's `/knw config` settings to interactions
+ *
+ * Announcements are posted with the bot token, so they are skipped when the
+ * worker has no DISCORD_TOKEN secret or the server has not set a channel.
+ */
+
+import { InteractionResponseFlags } from 'discord-interactions';
+
+import { DEFAULT_NAMESPACE, getServerSettings } from './storage.js';
+import { DICE_VISIBILITY } from '../models/settings.js';
+
+// Discord API endpoint for posting to a channel
+const CHANNEL_MESSAGES_URL = 'https://discord.com/api/v10/channels';
+
+/**
+ * Get the settings of the server behind an interaction
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Object>} - Server settings, or the defaults outside a server
+ */
+export async function getInteractionSettings(interaction, env) {
+  return getServerSettings(env, DEFAULT_NAMESPACE, interaction.guild_id);
+}
+
+/**
+ * Show a dice roll to everyone or only its roller
+ * @param {Object} response - Response with the roll
+ * @param {Object} settings - Server settings
+ * @param {Boolean} isPrivate - Whether the roller asked to roll privately; leave out for the server's default
+ * @returns {Object} - Response to send back to Discord
+ */
+export function applyDiceVisibility(response, settings, isPrivate) {
+  const hidden =
+    isPrivate ?? settings.diceVisibility === DICE_VISIBILITY.PRIVATE;
+
+  if (!hidden || !response.data) {
+    return response;
+  }
+
+  return {
+    ...response,
+    data: {
+      ...response.data,
+      flags: (response.data.flags || 0) | InteractionResponseFlags.EPHEMERAL,
+    },
+  };
+}
+
+/**
+ * Post an announcement to one of the server's announcement channels
+ * Nothing is posted to the channel the interaction came from, which already
+ * sees the reply, and a failed post never fails the command
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @param {String} channelId - ID of the announcement channel, or null if none is set
+ * @param {String} content - Announcement to post
+ * @returns {Promise<Boolean>} - Whether the announcement was posted
+ */
+export async function announce(interaction, env, channelId, content) {
+  if (
+    !channelId ||
+    channelId === interaction.channel_id ||
+    !env?.DISCORD_TOKEN
+  ) {
+    return false;
+  }
+
+  try {
+    const response = await fetch(
+      `${CHANNEL_MESSAGES_URL}/${channelId}/messages`,
+      {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          Authorization: `Bot ${env.DISCORD_TOKEN}`,
+        },
+        body: JSON.stringify({ content }),
+      },
+    );
+
+    if (!response.ok) {
+      console.error(
+        `Error posting announcement: ${response.status} ${await response.text()}`,
+      );
+    }
+
+    return response.ok;
+  } catch (error) {
+    console.error('Error posting announcement:', error);
+    return false;
+  }
+}
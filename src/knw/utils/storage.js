@@ -284,6 +284,28 @@ export async function deleteBattle(env, namespace, battleId) {
   return Storage.deleteBattle(env, namespace, battleId);
 }
 
+/**
+ * Save a battle along with the units and domains a change to it touched, in one write (backward compatibility)
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {Object} changes - Records to save as { battle, units, domains }
+ * @returns {Promise<Object>} - Saved battle object
+ */
+export async function saveBattleChanges(env, namespace, changes) {
+  // If only the changes are provided, shift parameters
+  if (changes === undefined && typeof namespace === 'object') {
+    changes = namespace;
+    namespace = Storage.DEFAULT_NAMESPACE;
+  }
+  if (namespace === undefined && typeof env === 'object' && !env[Storage.DEFAULT_NAMESPACE]) {
+    changes = env;
+    env = null;
+    namespace = Storage.DEFAULT_NAMESPACE;
+  }
+  
+  return Storage.saveBattleChanges(env, namespace, changes);
+}
+
 /**
  * Get an intrigue session from storage (backward compatibility)
  * @param {Object} env - Environment variables
@@ -382,6 +404,104 @@ export async function deleteIntrigue(env, namespace, intrigueId) {
   return Storage.deleteIntrigue(env, namespace, intrigueId);
 }
 
+/**
+ * Get an officer from storage (backward compatibility)
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} officerId - ID of the officer to get
+ * @returns {Promise<Object>} - Officer object
+ */
+export async function getOfficer(env, namespace, officerId) {
+  // If only officerId is provided, shift parameters
+  if (officerId === undefined && typeof namespace === 'string') {
+    officerId = namespace;
+    namespace = Storage.DEFAULT_NAMESPACE;
+  }
+  if (namespace === undefined && typeof env === 'string') {
+    officerId = env;
+    env = null;
+    namespace = Storage.DEFAULT_NAMESPACE;
+  }
+  
+  return Storage.getOfficer(env, namespace, officerId);
+}
+
+/**
+ * Get all officers from storage (backward compatibility)
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @returns {Promise<Array>} - Array of officer objects
+ */
+export async function getAllOfficers(env, namespace) {
+  return Storage.getAllOfficers(env, namespace);
+}
+
+/**
+ * Get officers for a domain from storage (backward compatibility)
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} domainId - ID of the domain to get officers for
+ * @returns {Promise<Array>} - Array of officer objects
+ */
+export async function getOfficersForDomain(env, namespace, domainId) {
+  // If only domainId is provided, shift parameters
+  if (domainId === undefined && typeof namespace === 'string') {
+    domainId = namespace;
+    namespace = Storage.DEFAULT_NAMESPACE;
+  }
+  if (namespace === undefined && typeof env === 'string') {
+    domainId = env;
+    env = null;
+    namespace = Storage.DEFAULT_NAMESPACE;
+  }
+  
+  return Storage.getOfficersForDomain(env, namespace, domainId);
+}
+
+/**
+ * Save an officer to storage (backward compatibility)
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {Object} officer - Officer object to save
+ * @returns {Promise<Object>} - Saved officer object
+ */
+export async function saveOfficer(env, namespace, officer) {
+  // If only officer is provided, shift parameters
+  if (officer === undefined && typeof namespace === 'object') {
+    officer = namespace;
+    namespace = Storage.DEFAULT_NAMESPACE;
+  }
+  if (namespace === undefined && typeof env === 'object' && !env[Storage.DEFAULT_NAMESPACE]) {
+    officer = env;
+    env = null;
+    namespace = Storage.DEFAULT_NAMESPACE;
+  }
+  
+  return Storage.saveOfficer(env, namespace, officer);
+}
+
+/**
+ * Delete an officer from storage (backward compatibility)
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} officerId - ID of the officer to delete
+ * @returns {Promise<Boolean>} - Whether the officer was deleted
+ */
+export async function deleteOfficer(env, namespace, officerId) {
+  // If only officerId is provided, shift parameters
+  if (officerId === undefined && typeof namespace === 'string') {
+    officerId = namespace;
+    namespace = Storage.DEFAULT_NAMESPACE;
+  }
+  if (namespace === undefined && typeof env === 'string') {
+    officerId = env;
+    env = null;
+    namespace = Storage.DEFAULT_NAMESPACE;
+  }
+  
+  return Storage.deleteOfficer(env, namespace, officerId);
+}
+
 /**
  * Get data for a Discord server (backward compatibility)
  * @param {Object} env - Environment variables
@@ -532,3 +652,25 @@ export async function saveUserData(env, namespace, userId, data) {
 export async function clearAllData(env, namespace) {
   return Storage.clearAllData(env, namespace);
 }
+
+/**
+ * Move data saved before storage was scoped by server into server scopes (backward compatibility)
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} guildId - ID of the Discord server running the migration
+ * @returns {Promise<Object>} - { claimed, elsewhere }, each a map of type names to counts
+ */
+export async function migrateLegacyData(env, namespace, guildId) {
+  // If only guildId is provided, shift parameters
+  if (guildId === undefined && typeof namespace === 'string') {
+    guildId = namespace;
+    namespace = Storage.DEFAULT_NAMESPACE;
+  }
+  if (namespace === undefined && typeof env === 'string') {
+    guildId = env;
+    env = null;
+    namespace = Storage.DEFAULT_NAMESPACE;
+  }
+  
+  return Storage.migrateLegacyData(env, namespace, guildId);
+}
@@ -8,19 +8,23 @@ import {
   KEY_PREFIXES, 
   getValue, 
   putValue, 
+  putValues, 
   deleteValue, 
   listKeys 
 } from './core.js';
+import { addDomain, addUnit, removeDomain, removeUnit, migrateBattle } from '../../models/battle.js';
 
 /**
  * Get a battle from storage
+ * A battle saved with a single grid is read with one formation per domain
  * @param {Object} env - Environment variables
  * @param {String} namespace - KV namespace
  * @param {String} battleId - ID of the battle to get
  * @returns {Promise<Object>} - Battle object
  */
 export async function getBattle(env, namespace = DEFAULT_NAMESPACE, battleId) {
-  return getValue(env, namespace, `${KEY_PREFIXES.BATTLE}${battleId}`);
+  const battle = await getValue(env, namespace, `${KEY_PREFIXES.BATTLE}${battleId}`);
+  return battle && migrateBattle(battle);
 }
 
 /**
@@ -32,7 +36,7 @@ export async function getBattle(env, namespace = DEFAULT_NAMESPACE, battleId) {
 export async function getAllBattles(env, namespace = DEFAULT_NAMESPACE) {
   const keys = await listKeys(env, namespace, KEY_PREFIXES.BATTLE);
   const battles = await Promise.all(keys.map(key => getValue(env, namespace, key)));
-  return battles.filter(battle => battle !== null);
+  return battles.filter(battle => battle !== null).map(migrateBattle);
 }
 
 /**
@@ -131,16 +135,9 @@ export async function addDomainToBattle(env, namespace = DEFAULT_NAMESPACE, batt
     return null;
   }
   
-  if (!battle.domains) {
-    battle.domains = [];
-  }
-  
-  if (!battle.domains.includes(domainId)) {
-    battle.domains.push(domainId);
-    return saveBattle(env, namespace, battle);
-  }
+  const updatedBattle = addDomain(battle, domainId);
   
-  return battle;
+  return updatedBattle === battle ? battle : saveBattle(env, namespace, updatedBattle);
 }
 
 /**
@@ -154,26 +151,14 @@ export async function addDomainToBattle(env, namespace = DEFAULT_NAMESPACE, batt
 export async function removeDomainFromBattle(env, namespace = DEFAULT_NAMESPACE, battleId, domainId) {
   const battle = await getBattle(env, namespace, battleId);
   
-  if (!battle || !battle.domains) {
+  if (!battle) {
     return battle;
   }
   
-  if (battle.domains.includes(domainId)) {
-    battle.domains = battle.domains.filter(id => id !== domainId);
-    
-    // Also remove any units belonging to this domain
-    if (battle.units) {
-      Object.keys(battle.units).forEach(unitId => {
-        if (battle.units[unitId].domainId === domainId) {
-          delete battle.units[unitId];
-        }
-      });
-    }
-    
-    return saveBattle(env, namespace, battle);
-  }
+  // Also removes any units belonging to the domain
+  const updatedBattle = removeDomain(battle, domainId);
   
-  return battle;
+  return updatedBattle === battle ? battle : saveBattle(env, namespace, updatedBattle);
 }
 
 /**
@@ -192,65 +177,10 @@ export async function addUnitToBattle(env, namespace = DEFAULT_NAMESPACE, battle
     return null;
   }
   
-  // Make sure the domain is in the battle
-  if (!battle.domains || !battle.domains.includes(domainId)) {
-    battle.domains = battle.domains || [];
-    battle.domains.push(domainId);
-  }
-  
-  // Initialize units object if it doesn't exist
-  if (!battle.units) {
-    battle.units = {};
-  }
-  
-  // Check if the unit is already in the battle
-  if (battle.units[unitId]) {
-    return battle;
-  }
-  
-  // Add the unit to the battle
-  battle.units[unitId] = {
-    id: unitId,
-    domainId,
-    position: {
-      rank: 'not_deployed',
-      column: null,
-    },
-    activated: false,
-    usedReaction: false,
-    tokens: [],
-  };
-  
-  // Add the unit to the not_deployed grid
-  if (!battle.grid) {
-    battle.grid = {
-      vanguard: {
-        left: null,
-        center: null,
-        right: null,
-      },
-      center: {
-        left: null,
-        center: null,
-        right: null,
-      },
-      rear: {
-        left: null,
-        center: null,
-        right: null,
-      },
-      reserve: [],
-      not_deployed: [],
-    };
-  }
-  
-  if (!battle.grid.not_deployed) {
-    battle.grid.not_deployed = [];
-  }
-  
-  battle.grid.not_deployed.push(unitId);
+  // Also adds the unit's domain if it is not in the battle yet
+  const updatedBattle = addUnit(battle, unitId, domainId);
   
-  return saveBattle(env, namespace, battle);
+  return updatedBattle === battle ? battle : saveBattle(env, namespace, updatedBattle);
 }
 
 /**
@@ -264,31 +194,41 @@ export async function addUnitToBattle(env, namespace = DEFAULT_NAMESPACE, battle
 export async function removeUnitFromBattle(env, namespace = DEFAULT_NAMESPACE, battleId, unitId) {
   const battle = await getBattle(env, namespace, battleId);
   
-  if (!battle || !battle.units || !battle.units[unitId]) {
+  if (!battle) {
     return battle;
   }
   
-  // Get the unit's position
-  const { rank, column } = battle.units[unitId].position;
+  const updatedBattle = removeUnit(battle, unitId);
   
-  // Remove the unit from the grid
-  if (rank === 'not_deployed' || rank === 'reserve') {
-    if (battle.grid && battle.grid[rank]) {
-      battle.grid[rank] = battle.grid[rank].filter(id => id !== unitId);
-    }
-  } else {
-    if (battle.grid && battle.grid[rank] && battle.grid[rank][column] === unitId) {
-      battle.grid[rank][column] = null;
-    }
-  }
+  return updatedBattle === battle ? battle : saveBattle(env, namespace, updatedBattle);
+}
+
+/**
+ * Save a battle along with the units and domains a change to it touched, in one write
+ * If any of them fails to save, none of them are changed
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {Object} changes - Records to save
+ * @param {Object} changes.battle - Battle to save
+ * @param {Object} changes.units - Map of unit IDs to the units to save
+ * @param {Object} changes.domains - Map of domain IDs to the domains to save
+ * @returns {Promise<Object>} - Saved battle object
+ */
+export async function saveBattleChanges(env, namespace = DEFAULT_NAMESPACE, { battle, units = {}, domains = {} }) {
+  const updated = new Date().toISOString();
+  const entries = {
+    [`${KEY_PREFIXES.BATTLE}${battle.id}`]: { ...battle, updated },
+  };
   
-  // Remove the unit from the initiative order
-  if (battle.initiative) {
-    battle.initiative = battle.initiative.filter(id => id !== unitId);
-  }
+  Object.values(units).forEach(unit => {
+    entries[`${KEY_PREFIXES.UNIT}${unit.id}`] = { ...unit, updated };
+  });
+  
+  Object.values(domains).forEach(domain => {
+    entries[`${KEY_PREFIXES.DOMAIN}${domain.id}`] = { ...domain, updated };
+  });
   
-  // Remove the unit from the units object
-  delete battle.units[unitId];
+  await putValues(env, namespace, entries);
   
-  return saveBattle(env, namespace, battle);
+  return entries[`${KEY_PREFIXES.BATTLE}${battle.id}`];
 }
@@ -0,0 +1,88 @@
+/**
+ * Campaign storage utility for Kingdoms & Warfare
+ * Provides functions for storing and retrieving campaign data
+ */
+
+import {
+  DEFAULT_NAMESPACE,
+  KEY_PREFIXES,
+  getValue,
+  putValue,
+  listKeys,
+} from './core.js';
+
+/**
+ * Get a campaign from storage
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} campaignId - ID of the campaign to get
+ * @returns {Promise<Object>} - Campaign object
+ */
+export async function getCampaign(
+  env,
+  namespace = DEFAULT_NAMESPACE,
+  campaignId,
+) {
+  return getValue(env, namespace, `${KEY_PREFIXES.CAMPAIGN}${campaignId}`);
+}
+
+/**
+ * Get all campaigns of the current server from storage
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @returns {Promise<Array>} - Array of campaign objects
+ */
+export async function getAllCampaigns(env, namespace = DEFAULT_NAMESPACE) {
+  const keys = await listKeys(env, namespace, KEY_PREFIXES.CAMPAIGN);
+  const campaigns = await Promise.all(
+    keys.map((key) => getValue(env, namespace, key)),
+  );
+  return campaigns.filter((campaign) => campaign !== null);
+}
+
+/**
+ * Save a campaign to storage
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {Object} campaign - Campaign object to save
+ * @returns {Promise<Object>} - Saved campaign object
+ */
+export async function saveCampaign(
+  env,
+  namespace = DEFAULT_NAMESPACE,
+  campaign,
+) {
+  const updatedCampaign = {
+    ...campaign,
+    updated: new Date().toISOString(),
+  };
+
+  await putValue(
+    env,
+    namespace,
+    `${KEY_PREFIXES.CAMPAIGN}${campaign.id}`,
+    updatedCampaign,
+  );
+
+  return updatedCampaign;
+}
+
+/**
+ * Find a campaign of the current server by its exact name, ignoring case
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} name - Name of the campaign
+ * @returns {Promise<Object>} - Campaign object, or null if none has that name
+ */
+export async function findCampaignByName(
+  env,
+  namespace = DEFAULT_NAMESPACE,
+  name,
+) {
+  const campaigns = await getAllCampaigns(env, namespace);
+  return (
+    campaigns.find(
+      (campaign) => campaign.name.toLowerCase() === name.toLowerCase(),
+    ) || null
+  );
+}
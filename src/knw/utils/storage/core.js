@@ -2,8 +2,18 @@
  * Core storage utility for Kingdoms & Warfare
  * Provides basic functions for storing and retrieving data
  * Supports both in-memory storage for development and Cloudflare KV for production
+ *
+ * Units, domains, battles, intrigue sessions, officers and their indexes
+ * belong to a Discord server, and optionally to one of its campaigns. Each
+ * request runs in a storage scope naming them, and every key is prefixed with
+ * it, e.g. `guild:<guildId>:unit:<unitId>`, so servers never see each other's
+ * data. Keys are handed to callers without the prefix. Campaigns belong to a
+ * server but not to each other, so their keys only get the server's prefix.
+ * Server, channel and user data is keyed by Discord IDs and is never scoped.
  */
 
+import { AsyncLocalStorage } from 'node:async_hooks';
+
 // Default namespace for KV storage
 export const DEFAULT_NAMESPACE = 'KNW_DATA';
 
@@ -13,6 +23,7 @@ export const memoryStorage = {
   domains: {},
   battles: {},
   intrigues: {},
+  officers: {},
 };
 
 // Prefix keys for different data types
@@ -21,12 +32,78 @@ export const KEY_PREFIXES = {
   DOMAIN: 'domain:',
   BATTLE: 'battle:',
   INTRIGUE: 'intrigue:',
+  OFFICER: 'officer:',
+  CAMPAIGN: 'campaign:',
   SERVER: 'server:',
   CHANNEL: 'channel:',
   USER: 'user:',
   INDEX: 'index:',
 };
 
+// Prefixes of the keys that belong to a storage scope
+export const SCOPED_PREFIXES = [
+  KEY_PREFIXES.UNIT,
+  KEY_PREFIXES.DOMAIN,
+  KEY_PREFIXES.BATTLE,
+  KEY_PREFIXES.INTRIGUE,
+  KEY_PREFIXES.OFFICER,
+  KEY_PREFIXES.INDEX,
+];
+
+// Prefixes of the keys that belong to a server but not to a campaign
+export const GUILD_SCOPED_PREFIXES = [
+  KEY_PREFIXES.CAMPAIGN,
+];
+
+// Storage scope of the request being handled
+const storageScope = new AsyncLocalStorage();
+
+/**
+ * Run a function with storage scoped to a Discord server and campaign
+ * Without a guild ID, storage is unscoped, which only data saved before
+ * storage was scoped still uses
+ * @param {Object} scope - { guildId, campaignId }
+ * @param {Function} callback - Function to run
+ * @returns {*} - Whatever the function returns
+ */
+export function runInScope({ guildId = null, campaignId = null } = {}, callback) {
+  return storageScope.run({ guildId, campaignId }, callback);
+}
+
+/**
+ * Get the storage scope of the request being handled
+ * @returns {Object} - { guildId, campaignId }
+ */
+export function getScope() {
+  return storageScope.getStore() || { guildId: null, campaignId: null };
+}
+
+/**
+ * Get the prefix of keys in a storage scope
+ * @param {Object} scope - { guildId, campaignId }
+ * @returns {String} - Key prefix, empty when unscoped
+ */
+export function getScopePrefix({ guildId, campaignId } = getScope()) {
+  if (!guildId) {
+    return '';
+  }
+  
+  return `guild:${guildId}:${campaignId ? `campaign:${campaignId}:` : ''}`;
+}
+
+/**
+ * Add the current scope's prefix to a key that belongs to a scope
+ * @param {String} key - Key as callers know it
+ * @returns {String} - Key as stored
+ */
+function scopeKey(key) {
+  if (GUILD_SCOPED_PREFIXES.some(prefix => key.startsWith(prefix))) {
+    return `${getScopePrefix({ guildId: getScope().guildId })}${key}`;
+  }
+  
+  return SCOPED_PREFIXES.some(prefix => key.startsWith(prefix)) ? `${getScopePrefix()}${key}` : key;
+}
+
 /**
  * Check if we're running in a Cloudflare Worker environment
  * @param {Object} env - Environment variables
@@ -66,10 +143,12 @@ export function getKVNamespace(env, namespace = DEFAULT_NAMESPACE) {
  * Get a value from storage
  * @param {Object} env - Environment variables
  * @param {String} namespace - KV namespace
- * @param {String} key - Key to get
+ * @param {String} unscopedKey - Key to get
  * @returns {Promise<Object>} - Value
  */
-export async function getValue(env, namespace, key) {
+export async function getValue(env, namespace, unscopedKey) {
+  const key = scopeKey(unscopedKey);
+  
   if (isCloudflareEnvironment(env)) {
     const kv = getKVNamespace(env, namespace);
     const value = await kv.get(key, { type: 'json' });
@@ -90,6 +169,8 @@ export async function getValue(env, namespace, key) {
       return memoryStorage.battles[id] || null;
     case 'intrigue':
       return memoryStorage.intrigues[id] || null;
+    case 'officer':
+      return memoryStorage.officers[id] || null;
     default:
       return memoryStorage[key] || null;
   }
@@ -99,11 +180,13 @@ export async function getValue(env, namespace, key) {
  * Put a value in storage
  * @param {Object} env - Environment variables
  * @param {String} namespace - KV namespace
- * @param {String} key - Key to put
+ * @param {String} unscopedKey - Key to put
  * @param {Object} value - Value to put
  * @returns {Promise<void>}
  */
-export async function putValue(env, namespace, key, value) {
+export async function putValue(env, namespace, unscopedKey, value) {
+  const key = scopeKey(unscopedKey);
+  
   if (isCloudflareEnvironment(env)) {
     const kv = getKVNamespace(env, namespace);
     await kv.put(key, JSON.stringify(value));
@@ -128,20 +211,51 @@ export async function putValue(env, namespace, key, value) {
     case 'intrigue':
       memoryStorage.intrigues[id] = value;
       break;
+    case 'officer':
+      memoryStorage.officers[id] = value;
+      break;
     default:
       memoryStorage[key] = value;
       break;
   }
 }
 
+/**
+ * Put several values in storage as one write
+ * KV has no transactions, so the previous values are read first and written
+ * back if any put fails, leaving storage as it was
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {Object} entries - Map of keys to the values to put
+ * @returns {Promise<void>}
+ */
+export async function putValues(env, namespace, entries) {
+  const keys = Object.keys(entries);
+  const previous = await Promise.all(keys.map(key => getValue(env, namespace, key)));
+  
+  try {
+    for (const key of keys) {
+      await putValue(env, namespace, key, entries[key]);
+    }
+  } catch (error) {
+    // Restore every value, including any that were written before the failure
+    await Promise.all(keys.map((key, index) => (
+      previous[index] === null ? deleteValue(env, namespace, key) : putValue(env, namespace, key, previous[index])
+    )));
+    throw error;
+  }
+}
+
 /**
  * Delete a value from storage
  * @param {Object} env - Environment variables
  * @param {String} namespace - KV namespace
- * @param {String} key - Key to delete
+ * @param {String} unscopedKey - Key to delete
  * @returns {Promise<void>}
  */
-export async function deleteValue(env, namespace, key) {
+export async function deleteValue(env, namespace, unscopedKey) {
+  const key = scopeKey(unscopedKey);
+  
   if (isCloudflareEnvironment(env)) {
     const kv = getKVNamespace(env, namespace);
     await kv.delete(key);
@@ -166,6 +280,9 @@ export async function deleteValue(env, namespace, key) {
     case 'intrigue':
       delete memoryStorage.intrigues[id];
       break;
+    case 'officer':
+      delete memoryStorage.officers[id];
+      break;
     default:
       delete memoryStorage[key];
       break;
@@ -176,10 +293,27 @@ export async function deleteValue(env, namespace, key) {
  * List keys with a prefix
  * @param {Object} env - Environment variables
  * @param {String} namespace - KV namespace
+ * @param {String} unscopedPrefix - Prefix to list
+ * @returns {Promise<Array>} - Array of keys, without the scope's prefix
+ */
+export async function listKeys(env, namespace, unscopedPrefix) {
+  const prefix = scopeKey(unscopedPrefix);
+  const scopePrefix = prefix.slice(0, prefix.length - unscopedPrefix.length);
+  
+  // A campaign's own scope starts with its key, so leave out keys nested under the ones listed
+  return (await listScopedKeys(env, namespace, prefix))
+    .filter(key => !key.slice(prefix.length).includes(':'))
+    .map(key => key.slice(scopePrefix.length));
+}
+
+/**
+ * List stored keys with a prefix, as they are stored
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
  * @param {String} prefix - Prefix to list
  * @returns {Promise<Array>} - Array of keys
  */
-export async function listKeys(env, namespace, prefix) {
+async function listScopedKeys(env, namespace, prefix) {
   if (isCloudflareEnvironment(env)) {
     const kv = getKVNamespace(env, namespace);
     const { keys } = await kv.list({ prefix });
@@ -196,6 +330,8 @@ export async function listKeys(env, namespace, prefix) {
       return Object.keys(memoryStorage.battles).map(id => `${KEY_PREFIXES.BATTLE}${id}`);
     case KEY_PREFIXES.INTRIGUE:
       return Object.keys(memoryStorage.intrigues).map(id => `${KEY_PREFIXES.INTRIGUE}${id}`);
+    case KEY_PREFIXES.OFFICER:
+      return Object.keys(memoryStorage.officers).map(id => `${KEY_PREFIXES.OFFICER}${id}`);
     default:
       return Object.keys(memoryStorage)
         .filter(key => key.startsWith(prefix))
@@ -232,6 +368,7 @@ export async function clearAllData(env, namespace = DEFAULT_NAMESPACE) {
   memoryStorage.domains = {};
   memoryStorage.battles = {};
   memoryStorage.intrigues = {};
+  memoryStorage.officers = {};
   
   return true;
 }
@@ -9,6 +9,7 @@ import {
   getValue, 
   putValue 
 } from './core.js';
+import { getSettings, updateSettings } from '../../models/settings.js';
 
 /**
  * Get data for a Discord server
@@ -57,6 +58,38 @@ export async function saveServerData(env, namespace = DEFAULT_NAMESPACE, serverI
   return updatedData;
 }
 
+/**
+ * Get the settings of a Discord server, with defaults for anything not set
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} serverId - ID of the Discord server, or null outside a server
+ * @returns {Promise<Object>} - Server settings
+ */
+export async function getServerSettings(env, namespace = DEFAULT_NAMESPACE, serverId) {
+  if (!serverId) {
+    return getSettings();
+  }
+  
+  return getSettings(await getServerData(env, namespace, serverId));
+}
+
+/**
+ * Change some of the settings of a Discord server
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} serverId - ID of the Discord server
+ * @param {Object} changes - Settings to change
+ * @returns {Promise<Object>} - Updated server settings
+ */
+export async function saveServerSettings(env, namespace = DEFAULT_NAMESPACE, serverId, changes) {
+  const serverData = await getServerData(env, namespace, serverId);
+  const settings = updateSettings(getSettings(serverData), changes);
+  
+  await saveServerData(env, namespace, serverId, { ...serverData, settings });
+  
+  return settings;
+}
+
 /**
  * Get data for a Discord channel
  * @param {Object} env - Environment variables
@@ -74,6 +107,7 @@ export async function getChannelData(env, namespace = DEFAULT_NAMESPACE, channel
       id: channelId,
       activeBattle: null,
       activeIntrigue: null,
+      activeCampaign: null,
       created: new Date().toISOString(),
       updated: new Date().toISOString(),
     };
@@ -204,6 +238,42 @@ export async function getActiveIntrigue(env, namespace = DEFAULT_NAMESPACE, chan
   return channelData.activeIntrigue;
 }
 
+/**
+ * Set the active campaign for a channel
+ * The channel's active battle and intrigue session belong to the campaign it
+ * played in before, so switching to another campaign clears them
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} channelId - ID of the Discord channel
+ * @param {String} campaignId - ID of the campaign to set as active, or null for none
+ * @returns {Promise<Object>} - Updated channel data
+ */
+export async function setActiveCampaign(env, namespace = DEFAULT_NAMESPACE, channelId, campaignId) {
+  const channelData = await getChannelData(env, namespace, channelId);
+  
+  if ((channelData.activeCampaign || null) !== campaignId) {
+    channelData.activeBattle = null;
+    channelData.activeIntrigue = null;
+  }
+  
+  channelData.activeCampaign = campaignId;
+  
+  return saveChannelData(env, namespace, channelId, channelData);
+}
+
+/**
+ * Get the active campaign for a channel
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} channelId - ID of the Discord channel
+ * @returns {Promise<String>} - ID of the active campaign, or null if there is none
+ */
+export async function getActiveCampaign(env, namespace = DEFAULT_NAMESPACE, channelId) {
+  const channelData = await getChannelData(env, namespace, channelId);
+  
+  return channelData.activeCampaign || null;
+}
+
 /**
  * Add a domain to a user
  * @param {Object} env - Environment variables
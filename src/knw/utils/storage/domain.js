@@ -95,6 +95,11 @@ export async function deleteDomain(env, namespace = DEFAULT_NAMESPACE, domainId)
     
     if (battle && battle.domains && battle.domains.includes(domainId)) {
       battle.domains = battle.domains.filter(id => id !== domainId);
+      
+      if (battle.formations) {
+        delete battle.formations[domainId];
+      }
+      
       await putValue(env, namespace, battleKey, battle);
     }
   }
@@ -7,11 +7,17 @@
 export {
   DEFAULT_NAMESPACE,
   KEY_PREFIXES,
+  SCOPED_PREFIXES,
+  GUILD_SCOPED_PREFIXES,
   memoryStorage,
+  runInScope,
+  getScope,
+  getScopePrefix,
   isCloudflareEnvironment,
   getKVNamespace,
   getValue,
   putValue,
+  putValues,
   deleteValue,
   listKeys,
   clearAllData,
@@ -49,6 +55,7 @@ export {
   removeDomainFromBattle,
   addUnitToBattle,
   removeUnitFromBattle,
+  saveBattleChanges,
 } from './battle.js';
 
 // Export intrigue storage functions
@@ -63,14 +70,35 @@ export {
   removeDomainFromIntrigue,
   setIntrigueInitiator,
   addIntrigueTurn,
+  endIntrigueTurn,
+  refreshIntrigue,
   startIntrigue,
   endIntrigue,
 } from './intrigue.js';
 
+// Export officer storage functions
+export {
+  getOfficer,
+  getAllOfficers,
+  getOfficersForDomain,
+  saveOfficer,
+  deleteOfficer,
+} from './officer.js';
+
+// Export campaign storage functions
+export {
+  getCampaign,
+  getAllCampaigns,
+  saveCampaign,
+  findCampaignByName,
+} from './campaign.js';
+
 // Export Discord storage functions
 export {
   getServerData,
   saveServerData,
+  getServerSettings,
+  saveServerSettings,
   getChannelData,
   saveChannelData,
   getUserData,
@@ -79,6 +107,13 @@ export {
   getActiveBattle,
   setActiveIntrigue,
   getActiveIntrigue,
+  setActiveCampaign,
+  getActiveCampaign,
   addDomainToUser,
   removeDomainFromUser,
 } from './discord.js';
+
+// Export storage migration functions
+export {
+  migrateLegacyData,
+} from './migration.js';
@@ -8,9 +8,22 @@ import {
   KEY_PREFIXES, 
   getValue, 
   putValue, 
+  putValues, 
   deleteValue, 
   listKeys 
 } from './core.js';
+import {
+  resolveAction,
+  canAct,
+  spendAction,
+  endTurn,
+  getCurrentDomain,
+  getActionsRemaining,
+  skipTimedOutTurns,
+  isOutOfRounds,
+  resolveIntrigue,
+  startIntrigue as beginIntrigue,
+} from '../../models/intrigue.js';
 
 /**
  * Get an intrigue session from storage
@@ -208,25 +221,49 @@ export async function setIntrigueInitiator(env, namespace = DEFAULT_NAMESPACE, i
 
 /**
  * Add a turn to an intrigue session
+ * Skill tests and catalog actions are resolved first, and the domains they
+ * change are saved together with the intrigue session. Each action spends one
+ * of the domain's actions for the round; a domain that spends its last action
+ * during its own turn ends that turn, and the session is resolved if that
+ * was the last turn of its last round.
  * @param {Object} env - Environment variables
  * @param {String} namespace - KV namespace
  * @param {String} intrigueId - ID of the intrigue session
  * @param {String} domainId - ID of the domain taking the turn
- * @param {Object} action - Action to take
- * @returns {Promise<Object>} - Updated intrigue session object
+ * @param {Object} unresolvedAction - Action to take
+ * @param {Object} options - Turn options
+ * @param {Boolean} options.reaction - Whether the action is a reaction out of turn
+ * @param {String} options.actorId - ID of the Discord user taking the action, for the ledger
+ * @returns {Promise<Object>} - Updated intrigue session object; its last turn holds the resolved action
  */
-export async function addIntrigueTurn(env, namespace = DEFAULT_NAMESPACE, intrigueId, domainId, action) {
-  const intrigue = await getIntrigue(env, namespace, intrigueId);
+export async function addIntrigueTurn(env, namespace = DEFAULT_NAMESPACE, intrigueId, domainId, unresolvedAction, { reaction = false, actorId = null } = {}) {
+  let intrigue = await getIntrigue(env, namespace, intrigueId);
   
   if (!intrigue) {
     return null;
   }
   
-  // Make sure the domain is in the intrigue session
-  if (!intrigue.domains || !intrigue.domains.includes(domainId)) {
+  // Make sure the domain can act now, against a domain taking part
+  if (!intrigue.domains || !canAct(intrigue, domainId, { reaction }).allowed) {
+    return intrigue;
+  }
+  
+  if (unresolvedAction.target && !intrigue.domains.includes(unresolvedAction.target)) {
     return intrigue;
   }
   
+  // Acting during its own turn is never a reaction
+  const isReaction = reaction && getCurrentDomain(intrigue) !== domainId;
+  
+  // Resolve the action
+  const actor = await getValue(env, namespace, `${KEY_PREFIXES.DOMAIN}${domainId}`);
+  const target = unresolvedAction.target
+    ? await getValue(env, namespace, `${KEY_PREFIXES.DOMAIN}${unresolvedAction.target}`)
+    : null;
+  const { action, domains } = actor
+    ? resolveAction(unresolvedAction, actor, target, { actorId })
+    : { action: unresolvedAction, domains: {} };
+  
   // Initialize turns array if it doesn't exist
   if (!intrigue.turns) {
     intrigue.turns = [];
@@ -236,6 +273,8 @@ export async function addIntrigueTurn(env, namespace = DEFAULT_NAMESPACE, intrig
   intrigue.turns.push({
     domainId,
     action,
+    reaction: isReaction,
+    round: intrigue.round,
     timestamp: new Date().toISOString(),
   });
   
@@ -251,16 +290,44 @@ export async function addIntrigueTurn(env, namespace = DEFAULT_NAMESPACE, intrig
     timestamp: new Date().toISOString(),
   });
   
-  // Advance to the next domain
-  if (intrigue.turnOrder && intrigue.turnOrder.length > 0) {
-    intrigue.currentDomainIndex = (intrigue.currentDomainIndex + 1) % intrigue.turnOrder.length;
+  // Log domains put under pressure
+  (action.effects || []).filter(effect => effect.underPressure).forEach(effect => {
+    intrigue.log.push({
+      type: 'domain_under_pressure',
+      domainId: effect.domainId,
+      defense: effect.defense,
+      sizeLost: effect.sizeLost,
+      resourcesLost: effect.resourcesLost,
+      timestamp: new Date().toISOString(),
+    });
+  });
+  
+  // Spend the action, ending the domain's turn once it has none left
+  intrigue = spendAction(intrigue, domainId, { reaction: isReaction });
+  
+  let changedDomains = domains;
+  let units = [];
+  
+  if (!isReaction && getActionsRemaining(intrigue, domainId) === 0) {
+    const participants = { ...(await getIntrigueDomains(env, namespace, intrigue)), ...domains };
+    intrigue = endTurn(intrigue, participants).intrigue;
+    
+    if (isOutOfRounds(intrigue)) {
+      ({ intrigue, domains: changedDomains, units } = resolveIntrigue(intrigue, participants));
+    }
   }
   
-  return saveIntrigue(env, namespace, intrigue);
+  // Save the intrigue session and the domains the action changed together
+  const entries = await getIntrigueEntries(env, namespace, intrigue, changedDomains, units);
+  await putValues(env, namespace, entries);
+  
+  return entries[`${KEY_PREFIXES.INTRIGUE}${intrigue.id}`];
 }
 
 /**
  * Start an intrigue session
+ * Nothing changes unless it is being set up, has an initiator and has at
+ * least two domains
  * @param {Object} env - Environment variables
  * @param {String} namespace - KV namespace
  * @param {String} intrigueId - ID of the intrigue session
@@ -273,55 +340,168 @@ export async function startIntrigue(env, namespace = DEFAULT_NAMESPACE, intrigue
     return null;
   }
   
-  // Check if the intrigue session is in the setup phase
-  if (intrigue.phase !== 'setup') {
+  const startedIntrigue = beginIntrigue(intrigue, await getIntrigueDomains(env, namespace, intrigue));
+  
+  if (startedIntrigue === intrigue) {
     return intrigue;
   }
   
-  // Check if there's an initiator
-  if (!intrigue.initiator) {
-    return intrigue;
+  return saveIntrigue(env, namespace, startedIntrigue);
+}
+
+/**
+ * End the current domain's turn in an intrigue session
+ * The session is resolved if that was the last turn of its last round
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} intrigueId - ID of the intrigue session
+ * @returns {Promise<Object>} - { intrigue, newRound }, or null if the session does not exist
+ */
+export async function endIntrigueTurn(env, namespace = DEFAULT_NAMESPACE, intrigueId) {
+  const intrigue = await getIntrigue(env, namespace, intrigueId);
+  
+  if (!intrigue) {
+    return null;
   }
   
-  // Check if there are at least two domains
-  if (!intrigue.domains || intrigue.domains.length < 2) {
-    return intrigue;
+  if (!getCurrentDomain(intrigue)) {
+    return { intrigue, newRound: false };
   }
   
-  // Start the intrigue session
-  intrigue.phase = 'active';
+  const domains = await getIntrigueDomains(env, namespace, intrigue);
+  const result = endTurn(intrigue, domains);
   
-  // Set the turn order if it's not already set
-  if (!intrigue.turnOrder || intrigue.turnOrder.length === 0) {
-    // The initiator goes first, followed by the other domains in the order they were added
-    const otherDomains = intrigue.domains.filter(id => id !== intrigue.initiator);
-    intrigue.turnOrder = [intrigue.initiator, ...otherDomains];
+  if (isOutOfRounds(result.intrigue)) {
+    return {
+      intrigue: await saveResolution(env, namespace, resolveIntrigue(result.intrigue, domains)),
+      newRound: result.newRound,
+    };
   }
   
-  // Initialize the current domain index
-  intrigue.currentDomainIndex = 0;
+  return {
+    intrigue: await saveIntrigue(env, namespace, result.intrigue),
+    newRound: result.newRound,
+  };
+}
+
+/**
+ * Bring an intrigue session up to date before it is used
+ * Skips the turns of domains that let their deadline pass, and resolves the
+ * session if that took it past its last round
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} intrigueId - ID of the intrigue session
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { intrigue, skipped, resolved }, or null if the session does not exist
+ */
+export async function refreshIntrigue(env, namespace = DEFAULT_NAMESPACE, intrigueId, now = new Date()) {
+  const intrigue = await getIntrigue(env, namespace, intrigueId);
   
-  // Log the intrigue start
-  if (!intrigue.log) {
-    intrigue.log = [];
+  if (!intrigue) {
+    return null;
   }
   
-  intrigue.log.push({
-    type: 'intrigue_start',
-    timestamp: new Date().toISOString(),
+  if (!getCurrentDomain(intrigue) || !intrigue.turnDeadline || new Date(intrigue.turnDeadline) > now) {
+    return { intrigue, skipped: [], resolved: false };
+  }
+  
+  const domains = await getIntrigueDomains(env, namespace, intrigue);
+  const { intrigue: updatedIntrigue, skipped } = skipTimedOutTurns(intrigue, domains, now);
+  
+  if (isOutOfRounds(updatedIntrigue)) {
+    return {
+      intrigue: await saveResolution(env, namespace, resolveIntrigue(updatedIntrigue, domains)),
+      skipped,
+      resolved: true,
+    };
+  }
+  
+  return {
+    intrigue: await saveIntrigue(env, namespace, updatedIntrigue),
+    skipped,
+    resolved: false,
+  };
+}
+
+/**
+ * Get the domains taking part in an intrigue session
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {Object} intrigue - Intrigue session
+ * @returns {Promise<Object>} - Map of domain IDs to domain objects
+ */
+async function getIntrigueDomains(env, namespace, intrigue) {
+  const domains = {};
+  
+  for (const domainId of intrigue.domains || []) {
+    const domain = await getValue(env, namespace, `${KEY_PREFIXES.DOMAIN}${domainId}`);
+    
+    if (domain) {
+      domains[domainId] = domain;
+    }
+  }
+  
+  return domains;
+}
+
+/**
+ * Get the storage entries for an intrigue session and what it changed
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {Object} intrigue - Intrigue session
+ * @param {Object} domains - Map of domain IDs to changed domain objects
+ * @param {Array} units - Units created for the domains
+ * @returns {Promise<Object>} - Map of keys to values for putValues
+ */
+async function getIntrigueEntries(env, namespace, intrigue, domains, units) {
+  const updated = new Date().toISOString();
+  const entries = {
+    [`${KEY_PREFIXES.INTRIGUE}${intrigue.id}`]: { ...intrigue, updated },
+  };
+  
+  Object.values(domains).forEach(domain => {
+    entries[`${KEY_PREFIXES.DOMAIN}${domain.id}`] = { ...domain, updated };
   });
   
-  return saveIntrigue(env, namespace, intrigue);
+  if (units.length > 0) {
+    units.forEach(unit => {
+      entries[`${KEY_PREFIXES.UNIT}${unit.id}`] = { ...unit, updated };
+    });
+    
+    // Update the unit index
+    const indexKey = `${KEY_PREFIXES.INDEX}units`;
+    const unitIndex = await getValue(env, namespace, indexKey) || [];
+    entries[indexKey] = [...unitIndex, ...units.map(unit => unit.id)];
+  }
+  
+  return entries;
+}
+
+/**
+ * Save a resolved intrigue session with the domains and units it changed
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {Object} resolution - Result of resolveIntrigue
+ * @returns {Promise<Object>} - Saved intrigue session object
+ */
+async function saveResolution(env, namespace, { intrigue, domains, units }) {
+  const entries = await getIntrigueEntries(env, namespace, intrigue, domains, units);
+  await putValues(env, namespace, entries);
+  
+  return entries[`${KEY_PREFIXES.INTRIGUE}${intrigue.id}`];
 }
 
 /**
  * End an intrigue session
+ * Resolves it, applying its changes to the domains taking part
  * @param {Object} env - Environment variables
  * @param {String} namespace - KV namespace
  * @param {String} intrigueId - ID of the intrigue session
- * @returns {Promise<Object>} - Updated intrigue session object
+ * @param {Object} options - Resolution options
+ * @param {String} options.actorId - ID of the Discord user ending the session, for the ledger
+ * @returns {Promise<Object>} - Updated intrigue session object; its resolution holds the summary
  */
-export async function endIntrigue(env, namespace = DEFAULT_NAMESPACE, intrigueId) {
+export async function endIntrigue(env, namespace = DEFAULT_NAMESPACE, intrigueId, { actorId = null } = {}) {
   const intrigue = await getIntrigue(env, namespace, intrigueId);
   
   if (!intrigue) {
@@ -333,18 +513,5 @@ export async function endIntrigue(env, namespace = DEFAULT_NAMESPACE, intrigueId
     return intrigue;
   }
   
-  // End the intrigue session
-  intrigue.phase = 'resolution';
-  
-  // Log the intrigue end
-  if (!intrigue.log) {
-    intrigue.log = [];
-  }
-  
-  intrigue.log.push({
-    type: 'intrigue_end',
-    timestamp: new Date().toISOString(),
-  });
-  
-  return saveIntrigue(env, namespace, intrigue);
+  return saveResolution(env, namespace, resolveIntrigue(intrigue, await getIntrigueDomains(env, namespace, intrigue), { actorId }));
 }
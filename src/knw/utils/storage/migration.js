@@ -0,0 +1,171 @@
+/**
+ * Storage migration utility for Kingdoms & Warfare
+ * Moves data saved before storage was scoped by Discord server into the scope
+ * of the server it belongs to
+ *
+ * An entity belongs to the server whose server data lists it. Units and
+ * officers otherwise follow the domain they serve, and battles and intrigue
+ * sessions follow the first of their domains that belongs somewhere. Anything
+ * that belongs to no server stays unscoped: no server can claim it by running
+ * the migration.
+ */
+
+import {
+  DEFAULT_NAMESPACE,
+  KEY_PREFIXES,
+  getValue,
+  putValue,
+  deleteValue,
+  listKeys,
+  runInScope,
+} from './core.js';
+
+// Entity types that moved into server scopes, by the name of their index
+const LEGACY_TYPES = {
+  units: KEY_PREFIXES.UNIT,
+  domains: KEY_PREFIXES.DOMAIN,
+  battles: KEY_PREFIXES.BATTLE,
+  intrigues: KEY_PREFIXES.INTRIGUE,
+  officers: KEY_PREFIXES.OFFICER,
+};
+
+/**
+ * Load every unscoped entity of each type
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @returns {Promise<Object>} - Map of type names to maps of IDs to entities
+ */
+async function getLegacyEntities(env, namespace) {
+  const entities = {};
+
+  for (const [type, prefix] of Object.entries(LEGACY_TYPES)) {
+    entities[type] = {};
+
+    for (const key of await listKeys(env, namespace, prefix)) {
+      const entity = await getValue(env, namespace, key);
+      if (entity) {
+        entities[type][entity.id] = entity;
+      }
+    }
+  }
+
+  return entities;
+}
+
+/**
+ * Work out which server each entity belongs to
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {Object} entities - Map of type names to maps of IDs to entities
+ * @returns {Promise<Object>} - Map of entity IDs to server IDs; entities that belong nowhere are left out
+ */
+async function getOwners(env, namespace, entities) {
+  const owners = {};
+
+  // Entities on record for a server
+  for (const key of await listKeys(env, namespace, KEY_PREFIXES.SERVER)) {
+    const serverData = await getValue(env, namespace, key);
+
+    if (serverData) {
+      Object.keys(LEGACY_TYPES).forEach((type) => {
+        (serverData[type] || []).forEach((id) => {
+          owners[id] = owners[id] || serverData.id;
+        });
+      });
+    }
+  }
+
+  // Units and officers follow their domain
+  Object.values(entities.domains).forEach((domain) => {
+    [...(domain.units || []), ...(domain.officers || [])].forEach((id) => {
+      owners[id] = owners[id] || owners[domain.id];
+    });
+  });
+
+  // Battles and intrigue sessions follow their domains
+  [
+    ...Object.values(entities.battles),
+    ...Object.values(entities.intrigues),
+  ].forEach((entity) => {
+    const domainId = (entity.domains || []).find((id) => owners[id]);
+    owners[entity.id] =
+      owners[entity.id] || (domainId ? owners[domainId] : null);
+  });
+
+  return owners;
+}
+
+/**
+ * Move every unscoped unit, domain, battle, intrigue session and officer that
+ * belongs to a server into that server's scope, then delete the unscoped
+ * copies and drop them from the unscoped indexes
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} guildId - ID of the Discord server running the migration
+ * @returns {Promise<Object>} - { claimed, elsewhere, unclaimed }, each a map of type names to counts
+ */
+export async function migrateLegacyData(
+  env,
+  namespace = DEFAULT_NAMESPACE,
+  guildId,
+) {
+  const { entities, owners } = await runInScope({}, async () => {
+    const legacy = await getLegacyEntities(env, namespace);
+    return {
+      entities: legacy,
+      owners: await getOwners(env, namespace, legacy),
+    };
+  });
+
+  const claimed = {};
+  const elsewhere = {};
+  const unclaimed = {};
+
+  for (const [type, prefix] of Object.entries(LEGACY_TYPES)) {
+    claimed[type] = 0;
+    elsewhere[type] = 0;
+    unclaimed[type] = 0;
+    const remaining = [];
+
+    for (const entity of Object.values(entities[type])) {
+      const owner = owners[entity.id];
+
+      if (!owner) {
+        remaining.push(entity.id);
+        unclaimed[type]++;
+        continue;
+      }
+
+      // Copy the entity into its server's scope and index
+      await runInScope({ guildId: owner }, async () => {
+        const indexKey = `${KEY_PREFIXES.INDEX}${type}`;
+        const index = (await getValue(env, namespace, indexKey)) || [];
+
+        await putValue(env, namespace, `${prefix}${entity.id}`, entity);
+
+        if (!index.includes(entity.id)) {
+          await putValue(env, namespace, indexKey, [...index, entity.id]);
+        }
+      });
+
+      await runInScope({}, () =>
+        deleteValue(env, namespace, `${prefix}${entity.id}`),
+      );
+
+      if (owner === guildId) {
+        claimed[type]++;
+      } else {
+        elsewhere[type]++;
+      }
+    }
+
+    // Keep only what stays unscoped in the unscoped index
+    await runInScope({}, () =>
+      remaining.length > 0
+        ? putValue(env, namespace, `${KEY_PREFIXES.INDEX}${type}`, remaining)
+        : deleteValue(env, namespace, `${KEY_PREFIXES.INDEX}${type}`),
+    );
+  }
+
+  return { claimed, elsewhere, unclaimed };
+}
@@ -0,0 +1,168 @@
+/**
+ * Officer storage utility for Kingdoms & Warfare
+ * Provides functions for storing and retrieving officer data
+ */
+
+import {
+  DEFAULT_NAMESPACE,
+  KEY_PREFIXES,
+  getValue,
+  putValue,
+  deleteValue,
+  listKeys,
+} from './core.js';
+import { assignCommander } from '../../models/battle.js';
+
+/**
+ * Get an officer from storage
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} officerId - ID of the officer to get
+ * @returns {Promise<Object>} - Officer object
+ */
+export async function getOfficer(
+  env,
+  namespace = DEFAULT_NAMESPACE,
+  officerId,
+) {
+  return getValue(env, namespace, `${KEY_PREFIXES.OFFICER}${officerId}`);
+}
+
+/**
+ * Get all officers from storage
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @returns {Promise<Array>} - Array of officer objects
+ */
+export async function getAllOfficers(env, namespace = DEFAULT_NAMESPACE) {
+  const keys = await listKeys(env, namespace, KEY_PREFIXES.OFFICER);
+  const officers = await Promise.all(
+    keys.map((key) => getValue(env, namespace, key)),
+  );
+  return officers.filter((officer) => officer !== null);
+}
+
+/**
+ * Get officers for a domain from storage
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} domainId - ID of the domain to get officers for
+ * @returns {Promise<Array>} - Array of officer objects
+ */
+export async function getOfficersForDomain(
+  env,
+  namespace = DEFAULT_NAMESPACE,
+  domainId,
+) {
+  const domain = await getValue(
+    env,
+    namespace,
+    `${KEY_PREFIXES.DOMAIN}${domainId}`,
+  );
+
+  if (!domain || !domain.officers || domain.officers.length === 0) {
+    return [];
+  }
+
+  const officers = await Promise.all(
+    domain.officers.map((officerId) => getOfficer(env, namespace, officerId)),
+  );
+  return officers.filter((officer) => officer !== null);
+}
+
+/**
+ * Save an officer to storage
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {Object} officer - Officer object to save
+ * @returns {Promise<Object>} - Saved officer object
+ */
+export async function saveOfficer(env, namespace = DEFAULT_NAMESPACE, officer) {
+  const updatedOfficer = {
+    ...officer,
+    updated: new Date().toISOString(),
+  };
+
+  await putValue(
+    env,
+    namespace,
+    `${KEY_PREFIXES.OFFICER}${officer.id}`,
+    updatedOfficer,
+  );
+
+  // Update the officer index
+  const indexKey = `${KEY_PREFIXES.INDEX}officers`;
+  const officerIndex = (await getValue(env, namespace, indexKey)) || [];
+
+  if (!officerIndex.includes(officer.id)) {
+    officerIndex.push(officer.id);
+    await putValue(env, namespace, indexKey, officerIndex);
+  }
+
+  return updatedOfficer;
+}
+
+/**
+ * Delete an officer from storage
+ * @param {Object} env - Environment variables
+ * @param {String} namespace - KV namespace
+ * @param {String} officerId - ID of the officer to delete
+ * @returns {Promise<Boolean>} - Whether the officer was deleted
+ */
+export async function deleteOfficer(
+  env,
+  namespace = DEFAULT_NAMESPACE,
+  officerId,
+) {
+  const officer = await getOfficer(env, namespace, officerId);
+
+  if (!officer) {
+    return false;
+  }
+
+  await deleteValue(env, namespace, `${KEY_PREFIXES.OFFICER}${officerId}`);
+
+  // Update the officer index
+  const indexKey = `${KEY_PREFIXES.INDEX}officers`;
+  const officerIndex = (await getValue(env, namespace, indexKey)) || [];
+
+  if (officerIndex.includes(officerId)) {
+    const updatedIndex = officerIndex.filter((id) => id !== officerId);
+    await putValue(env, namespace, indexKey, updatedIndex);
+  }
+
+  // Remove the officer from any domains
+  const domainKeys = await listKeys(env, namespace, KEY_PREFIXES.DOMAIN);
+
+  for (const domainKey of domainKeys) {
+    const domain = await getValue(env, namespace, domainKey);
+
+    if (domain && domain.officers && domain.officers.includes(officerId)) {
+      domain.officers = domain.officers.filter((id) => id !== officerId);
+      await putValue(env, namespace, domainKey, domain);
+    }
+  }
+
+  // Remove the officer from command in any battles
+  const battleKeys = await listKeys(env, namespace, KEY_PREFIXES.BATTLE);
+
+  for (const battleKey of battleKeys) {
+    const battle = await getValue(env, namespace, battleKey);
+    const commanded =
+      battle && battle.units
+        ? Object.values(battle.units).filter(
+            (battleUnit) => battleUnit.commanderId === officerId,
+          )
+        : [];
+
+    if (commanded.length > 0) {
+      const updatedBattle = commanded.reduce(
+        (updated, battleUnit) => assignCommander(updated, battleUnit.id, null),
+        battle,
+      );
+      await putValue(env, namespace, battleKey, updatedBattle);
+    }
+  }
+
+  return true;
+}
@@ -9,9 +9,12 @@ import {
   verifyKey,
 } from 'discord-interactions';
 import { ALL_COMMANDS } from './commands.js';
-import { handleWarfareCommand } from './knw/commands/warfare.js';
-import { handleIntrigueCommand } from './knw/commands/intrigue.js';
+import { handleWarfareCommand, handleWarfareAutocomplete, handleWarfareComponent } from './knw/commands/warfare.js';
+import { handleIntrigueCommand, handleIntrigueAutocomplete } from './knw/commands/intrigue.js';
 import { InteractionResponseFlags } from 'discord-interactions';
+import { handleCampaignCommand, handleCampaignAutocomplete } from './knw/commands/campaign.js';
+import { handleKnwCommand } from './knw/commands/knw.js';
+import { runInScope, getActiveCampaign, DEFAULT_NAMESPACE } from './knw/utils/storage.js';
 
 class JsonResponse extends Response {
   constructor(body, init) {
@@ -25,6 +28,32 @@ class JsonResponse extends Response {
   }
 }
 
+/**
+ * Build the response for a command handler's result. Results that carry
+ * `files` are sent as multipart form data so Discord attaches the files to
+ * the message; everything else is sent as JSON.
+ */
+function toInteractionResponse(result) {
+  if (!result?.files?.length) {
+    return result;
+  }
+  
+  const { files, ...body } = result;
+  const form = new FormData();
+  
+  body.data = {
+    ...body.data,
+    attachments: files.map((file, index) => ({ id: index, filename: file.name })),
+  };
+  form.append('payload_json', JSON.stringify(body));
+  
+  files.forEach((file, index) => {
+    form.append(`files[${index}]`, new Blob([file.data], { type: file.contentType }), file.name);
+  });
+  
+  return new Response(form);
+}
+
 const router = AutoRouter();
 
 /**
@@ -47,7 +76,7 @@ router.post('/', async (request, env) => {
   if (!isValid || !interaction) {
     return new Response('Bad request signature.', { status: 401 });
   }
-
+  
   if (interaction.type === InteractionType.PING) {
     // The `PING` message is used during the initial webhook handshake, and is
     // required to configure the webhook in the developer portal.
@@ -55,15 +84,42 @@ router.post('/', async (request, env) => {
       type: InteractionResponseType.PONG,
     });
   }
+  
+  // Everything the interaction reads or saves belongs to the server it came
+  // from, and to the campaign played in its channel
+  const guildId = interaction.guild_id || null;
+  const campaignId = guildId && interaction.channel_id
+    ? await getActiveCampaign(env, DEFAULT_NAMESPACE, interaction.channel_id)
+    : null;
+  
+  return runInScope(
+    { guildId, campaignId },
+    () => handleInteraction(interaction, env),
+  );
+});
+router.all('*', () => new Response('Not Found.', { status: 404 }));
 
+/**
+ * Handle a verified interaction other than PING
+ * @param {Object} interaction - Discord interaction
+ * @param {Object} env - Environment variables
+ * @returns {Promise<Response|Object>} - Response to send back to Discord
+ */
+async function handleInteraction(interaction, env) {
   if (interaction.type === InteractionType.APPLICATION_COMMAND) {
     // Most user commands will come as `APPLICATION_COMMAND`.
     switch (interaction.data.name.toLowerCase()) {
       case 'warfare':
-        return await handleWarfareCommand(interaction, env);
+        return toInteractionResponse(await handleWarfareCommand(interaction, env));
       
       case 'intrigue':
-        return await handleIntrigueCommand(interaction, env);
+        return toInteractionResponse(await handleIntrigueCommand(interaction, env));
+      
+      case 'campaign':
+        return await handleCampaignCommand(interaction, env);
+      
+      case 'knw':
+        return await handleKnwCommand(interaction, env);
       
       default:
         console.error(`Unknown command: ${interaction.data.name}`);
@@ -75,11 +131,49 @@ router.post('/', async (request, env) => {
         });
     }
   }
-
+  
+  if (interaction.type === InteractionType.APPLICATION_COMMAND_AUTOCOMPLETE) {
+    // Suggestions for options marked as autocomplete while the user types
+    switch (interaction.data.name.toLowerCase()) {
+      case 'warfare':
+        return await handleWarfareAutocomplete(interaction, env);
+      
+      case 'intrigue':
+        return await handleIntrigueAutocomplete(interaction, env);
+      
+      case 'campaign':
+        return await handleCampaignAutocomplete(interaction, env);
+      
+      default:
+        return new JsonResponse({
+          type: InteractionResponseType.APPLICATION_COMMAND_AUTOCOMPLETE_RESULT,
+          data: {
+            choices: [],
+          },
+        });
+    }
+  }
+  
+  if (interaction.type === InteractionType.MESSAGE_COMPONENT) {
+    // Buttons and select menus; custom IDs start with the command they belong to
+    switch (interaction.data.custom_id.split(':')[0]) {
+      case 'warfare':
+        return toInteractionResponse(await handleWarfareComponent(interaction, env));
+      
+      default:
+        return new JsonResponse({
+          type: InteractionResponseType.CHANNEL_MESSAGE_WITH_SOURCE,
+          data: {
+            content: `Unknown control: ${interaction.data.custom_id}`,
+            flags: InteractionResponseFlags.EPHEMERAL,
+          },
+        });
+    }
+  }
+  
   console.error('Unknown Type');
   return new JsonResponse({ error: 'Unknown Type' }, { status: 400 });
-});
-router.all('*', () => new Response('Not Found.', { status: 404 }));
+}
 
 async function verifyDiscordRequest(request, env) {
   const signature = request.headers.get('x-signature-ed25519');
@@ -92,7 +186,7 @@ async function verifyDiscordRequest(request, env) {
   if (!isValidRequest) {
     return { isValid: false };
   }
-
+  
   return { interaction: JSON.parse(body), isValid: true };
 }
 